@@ -1,8 +1,8 @@
 /**
  * Main Express application configuration:
  * - Loads environment variables
- * - Sets up CORS and JSON body parsing
- * - Mounts authentication and score routes
+ * - Sets up CORS and JSON body parsing (large enough for score replays)
+ * - Mounts authentication, score, game session, game catalog, custom gesture, replay, calibration and settings routes
  */
 
 import express from "express";
@@ -10,6 +10,12 @@ import cors from "cors";
 import dotenv from "dotenv";
 import authRoutes from "./routes/auth.js";
 import scoreRoutes from "./routes/scores.js";
+import sessionRoutes from "./routes/sessions.js";
+import gameRoutes from "./routes/games.js";
+import gestureRoutes from "./routes/gestures.js";
+import replayRoutes from "./routes/replays.js";
+import calibrationRoutes from "./routes/calibration.js";
+import settingsRoutes from "./routes/settings.js";
 
 dotenv.config(); // Load environment variables from .env
 
@@ -17,10 +23,16 @@ const app = express();
 
 // Middleware
 app.use(cors()); // Enable Cross-Origin Resource Sharing
-app.use(express.json()); // Parse incoming JSON requests
+app.use(express.json({ limit: "2mb" })); // Parse incoming JSON requests (scores carry their replay)
 
 // Routes
 app.use("/api/auth", authRoutes); // Authentication routes
 app.use("/api/scores", scoreRoutes); // Score management routes
+app.use("/api/sessions", sessionRoutes); // Game session routes
+app.use("/api/games", gameRoutes); // Game catalog routes
+app.use("/api/gestures", gestureRoutes); // Custom gesture routes
+app.use("/api/replays", replayRoutes); // Session replay routes
+app.use("/api/calibration", calibrationRoutes); // Reachable hand area routes
+app.use("/api/settings", settingsRoutes); // Hand settings routes
 
 export default app;
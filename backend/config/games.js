@@ -0,0 +1,207 @@
+/**
+ * Game registry: the single source of truth for every playable game.
+ *
+ * Adding a game means adding an entry here and the matching entry in the
+ * frontend registry, frontend/src/games/registry.js, which adds the component.
+ * The frontend reads the catalog fields from frontend/src/games/catalog.json,
+ * generated from listGames() by frontend/scripts/sync-catalog.js.
+ * Exposed to clients through GET /api/games and used to validate scores and sessions.
+ *
+ * Fields:
+ * - name, route, icon, color, description, scoring: Catalog information shown to players
+ * - duration: Default length of a time attack game in seconds
+ * - inputs: Input methods the game can be played with (see INPUT_METHODS)
+ * - maxScorePerMinute: Highest score a human player can plausibly reach per minute of play
+ * - details: Game-specific fields allowed in a score's details
+ *   - summary: Extra top-level fields (next to durationMs, misses and rounds)
+ *   - round: Extra fields of every entry in details.rounds
+ *
+ * Field descriptors: { type: "integer" | "number" | "string", min, max, enum }
+ */
+
+/**
+ * Input methods a game can be played with:
+ * - hand: Webcam hand tracking
+ * - pointer: Mouse or touch (tap, swipe and trace games)
+ * - keyboard: Keyboard shortcuts for gestures (gesture games)
+ * Scores keep their input method so leaderboards can separate them.
+ */
+export const INPUT_METHODS = ["hand", "pointer", "keyboard"];
+
+/**
+ * Game modes whose scores are saved:
+ * - timed: Time attack, the game lasts one of TIMED_DURATIONS seconds
+ * - endless: No timer, the game ends when the player has lost all lives
+ * - sudden_death: No timer, the first mistake ends the game
+ * Practice games are not saved, so they never reach the server.
+ * Scores keep their mode (and duration) so leaderboards can separate them.
+ */
+export const GAME_MODES = ["timed", "endless", "sudden_death"];
+export const TIMED_DURATIONS = [30, 60, 90, 120];
+
+/**
+ * Difficulties a game can be played at:
+ * - easy, normal, hard: Fixed parameter sets of the game (target sizes, timings, tolerances)
+ * - adaptive: Starts at normal and follows the player's recent success rate
+ * The parameter sets live with each game in the frontend; scores keep their difficulty.
+ */
+export const DIFFICULTIES = ["easy", "normal", "hard", "adaptive"];
+
+/**
+ * The player's hands, for hand settings and replays:
+ * - The dominant hand plays when both hands are in view
+ * - A game can require one hand (e.g. the affected hand in therapy); the other hand is then ignored
+ */
+export const HANDS = ["left", "right"];
+
+const GAMES = {
+    BallGame: {
+        name: "Ball Game",
+        route: "/ball-game",
+        icon: "🏀",
+        color: "#0077ff",
+        description: "Watch the balls light up, then tap them in the same order.",
+        scoring: "+1 for every sequence repeated correctly. A wrong tap resets the score.",
+        duration: 60,
+        inputs: ["hand", "pointer"],
+        maxScorePerMinute: 30,
+        details: {
+            summary: { maxSequenceLength: { type: "integer", min: 0 } },
+            round: { sequenceLength: { type: "integer", min: 1 } },
+        },
+    },
+    SimonSays: {
+        name: "Simon Says",
+        route: "/simon-says",
+        icon: "✋",
+        color: "#ff9900",
+        description: "Show the hand gesture Simon asks for before time runs out.",
+        scoring: "+1 for every gesture matched before time runs out (5 seconds on normal).",
+        duration: 60,
+        inputs: ["hand", "keyboard"],
+        maxScorePerMinute: 60,
+        details: {
+            summary: {},
+            round: { gesture: { type: "string" } },
+        },
+    },
+    ShapeTracing: {
+        name: "Shape Tracing",
+        route: "/shape-tracing",
+        icon: "🎨",
+        color: "#00c864",
+        description: "Trace the circle or square with your index finger.",
+        scoring: "+1 for every shape traced through 90% of its checkpoints.",
+        duration: 60,
+        inputs: ["hand", "pointer"],
+        maxScorePerMinute: 40,
+        details: {
+            summary: {},
+            round: {
+                shape: { type: "string", enum: ["circle", "square"] },
+                accuracy: { type: "number", min: 0, max: 1 }, // Share of the trail on the outline
+            },
+        },
+    },
+    MemoryMatch: {
+        name: "Memory Match",
+        route: "/memory-match",
+        icon: "🧠",
+        color: "#6c5ce7",
+        description: "Remember the gesture sequence and perform it in order.",
+        scoring: "+1 for every sequence completed before time runs out (8 seconds on normal).",
+        duration: 60,
+        inputs: ["hand", "keyboard"],
+        maxScorePerMinute: 60,
+        details: {
+            summary: { maxSequenceLength: { type: "integer", min: 0 } },
+            round: {
+                sequenceLength: { type: "integer", min: 1 },
+                stepsCompleted: { type: "integer", min: 0 },
+            },
+        },
+    },
+    SwipeChallenge: {
+        name: "Swipe Challenge",
+        route: "/swipe-challenge",
+        icon: "🏓",
+        color: "#0984e3",
+        description: "Swipe your finger in the direction shown.",
+        scoring: "+1 for every swipe in the right direction.",
+        duration: 60,
+        inputs: ["hand", "pointer"],
+        maxScorePerMinute: 120,
+        details: {
+            summary: {},
+            round: {
+                direction: { type: "string", enum: ["left", "right", "up", "down"] },
+                detected: { type: "string", enum: ["left", "right", "up", "down"] },
+            },
+        },
+    },
+    QuickReaction: {
+        name: "Quick Reaction",
+        route: "/quick-reaction",
+        icon: "⚡",
+        color: "#fdcb6e",
+        description: "Tap each target as fast as you can before the next one appears.",
+        scoring: "+1 for every target tapped in time.",
+        duration: 60,
+        inputs: ["hand", "pointer"],
+        maxScorePerMinute: 200,
+        details: {
+            summary: {},
+            round: { reactionMs: { type: "number", min: 0 } },
+        },
+    },
+};
+
+/**
+ * getGame
+ *
+ * Looks up the rules of a game.
+ *
+ * @param {string} gameType - Game identifier (e.g., "BallGame")
+ * @returns {Object|null} Game rules, or null for unknown games
+ */
+export const getGame = (gameType) => {
+    return Object.prototype.hasOwnProperty.call(GAMES, gameType) ? GAMES[gameType] : null;
+};
+
+/**
+ * listGames
+ *
+ * Lists the public catalog entry of every game.
+ *
+ * @returns {Array<Object>} Games with their id and catalog fields
+ */
+export const listGames = () => {
+    return Object.entries(GAMES).map(([id, game]) => ({
+        id,
+        name: game.name,
+        route: game.route,
+        icon: game.icon,
+        color: game.color,
+        description: game.description,
+        scoring: game.scoring,
+        duration: game.duration,
+        inputs: game.inputs,
+        details: game.details,
+    }));
+};
+
+/**
+ * getScoreCeiling
+ *
+ * Computes the highest plausible score for a game played for a given time.
+ *
+ * @param {string} gameType - Game identifier
+ * @param {number} seconds - Played time in seconds
+ * @returns {number} Maximum accepted score
+ */
+export const getScoreCeiling = (gameType, seconds) => {
+    const game = getGame(gameType);
+    return Math.ceil((game.maxScorePerMinute * seconds) / 60);
+};
+
+export default GAMES;
@@ -0,0 +1,86 @@
+/**
+ * Controller functions for the calibration of the player's reachable hand area:
+ * - Get the logged-in user's calibration
+ * - Save a new calibration
+ * - Delete the calibration (back to the full camera image)
+ *
+ * A calibration is the rectangle { x0, y0, x1, y1 } of the camera image
+ * (normalized 0..1) the player can comfortably reach. Games stretch it over
+ * the whole screen, so targets near the edges stay reachable for seated
+ * players and for cameras that are far away or off-centre.
+ */
+
+import User from "../models/User.js";
+
+const MIN_SPAN = 0.1; // Smallest width and height of a calibrated area
+
+/**
+ * isValidCalibration
+ *
+ * @param {*} calibration - Calibration sent by the client
+ * @returns {boolean} True if it is a rectangle inside the image, at least MIN_SPAN wide and high
+ */
+const isValidCalibration = (calibration) => {
+    if (calibration === null || typeof calibration !== "object") return false;
+    const { x0, y0, x1, y1 } = calibration;
+    return [x0, y0, x1, y1].every((v) => typeof v === "number" && v >= 0 && v <= 1)
+        && x1 - x0 >= MIN_SPAN
+        && y1 - y0 >= MIN_SPAN;
+};
+
+/**
+ * getCalibration
+ *
+ * Returns the logged-in user's calibration, or null when they have none.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCalibration = async (req, res) => {
+    res.json(req.user.calibration ?? null);
+};
+
+/**
+ * saveCalibration
+ *
+ * Replaces the logged-in user's calibration.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const saveCalibration = async (req, res) => {
+    if (!isValidCalibration(req.body)) {
+        return res.status(400).json({
+            message: `The calibrated area must lie inside the camera image and be at least ${MIN_SPAN * 100}% wide and high.`,
+        });
+    }
+
+    const { x0, y0, x1, y1 } = req.body;
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { calibration: { x0, y0, x1, y1, updatedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+        res.json(user.calibration);
+    } catch (err) {
+        res.status(400).json({ message: "Failed to save calibration.", error: err.message });
+    }
+};
+
+/**
+ * deleteCalibration
+ *
+ * Removes the logged-in user's calibration.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteCalibration = async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calibration: 1 } });
+        res.json({ message: "Calibration removed." });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to remove calibration.", error: err.message });
+    }
+};
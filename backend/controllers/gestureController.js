@@ -0,0 +1,104 @@
+/**
+ * Controller functions for custom gestures:
+ * - List the user's gestures
+ * - Save a new gesture with its captured samples
+ * - Delete a gesture
+ */
+
+import mongoose from "mongoose";
+import Gesture, { LANDMARK_VALUES, MAX_SAMPLES } from "../models/Gesture.js";
+
+// Built-in gesture names that custom gestures may not reuse
+const RESERVED_NAMES = ["open", "two", "rock", "thumbs_up", "fist", "point"];
+
+/**
+ * isValidSample
+ *
+ * Checks that a sample is a list of finite, normalized landmark values.
+ *
+ * @param {*} sample - Sample sent by the client
+ * @returns {boolean} True if valid
+ */
+const isValidSample = (sample) =>
+    Array.isArray(sample) &&
+    sample.length === LANDMARK_VALUES &&
+    sample.every((v) => typeof v === "number" && Number.isFinite(v) && Math.abs(v) < 10);
+
+/**
+ * getGestures
+ *
+ * Lists the logged-in user's custom gestures, oldest first.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getGestures = async (req, res) => {
+    try {
+        const gestures = await Gesture.find({ user: req.user._id }).sort({ createdAt: 1 }).select("-user");
+        res.json(gestures);
+    } catch (err) {
+        res.status(500).json({ message: "Failed to fetch gestures.", error: err.message });
+    }
+};
+
+/**
+ * createGesture
+ *
+ * Saves a new custom gesture:
+ * - Validates the name and the samples.
+ * - Rejects names of built-in gestures and names the user already uses.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createGesture = async (req, res) => {
+    const { samples } = req.body;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    // Validate input
+    if (!name || name.length > 30) {
+        return res.status(400).json({ message: "A name of 1 to 30 characters is required." });
+    }
+
+    if (RESERVED_NAMES.includes(name.toLowerCase())) {
+        return res.status(400).json({ message: "This name is used by a built-in gesture." });
+    }
+
+    if (!Array.isArray(samples) || samples.length === 0 || samples.length > MAX_SAMPLES || !samples.every(isValidSample)) {
+        return res.status(400).json({ message: `Between 1 and ${MAX_SAMPLES} valid samples are required.` });
+    }
+
+    try {
+        const gesture = await Gesture.create({ user: req.user._id, name, samples });
+        res.status(201).json({ _id: gesture._id, name: gesture.name, samples: gesture.samples, createdAt: gesture.createdAt });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: "You already have a gesture with this name." });
+        }
+        res.status(400).json({ message: "Failed to save gesture.", error: err.message });
+    }
+};
+
+/**
+ * deleteGesture
+ *
+ * Deletes one of the logged-in user's custom gestures.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteGesture = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Gesture not found." });
+    }
+
+    try {
+        const deleted = await Gesture.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ message: "Gesture not found." });
+        }
+        res.json({ message: "Gesture deleted." });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to delete gesture.", error: err.message });
+    }
+};
@@ -0,0 +1,172 @@
+/**
+ * Controller functions for the personal score history:
+ * - Cursor-based pagination (stable while new scores are added)
+ * - Filters by game type, date range and score range
+ * - Sorting by date or score
+ */
+
+import mongoose from "mongoose";
+import Score from "../models/Score.js";
+
+const DEFAULT_LIMIT = 20; // Scores per page when no limit is given
+const MAX_LIMIT = 100; // Upper bound for the limit query parameter
+
+// Supported sort options: field and direction
+const SORTS = {
+    newest: { field: "createdAt", direction: -1 },
+    oldest: { field: "createdAt", direction: 1 },
+    highest: { field: "score", direction: -1 },
+    lowest: { field: "score", direction: 1 },
+};
+
+/**
+ * encodeCursor
+ *
+ * Encodes the position after a score as an opaque cursor.
+ *
+ * @param {string} sort - Sort option the cursor belongs to
+ * @param {Object} score - Last score of the page
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (sort, score) => {
+    const { field } = SORTS[sort];
+    const value = field === "createdAt" ? score.createdAt.toISOString() : score[field];
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: score._id })).toString("base64url");
+};
+
+/**
+ * decodeCursor
+ *
+ * Decodes a cursor produced by encodeCursor.
+ *
+ * @param {string} cursor - Base64url cursor
+ * @param {string} sort - Sort option of the current request
+ * @returns {{ value: *, id: mongoose.Types.ObjectId }|null} Position, or null if invalid
+ */
+const decodeCursor = (cursor, sort) => {
+    try {
+        const { s, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (s !== sort || !mongoose.isValidObjectId(id)) return null;
+
+        const value = SORTS[sort].field === "createdAt" ? new Date(v) : v;
+        if (value instanceof Date ? isNaN(value) : typeof value !== "number") return null;
+
+        return { value, id: new mongoose.Types.ObjectId(String(id)) };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * parseNumber
+ *
+ * Parses an optional numeric query parameter.
+ *
+ * @param {string|undefined} value - Raw query value
+ * @returns {number|undefined|null} Parsed number, undefined if absent, null if invalid
+ */
+const parseNumber = (value) => {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * parseDate
+ *
+ * Parses an optional date query parameter.
+ *
+ * @param {string|undefined} value - Raw query value (ISO 8601)
+ * @returns {Date|undefined|null} Parsed date, undefined if absent, null if invalid
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === "") return undefined;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+/**
+ * getScoreHistory
+ *
+ * Returns one page of the logged-in user's scores.
+ *
+ * Query parameters:
+ * - gameType {string}: Only scores of this game
+ * - from, to {string}: ISO dates bounding createdAt (inclusive)
+ * - minScore, maxScore {number}: Score range (inclusive)
+ * - sort {string}: "newest" (default) | "oldest" | "highest" | "lowest"
+ * - limit {number}: Scores per page (default 20, max 100)
+ * - cursor {string}: nextCursor of the previous page
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getScoreHistory = async (req, res) => {
+    const { gameType, cursor } = req.query;
+    const sort = req.query.sort || "newest";
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+
+    if (!SORTS[sort]) {
+        return res.status(400).json({ message: `sort must be one of: ${Object.keys(SORTS).join(", ")}.` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    const minScore = parseNumber(req.query.minScore);
+    const maxScore = parseNumber(req.query.maxScore);
+
+    if (from === null || to === null || minScore === null || maxScore === null) {
+        return res.status(400).json({ message: "Invalid date or score filter." });
+    }
+
+    // Filters
+    const filter = { user: req.user._id };
+    if (gameType) filter.gameType = String(gameType);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+    if (minScore !== undefined || maxScore !== undefined) {
+        filter.score = {};
+        if (minScore !== undefined) filter.score.$gte = minScore;
+        if (maxScore !== undefined) filter.score.$lte = maxScore;
+    }
+
+    // Continue after the cursor position: (field, _id) strictly past the last item
+    const { field, direction } = SORTS[sort];
+    const query = { ...filter };
+    if (cursor) {
+        const position = decodeCursor(String(cursor), sort);
+        if (!position) {
+            return res.status(400).json({ message: "Invalid cursor." });
+        }
+        const op = direction === -1 ? "$lt" : "$gt";
+        query.$and = [
+            {
+                $or: [
+                    { [field]: { [op]: position.value } },
+                    { [field]: position.value, _id: { [op]: position.id } },
+                ],
+            },
+        ];
+    }
+
+    try {
+        // Fetch one extra score to know whether another page exists
+        const scores = await Score.find(query)
+            .sort({ [field]: direction, _id: direction })
+            .limit(limit + 1)
+            .select("-user -session");
+
+        const hasMore = scores.length > limit;
+        const items = hasMore ? scores.slice(0, limit) : scores;
+
+        res.json({
+            items,
+            nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null,
+        });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to fetch scores.", error: err.message });
+    }
+};
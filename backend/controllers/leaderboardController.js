@@ -0,0 +1,195 @@
+/**
+ * Controller functions for game leaderboards:
+ * - Ranked best score per user for a single game type
+ * - Daily, weekly, monthly and all-time windows
+ * - Separate boards per input method (hand tracking, mouse/touch, keyboard)
+ *   and per game mode (each time attack duration has its own board)
+ * - Page-based pagination plus the caller's own rank
+ *
+ * Ranking is done entirely inside a MongoDB aggregation so that only the
+ * requested page (and the caller's row) ever leave the database.
+ */
+
+import mongoose from "mongoose";
+import Score from "../models/Score.js";
+import { getGame, INPUT_METHODS, GAME_MODES, TIMED_DURATIONS } from "../config/games.js";
+
+const DEFAULT_LIMIT = 20; // Entries per page when no limit is given
+const MAX_LIMIT = 100; // Upper bound for the limit query parameter
+const WINDOWS = ["daily", "weekly", "monthly", "all"]; // Supported time windows
+
+/**
+ * getWindowStart
+ *
+ * Computes the start date (UTC) of the given leaderboard window.
+ *
+ * @param {string} window - One of "daily", "weekly", "monthly", "all"
+ * @param {Date} [now] - Reference date, defaults to the current time
+ * @returns {Date|null} Start of the window, or null for all-time
+ */
+export const getWindowStart = (window, now = new Date()) => {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    switch (window) {
+        case "daily":
+            return start;
+        case "weekly": {
+            // ISO weeks start on Monday
+            const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+            start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+            return start;
+        }
+        case "monthly":
+            start.setUTCDate(1);
+            return start;
+        default:
+            return null;
+    }
+};
+
+/**
+ * getLeaderboard
+ *
+ * Returns the leaderboard for one game type:
+ * - Validates the game type, window and pagination parameters.
+ * - Keeps each user's best score inside the window (earliest wins ties).
+ * - Ranks users with standard competition ranking (1, 2, 2, 4).
+ * - Returns the requested page and the caller's own rank.
+ *
+ * Query parameters:
+ * - window {string}: "daily" | "weekly" | "monthly" | "all" (default "all")
+ * - page {number}: 1-based page number (default 1)
+ * - limit {number}: Entries per page (default 20, max 100)
+ * - inputMethod {string}: "hand" | "pointer" | "keyboard" | "all" (default "hand")
+ * - mode {string}: "timed" | "endless" | "sudden_death" (default "timed")
+ * - duration {number}: Seconds of the timed board (default the game's duration)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getLeaderboard = async (req, res) => {
+    const { gameType } = req.params;
+    const window = req.query.window || "all";
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+    const inputMethod = req.query.inputMethod || "hand";
+    const mode = req.query.mode || "timed";
+    const game = getGame(gameType);
+
+    // Validate game type against the game registry
+    if (!game) {
+        return res.status(400).json({ message: "Unknown gameType." });
+    }
+
+    if (!GAME_MODES.includes(mode)) {
+        return res.status(400).json({ message: `mode must be one of: ${GAME_MODES.join(", ")}.` });
+    }
+
+    const duration = mode === "timed" ? Number(req.query.duration || game.duration) : null;
+    if (mode === "timed" && !TIMED_DURATIONS.includes(duration)) {
+        return res.status(400).json({ message: `duration must be one of: ${TIMED_DURATIONS.join(", ")}.` });
+    }
+
+    if (!WINDOWS.includes(window)) {
+        return res.status(400).json({ message: `window must be one of: ${WINDOWS.join(", ")}.` });
+    }
+
+    if (inputMethod !== "all" && !INPUT_METHODS.includes(inputMethod)) {
+        return res.status(400).json({ message: `inputMethod must be one of: ${[...INPUT_METHODS, "all"].join(", ")}.` });
+    }
+
+    // Only scores of this game, input method and mode inside the window
+    const match = { gameType };
+    if (inputMethod === "hand") {
+        match.inputMethod = { $in: ["hand", null] }; // Older scores have no input method
+    } else if (inputMethod !== "all") {
+        match.inputMethod = inputMethod;
+    }
+    if (mode === "timed") {
+        // Older scores have no mode (and no duration): they are timed games of the default duration
+        match.mode = { $in: ["timed", null] };
+        match.duration = duration === game.duration ? { $in: [duration, null] } : duration;
+    } else {
+        match.mode = mode;
+    }
+    const since = getWindowStart(window);
+    if (since) {
+        match.createdAt = { $gte: since };
+    }
+
+    const userId = new mongoose.Types.ObjectId(String(req.user._id));
+
+    try {
+        const [result] = await Score.aggregate([
+            { $match: match },
+            // One row per user holding their best score in the window
+            {
+                $group: {
+                    _id: "$user",
+                    best: {
+                        $top: {
+                            sortBy: { score: -1, createdAt: 1 },
+                            output: { score: "$score", achievedAt: "$createdAt" },
+                        },
+                    },
+                },
+            },
+            { $project: { score: "$best.score", achievedAt: "$best.achievedAt" } },
+            // Rank users by their best score
+            {
+                $setWindowFields: {
+                    sortBy: { score: -1 },
+                    output: { rank: { $rank: {} } },
+                },
+            },
+            { $sort: { rank: 1, achievedAt: 1, _id: 1 } },
+            {
+                $facet: {
+                    entries: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "_id",
+                                foreignField: "_id",
+                                pipeline: [{ $project: { name: 1 } }],
+                                as: "user",
+                            },
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                rank: 1,
+                                userId: "$_id",
+                                name: { $ifNull: [{ $first: "$user.name" }, "Unknown player"] },
+                                score: 1,
+                                achievedAt: 1,
+                            },
+                        },
+                    ],
+                    total: [{ $count: "count" }],
+                    me: [
+                        { $match: { _id: userId } },
+                        { $project: { _id: 0, rank: 1, score: 1, achievedAt: 1 } },
+                    ],
+                },
+            },
+        ]).allowDiskUse(true);
+
+        res.json({
+            gameType,
+            window,
+            inputMethod,
+            mode,
+            duration,
+            page,
+            limit,
+            total: result.total[0]?.count || 0,
+            entries: result.entries,
+            me: result.me[0] || null, // null when the caller has no score in this window
+        });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to fetch leaderboard.", error: err.message });
+    }
+};
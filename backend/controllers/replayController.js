@@ -0,0 +1,41 @@
+/**
+ * Controller functions for session replays:
+ * - Get the replay of a score, with the score and the player it belongs to
+ *
+ * Replays are visible to every logged-in user, like the leaderboards,
+ * so players can watch how a score was achieved and race it as a ghost.
+ */
+
+import mongoose from "mongoose";
+import Replay from "../models/Replay.js";
+
+/**
+ * getReplay
+ *
+ * Finds the replay stored with a score.
+ *
+ * @param {Object} req - Express request object (params.scoreId)
+ * @param {Object} res - Express response object
+ */
+export const getReplay = async (req, res) => {
+    const { scoreId } = req.params;
+    if (!mongoose.isValidObjectId(scoreId)) {
+        return res.status(404).json({ message: "Replay not found." });
+    }
+
+    try {
+        const replay = await Replay.findOne({ score: scoreId })
+            .populate("score", "score gameType inputMethod mode duration difficulty details createdAt")
+            .populate("user", "name")
+            .lean();
+
+        if (!replay) {
+            return res.status(404).json({ message: "Replay not found." });
+        }
+
+        const { user, score, ...rest } = replay;
+        res.json({ ...rest, score, player: user?.name ?? "Unknown player" });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to fetch replay.", error: err.message });
+    }
+};
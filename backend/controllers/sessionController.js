@@ -0,0 +1,200 @@
+/**
+ * Controller functions for game sessions:
+ * - Starting a signed game session
+ * - Redeeming a session when a score is submitted
+ *
+ * A score is only accepted against a session that belongs to the user,
+ * has not been used before, has not expired, lasted at least the chosen
+ * duration (timed games) and whose score stays under the game's plausibility
+ * ceiling for the time played.
+ *
+ * Untimed games are judged by the time played as the client reports it
+ * (durationMs of the score details, measured on the game clock, which stands
+ * still while the game is paused), so pausing does not raise the ceiling.
+ * The wall-clock time since the session started caps the reported time.
+ */
+
+import jwt from "jsonwebtoken";
+import GameSession from "../models/GameSession.js";
+import { getGame, getScoreCeiling, INPUT_METHODS, GAME_MODES, TIMED_DURATIONS, DIFFICULTIES } from "../config/games.js";
+
+const SESSION_TTL_HOURS = 24; // How long a started session can still be redeemed
+const DURATION_TOLERANCE = 2; // Seconds of clock/network slack when checking game length
+const TOKEN_AUDIENCE = "game-session"; // Keeps session tokens apart from auth tokens
+
+/**
+ * signSession
+ *
+ * Signs a session id so it cannot be forged or altered by the client.
+ *
+ * @param {Object} session - GameSession document
+ * @returns {string} Signed session token
+ */
+const signSession = (session) => {
+    return jwt.sign(
+        { sid: session.id, gameType: session.gameType },
+        process.env.JWT_SECRET,
+        { audience: TOKEN_AUDIENCE, expiresIn: `${SESSION_TTL_HOURS}h` }
+    );
+};
+
+/**
+ * startSession
+ *
+ * Starts a new game session for the logged-in user:
+ * - Validates the game type, the input method (default "hand") and the mode
+ *   (default "timed"; timed games take a duration, default the game's own)
+ *   and the difficulty (default "normal").
+ * - Stores the session with its expiry date.
+ * - Returns the signed session token.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const startSession = async (req, res) => {
+    const { gameType, inputMethod = "hand", mode = "timed", difficulty = "normal" } = req.body;
+    const game = getGame(gameType);
+
+    if (!game) {
+        return res.status(400).json({ message: "Unknown gameType." });
+    }
+
+    if (!INPUT_METHODS.includes(inputMethod) || !game.inputs.includes(inputMethod)) {
+        return res.status(400).json({ message: `inputMethod must be one of: ${game.inputs.join(", ")}.` });
+    }
+
+    if (!GAME_MODES.includes(mode)) {
+        return res.status(400).json({ message: `mode must be one of: ${GAME_MODES.join(", ")}.` });
+    }
+
+    const duration = mode === "timed" ? req.body.duration ?? game.duration : null;
+    if (mode === "timed" && !TIMED_DURATIONS.includes(duration)) {
+        return res.status(400).json({ message: `duration must be one of: ${TIMED_DURATIONS.join(", ")}.` });
+    }
+
+    if (!DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({ message: `difficulty must be one of: ${DIFFICULTIES.join(", ")}.` });
+    }
+
+    try {
+        const session = await GameSession.create({
+            user: req.user._id,
+            gameType,
+            inputMethod,
+            mode,
+            duration,
+            difficulty,
+            expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000),
+        });
+
+        res.status(201).json({
+            sessionId: session.id,
+            sessionToken: signSession(session),
+            gameType,
+            inputMethod,
+            mode,
+            duration,
+            difficulty,
+            expiresAt: session.expiresAt,
+        });
+    } catch (err) {
+        res.status(400).json({ message: "Failed to start game session.", error: err.message });
+    }
+};
+
+/**
+ * redeemSession
+ *
+ * Validates a session token for a score submission and marks the session as used.
+ * A session can only be redeemed once: invalid submissions burn it as "rejected".
+ *
+ * @param {Object} params
+ * @param {string} params.sessionToken - Signed token returned by startSession
+ * @param {Object} params.user - Authenticated user document
+ * @param {string} params.gameType - Game type of the submitted score
+ * @param {number} params.score - Submitted score
+ * @param {number} [params.playedMs] - Time played without pauses, as reported by the client
+ *   (required for untimed games)
+ * @returns {Promise<{ session?: Object, status?: number, message?: string, sessionId?: string }>}
+ *   The redeemed session, or an HTTP status and message describing the rejection
+ *   (sessionId is included when the session was already used)
+ */
+export const redeemSession = async ({ sessionToken, user, gameType, score, playedMs }) => {
+    let payload;
+    try {
+        payload = jwt.verify(sessionToken, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+        if (error.name === "TokenExpiredError") {
+            return { status: 410, message: "Game session has expired." };
+        }
+        return { status: 403, message: "Invalid game session." };
+    }
+
+    const now = new Date();
+
+    // Atomically claim the session so concurrent submissions cannot both succeed
+    const session = await GameSession.findOneAndUpdate(
+        { _id: payload.sid, user: user._id, status: "active" },
+        { status: "completed", endedAt: now },
+        { new: true }
+    );
+
+    if (!session) {
+        const existing = await GameSession.exists({ _id: payload.sid, user: user._id });
+        return existing
+            ? { status: 409, message: "Game session has already been used.", sessionId: payload.sid }
+            : { status: 404, message: "Game session not found." };
+    }
+
+    // Burns the session so a rejected submission cannot be retried
+    const reject = async (status, message) => {
+        session.status = "rejected";
+        await session.save();
+        return { status, message };
+    };
+
+    if (session.expiresAt <= now) {
+        return reject(410, "Game session has expired.");
+    }
+
+    if (session.gameType !== gameType) {
+        return reject(400, "Score gameType does not match the game session.");
+    }
+
+    const game = getGame(gameType);
+    const playedSeconds = (now - session.createdAt) / 1000;
+    const timed = (session.mode ?? "timed") === "timed";
+    const duration = session.duration ?? game.duration;
+
+    if (timed && playedSeconds + DURATION_TOLERANCE < duration) {
+        return reject(400, "Game session is shorter than the game duration.");
+    }
+
+    // Untimed games are judged by the time actually played: the reported time without
+    // pauses, which cannot be longer than the session has been running
+    if (!timed && !Number.isFinite(playedMs)) {
+        return reject(400, "Untimed games must report the time played.");
+    }
+    const ceilingSeconds = timed ? duration : Math.min(playedMs / 1000, playedSeconds) + DURATION_TOLERANCE;
+    if (score < 0 || score > getScoreCeiling(gameType, ceilingSeconds)) {
+        return reject(400, "Score is not plausible for this game.");
+    }
+
+    return { session };
+};
+
+/**
+ * reopenSession
+ *
+ * Makes a redeemed session active again when its score could not be stored,
+ * so the client can safely retry the same submission.
+ *
+ * @param {Object} session - GameSession document returned by redeemSession
+ * @returns {Promise<void>}
+ */
+export const reopenSession = async (session) => {
+    await GameSession.updateOne(
+        { _id: session._id, status: "completed" },
+        { status: "active", $unset: { endedAt: 1 } }
+    );
+};
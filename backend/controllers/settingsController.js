@@ -0,0 +1,118 @@
+/**
+ * Controller functions for the player's hand and audio settings:
+ * - Get the logged-in user's settings
+ * - Update them
+ *
+ * Settings are { dominantHand, requiredHands, audio }:
+ * - dominantHand {"left"|"right"}: The hand games follow when both hands are in view
+ * - requiredHands {Object}: Game id → "left"|"right", for games that may only be
+ *   played with that hand (e.g. exercises prescribed for the affected hand)
+ * - audio {Object}: { muted, volume (0-1), speech (spoken prompts) }
+ */
+
+import User from "../models/User.js";
+import { HANDS, getGame } from "../config/games.js";
+
+/**
+ * toResponse
+ *
+ * @param {Object} [settings] - Settings subdocument of a user
+ * @returns {Object} { dominantHand, requiredHands, audio } with a plain requiredHands object and defaults filled in
+ */
+const toResponse = (settings) => ({
+    dominantHand: settings?.dominantHand ?? "right",
+    requiredHands: Object.fromEntries(settings?.requiredHands ?? []),
+    audio: {
+        muted: settings?.audio?.muted ?? false,
+        volume: settings?.audio?.volume ?? 0.7,
+        speech: settings?.audio?.speech ?? false,
+    },
+});
+
+/**
+ * validateAudio
+ *
+ * @param {*} audio - Audio settings sent by the client (fields may be left out)
+ * @returns {string|null} Error message, or null if the audio settings are valid
+ */
+const validateAudio = (audio) => {
+    if (audio === null || typeof audio !== "object" || Array.isArray(audio)) return "Audio settings must be an object.";
+    const { muted, volume, speech } = audio;
+
+    if (muted !== undefined && typeof muted !== "boolean") return "Muted must be true or false.";
+    if (speech !== undefined && typeof speech !== "boolean") return "Spoken prompts must be true or false.";
+    if (volume !== undefined && (typeof volume !== "number" || !(volume >= 0 && volume <= 1))) {
+        return "Volume must be a number from 0 to 1.";
+    }
+    return null;
+};
+
+/**
+ * validateSettings
+ *
+ * @param {*} body - Settings sent by the client (fields may be left out)
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+const validateSettings = (body) => {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) return "Settings must be an object.";
+    const { dominantHand, requiredHands, audio } = body;
+
+    if (dominantHand !== undefined && !HANDS.includes(dominantHand)) {
+        return `Dominant hand must be one of: ${HANDS.join(", ")}.`;
+    }
+
+    if (requiredHands !== undefined) {
+        if (requiredHands === null || typeof requiredHands !== "object" || Array.isArray(requiredHands)) {
+            return "Required hands must map games to hands.";
+        }
+        const invalid = Object.entries(requiredHands).find(([gameType, hand]) => !getGame(gameType) || !HANDS.includes(hand));
+        if (invalid) return `Invalid required hand for ${invalid[0]}.`;
+    }
+
+    if (audio !== undefined) return validateAudio(audio);
+
+    return null;
+};
+
+/**
+ * getSettings
+ *
+ * Returns the logged-in user's settings (defaults when they never saved any).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSettings = async (req, res) => {
+    res.json(toResponse(req.user.settings));
+};
+
+/**
+ * updateSettings
+ *
+ * Replaces the settings that are sent; requiredHands is replaced as a whole
+ * (games left out may be played with either hand), audio field by field.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSettings = async (req, res) => {
+    const error = validateSettings(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { dominantHand, requiredHands, audio } = req.body;
+    const update = {};
+    if (dominantHand !== undefined) update["settings.dominantHand"] = dominantHand;
+    if (requiredHands !== undefined) update["settings.requiredHands"] = requiredHands;
+    ["muted", "volume", "speech"].forEach(field => {
+        if (audio?.[field] !== undefined) update[`settings.audio.${field}`] = audio[field];
+    });
+
+    try {
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true });
+        res.json(toResponse(user.settings));
+    } catch (err) {
+        res.status(400).json({ message: "Failed to save settings.", error: err.message });
+    }
+};
@@ -0,0 +1,202 @@
+/**
+ * Controller functions for personal statistics:
+ * - Per-game best and average score, and the median of the latest MEDIAN_SAMPLE scores
+ *   (medianOf tells how many scores that is, so clients can label a median of recent games)
+ * - Play count and total play time
+ * - Daily trend over the last 30 days
+ * - Current daily play streak
+ *
+ * Days are computed in the caller's time zone (query parameter "tz", IANA name, default UTC).
+ */
+
+import Score from "../models/Score.js";
+import GAMES from "../config/games.js";
+
+const TREND_DAYS = 30; // Length of the daily trend window
+const MEDIAN_SAMPLE = 1000; // Latest scores per game the median is taken over, so one document never holds them all
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * isValidTimeZone
+ *
+ * Checks whether a string is an IANA time zone known to the runtime.
+ *
+ * @param {string} timeZone - Time zone name (e.g., "Europe/Istanbul")
+ * @returns {boolean} True if the time zone can be used
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * toDayKey
+ *
+ * Formats a date as "YYYY-MM-DD" in the given time zone.
+ *
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Day key
+ */
+const toDayKey = (date, timeZone) => {
+    return new Intl.DateTimeFormat("en-CA", { timeZone }).format(date);
+};
+
+/**
+ * previousDay
+ *
+ * Steps a day key back by one calendar day. Day keys are dates, not instants,
+ * so days that are 23 or 25 hours long (daylight saving changes) do not matter.
+ *
+ * @param {string} dayKey - Day key ("YYYY-MM-DD")
+ * @returns {string} Day key of the day before
+ */
+const previousDay = (dayKey) => {
+    const [year, month, date] = dayKey.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, date - 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * median
+ *
+ * Computes the median of a list of numbers.
+ *
+ * @param {number[]} values - Unsorted values
+ * @returns {number|null} Median, or null for an empty list
+ */
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * computeStreak
+ *
+ * Counts consecutive play days ending today (or yesterday, if the player
+ * has not played yet today).
+ *
+ * @param {string[]} days - Day keys with at least one game, newest first
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [now] - Reference date
+ * @returns {{ current: number, playedToday: boolean }} Streak information
+ */
+export const computeStreak = (days, timeZone, now = new Date()) => {
+    const played = new Set(days);
+    const today = toDayKey(now, timeZone);
+    const playedToday = played.has(today);
+
+    // Walk back one calendar day at a time from today (or yesterday)
+    let cursor = playedToday ? today : previousDay(today);
+    let current = 0;
+    while (played.has(cursor)) {
+        current++;
+        cursor = previousDay(cursor);
+    }
+
+    return { current, playedToday };
+};
+
+/**
+ * getStats
+ *
+ * Returns the logged-in user's statistics for every game they have played.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStats = async (req, res) => {
+    const timeZone = req.query.tz || "UTC";
+
+    if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({ message: "Unknown time zone." });
+    }
+
+    const since = new Date(Date.now() - TREND_DAYS * DAY_MS);
+    const day = { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: timeZone } };
+
+    try {
+        const [result] = await Score.aggregate([
+            { $match: { user: req.user._id } },
+            {
+                $facet: {
+                    // Overall numbers per game
+                    games: [
+                        {
+                            $group: {
+                                _id: "$gameType",
+                                best: { $max: "$score" },
+                                average: { $avg: "$score" },
+                                playCount: { $sum: 1 },
+                                latestScores: {
+                                    $topN: { n: MEDIAN_SAMPLE, sortBy: { createdAt: -1 }, output: "$score" },
+                                },
+                                recordedPlayTimeMs: { $sum: { $ifNull: ["$details.durationMs", 0] } },
+                                // Older scores have no details: count them to estimate their play time
+                                unrecordedPlays: {
+                                    $sum: { $cond: [{ $eq: [{ $type: "$details.durationMs" }, "missing"] }, 1, 0] },
+                                },
+                                lastPlayedAt: { $max: "$createdAt" },
+                            },
+                        },
+                    ],
+                    // Daily numbers per game over the trend window
+                    trend: [
+                        { $match: { createdAt: { $gte: since } } },
+                        {
+                            $group: {
+                                _id: { gameType: "$gameType", date: day },
+                                best: { $max: "$score" },
+                                average: { $avg: "$score" },
+                                count: { $sum: 1 },
+                            },
+                        },
+                        { $sort: { "_id.date": 1 } },
+                    ],
+                    // Every day with at least one game, newest first
+                    days: [
+                        { $group: { _id: day } },
+                        { $sort: { _id: -1 } },
+                    ],
+                },
+            },
+        ]);
+
+        const games = {};
+        result.games.forEach((g) => {
+            const gameDuration = (GAMES[g._id]?.duration || 0) * 1000;
+            games[g._id] = {
+                best: g.best,
+                average: Math.round(g.average * 100) / 100,
+                median: median(g.latestScores),
+                medianOf: g.latestScores.length,
+                playCount: g.playCount,
+                totalPlayTimeMs: g.recordedPlayTimeMs + g.unrecordedPlays * gameDuration,
+                lastPlayedAt: g.lastPlayedAt,
+                trend: [],
+            };
+        });
+
+        result.trend.forEach((t) => {
+            games[t._id.gameType]?.trend.push({
+                date: t._id.date,
+                best: t.best,
+                average: Math.round(t.average * 100) / 100,
+                count: t.count,
+            });
+        });
+
+        res.json({
+            timeZone,
+            games,
+            streak: computeStreak(result.days.map((d) => d._id), timeZone),
+        });
+    } catch (err) {
+        res.status(500).json({ message: "Failed to fetch statistics.", error: err.message });
+    }
+};
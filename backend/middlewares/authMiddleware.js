@@ -5,7 +5,8 @@
  * - Extracts the token from Authorization header.
  * - Verifies and decodes the token.
  * - Attaches the authenticated user to the request object.
- * - Denies access if no valid token is provided.
+ * - Denies access if no valid token is provided, if the token is not a login token
+ *   (game session tokens carry an audience and no user id), or if its user no longer exists.
  */
 
 import jwt from "jsonwebtoken";
@@ -33,8 +34,16 @@ const protect = async (req, res, next) => {
             // Verify token and decode it
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Only login tokens identify a user; game session tokens are signed for an audience
+            if (decoded.aud !== undefined || !decoded.id) {
+                return res.status(401).json({ message: "Not authorized, token failed" });
+            }
+
             // Fetch the user attached to the decoded token ID, exclude password
             req.user = await User.findById(decoded.id).select("-password");
+            if (!req.user) {
+                return res.status(401).json({ message: "Not authorized, user not found" });
+            }
 
             next(); // Pass to the next middleware or route handler
         } catch (error) {
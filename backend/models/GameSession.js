@@ -0,0 +1,96 @@
+/**
+ * Mongoose model for server-issued game sessions.
+ *
+ * A session is created when the player starts a game and is redeemed
+ * exactly once when the final score is submitted.
+ * Unused sessions are removed automatically once they expire.
+ * Redeemed sessions keep the performance measurements of the game,
+ * to see which devices struggle to run the games.
+ */
+
+import mongoose from "mongoose";
+import { INPUT_METHODS, GAME_MODES, TIMED_DURATIONS, DIFFICULTIES } from "../config/games.js";
+
+// How smoothly the game ran on the player's device (see utils/validatePerformance.js)
+const performanceSchema = new mongoose.Schema(
+    {
+        avgFps: Number,
+        minFps: Number,
+        droppedFrames: Number,
+        avgLatencyMs: Number, // Hand detection time
+        maxLatencyMs: Number,
+        detectionsPerSecond: Number,
+        minScale: Number, // Smallest input scale of the adaptive detection scheduler
+        maxIntervalMs: Number, // Longest minimum interval between detections it used
+        delegate: { type: String, enum: ["GPU", "CPU", null] },
+        thread: { type: String, enum: ["worker", "main", null] },
+        camera: { width: Number, height: Number },
+        device: { userAgent: String, cores: Number, memoryGb: Number },
+    },
+    { _id: false }
+);
+
+// Define GameSession Schema
+const gameSessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User", // References the User model
+            required: true,
+        },
+        gameType: {
+            type: String,
+            required: true,
+        },
+        inputMethod: {
+            type: String,
+            enum: INPUT_METHODS, // How the game is played (hand tracking, mouse/touch or keyboard)
+            default: "hand",
+        },
+        mode: {
+            type: String,
+            enum: GAME_MODES, // How the game ends (timer, lives or first mistake)
+            default: "timed",
+        },
+        duration: {
+            type: Number,
+            enum: [...TIMED_DURATIONS, null], // Seconds of a timed game; null in the other modes
+            default: null,
+        },
+        difficulty: {
+            type: String,
+            enum: DIFFICULTIES, // Parameter set the game is played with
+            default: "normal",
+        },
+        status: {
+            type: String,
+            enum: ["active", "completed", "rejected"], // active → completed | rejected
+            default: "active",
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        endedAt: {
+            type: Date, // Set when the score is submitted
+        },
+        performance: {
+            type: performanceSchema, // Sent with the score
+            default: undefined,
+        },
+    },
+    {
+        timestamps: true, // createdAt is the server-side start time of the game
+    }
+);
+
+// Delete sessions that were never redeemed once they expire
+gameSessionSchema.index(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0, partialFilterExpression: { status: "active" } }
+);
+
+// Create GameSession model
+const GameSession = mongoose.model("GameSession", gameSessionSchema);
+
+export default GameSession;
@@ -0,0 +1,50 @@
+/**
+ * Mongoose model for user-recorded custom gestures.
+ *
+ * Each gesture belongs to a user and holds a few captured samples of the pose.
+ * Samples are normalized hand landmarks (21 points flattened to 63 numbers:
+ * x0, y0, z0, x1, ...), so they can be compared to any hand position, size and tilt.
+ */
+
+import mongoose from "mongoose";
+
+export const LANDMARK_VALUES = 63; // 21 landmarks × (x, y, z)
+export const MAX_SAMPLES = 20; // Upper bound for samples per gesture
+
+// Define Gesture Schema
+const gestureSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User", // References the User model
+            required: true,
+        },
+        name: {
+            type: String,
+            required: [true, "Please add a name"],
+            trim: true,
+            maxlength: 30,
+        },
+        samples: {
+            type: [[Number]], // Normalized landmarks of every captured sample
+            validate: {
+                validator: (samples) =>
+                    samples.length > 0 &&
+                    samples.length <= MAX_SAMPLES &&
+                    samples.every((sample) => sample.length === LANDMARK_VALUES),
+                message: `Between 1 and ${MAX_SAMPLES} samples of ${LANDMARK_VALUES} values are required`,
+            },
+        },
+    },
+    {
+        timestamps: true, // Automatically adds createdAt and updatedAt fields
+    }
+);
+
+// Gesture names are unique per user
+gestureSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Create Gesture model
+const Gesture = mongoose.model("Gesture", gestureSchema);
+
+export default Gesture;
@@ -0,0 +1,71 @@
+/**
+ * Mongoose model for session replays.
+ *
+ * Each replay belongs to exactly one saved score and holds the downsampled
+ * landmark stream of the game it was achieved in (validated in utils/validateReplay.js).
+ * Replays live in their own collection so score queries never load them.
+ */
+
+import mongoose from "mongoose";
+
+// The player's hand settings, which decide the hand a game follows (see utils/validateReplay.js)
+const handSchema = new mongoose.Schema(
+    {
+        dominant: { type: String },
+        required: { type: String, default: null },
+    },
+    { _id: false }
+);
+
+// A custom gesture of the player, which the game prompted and recognized (see utils/validateReplay.js)
+const customGestureSchema = new mongoose.Schema({
+    _id: { type: String }, // Id of the saved gesture; games name it "custom:<id>"
+    name: { type: String },
+    samples: { type: [[Number]] },
+});
+
+// Define Replay Schema
+const replaySchema = new mongoose.Schema(
+    {
+        score: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Score", // The score this game ended with
+            required: true,
+            unique: true, // One replay per score
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User", // References the User model
+            required: true,
+        },
+        gameType: {
+            type: String,
+            required: true,
+        },
+        version: { type: Number, required: true }, // Replay format version
+        seed: { type: Number, required: true }, // Seed of the game's random source
+        width: { type: Number, required: true }, // Canvas size the game was played on
+        height: { type: Number, required: true },
+        startedAt: { type: Number, required: true }, // Game clock at the first frame (ms)
+        hand: {
+            type: handSchema, // Hand settings the game was played with (older replays have none)
+            default: undefined,
+        },
+        customGestures: {
+            type: [customGestureSchema], // The player's custom gestures at the time (older replays have none)
+            default: undefined,
+        },
+        frames: {
+            type: [mongoose.Schema.Types.Mixed], // [{ t, hands?: [{ handedness, landmarks: [63 values] }] }]
+            required: true,
+        },
+    },
+    {
+        timestamps: true, // Automatically adds createdAt and updatedAt fields
+    }
+);
+
+// Create Replay model
+const Replay = mongoose.model("Replay", replaySchema);
+
+export default Replay;
@@ -1,11 +1,17 @@
 /**
  * Mongoose model for storing game scores.
  *
- * Each score is linked to a user and a game type.
+ * Each score is linked to a user, a game type and the game session it was played in,
+ * and records the input method used (hand tracking, mouse/touch or keyboard)
+ * the game mode (with the duration of timed games) and the difficulty.
+ * Optional details hold per-round results (validated per game in utils/validateDetails.js).
+ * hasReplay tells whether the game's replay is stored (see models/Replay.js).
  * Automatically records creation and update timestamps.
+ * Indexed for per-user history and per-game leaderboard queries.
  */
 
 import mongoose from "mongoose";
+import GAMES, { INPUT_METHODS, GAME_MODES, DIFFICULTIES } from "../config/games.js";
 
 // Define Score Schema
 const scoreSchema = new mongoose.Schema(
@@ -22,7 +28,38 @@ const scoreSchema = new mongoose.Schema(
         gameType: {
             type: String,
             required: true,
-            enum: ["BallGame", "SimonSays", "ShapeTracing", "MemoryMatch", "SwipeChallenge", "QuickReaction"], // List of valid game types
+            enum: Object.keys(GAMES), // Valid game types come from the game registry
+        },
+        inputMethod: {
+            type: String,
+            enum: INPUT_METHODS, // Copied from the game session
+            default: "hand", // Scores saved before input methods existed were all hand-tracked
+        },
+        mode: {
+            type: String,
+            enum: GAME_MODES, // Copied from the game session; scores saved before modes existed have none (timed)
+        },
+        duration: {
+            type: Number, // Seconds of a timed game, copied from the game session (none: the game's default)
+        },
+        difficulty: {
+            type: String,
+            enum: DIFFICULTIES, // Copied from the game session
+            default: "normal", // Scores saved before difficulties existed were all played at normal
+        },
+        details: {
+            type: mongoose.Schema.Types.Mixed, // { durationMs, misses, rounds: [...], ...game-specific fields }
+        },
+        hasReplay: {
+            type: Boolean,
+            default: false, // Set once the replay uploaded with the score is stored
+        },
+        session: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "GameSession", // Server-issued session the score was played in
+            required: true,
+            unique: true, // One score per session
+            sparse: true, // Scores saved before sessions existed have none
         },
     },
     {
@@ -30,6 +67,16 @@ const scoreSchema = new mongoose.Schema(
     }
 );
 
+// Leaderboards: match one game, input method and mode inside a time window, then group by user.
+// Including score and user lets MongoDB answer the grouping from the index alone.
+scoreSchema.index({ gameType: 1, inputMethod: 1, mode: 1, duration: 1, createdAt: -1, score: -1, user: 1 });
+
+// Personal history: a user's scores by date or by score, optionally for one game
+scoreSchema.index({ user: 1, createdAt: -1 });
+scoreSchema.index({ user: 1, score: -1 });
+scoreSchema.index({ user: 1, gameType: 1, createdAt: -1 });
+scoreSchema.index({ user: 1, gameType: 1, score: -1 });
+
 // Create Score model
 const Score = mongoose.model("Score", scoreSchema);
 
@@ -1,11 +1,47 @@
 /**
  * Mongoose model for storing user information.
  *
- * Each user has a name, email, and hashed password.
+ * Each user has a name, email, and hashed password, their hand and audio settings
+ * (see controllers/settingsController.js), and optionally the calibration of
+ * their reachable hand area (see controllers/calibrationController.js).
  * Automatically records creation and update timestamps.
  */
 
 import mongoose from "mongoose";
+import { HANDS } from "../config/games.js";
+
+// Rectangle of the camera image (normalized 0..1) the player can reach;
+// games stretch it over the whole screen
+const calibrationSchema = new mongoose.Schema(
+    {
+        x0: { type: Number, required: true, min: 0, max: 1 },
+        y0: { type: Number, required: true, min: 0, max: 1 },
+        x1: { type: Number, required: true, min: 0, max: 1 },
+        y1: { type: Number, required: true, min: 0, max: 1 },
+        updatedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+// Sound of the games
+const audioSchema = new mongoose.Schema(
+    {
+        muted: { type: Boolean, default: false },
+        volume: { type: Number, min: 0, max: 1, default: 0.7 },
+        speech: { type: Boolean, default: false }, // Spoken prompts
+    },
+    { _id: false }
+);
+
+// Which hand the player plays with, and how the games sound
+const settingsSchema = new mongoose.Schema(
+    {
+        dominantHand: { type: String, enum: HANDS, default: "right" }, // Plays when both hands are in view
+        requiredHands: { type: Map, of: { type: String, enum: HANDS }, default: {} }, // Game id → the only hand that plays it
+        audio: { type: audioSchema, default: () => ({}) },
+    },
+    { _id: false }
+);
 
 // Define User Schema
 const userSchema = new mongoose.Schema(
@@ -23,6 +59,14 @@ const userSchema = new mongoose.Schema(
             type: String,
             required: [true, "Please add a password"],
         },
+        settings: {
+            type: settingsSchema,
+            default: () => ({}),
+        },
+        calibration: {
+            type: calibrationSchema, // Unset until the player calibrates
+            default: undefined,
+        },
     },
     {
         timestamps: true, // Automatically adds createdAt and updatedAt fields
@@ -0,0 +1,40 @@
+/**
+ * Defines API routes for the calibration of the player's reachable hand area:
+ * - Get the user's calibration
+ * - Save a new calibration
+ * - Delete the calibration
+ *
+ * All routes are protected with authentication middleware.
+ */
+
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { getCalibration, saveCalibration, deleteCalibration } from "../controllers/calibrationController.js";
+
+const router = express.Router();
+
+// Apply protect middleware to all routes in this router
+router.use(protect);
+
+/**
+ * @route   GET /api/calibration
+ * @desc    Get the logged-in user's calibration ({ x0, y0, x1, y1, updatedAt }, or null)
+ * @access  Private
+ */
+router.get("/", getCalibration);
+
+/**
+ * @route   PUT /api/calibration
+ * @desc    Save the logged-in user's reachable area ({ x0, y0, x1, y1 }, normalized camera coordinates)
+ * @access  Private
+ */
+router.put("/", saveCalibration);
+
+/**
+ * @route   DELETE /api/calibration
+ * @desc    Remove the logged-in user's calibration
+ * @access  Private
+ */
+router.delete("/", deleteCalibration);
+
+export default router;
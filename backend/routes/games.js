@@ -0,0 +1,23 @@
+/**
+ * Defines API routes for the game catalog:
+ * - List every available game
+ *
+ * The catalog is public so clients can discover games before logging in.
+ */
+
+import express from "express";
+import { listGames } from "../config/games.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/games
+ * @desc    Get the catalog of games (name, route, icon, color, description,
+ *          scoring rules, duration and score details schema)
+ * @access  Public
+ */
+router.get("/", (req, res) => {
+    res.json(listGames());
+});
+
+export default router;
@@ -0,0 +1,40 @@
+/**
+ * Defines API routes for user-recorded custom gestures:
+ * - List the user's gestures
+ * - Save a new gesture
+ * - Delete a gesture
+ *
+ * All routes are protected with authentication middleware.
+ */
+
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { getGestures, createGesture, deleteGesture } from "../controllers/gestureController.js";
+
+const router = express.Router();
+
+// Apply protect middleware to all routes in this router
+router.use(protect);
+
+/**
+ * @route   GET /api/gestures
+ * @desc    Get the logged-in user's custom gestures with their samples
+ * @access  Private
+ */
+router.get("/", getGestures);
+
+/**
+ * @route   POST /api/gestures
+ * @desc    Save a custom gesture ({ name, samples: [[63 normalized landmark values], ...] })
+ * @access  Private
+ */
+router.post("/", createGesture);
+
+/**
+ * @route   DELETE /api/gestures/:id
+ * @desc    Delete one of the logged-in user's custom gestures
+ * @access  Private
+ */
+router.delete("/:id", deleteGesture);
+
+export default router;
@@ -0,0 +1,26 @@
+/**
+ * Defines API routes for session replays:
+ * - Get the replay of a score
+ *
+ * Replays are uploaded together with their score (POST /api/scores).
+ * All routes are protected with authentication middleware.
+ */
+
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { getReplay } from "../controllers/replayController.js";
+
+const router = express.Router();
+
+// Apply protect middleware to all routes in this router
+router.use(protect);
+
+/**
+ * @route   GET /api/replays/:scoreId
+ * @desc    Get the replay stored with a score (frames, seed, canvas size),
+ *          the score it belongs to and the player's name
+ * @access  Private
+ */
+router.get("/:scoreId", getReplay);
+
+export default router;
@@ -1,14 +1,25 @@
 /**
  * Defines API routes for managing user game scores:
- * - Save a new score
- * - Get all scores of the logged-in user
+ * - Save a new score (with the game's replay)
+ * - Get the paginated, filterable score history of the logged-in user
+ * - Get the leaderboard of a game
+ * - Get personal statistics per game
  *
  * All routes are protected with authentication middleware.
  */
 
 import express from "express";
 import Score from "../models/Score.js";
+import GameSession from "../models/GameSession.js";
+import Replay from "../models/Replay.js";
 import { protect } from "../middlewares/authMiddleware.js";
+import { getLeaderboard } from "../controllers/leaderboardController.js";
+import { getStats } from "../controllers/statsController.js";
+import { getScoreHistory } from "../controllers/historyController.js";
+import { redeemSession, reopenSession } from "../controllers/sessionController.js";
+import validateDetails from "../utils/validateDetails.js";
+import validateReplay from "../utils/validateReplay.js";
+import validatePerformance from "../utils/validatePerformance.js";
 
 const router = express.Router();
 
@@ -17,41 +28,151 @@ router.use(protect);
 
 /**
  * @route   POST /api/scores
- * @desc    Save a new game score for the logged-in user
+ * @desc    Save a new game score for the logged-in user against a game session.
+ *          Resubmitting an already saved session returns the stored score (200),
+ *          so clients can safely retry. An optional replay (downsampled landmark
+ *          stream) is stored in the replays collection, linked to the score.
+ *          Optional performance measurements of the game (frame rate, hand
+ *          detection latency, device) are stored on the game session.
+ *          When they were sent, replaySaved and performanceSaved in the response
+ *          tell whether they were stored, with the reason in replayError and
+ *          performanceError when they were not.
  * @access  Private
  */
 router.post("/", async (req, res) => {
-    const { score, gameType } = req.body;
+    const { score, gameType, sessionToken, details, replay, performance } = req.body;
 
     // Validate input
-    if (typeof score !== "number" || !gameType) {
+    if (!Number.isInteger(score) || !gameType) {
         return res.status(400).json({ message: "Score and gameType are required." });
     }
 
+    if (typeof sessionToken !== "string") {
+        return res.status(400).json({ message: "A game session is required." });
+    }
+
+    // Per-round details are optional but must match the game's schema
+    if (details !== undefined) {
+        const detailsError = validateDetails(gameType, details, score);
+        if (detailsError) {
+            return res.status(400).json({ message: detailsError });
+        }
+    }
+
+    // The replay and the performance measurements are optional too; ones that do not match
+    // their format are not stored, but do not cost the player their score either
+    const replayError = replay === undefined ? null : validateReplay(gameType, replay);
+    const performanceError = performance === undefined ? null : validatePerformance(performance);
+
     try {
-        const newScore = await Score.create({
-            user: req.user._id,
-            score,
+        // Reject reused, expired, too short or implausible sessions
+        const { session, status, message, sessionId } = await redeemSession({
+            sessionToken,
+            user: req.user,
             gameType,
+            score,
+            playedMs: details?.durationMs,
         });
-        res.status(201).json(newScore);
+
+        if (!session) {
+            // A retried submission of an already saved game
+            if (sessionId) {
+                const existing = await Score.findOne({ session: sessionId, user: req.user._id });
+                if (existing) return res.json(existing);
+            }
+            return res.status(status).json({ message });
+        }
+
+        let newScore;
+        try {
+            newScore = await Score.create({
+                user: req.user._id,
+                score,
+                gameType,
+                details,
+                inputMethod: session.inputMethod,
+                mode: session.mode,
+                duration: session.duration ?? undefined,
+                difficulty: session.difficulty ?? "normal",
+                session: session._id,
+            });
+        } catch (err) {
+            await reopenSession(session); // Let the client retry this game
+            throw err;
+        }
+
+        // Failures to store the replay or the measurements are reported, not fatal
+        let replaySaved = false;
+        let replayFailure = replayError;
+        if (replay !== undefined && !replayError) {
+            try {
+                const { version, seed, width, height, startedAt, hand, customGestures, frames } = replay;
+                await Replay.create({
+                    score: newScore._id,
+                    user: req.user._id,
+                    gameType,
+                    version,
+                    seed,
+                    width,
+                    height,
+                    startedAt,
+                    hand,
+                    customGestures,
+                    frames,
+                });
+                newScore.hasReplay = true;
+                await newScore.save();
+                replaySaved = true;
+            } catch (err) {
+                replayFailure = err.message;
+            }
+        }
+
+        let performanceSaved = false;
+        let performanceFailure = performanceError;
+        if (performance !== undefined && !performanceError) {
+            try {
+                await GameSession.updateOne({ _id: session._id }, { performance });
+                performanceSaved = true;
+            } catch (err) {
+                performanceFailure = err.message;
+            }
+        }
+
+        const result = newScore.toObject();
+        if (replay !== undefined) Object.assign(result, { replaySaved, replayError: replayFailure ?? undefined });
+        if (performance !== undefined) Object.assign(result, { performanceSaved, performanceError: performanceFailure ?? undefined });
+
+        res.status(201).json(result);
     } catch (err) {
-        res.status(400).json({ message: "Failed to save score.", error: err.message });
+        // Invalid data is final; anything else (e.g. database down) can be retried by the client
+        const status = err.name === "ValidationError" ? 400 : 500;
+        res.status(status).json({ message: "Failed to save score.", error: err.message });
     }
 });
 
 /**
  * @route   GET /api/scores
- * @desc    Get all game scores for the logged-in user
+ * @desc    Get one page of the logged-in user's scores
+ *          (query: gameType, from, to, minScore, maxScore, sort, limit, cursor)
  * @access  Private
  */
-router.get("/", async (req, res) => {
-    try {
-        const scores = await Score.find({ user: req.user._id }).sort({ createdAt: -1 });
-        res.json(scores);
-    } catch (err) {
-        res.status(500).json({ message: "Failed to fetch scores.", error: err.message });
-    }
-});
+router.get("/", getScoreHistory);
+
+/**
+ * @route   GET /api/scores/stats
+ * @desc    Get best, average, median, play count, play time, 30-day trend
+ *          and daily streak per game (query: tz=IANA time zone)
+ * @access  Private
+ */
+router.get("/stats", getStats);
+
+/**
+ * @route   GET /api/scores/leaderboard/:gameType
+ * @desc    Get the ranked best score per user for a game
+ *          (query: window=daily|weekly|monthly|all, page, limit)
+ * @access  Private
+ */
+router.get("/leaderboard/:gameType", getLeaderboard);
 
 export default router;
@@ -0,0 +1,24 @@
+/**
+ * Defines API routes for game sessions:
+ * - Start a new game session
+ *
+ * All routes are protected with authentication middleware.
+ */
+
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { startSession } from "../controllers/sessionController.js";
+
+const router = express.Router();
+
+// Apply protect middleware to all routes in this router
+router.use(protect);
+
+/**
+ * @route   POST /api/sessions
+ * @desc    Start a game session ({ gameType, inputMethod, mode, duration, difficulty }) and receive a signed session token
+ * @access  Private
+ */
+router.post("/", startSession);
+
+export default router;
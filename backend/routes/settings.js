@@ -0,0 +1,34 @@
+/**
+ * Defines API routes for the player's hand and audio settings:
+ * - Get the user's settings
+ * - Update them
+ *
+ * All routes are protected with authentication middleware.
+ */
+
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { getSettings, updateSettings } from "../controllers/settingsController.js";
+
+const router = express.Router();
+
+// Apply protect middleware to all routes in this router
+router.use(protect);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get the logged-in user's settings ({ dominantHand, requiredHands, audio })
+ * @access  Private
+ */
+router.get("/", getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update the logged-in user's settings (dominantHand "left"|"right",
+ *          requiredHands { [gameType]: "left"|"right" }, replaced as a whole,
+ *          audio { muted, volume 0-1, speech }, any of its fields)
+ * @access  Private
+ */
+router.put("/", updateSettings);
+
+export default router;
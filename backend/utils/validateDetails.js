@@ -0,0 +1,128 @@
+/**
+ * Validation of the structured details sent with a score.
+ *
+ * Every game shares the same envelope:
+ * - durationMs {number}: Time actually played
+ * - misses {integer}: Number of failed rounds
+ * - rounds {Array}: One entry per round with result "hit" or "miss", an optional
+ *   timeMs and the game-specific round fields from config/games.js
+ * - droppedRounds, droppedHits {integer}: Older rounds of long (endless) games that
+ *   the client left out of rounds to stay within MAX_ROUNDS, and how many of them were hits
+ *
+ * Game-specific summary fields are declared in config/games.js as well.
+ */
+
+import { getGame } from "../config/games.js";
+
+const MAX_ROUNDS = 1000; // Upper bound for details.rounds (clients sum up older rounds)
+
+// Fields every game may send
+const COMMON_SUMMARY = {
+    durationMs: { type: "number", min: 0 },
+    misses: { type: "integer", min: 0 },
+    droppedRounds: { type: "integer", min: 0 },
+    droppedHits: { type: "integer", min: 0 },
+};
+
+// Fields every round may contain
+const COMMON_ROUND = {
+    result: { type: "string", enum: ["hit", "miss"], required: true },
+    timeMs: { type: "number", min: 0 },
+};
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * checkField
+ *
+ * Validates a single value against a field descriptor.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} spec - { type, min, max, enum }
+ * @returns {boolean} True if the value matches
+ */
+const checkField = (value, spec) => {
+    if (spec.type === "string") {
+        if (typeof value !== "string" || value.length > 100) return false;
+    } else if (spec.type === "integer") {
+        if (!Number.isInteger(value)) return false;
+    } else if (typeof value !== "number" || !Number.isFinite(value)) {
+        return false;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) return false;
+    if (spec.min !== undefined && value < spec.min) return false;
+    if (spec.max !== undefined && value > spec.max) return false;
+    return true;
+};
+
+/**
+ * checkObject
+ *
+ * Validates all keys of an object against a set of field descriptors.
+ * Unknown keys are rejected.
+ *
+ * @param {Object} obj - Object to check
+ * @param {Object} fields - Field descriptors by key
+ * @param {string} path - Path used in error messages
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkObject = (obj, fields, path) => {
+    for (const [key, value] of Object.entries(obj)) {
+        const spec = fields[key];
+        if (!spec) return `${path}.${key} is not allowed.`;
+        if (!checkField(value, spec)) return `${path}.${key} is invalid.`;
+    }
+    for (const [key, spec] of Object.entries(fields)) {
+        if (spec.required && obj[key] === undefined) return `${path}.${key} is required.`;
+    }
+    return null;
+};
+
+/**
+ * validateDetails
+ *
+ * Validates score details against the game's schema.
+ * When rounds are reported they must contain at least as many hits as the score,
+ * counting the dropped ones (some games reset the score after a mistake, so hits
+ * can exceed it).
+ *
+ * @param {string} gameType - Game identifier
+ * @param {Object} details - Details sent by the client
+ * @param {number} score - Submitted score
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateDetails = (gameType, details, score) => {
+    const game = getGame(gameType);
+    if (!game) return "Unknown gameType.";
+    if (!isPlainObject(details)) return "details must be an object.";
+
+    const { rounds, ...summary } = details;
+
+    const summaryError = checkObject(summary, { ...COMMON_SUMMARY, ...game.details.summary }, "details");
+    if (summaryError) return summaryError;
+
+    const { droppedRounds = 0, droppedHits = 0 } = summary;
+    if (droppedHits > droppedRounds) return "details.droppedHits cannot exceed details.droppedRounds.";
+
+    if (rounds === undefined) return null;
+
+    if (!Array.isArray(rounds) || rounds.length > MAX_ROUNDS) {
+        return `details.rounds must be an array of at most ${MAX_ROUNDS} entries.`;
+    }
+
+    const roundFields = { ...COMMON_ROUND, ...game.details.round };
+    for (let i = 0; i < rounds.length; i++) {
+        if (!isPlainObject(rounds[i])) return `details.rounds[${i}] must be an object.`;
+        const roundError = checkObject(rounds[i], roundFields, `details.rounds[${i}]`);
+        if (roundError) return roundError;
+    }
+
+    const hits = rounds.filter((round) => round.result === "hit").length + droppedHits;
+    if (hits < score) return "details.rounds have fewer hits than the score.";
+
+    return null;
+};
+
+export default validateDetails;
@@ -0,0 +1,67 @@
+/**
+ * Validation of the performance measurements sent with a score.
+ *
+ * The measurements describe how smoothly the game ran on the player's device
+ * (see frontend/src/utils/perfMonitor.js); all numbers may be null when not measured:
+ * - avgFps, minFps {number}: Render frame rate
+ * - droppedFrames {integer}: Display frames missed (at 60 Hz)
+ * - avgLatencyMs, maxLatencyMs {number}: Hand detection time
+ * - detectionsPerSecond {number}: Hand detection rate
+ * - minScale {number}: Smallest input scale the adaptive scheduler used (0-1)
+ * - maxIntervalMs {number}: Longest minimum interval between detections it used
+ * - delegate {"GPU"|"CPU"|null}, thread {"worker"|"main"|null}: Where hand detection ran
+ * - camera {{ width, height }|null}: Resolution the camera delivered
+ * - device {{ userAgent, cores, memoryGb }}: What the browser tells about the device
+ */
+
+const MAX_VALUE = 1e7; // Upper bound for any measured number
+const MAX_USER_AGENT = 500;
+
+const NUMBER_FIELDS = ["avgFps", "minFps", "droppedFrames", "avgLatencyMs", "maxLatencyMs", "detectionsPerSecond", "minScale", "maxIntervalMs"];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+/** A measured number, or null when it was not measured */
+const isMeasure = (value) =>
+    value === null || (typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= MAX_VALUE);
+
+/**
+ * validatePerformance
+ *
+ * Checks performance measurements against the format above.
+ *
+ * @param {*} performance - Measurements sent by the client
+ * @returns {string|null} Error message, or null if the measurements are valid
+ */
+export default function validatePerformance(performance) {
+    if (!isPlainObject(performance)) return "Performance must be an object.";
+
+    const unknown = Object.keys(performance).find(
+        (key) => !NUMBER_FIELDS.includes(key) && !["delegate", "thread", "camera", "device"].includes(key)
+    );
+    if (unknown) return `Unknown performance field: ${unknown}.`;
+
+    const invalid = NUMBER_FIELDS.find((key) => !isMeasure(performance[key] ?? null));
+    if (invalid) return `Performance ${invalid} must be a non-negative number.`;
+
+    if (![null, undefined, "GPU", "CPU"].includes(performance.delegate)) return "Performance delegate must be GPU or CPU.";
+    if (![null, undefined, "worker", "main"].includes(performance.thread)) return "Performance thread must be worker or main.";
+
+    const { camera, device } = performance;
+    if (camera != null && !(isPlainObject(camera) && [camera.width, camera.height].every((v) => Number.isInteger(v) && v > 0 && v <= 10000))) {
+        return "Performance camera must have a width and height.";
+    }
+
+    if (device != null) {
+        if (!isPlainObject(device)) return "Performance device must be an object.";
+        if (device.userAgent != null && (typeof device.userAgent !== "string" || device.userAgent.length > MAX_USER_AGENT)) {
+            return "Performance userAgent must be a string.";
+        }
+        if (!isMeasure(device.cores ?? null) || !isMeasure(device.memoryGb ?? null)) {
+            return "Performance cores and memoryGb must be non-negative numbers.";
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,121 @@
+/**
+ * Validation of the replay sent with a score.
+ *
+ * A replay is the downsampled landmark stream of a game:
+ * - version {integer}: Replay format version (REPLAY_VERSION)
+ * - seed {integer}: Seed of the game's random source
+ * - width, height {number}: Canvas size the game was played on
+ * - startedAt {number}: Game clock at the first frame (ms)
+ * - hand {Object} (optional): { dominant: "left"|"right", required: "left"|"right"|null },
+ *   the player's hand settings, which decide the hand the game followed
+ * - customGestures {Array} (optional): [{ _id, name, samples: [[63 normalized values]] }],
+ *   the player's custom gestures, which gesture games prompt and recognize
+ * - frames {Array}: { t } per frame (ms since startedAt, ascending), with
+ *   hands: [{ handedness: "Left"|"Right", landmarks: [63 normalized values] }]
+ *   on the frames in which the game ran hand detection
+ */
+
+import { getGame, HANDS } from "../config/games.js";
+import { MAX_SAMPLES } from "../models/Gesture.js";
+
+export const REPLAY_VERSION = 1;
+
+const LANDMARK_VALUES = 63; // 21 landmarks × (x, y, z)
+const MAX_HANDS = 2;
+const MAX_CUSTOM_GESTURES = 50; // Upper bound for the custom gestures sent with a replay
+const MAX_FPS = 30; // Upper bound for the sample rate of a replay
+const MAX_FRAMES = 1200; // Upper bound for frames; long (untimed) games are sampled more sparsely
+const MAX_MS = 24 * 60 * 60 * 1000; // No game outlives its session
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * checkHand
+ *
+ * @param {*} hand - One hand of a frame
+ * @returns {boolean} True if the hand is valid
+ */
+const checkHand = (hand) =>
+    isPlainObject(hand) &&
+    (hand.handedness === "Left" || hand.handedness === "Right") &&
+    Array.isArray(hand.landmarks) &&
+    hand.landmarks.length === LANDMARK_VALUES &&
+    hand.landmarks.every((v) => isNumber(v) && Math.abs(v) < 10);
+
+/**
+ * checkCustomGesture
+ *
+ * @param {*} gesture - One custom gesture of the replay
+ * @returns {boolean} True if the gesture is valid
+ */
+const checkCustomGesture = (gesture) =>
+    isPlainObject(gesture) &&
+    typeof gesture._id === "string" && gesture._id.length > 0 && gesture._id.length <= 64 &&
+    typeof gesture.name === "string" && gesture.name.length > 0 && gesture.name.length <= 30 &&
+    Array.isArray(gesture.samples) &&
+    gesture.samples.length > 0 &&
+    gesture.samples.length <= MAX_SAMPLES &&
+    gesture.samples.every((sample) =>
+        Array.isArray(sample) &&
+        sample.length === LANDMARK_VALUES &&
+        sample.every((v) => isNumber(v) && Math.abs(v) < 10));
+
+/**
+ * validateReplay
+ *
+ * Checks a replay against the format above.
+ *
+ * @param {string} gameType - Game the replay belongs to
+ * @param {*} replay - Replay sent by the client
+ * @returns {string|null} Error message, or null if the replay is valid
+ */
+export default function validateReplay(gameType, replay) {
+    if (!getGame(gameType)) return "Unknown game type.";
+    if (!isPlainObject(replay)) return "Replay must be an object.";
+
+    if (replay.version !== REPLAY_VERSION) return "Unsupported replay version.";
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) return "Replay seed must be a non-negative integer.";
+    if (![replay.width, replay.height].every((v) => isNumber(v) && v > 0 && v <= 10000)) {
+        return "Replay width and height must be positive numbers.";
+    }
+    if (!isNumber(replay.startedAt)) return "Replay startedAt must be a number.";
+    if (replay.hand !== undefined && !(isPlainObject(replay.hand)
+        && HANDS.includes(replay.hand.dominant)
+        && (replay.hand.required === null || HANDS.includes(replay.hand.required)))) {
+        return "Replay hand must have a dominant and an optional required hand.";
+    }
+    if (replay.customGestures !== undefined && !(Array.isArray(replay.customGestures)
+        && replay.customGestures.length <= MAX_CUSTOM_GESTURES
+        && replay.customGestures.every(checkCustomGesture))) {
+        return "Replay custom gestures are invalid.";
+    }
+
+    const { frames } = replay;
+    if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_FRAMES) {
+        return "Replay frames are missing or too many.";
+    }
+
+    let previousT = -1;
+    for (const frame of frames) {
+        if (!isPlainObject(frame) || !isNumber(frame.t) || frame.t < 0 || frame.t <= previousT || frame.t > MAX_MS) {
+            return "Replay frames must have ascending times within the game.";
+        }
+        previousT = frame.t;
+
+        if (frame.hands !== undefined) {
+            if (!Array.isArray(frame.hands) || frame.hands.length > MAX_HANDS || !frame.hands.every(checkHand)) {
+                return "Replay hands are invalid.";
+            }
+        }
+    }
+
+    // Frames of a replay are at least 1000 / MAX_FPS ms apart on average
+    if (frames.length > (previousT / 1000 + 1) * MAX_FPS) {
+        return "Replay sample rate is too high.";
+    }
+
+    return null;
+}
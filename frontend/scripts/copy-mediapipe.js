@@ -0,0 +1,50 @@
+/**
+ * Copies the MediaPipe hand tracking assets into public/, so the app serves them itself.
+ *
+ * - The WASM runtime comes from the installed (pinned) @mediapipe/tasks-vision package,
+ *   so it always matches the JavaScript API the app is built with.
+ * - The hand landmark model is downloaded once from a versioned URL.
+ *
+ * Runs after `npm install`; run it again with `npm run copy-mediapipe`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const WASM_SOURCE = path.join(ROOT, "node_modules", "@mediapipe", "tasks-vision", "wasm");
+const WASM_TARGET = path.join(ROOT, "public", "mediapipe", "wasm");
+const MODEL_URL = "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task";
+const MODEL_TARGET = path.join(ROOT, "public", "models", "hand_landmarker.task");
+
+/** Copies the WASM runtime of the installed package */
+function copyWasm() {
+    if (!fs.existsSync(WASM_SOURCE)) {
+        console.warn("@mediapipe/tasks-vision is not installed; skipping the WASM runtime.");
+        return;
+    }
+    fs.rmSync(WASM_TARGET, { recursive: true, force: true });
+    fs.mkdirSync(WASM_TARGET, { recursive: true });
+    for (const file of fs.readdirSync(WASM_SOURCE)) {
+        fs.copyFileSync(path.join(WASM_SOURCE, file), path.join(WASM_TARGET, file));
+    }
+    console.log(`MediaPipe WASM runtime copied to ${path.relative(ROOT, WASM_TARGET)}`);
+}
+
+/** Downloads the model unless it is already there */
+async function downloadModel() {
+    if (fs.existsSync(MODEL_TARGET)) return;
+    try {
+        const res = await fetch(MODEL_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        fs.mkdirSync(path.dirname(MODEL_TARGET), { recursive: true });
+        fs.writeFileSync(MODEL_TARGET, Buffer.from(await res.arrayBuffer()));
+        console.log(`Hand landmark model saved to ${path.relative(ROOT, MODEL_TARGET)}`);
+    } catch (err) {
+        // Installing must not fail offline; the model can be placed there by hand
+        console.warn(`Could not download the hand landmark model (${err.message}). Save ${MODEL_URL} as ${path.relative(ROOT, MODEL_TARGET)}.`);
+    }
+}
+
+copyWasm();
+downloadModel();
@@ -0,0 +1,28 @@
+/**
+ * Generates the frontend's copy of the game catalog from the backend registry.
+ *
+ * - backend/config/games.js is the single source of the catalog (name, route, icon,
+ *   color, description, scoring, duration, inputs and score details schema).
+ * - The catalog is written to src/games/catalog.json exactly as GET /api/games serves it;
+ *   src/games/registry.js adds the game components and the frontend-only fields.
+ *
+ * Runs before `npm start` and `npm run build`; run it again with `npm run sync-catalog`
+ * after changing the backend registry (src/games/registry.test.js fails until then).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const ROOT = path.join(__dirname, "..");
+const SOURCE = path.join(ROOT, "..", "backend", "config", "games.js");
+const TARGET = path.join(ROOT, "src", "games", "catalog.json");
+
+/** Writes the catalog of the backend registry */
+async function syncCatalog() {
+    const { listGames } = await import(pathToFileURL(SOURCE).href);
+    fs.writeFileSync(TARGET, `${JSON.stringify(listGames(), null, 2)}\n`);
+    console.log(`Game catalog written to ${path.relative(ROOT, TARGET)}`);
+}
+
+syncCatalog();
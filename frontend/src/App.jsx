@@ -1,32 +1,47 @@
+import { Suspense, useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import "react-toastify/dist/ReactToastify.css";
 import { ToastContainer } from "react-toastify";
 import Profile from "./pages/Profile";
-import SimonSays from "./games/SimonSays";
-import BallGame from "./games/BallGame";
-import ShapeTracing from "./games/ShapeTracing";
-import MemoryMatch from "./games/MemoryMatch";
-import SwipeChallenge from "./games/SwipeChallenge";
-import QuickReaction from "./games/QuickReaction";
+import History from "./pages/History";
+import GestureStudio from "./pages/GestureStudio";
+import Replay from "./pages/Replay";
+import CameraSetup from "./pages/CameraSetup";
+import Calibration from "./pages/Calibration";
+import HandSettings from "./pages/HandSettings";
+import GAMES from "./games/registry";
+import scoreQueue from "./services/scoreQueue";
 
 function App() {
+    // Retry score submissions that failed in earlier visits
+    useEffect(() => {
+        scoreQueue.startBackgroundSync();
+    }, []);
+
     return (
         <>
             <Router>
-                <Routes>
-                    <Route path="/" element={<Login />} />
-                    <Route path="/login" element={<Login />} />
-                    <Route path="/register" element={<Register />} />
-                    <Route path="/profile" element={<Profile />} />
-                    <Route path="/ball-game" element={<BallGame />} />
-                    <Route path="/simon-says" element={<SimonSays />} />
-                    <Route path="/shape-tracing" element={<ShapeTracing />} />
-                    <Route path="/memory-match" element={<MemoryMatch />} />
-                    <Route path="/swipe-challenge" element={<SwipeChallenge />} />
-                    <Route path="/quick-reaction" element={<QuickReaction />} />
-                </Routes>
+                <Suspense fallback={null}>
+                    <Routes>
+                        <Route path="/" element={<Login />} />
+                        <Route path="/login" element={<Login />} />
+                        <Route path="/register" element={<Register />} />
+                        <Route path="/profile" element={<Profile />} />
+                        <Route path="/history" element={<History />} />
+                        <Route path="/gestures" element={<GestureStudio />} />
+                        <Route path="/replay/:scoreId" element={<Replay />} />
+                        <Route path="/camera" element={<CameraSetup />} />
+                        <Route path="/calibration" element={<Calibration />} />
+                        <Route path="/hand-settings" element={<HandSettings />} />
+
+                        {/* One route per game in the registry */}
+                        {GAMES.map(({ id, route, component: Game }) => (
+                            <Route key={id} path={route} element={<Game />} />
+                        ))}
+                    </Routes>
+                </Suspense>
             </Router>
 
             <ToastContainer position="top-right" autoClose={3000} />
@@ -1,8 +1,10 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The hand detection worker is bundled by webpack (new URL(..., import.meta.url)), which Jest cannot load
+jest.mock('./workers/spawnHandWorker', () => jest.fn());
+
+test('renders the login page at the root route', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/welcome back/i)).toBeInTheDocument();
 });
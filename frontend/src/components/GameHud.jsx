@@ -0,0 +1,69 @@
+/**
+ * This component shows a game's HUD (see games/hud.js) over the camera image.
+ *
+ * Main Features:
+ * - Prompt and its second line in the middle of the screen, with the step counter and round timer under them.
+ * - Feedback message at the top, colored by its tone.
+ * - A label over each player's half in two-player games.
+ * - Not mirrored like the canvas, and announced by screen readers (the prompt and
+ *   the feedback; the timer is not read out on every tick).
+ * - Subscribes to the HUD store itself, so the game screen does not re-render when the HUD changes.
+ */
+
+import { useSyncExternalStore } from "react";
+
+// Colors of the feedback tones
+const TONE_COLORS = { info: "#fff", success: "#00e676", error: "#ff5252" };
+
+/**
+ * GameHud Component
+ *
+ * @param {Object} props
+ * @param {Object} props.hud - HUD store from createHud
+ * @returns {JSX.Element} HUD layer
+ */
+function GameHud({ hud }) {
+    const { prompt, detail, timer, step, message, players } = useSyncExternalStore(hud.subscribe, hud.getSnapshot);
+
+    return (
+        <div style={styles.layer}>
+            {message && (
+                <p role="status" style={{ ...styles.message, color: TONE_COLORS[message.tone] ?? TONE_COLORS.info }}>
+                    {message.text}
+                </p>
+            )}
+
+            {players && (
+                <div style={styles.players}>
+                    <span>{players[1]}</span>
+                    <span>{players[2]}</span>
+                </div>
+            )}
+
+            <div style={styles.center}>
+                <div aria-live="polite">
+                    {prompt && <p style={styles.prompt}>{prompt}</p>}
+                    {detail && <p style={styles.line}>{detail}</p>}
+                </div>
+                {step && <p style={styles.line}>Step {step.current} / {step.total}</p>}
+                {timer !== null && (
+                    <p role="timer" aria-live="off" style={styles.line}>Time Left: {timer}s</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the GameHud component
+ */
+const styles = {
+    layer: { position: "absolute", top: 0, left: 0, width: "100%", height: "100%", pointerEvents: "none", color: "#fff", textAlign: "center", zIndex: 5 },
+    message: { position: "absolute", top: 20, left: "50%", transform: "translateX(-50%)", margin: 0, fontSize: "24px", fontWeight: "bold", textShadow: "0 2px 4px rgba(0,0,0,0.8)" },
+    players: { position: "absolute", top: 70, width: "100%", display: "flex", justifyContent: "space-around", fontSize: "24px", fontWeight: "bold", textShadow: "0 2px 4px rgba(0,0,0,0.8)" },
+    center: { position: "absolute", top: "50%", width: "100%", transform: "translateY(-60%)", textShadow: "0 2px 4px rgba(0,0,0,0.8)" },
+    prompt: { margin: "0 0 12px", fontSize: "32px", fontWeight: "bold" },
+    line: { margin: "6px 0", fontSize: "22px" },
+};
+
+export default GameHud;
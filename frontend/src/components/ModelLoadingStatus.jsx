@@ -0,0 +1,63 @@
+/**
+ * This component shows the loading state of the shared hand model.
+ *
+ * Main Features:
+ * - Current loading stage with a progress bar (the model download).
+ * - Error message with a retry button when loading failed.
+ * - Note when hand tracking runs on the CPU (slower) because the GPU is unavailable.
+ */
+
+import { MODEL_STAGES } from "../utils/handModel";
+
+/**
+ * ModelLoadingStatus Component
+ *
+ * @param {Object} props
+ * @param {Object} props.model - State returned by useHandLandmarker
+ * @returns {JSX.Element|null} Loading status panel
+ */
+function ModelLoadingStatus({ model }) {
+    if (model.status === "error") {
+        return (
+            <div style={styles.panel}>
+                <p style={styles.text}>⚠️ Hand tracking could not be loaded: {model.error}</p>
+                <button onClick={model.retry} style={styles.retryButton}>🔄 Retry</button>
+            </div>
+        );
+    }
+
+    if (model.status === "ready") {
+        return model.delegate === "CPU"
+            ? <p style={styles.text}>🐢 Hand tracking runs on the CPU, as the GPU is not available. It may be slower.</p>
+            : null;
+    }
+
+    return (
+        <div style={styles.panel}>
+            <p style={styles.text}>{MODEL_STAGES[model.stage] ?? MODEL_STAGES.model}</p>
+            <div style={styles.bar} role="progressbar" aria-valuenow={Math.round(model.progress * 100)} aria-valuemin={0} aria-valuemax={100}>
+                <div style={{ ...styles.fill, width: `${Math.round(model.progress * 100)}%` }} />
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the ModelLoadingStatus component
+ */
+const styles = {
+    panel: {
+        margin: "10px auto",
+        padding: "10px 16px",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        borderRadius: "10px",
+        maxWidth: "420px",
+        color: "#fff",
+    },
+    text: { fontSize: "16px", margin: "6px 0" },
+    bar: { height: "8px", backgroundColor: "rgba(255,255,255,0.2)", borderRadius: "4px", overflow: "hidden" },
+    fill: { height: "100%", backgroundColor: "#00c864", transition: "width 0.2s" },
+    retryButton: { padding: "8px 16px", fontSize: "16px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "8px", cursor: "pointer" },
+};
+
+export default ModelLoadingStatus;
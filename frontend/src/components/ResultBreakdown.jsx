@@ -0,0 +1,156 @@
+/**
+ * This component shows the result breakdown of a finished game.
+ *
+ * Main Features:
+ * - Summary of hits, misses, hit rate and played time.
+ * - Game-specific highlights (reaction times, tracing accuracy, sequence length).
+ * - Compact list of every round with its result (fields from the game registry).
+ */
+
+import { getGame } from "../games/registry";
+
+const average = (values) =>
+    values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * getHighlights
+ *
+ * Computes the game-specific highlight values of a game.
+ *
+ * @param {string} gameType - Type of the game
+ * @param {Object} details - Score details
+ * @returns {Array<{ label: string, value: string }>} Highlights to display
+ */
+const getHighlights = (gameType, details) => {
+    const hits = details.rounds.filter(r => r.result === "hit");
+    const highlights = [];
+
+    if (gameType === "QuickReaction") {
+        const times = hits.map(r => r.reactionMs).filter(v => typeof v === "number");
+        if (times.length) {
+            highlights.push({ label: "Average reaction", value: `${Math.round(average(times))} ms` });
+            highlights.push({ label: "Fastest reaction", value: `${Math.round(Math.min(...times))} ms` });
+        }
+    }
+
+    if (gameType === "ShapeTracing") {
+        const accuracy = average(hits.map(r => r.accuracy).filter(v => typeof v === "number"));
+        if (accuracy !== null) {
+            highlights.push({ label: "Tracing accuracy", value: `${Math.round(accuracy * 100)}%` });
+        }
+    }
+
+    if (typeof details.maxSequenceLength === "number") {
+        highlights.push({ label: "Longest sequence", value: String(details.maxSequenceLength) });
+    }
+
+    const times = hits.map(r => r.timeMs).filter(v => typeof v === "number");
+    if (times.length) {
+        highlights.push({ label: "Average round time", value: `${(average(times) / 1000).toFixed(1)} s` });
+    }
+
+    return highlights;
+};
+
+/**
+ * ResultBreakdown Component
+ *
+ * @param {Object} props
+ * @param {string} props.gameType - Type of the finished game
+ * @param {Object} props.details - Score details ({ durationMs, misses, rounds, ... })
+ * @returns {JSX.Element|null} Result breakdown panel
+ */
+function ResultBreakdown({ gameType, details }) {
+    if (!details) return null;
+
+    const hits = details.rounds.filter(r => r.result === "hit").length;
+    const total = details.rounds.length;
+    const fields = getGame(gameType)?.roundFields || [];
+
+    const stats = [
+        { label: "Hits", value: String(hits) },
+        { label: "Misses", value: String(details.misses) },
+        { label: "Hit rate", value: total ? `${Math.round((hits / total) * 100)}%` : "—" },
+        { label: "Played", value: `${Math.round(details.durationMs / 1000)} s` },
+        ...getHighlights(gameType, details),
+    ];
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.stats}>
+                {stats.map(stat => (
+                    <div key={stat.label} style={styles.stat}>
+                        <span style={styles.statValue}>{stat.value}</span>
+                        <span style={styles.statLabel}>{stat.label}</span>
+                    </div>
+                ))}
+            </div>
+
+            {total > 0 && (
+                <ol style={styles.rounds}>
+                    {details.rounds.map((round, idx) => (
+                        <li key={idx} style={styles.round}>
+                            <span>{round.result === "hit" ? "✅" : "❌"}</span>
+                            {fields
+                                .filter(field => round[field.key] !== undefined)
+                                .map(field => (
+                                    <span key={field.key}>
+                                        {field.label}: {field.format ? field.format(round[field.key]) : round[field.key]}
+                                    </span>
+                                ))}
+                            {typeof round.timeMs === "number" && <span>{(round.timeMs / 1000).toFixed(1)} s</span>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the ResultBreakdown component
+ */
+const styles = {
+    panel: {
+        marginTop: "12px",
+        padding: "12px 16px",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        borderRadius: "10px",
+        fontSize: "16px",
+        maxWidth: "560px",
+    },
+    stats: {
+        display: "flex",
+        flexWrap: "wrap",
+        justifyContent: "center",
+        gap: "16px",
+    },
+    stat: {
+        display: "flex",
+        flexDirection: "column",
+        minWidth: "90px",
+    },
+    statValue: {
+        fontSize: "22px",
+        fontWeight: "bold",
+    },
+    statLabel: {
+        fontSize: "13px",
+        opacity: 0.8,
+    },
+    rounds: {
+        maxHeight: "160px",
+        overflowY: "auto",
+        margin: "12px 0 0",
+        paddingLeft: "24px",
+        textAlign: "left",
+    },
+    round: {
+        display: "flex",
+        gap: "10px",
+        fontSize: "14px",
+        padding: "2px 0",
+    },
+};
+
+export default ResultBreakdown;
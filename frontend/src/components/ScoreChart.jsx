@@ -0,0 +1,112 @@
+/**
+ * This component renders a small SVG line chart of scores over time.
+ *
+ * Main Features:
+ * - Plots the daily best score (solid line) and daily average (dashed line).
+ * - Scales the axes to the data; labels the first and last day and the top score.
+ * - Works without any charting library.
+ */
+
+const WIDTH = 280;
+const HEIGHT = 120;
+const PADDING = { top: 12, right: 10, bottom: 20, left: 28 };
+
+/**
+ * toPath
+ *
+ * Builds an SVG path through a list of points.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points in SVG coordinates
+ * @returns {string} Path data
+ */
+const toPath = (points) =>
+    points.map((p, i) => `${i === 0 ? "M" : "L"}${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+
+/**
+ * ScoreChart Component
+ *
+ * @param {Object} props
+ * @param {Array<{date: string, best: number, average: number}>} props.data - Daily values, oldest first
+ * @param {string} [props.color] - Line color
+ * @returns {JSX.Element} SVG chart
+ */
+function ScoreChart({ data, color = "#0077ff" }) {
+    if (!data || data.length === 0) {
+        return <p style={styles.empty}>No games in the last 30 days.</p>;
+    }
+
+    const first = new Date(data[0].date).getTime();
+    const last = new Date(data[data.length - 1].date).getTime();
+    const maxScore = Math.max(1, ...data.map(d => d.best));
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    // Map a day and score to SVG coordinates (a single day is centred)
+    const x = (date) =>
+        PADDING.left + (last === first ? plotWidth / 2 : ((new Date(date).getTime() - first) / (last - first)) * plotWidth);
+    const y = (value) => PADDING.top + plotHeight - (value / maxScore) * plotHeight;
+
+    const bestPoints = data.map(d => ({ x: x(d.date), y: y(d.best) }));
+    const averagePoints = data.map(d => ({ x: x(d.date), y: y(d.average) }));
+
+    return (
+        <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            style={styles.svg}
+            role="img"
+            aria-label={`Daily best score over the last 30 days, highest ${maxScore}`}
+        >
+            {/* Axes */}
+            <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} style={styles.axis} />
+            <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} style={styles.axis} />
+
+            {/* Axis labels */}
+            <text x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end" style={styles.label}>{maxScore}</text>
+            <text x={PADDING.left - 4} y={HEIGHT - PADDING.bottom} textAnchor="end" style={styles.label}>0</text>
+            <text x={PADDING.left} y={HEIGHT - 4} textAnchor="start" style={styles.label}>{data[0].date.slice(5)}</text>
+            {data.length > 1 && (
+                <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" style={styles.label}>
+                    {data[data.length - 1].date.slice(5)}
+                </text>
+            )}
+
+            {/* Lines */}
+            <path d={toPath(averagePoints)} fill="none" stroke={color} strokeWidth="1.5" strokeDasharray="4 3" opacity="0.6" />
+            <path d={toPath(bestPoints)} fill="none" stroke={color} strokeWidth="2.5" />
+
+            {/* Points with tooltips */}
+            {data.map((d, i) => (
+                <circle key={d.date} cx={bestPoints[i].x} cy={bestPoints[i].y} r="3" fill={color}>
+                    <title>{`${d.date}: best ${d.best}, average ${d.average}, ${d.count} game(s)`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * Inline styles for the ScoreChart component
+ */
+const styles = {
+    svg: {
+        width: "100%",
+        height: "auto",
+        marginTop: "1rem",
+    },
+    axis: {
+        stroke: "#bbb",
+        strokeWidth: 1,
+    },
+    label: {
+        fontSize: "9px",
+        fill: "#888",
+    },
+    empty: {
+        color: "#888",
+        fontStyle: "italic",
+        marginTop: "1rem",
+    },
+};
+
+export default ScoreChart;
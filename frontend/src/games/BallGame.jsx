@@ -1,56 +1,100 @@
 /**
  * A memory-reaction game where the player must tap balls in the shown order.
  * Each correct pattern increases the score and difficulty.
+ * Every finished pattern (or wrong tap) is recorded as a round with its sequence length.
+ * Taps use a hit test with hysteresis and a short dwell, so jitter at a ball's edge
+ * does not tap it twice. All timing follows the frame time, so recorded games replay exactly.
+ * Every ball has its own note, played when it lights up and when it is tapped correctly,
+ * so the pattern can be followed by ear; a wrong tap buzzes and a finished pattern chimes.
  */
 
 import { drawSelectedKeypoints } from "../utils/drawUtils";
 import GameWrapper from "./GameWrapper";
 import { useRef } from "react";
+import { notePitch } from "../utils/audio";
 
-const BALL_COUNT       = 4;
-const FLASH_TIME       = 800;   // how long to light each ball (ms)
-const WAIT_TIME        = 300;   // gap between lights (ms)
-const BALL_RADIUS      = 30;
 const FEEDBACK_TIME    = 500;   // how long to show green/red on tap
 
-function BallGame() {
+// Per difficulty: number of balls, how long to light each ball (ms),
+// gap between lights (ms) and ball radius (px)
+const DIFFICULTY = {
+    easy:   { ballCount: 3, flashTime: 1100, waitTime: 450, ballRadius: 45 },
+    normal: { ballCount: 4, flashTime: 800,  waitTime: 300, ballRadius: 30 },
+    hard:   { ballCount: 6, flashTime: 550,  waitTime: 200, ballRadius: 24 },
+};
+
+const FILTER_OPTIONS = { hitTest: { exitScale: 1.5, dwellMs: 120 } };
+
+function BallGame(props) {
     // --- refs to drive our 3-phase state machine ---
     const ballsRef       = useRef([]);
     const sequenceRef    = useRef([]);
     const gameStateRef   = useRef("init");   // "init" | "show" | "input"
     const flashIndexRef  = useRef(0);
     const lastTimeRef    = useRef(0);
+    const soundedFlashRef = useRef(null);    // index of the flash whose note was played
     const inputIndexRef  = useRef(0);
 
-    // --- for debounce + per-tap feedback ---
+    // --- per-tap feedback ---
     const tappedIdxRef     = useRef(null);
     const feedbackRef      = useRef(null);   // "correct" or "wrong" or null
+    const feedbackUntilRef = useRef(0);      // when the feedback ends and the tap takes effect
+
+    // --- longest sequence completed, reported with the score ---
+    const maxSequenceRef   = useRef(0);
 
-    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-        const now = Date.now();
+    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore, recordRound, setDetail, hitTest, sound, now, random, params }) => {
         const w   = canvas.width;
         const h   = canvas.height;
 
         // 1) -- INIT: place balls, start 1-step sequence, zero score
         if (gameStateRef.current === "init") {
-            ballsRef.current = Array.from({ length: BALL_COUNT }, () => ({
-                x: Math.random() * (w - BALL_RADIUS*2) + BALL_RADIUS,
-                y: Math.random() * (h - BALL_RADIUS*2) + BALL_RADIUS,
+            ballsRef.current = Array.from({ length: params.ballCount }, () => ({
+                x: random.range(params.ballRadius, w - params.ballRadius),
+                y: random.range(params.ballRadius, h - params.ballRadius),
             }));
-            sequenceRef.current    = [Math.floor(Math.random() * BALL_COUNT)];
+            sequenceRef.current    = [random.int(params.ballCount)];
             flashIndexRef.current  = 0;
+            soundedFlashRef.current = null;
             lastTimeRef.current    = now;
             inputIndexRef.current  = 0;
             feedbackRef.current    = null;
             tappedIdxRef.current   = null;
+            hitTest.reset();
             setScore(0);
+            setDetail("maxSequenceLength", maxSequenceRef.current);
             gameStateRef.current = "show";
         }
 
+        // 1b) -- FEEDBACK: once the green/red flash is over, the tap takes effect
+        if (feedbackRef.current && now >= feedbackUntilRef.current) {
+            const sequenceLength = sequenceRef.current.length;
+            if (feedbackRef.current === "wrong") {
+                recordRound({ result: "miss", sequenceLength });
+                gameStateRef.current = "init";
+            } else {
+                inputIndexRef.current++;
+                if (inputIndexRef.current === sequenceLength) {
+                    recordRound({ result: "hit", sequenceLength });
+                    maxSequenceRef.current = Math.max(maxSequenceRef.current, sequenceLength);
+                    setDetail("maxSequenceLength", maxSequenceRef.current);
+                    setScore(prev => prev + 1);
+                    sequenceRef.current.push(random.int(ballsRef.current.length));
+                    sound.play("correct");
+                    flashIndexRef.current = 0;
+                    soundedFlashRef.current = null;
+                    lastTimeRef.current = now;
+                    gameStateRef.current = "show";
+                }
+            }
+            feedbackRef.current = null;
+            tappedIdxRef.current = null;
+        }
+
         // 2) -- SHOW: step through the sequence with FLASH + WAIT timing
         if (gameStateRef.current === "show") {
             const elapsed = now - lastTimeRef.current;
-            if (elapsed > FLASH_TIME + WAIT_TIME) {
+            if (elapsed > params.flashTime + params.waitTime) {
                 lastTimeRef.current = now;
                 flashIndexRef.current++;
                 if (flashIndexRef.current >= sequenceRef.current.length) {
@@ -59,20 +103,26 @@ function BallGame() {
                     tappedIdxRef.current  = null;
                 }
             }
+
+            // Play the note of the ball as it lights up
+            if (gameStateRef.current === "show" && soundedFlashRef.current !== flashIndexRef.current) {
+                soundedFlashRef.current = flashIndexRef.current;
+                sound.tone(notePitch(sequenceRef.current[flashIndexRef.current]), params.flashTime);
+            }
         }
 
         // 3) -- DRAW all balls, choosing color based on phase + feedback
         ballsRef.current.forEach((ball, idx) => {
             const elapsed = now - lastTimeRef.current;
             ctx.beginPath();
-            ctx.arc(ball.x, ball.y, BALL_RADIUS, 0, Math.PI*2);
+            ctx.arc(ball.x, ball.y, params.ballRadius, 0, Math.PI*2);
 
             let fillColor;
             // a) still flashing the sequence?
             if (
                 gameStateRef.current === "show" &&
                 idx === sequenceRef.current[flashIndexRef.current] &&
-                elapsed < FLASH_TIME
+                elapsed < params.flashTime
             ) {
                 fillColor = "yellow";
             }
@@ -103,53 +153,37 @@ function BallGame() {
         if (gameStateRef.current === "input") {
             const results = await handLandmarker.detectForVideo(video, now);
             if (results?.landmarks?.length) {
-                drawSelectedKeypoints(results.landmarks, ctx, [8], "#ff9f00");
+                drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, [8], "#ff9f00");
                 const tip = results.landmarks[0][8];
                 const tipX = tip.x * w;
                 const tipY = tip.y * h;
-                let touching = false;
 
                 ballsRef.current.forEach((ball, idx) => {
                     const d = Math.hypot(ball.x - tipX, ball.y - tipY);
-                    if (d < BALL_RADIUS) {
-                        touching = true;
-                        if (!tappedIdxRef.current) {
+                    // A ball is tapped once per visit of the fingertip
+                    if (hitTest.update(idx, d, params.ballRadius, now).entered) {
+                        if (!feedbackRef.current) {
                             tappedIdxRef.current = idx;
                             const correctIdx = sequenceRef.current[inputIndexRef.current];
                             const isCorrect = idx === correctIdx;
                             feedbackRef.current = isCorrect ? "correct" : "wrong";
-
-                            setTimeout(() => {
-                                if (feedbackRef.current === "wrong") {
-                                    gameStateRef.current = "init";
-                                } else {
-                                    inputIndexRef.current++;
-                                    if (inputIndexRef.current === sequenceRef.current.length) {
-                                        setScore(prev => prev + 1);
-                                        sequenceRef.current.push(Math.floor(Math.random() * BALL_COUNT));
-                                        flashIndexRef.current = 0;
-                                        lastTimeRef.current = Date.now();
-                                        gameStateRef.current = "show";
-                                    }
-                                }
-                                feedbackRef.current = null;
-                                tappedIdxRef.current = null;
-                            }, FEEDBACK_TIME);
+                            feedbackUntilRef.current = now + FEEDBACK_TIME;
+                            if (isCorrect) sound.tone(notePitch(idx), FEEDBACK_TIME);
+                            else sound.play("wrong");
                         }
                     }
                 });
-                // lift debounce when finger leaves all balls
-                if (!touching && !feedbackRef.current) {
-                    tappedIdxRef.current = null;
-                }
             }
         }
     };
 
     return (
         <GameWrapper
+            {...props}
             gameType="BallGame"
             detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
         />
     );
 }
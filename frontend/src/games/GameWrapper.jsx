@@ -1,22 +1,114 @@
 /**
  * A reusable game wrapper component that handles:
- * - Loading the hand landmark detection model
- * - Starting and managing the webcam video feed
- * - Controlling the game timer and game lifecycle
- * - Running the user's game-specific detect function
- * - Drawing hand keypoints on the canvas
- * - Saving the final game score
+ * - Loading the shared hand landmark model (see utils/handModel.js) and starting the webcam with
+ *   the player's camera settings (see pages/CameraSetup.jsx), explaining what went wrong
+ * - Applying the player's calibrated reach (see pages/Calibration.jsx) and hand settings
+ *   (see pages/HandSettings.jsx) to the hand landmarks
+ * - Letting the player choose the input (hand, mouse/touch or keyboard), the game mode (see modes.js),
+ *   the difficulty (see difficulty.js) and, for games that support it, a second player on the camera
+ * - Controlling the game timer, the player's lives and the game lifecycle
+ * - Pausing and resuming the live game (see usePause.js)
+ * - Running the game's detect function (through gameRunner.js) once per display frame, with
+ *   smoothed landmarks and hold and hit-test helpers
+ * - Recording every game, playing recordings back instead of the camera and racing a ghost
+ *   replay (see useRecording.js)
+ * - Playing the game's sound effects (see utils/audio.js) and showing the text it publishes
+ *   to its HUD (see hud.js) as DOM over the mirrored canvas
+ * - An optional performance HUD (see utils/usePerfMonitor.js)
+ * - Showing a result breakdown on Game Over and saving the score with its replay and
+ *   performance measurements (queued for retry when the backend is unreachable)
  *
  * Props:
  * - gameType {string}: The name/type of the game (used for display and saving scores).
  * - detectFunction {Function}: Game-specific detection and rendering logic provided by the child game.
+ * - filterOptions {Object}: Optional smoothing, hold and hit-test settings (see utils/filters.js).
+ *   They are read when a game starts.
+ * - customGestures {Object}: Optional ref to the player's custom gestures, offered as keyboard shortcuts
+ *   and passed to the game (a played back game gets the recorded player's gestures instead).
+ * - playback {Object}: Optional recording to play back instead of live input (score is not saved).
+ *   Playback starts right away, without camera or model.
+ * - playbackStart {number}: Position (ms) in the recording to start playing from.
+ * - onSeek {Function}: Called with a position (ms) when the viewer seeks. Game state cannot be
+ *   rewound, so the parent remounts the game with that playbackStart.
+ * - difficulties {Object}: Optional { easy, normal, hard } parameter sets of the game.
+ * - gestureInput {boolean}: The game is played with gestures. Its players may hold the open palm
+ *   as an answer, so the pause gesture is off; taking the hand out of view still pauses.
+ *
+ * detectFunction receives { handLandmarker, video, canvas, ctx, now, random, params, players, setScore,
+ * setPlayerScore, recordRound, setDetail, loseLife, hold, hitTest, hud, sound, inputMethod, hand, customGestures }. handLandmarker tracks
+ * the hands across frames: results.landmarks[0] is the player's dominant hand, else the hand in view
+ * the longest, and selectHand (utils/handTracking.js) addresses "left", "right", "player1" or "player2".
+ * `hand` holds the hand settings ({ dominant, required }, null without hand tracking); when a hand is
+ * required, the results hold that hand only and prompts should name it. In two-player games
+ * (players = 2), setPlayerScore(player, update) keeps each player's score. A round recorded as a
+ * miss costs a life in the modes that have lives; loseLife() is for other mistakes. `params` is the
+ * parameter set of the chosen difficulty; it can change between frames in the adaptive difficulty.
+ * Gesture games prompt and recognize `customGestures` (the player's, or the recorded player's in a replay).
+ * Games show text through `hud.set({ prompt, detail, timer, step, message, players })` rather than on the
+ * canvas, which is mirrored, and play sounds through `sound.play(effect)`, `sound.tone(frequency)` and
+ * `sound.speak(text)` (silent while a recording plays back). Games must take time from `now` and random choices from `random`, so that recordings replay identically
+ * and their timers freeze while the game is paused.
  */
 
 import { useEffect, useRef, useState } from "react";
-import { HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
 import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import sessionService from "../services/sessionService";
+import calibrationService from "../services/calibrationService";
+import settingsService from "../services/settingsService";
+import scoreQueue from "../services/scoreQueue";
+import ResultBreakdown from "../components/ResultBreakdown";
+import useCamera from "../hooks/useCamera";
+import useHandLandmarker from "../hooks/useHandLandmarker";
+import ModelLoadingStatus from "../components/ModelLoadingStatus";
+import GameHud from "../components/GameHud";
+import { getGame } from "./registry";
+import { createGameRunner } from "./gameRunner";
+import { GAME_MODES, TIMED_DURATIONS } from "./modes";
+import { DIFFICULTIES, difficultyLabel } from "./difficulty";
+import { PAUSE_REASONS, PAUSE_GESTURE_MS, NO_HAND_MS } from "./pause";
+import usePause from "./usePause";
+import useRecording from "./useRecording";
+import { createHud } from "./hud";
+import { createPlaybackLandmarker, createNullContext, toReplay } from "./playback";
+import { drawGhostHands } from "../utils/drawUtils";
+import { INPUT_LABELS, createPointerSource, createKeyboardSource } from "../utils/inputSources";
+import { gestureLabel, getHandedness, physicalHand } from "../utils/gestures";
+import { CAMERA_ERRORS, loadCameraSettings } from "../utils/camera";
+import usePerfMonitor from "../utils/usePerfMonitor";
+import { getHandModelState } from "../utils/handModel";
+import { SILENT_SOUND, unlockAudio } from "../utils/audio";
+import useAudioSettings from "../utils/useAudioSettings";
+import { withCalibration } from "../utils/calibration";
+import { HAND_LABELS } from "../utils/handTracking";
+
+const DEFAULT_DURATION = 60; // Game duration in seconds when the registry has none
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+const POSITION_STEP = 250; // Granularity (ms) of the playback position shown by the controls
+const TICK_SECONDS = 5; // A time attack ticks every second of its last seconds
 
-const GAME_DURATION = 60; // Game duration in seconds
+// Game Over messages for each score saving status
+const SAVE_STATUS_TEXT = {
+    saving: "💾 Saving score...",
+    saved: "✅ Score saved",
+    queued: "📡 Score queued — it will be saved automatically once the server is reachable",
+    failed: "⚠️ Score could not be saved",
+    unsaved: "⚠️ No game session — score not saved",
+    replay: "🎬 Replay — score not saved",
+    practice: "🎯 Practice — score not saved",
+    multiplayer: "👥 Two-player game — score not saved",
+};
+
+/**
+ * winnerText
+ *
+ * @param {number[]} playerScores - Final score of each player, player 1 first
+ * @returns {string} Result of a two-player game
+ */
+const winnerText = ([first, second]) => {
+    if (first === second) return `🤝 Draw: ${first} – ${second}`;
+    return `🏆 Player ${first > second ? 1 : 2} wins! ${first} – ${second}`;
+};
 
 /**
  * GameWrapper Component
@@ -27,145 +119,736 @@ const GAME_DURATION = 60; // Game duration in seconds
  * @param {Object} props
  * @param {string} props.gameType - Name/type of the game.
  * @param {Function} props.detectFunction - Function that handles game-specific detection and rendering logic.
+ * @param {Object} [props.filterOptions] - Game-specific filtering settings.
+ * @param {Object} [props.customGestures] - Ref to the player's custom gestures (keyboard input).
+ * @param {Object} [props.playback] - Recording to play back instead of live input.
+ * @param {number} [props.playbackStart] - Position (ms) to start the playback from.
+ * @param {Function} [props.onSeek] - Called with the position (ms) the viewer seeks to.
+ * @param {Object} [props.difficulties] - The game's { easy, normal, hard } parameter sets.
+ * @param {boolean} [props.gestureInput] - The game is played with gestures (no pause gesture).
  * @returns {JSX.Element} Fullscreen game interface
  */
-function GameWrapper({ gameType, detectFunction }) {
+function GameWrapper({ gameType, detectFunction, filterOptions, customGestures, playback, playbackStart = 0, onSeek, difficulties, gestureInput = false }) {
+    const containerRef = useRef(null); // Ref for the game area (receives pointer input)
     const videoRef = useRef(null); // Ref for the webcam video element
     const canvasRef = useRef(null); // Ref for the canvas element
+    const sessionRef = useRef(null); // Game session the current score is submitted against
+    const runnerRef = useRef(null); // Runner (and recorder) of the current game
+    const sourceRef = useRef(null); // Latest input source, read by the runner
+    const detectFunctionRef = useRef(detectFunction); // Latest detect function, read by the runner
+    const savedRef = useRef(false); // Whether the finished game has been wrapped up (its score saved)
+    const handRef = useRef(null); // Hand settings of the current game, read by the loop
     const navigate = useNavigate();
+    const isPlayback = Boolean(playback);
+    const game = getGame(gameType); // Registry entry of this game
+    const gameDuration = game?.duration ?? DEFAULT_DURATION;
+    const inputs = game?.inputs ?? ["hand"]; // Input methods this game supports
+    const fallbackInput = inputs.find(method => method !== "hand") ?? null;
+    const maxPlayers = game?.maxPlayers ?? 1; // Players who can share the camera
 
-    const [handLandmarker, setHandLandmarker] = useState(null); // Hand detection model
     const [score, setScore] = useState(0); // Current score
-    const [saved, setSaved] = useState(false); // Whether the score has been saved
-    const [timeLeft, setTimeLeft] = useState(GAME_DURATION); // Remaining time in seconds
+    const [players, setPlayers] = useState(1); // Players chosen on the start overlay
+    const [playerScores, setPlayerScores] = useState(null); // Score per player (two-player games)
+    const [saveStatus, setSaveStatus] = useState(null); // "saving" | "saved" | "queued" | "failed" | "unsaved" | "replay"
+    const [mode, setMode] = useState("timed"); // Game mode chosen on the start overlay
+    const [timedDuration, setTimedDuration] = useState(gameDuration); // Seconds of a time attack game
+    const [lives, setLives] = useState(null); // Lives left (null when the mode has none)
+    const [difficulty, setDifficulty] = useState("normal"); // Difficulty chosen on the start overlay
+    const [level, setLevel] = useState(1); // Level reached in the adaptive difficulty (0 easy → 2 hard)
     const [gameStarted, setGameStarted] = useState(false); // Whether the game has started
     const [gameOver, setGameOver] = useState(false); // Whether the game has ended
+    const [details, setDetails] = useState(null); // Details of the finished game
+    const [inputMethod, setInputMethod] = useState("hand"); // "hand" | "pointer" | "keyboard"
+    const [source, setSource] = useState(null); // Active input: the hand model or a stand-in source
+    const [cameraSettings] = useState(loadCameraSettings); // Camera chosen on the camera setup screen
+    const [calibration, setCalibration] = useState(null); // Player's reachable area, if calibrated
+    const [handSettings, setHandSettings] = useState(null); // Player's dominant and required hands, once loaded
+    const [wrongHand, setWrongHand] = useState(false); // Whether only the hand the game ignores is in view
+    const [hud] = useState(createHud); // Text the game publishes, shown by GameHud
+    const { audioSettings, updateAudio, loadAudio, soundPlayer } = useAudioSettings(); // Mute, volume and spoken prompts
+
+    // A played back game keeps the mode it was recorded in; two players (hand tracking only) play a time attack
+    const activePlayers = playback?.players ?? (inputMethod === "hand" ? players : 1);
+    const activeMode = playback?.mode ?? (activePlayers > 1 ? "timed" : mode);
+    const activeDifficulty = playback?.difficulty ?? difficulty;
+    const modeRules = GAME_MODES[activeMode] ?? GAME_MODES.timed;
+    const timed = modeRules.timed;
+    const duration = playback ? playback.duration ?? gameDuration : timedDuration;
+    // Hand settings the game follows (hand tracking only; a played back game keeps the recorded ones)
+    const hand = playback
+        ? playback.hand ?? null
+        : inputMethod === "hand" && activePlayers === 1 && handSettings
+            ? { dominant: handSettings.dominantHand, required: handSettings.requiredHands?.[gameType] ?? null }
+            : null;
+    const [timeLeft, setTimeLeft] = useState(duration); // Remaining time in seconds (timed modes)
 
-    /** Load the hand landmark model when component mounts */
+    /** Games may pass a new detect function on every render; the runner always calls the latest */
     useEffect(() => {
-        (async () => {
-            const vision = await FilesetResolver.forVisionTasks(
-                "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-            );
-            const model = await HandLandmarker.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: "/models/hand_landmarker.task",
-                    delegate: "GPU",
-                },
-                runningMode: "VIDEO",
-                numHands: 2,
-            });
-            setHandLandmarker(model);
-        })();
-    }, []);
-
-    /** Start the webcam stream */
+        detectFunctionRef.current = detectFunction;
+    }, [detectFunction]);
+
+    /** Load the shared hand landmark model (not needed to play back) */
+    const handModel = useHandLandmarker({ enabled: !isPlayback });
+    const handLandmarker = handModel.landmarker; // Hand detection model, once loaded
+
+    /** Run the webcam while the game is shown (not while playing back) */
+    const camera = useCamera(videoRef, { settings: cameraSettings, enabled: !isPlayback });
+
+    // Why hand tracking is unavailable, if it is
+    const cameraError = CAMERA_ERRORS[camera.status] ?? null;
+    const handError = handModel.status === "error" ? "The hand tracking model could not be loaded." : cameraError;
+
+    const live = gameStarted && !gameOver && !playback; // Whether a live game is running
+
+    /** Pausing and resuming the live game (see usePause.js) */
+    const { clockRef, pauseReason, resumeIn, start: startPause, pauseGame, resumeGame, watch: watchPause } =
+        usePause({ active: live, gestureInput, sound: soundPlayer });
+
+    /** Performance measurements of the live game, shown by the performance HUD */
+    const { monitorRef: perfMonitorRef, perf, showPerf, setShowPerf, start: startPerf } =
+        usePerfMonitor({ active: live, detector: inputMethod === "hand" ? handLandmarker : null });
+
+    /** Ghost races, playback controls and recording downloads (see useRecording.js) */
+    const { ghost, paused, setPaused, speed, setSpeed, position, setPosition, pausedRef, speedRef, downloadRecording } =
+        useRecording({ gameType, runnerRef, playbackStart });
+
+    /** Load the player's calibrated reach (played back games already hold mapped landmarks) */
     useEffect(() => {
-        (async () => {
-            const stream = await navigator.mediaDevices.getUserMedia({ video: true });
-            videoRef.current.srcObject = stream;
-        })();
-    }, []);
+        if (isPlayback || !localStorage.getItem("user")) return;
+        let cancelled = false;
+        calibrationService
+            .getCalibration()
+            .then((loaded) => {
+                if (!cancelled) setCalibration(loaded);
+            })
+            .catch((err) => console.error("Could not load the calibration:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [isPlayback]);
 
-    /** Handle countdown timer */
+    /** Load the player's hand settings (played back games keep the recorded ones) and audio settings */
     useEffect(() => {
-        if (!gameStarted || gameOver) return;
+        if (isPlayback || !localStorage.getItem("user")) return;
+        let cancelled = false;
+        settingsService
+            .getSettings()
+            .then((loaded) => {
+                if (cancelled) return;
+                setHandSettings(loaded);
+                loadAudio(loaded.audio);
+            })
+            .catch((err) => console.error("Could not load the settings:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [isPlayback, loadAudio]);
 
-        const interval = setInterval(() => {
-            setTimeLeft(prev => {
-                if (prev <= 1) {
-                    clearInterval(interval);
-                    setGameOver(true);
-                    return 0;
-                }
-                return prev - 1;
-            });
-        }, 1000);
+    /** Switch to another input when hand tracking is unavailable */
+    useEffect(() => {
+        if (handError && fallbackInput) {
+            setInputMethod(method => (method === "hand" ? fallbackInput : method));
+        }
+    }, [handError, fallbackInput]);
 
-        return () => clearInterval(interval);
-    }, [gameStarted, gameOver]);
+    /** Create the source of the selected input method (or of the recording being played) */
+    useEffect(() => {
+        if (playback) {
+            setSource(createPlaybackLandmarker(playback));
+            return;
+        }
+        if (inputMethod === "hand") {
+            setSource(withCalibration(handLandmarker, calibration));
+            return;
+        }
+
+        const created = inputMethod === "pointer"
+            ? createPointerSource(containerRef.current, canvasRef.current)
+            : createKeyboardSource(canvasRef.current, () => customGestures?.current ?? []);
+        setSource(created);
+        return () => created.dispose();
+    }, [inputMethod, handLandmarker, calibration, customGestures, playback]);
+
+    useEffect(() => {
+        sourceRef.current = source;
+    }, [source]);
 
-    /** Save the score when the game is over */
+    /** Recordings play as soon as their source is ready */
     useEffect(() => {
-        if (!handLandmarker || !gameStarted) return;
+        if (playback && source && !gameStarted) handleStart();
+    });
+
+    /** Save the score when the game is over (once: the effect re-runs as the score and settings change) */
+    useEffect(() => {
+        if (!gameOver || savedRef.current) return;
+        savedRef.current = true;
+
+        const finalDetails = runnerRef.current?.finish() ?? null;
+        setDetails(finalDetails);
+
+        if (playback) {
+            setSaveStatus("replay");
+            return;
+        }
+        soundPlayer.play("gameOver");
+        if (activePlayers > 1) {
+            setSaveStatus("multiplayer");
+            return;
+        }
+        if (!modeRules.saved) {
+            setSaveStatus("practice");
+            return;
+        }
+
+        // Each session is submitted only once
+        const session = sessionRef.current;
+        sessionRef.current = null;
+        if (!session) {
+            setSaveStatus(prev => prev ?? "unsaved");
+            return;
+        }
+
+        setSaveStatus("saving");
+        const recording = runnerRef.current?.getRecording();
+        const video = videoRef.current;
+        const model = recording?.inputMethod === "hand" ? getHandModelState() : null; // Delegate and thread detected on
+        scoreQueue
+            .submit({
+                sessionId: session.sessionId,
+                sessionToken: session.sessionToken,
+                score,
+                gameType,
+                details: finalDetails,
+                replay: recording?.frames.length ? toReplay(recording) : undefined,
+                performance: {
+                    ...perfMonitorRef.current.summary(),
+                    delegate: model?.delegate ?? null,
+                    thread: model?.thread ?? null,
+                    camera: video?.videoWidth ? { width: video.videoWidth, height: video.videoHeight } : null,
+                    device: {
+                        userAgent: navigator.userAgent,
+                        cores: navigator.hardwareConcurrency ?? null,
+                        memoryGb: navigator.deviceMemory ?? null,
+                    },
+                },
+            })
+            .then(setSaveStatus);
+    }, [gameOver, score, gameType, playback, modeRules, activePlayers, soundPlayer, perfMonitorRef]);
+
+    /** Run the game's detection loop while the game is running */
+    useEffect(() => {
+        if (!source || !gameStarted || gameOver) return;
         let rafId;
+        let stopped = false;
         const video = videoRef.current;
         const canvas = canvasRef.current;
         const ctx = canvas.getContext("2d");
+        const runner = runnerRef.current;
+        const clock = clockRef.current;
+        const perfMonitor = perfMonitorRef.current;
+
+        const ghostLandmarker = ghost ? createPlaybackLandmarker(ghost.recording) : null;
+        let startTime = null; // Game clock at the first live frame
+        let tickedAt = null; // Seconds left at the latest countdown tick
+
+        // Playback steps through the recorded frames at their recorded times,
+        // as fast as the speed control says; seeking first plays the skipped frames undrawn
+        const frames = playback?.frames ?? [];
+        let nextFrame = 0;
+        let playhead = playbackStart;
+        let lastTick = Date.now();
+        let seeking = playbackStart > 0;
+
+        /** Draws the ghost's hands at the same time into its game */
+        const drawGhost = (elapsed) => {
+            if (!ghostLandmarker) return;
+            drawGhostHands(ghostLandmarker.detectForVideo(null, ghost.recording.startedAt + elapsed).landmarks, ctx);
+        };
 
         const loop = async () => {
-            if (!video || video.videoWidth === 0) {
+            if (stopped) return;
+
+            // Hand tracking needs the first video frame; other inputs and replays work without a camera
+            const waitForVideo = !playback && (!video || (inputMethod === "hand" && video.videoWidth === 0));
+            if (waitForVideo) {
                 rafId = requestAnimationFrame(loop);
                 return;
             }
 
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
+            // A paused game keeps its last frame on screen
+            if (!playback && clock.isPaused()) {
+                rafId = requestAnimationFrame(loop);
+                return;
+            }
 
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            // Resizing clears the canvas, so only resize when needed
+            const width = playback?.width || video.videoWidth || canvas.clientWidth;
+            const height = playback?.height || video.videoHeight || canvas.clientHeight;
+            if (canvas.width !== width) canvas.width = width;
+            if (canvas.height !== height) canvas.height = height;
 
-            if (!gameOver) {
-                await detectFunction({
-                    handLandmarker,
-                    video,
-                    canvas,
-                    ctx,
-                    setScore,
-                });
+            if (playback) {
+                if (seeking) {
+                    const nullCtx = createNullContext(canvas);
+                    while (nextFrame < frames.length && frames[nextFrame].t < playhead) {
+                        await runner.step({ video, canvas, ctx: nullCtx, now: playback.startedAt + frames[nextFrame].t });
+                        nextFrame++;
+                    }
+                    seeking = false;
+                }
 
-                rafId = requestAnimationFrame(loop);
+                const tick = Date.now();
+                if (!pausedRef.current) playhead += (tick - lastTick) * speedRef.current;
+                lastTick = tick;
+
+                let stepped = false;
+                while (nextFrame < frames.length && frames[nextFrame].t <= playhead && runner.getLives() !== 0) {
+                    ctx.clearRect(0, 0, canvas.width, canvas.height);
+                    await runner.step({ video, canvas, ctx, now: playback.startedAt + frames[nextFrame].t });
+                    nextFrame++;
+                    stepped = true;
+                }
+                if (stepped) drawGhost(playhead);
+
+                setTimeLeft(Math.max(0, Math.ceil(duration - playhead / 1000)));
+                setPosition(Math.floor(playhead / POSITION_STEP) * POSITION_STEP);
+                if (nextFrame >= frames.length || runner.getLives() === 0) {
+                    setGameOver(true);
+                    return;
+                }
+            } else {
+                perfMonitor.frame(performance.now());
+                const now = clock.now(Date.now());
+                startTime ??= now;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                const results = await runner.step({ video, canvas, ctx, now });
+                drawGhost(now - startTime);
+
+                // Only the hand the game ignores is in view
+                const required = handRef.current?.required;
+                setWrongHand(Boolean(required && results?.landmarks?.length
+                    && results.landmarks.every((_, i) => physicalHand(getHandedness(results, i)) !== required)));
+
+                // Time is up (timed modes)
+                if (timed) {
+                    const left = Math.max(0, Math.ceil(duration - (now - startTime) / 1000));
+                    setTimeLeft(left);
+                    if (left === 0) {
+                        setGameOver(true);
+                        return;
+                    }
+                    if (left <= TICK_SECONDS && left !== tickedAt) {
+                        tickedAt = left;
+                        soundPlayer.play("tick");
+                    }
+                }
+
+                // Out of lives
+                if (runner.getLives() === 0) {
+                    setGameOver(true);
+                    return;
+                }
+
+                // Hand tracking pauses by itself when the hand or the camera is gone, or on the pause gesture
+                if (inputMethod === "hand") {
+                    watchPause({ now, results, videoTime: video.currentTime, aspectRatio: canvas.width / canvas.height });
+                }
             }
+
+            if (!stopped) rafId = requestAnimationFrame(loop);
         };
 
         rafId = requestAnimationFrame(loop);
 
         return () => {
+            stopped = true;
             cancelAnimationFrame(rafId);
-            if (canvas && ctx) {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-            }
         };
-    }, [handLandmarker, gameStarted, detectFunction, gameOver]);
+    }, [source, gameStarted, gameOver, inputMethod, playback, playbackStart, duration, timed, ghost, clockRef, perfMonitorRef, pausedRef, speedRef, setPosition, watchPause, soundPlayer]);
 
-    /** Handle the start button click */
-    const handleStart = () => {
+    /** Handle the start button click: start a game session, then the game */
+    const handleStart = async () => {
+        unlockAudio(); // Browsers only allow sound after a click
+        sessionRef.current = null;
+        if (!playback && modeRules.saved && activePlayers === 1) {
+            try {
+                sessionRef.current = await sessionService.startSession(
+                    gameType,
+                    inputMethod,
+                    mode,
+                    timed ? timedDuration : undefined,
+                    difficulties ? difficulty : undefined
+                );
+            } catch (err) {
+                console.error(err);
+                toast.warn("Could not start a game session. This score will not be saved.");
+            }
+        }
+
+        runnerRef.current = createGameRunner({
+            detectFunction: (args) => detectFunctionRef.current(args),
+            source: { detectForVideo: (video, timestamp) => sourceRef.current.detectForVideo(video, timestamp) },
+            gameType,
+            filterOptions,
+            seed: playback?.seed,
+            inputMethod: playback?.inputMethod ?? inputMethod,
+            mode: activeMode,
+            duration: timed ? duration : null,
+            lives: modeRules.lives,
+            difficulties,
+            difficulty: activeDifficulty,
+            players: activePlayers,
+            hand,
+            customGestures: playback ? playback.customGestures ?? [] : customGestures?.current ?? [],
+            hud,
+            sound: playback ? SILENT_SOUND : soundPlayer,
+            onScore: setScore,
+            onLives: setLives,
+            onLevel: setLevel,
+            onPlayerScores: setPlayerScores,
+        });
+        if (playback) runnerRef.current.start(playback.startedAt);
+        handRef.current = hand;
+        setWrongHand(false);
+        hud.reset();
+        savedRef.current = false;
+        startPause();
+        startPerf();
+        setDetails(null);
         setGameStarted(true);
+        setSaveStatus(null);
         setScore(0);
-        setTimeLeft(GAME_DURATION);
+        setPlayerScores(activePlayers > 1 ? runnerRef.current.getPlayerScores() : null);
+        setLives(modeRules.lives);
+        setLevel(runnerRef.current.getLevel());
+        setTimeLeft(duration);
         setGameOver(false);
     };
 
+    const handUnavailable = inputMethod === "hand" && (Boolean(handError) || !handLandmarker);
+
+    const keyboardKeys = inputMethod === "keyboard" ? source?.keys?.() ?? [] : [];
+
+    // Shortcut legend for keyboard input
+    const keyLegend = keyboardKeys.length > 0 && (
+        <div style={styles.keyLegend}>
+            {keyboardKeys.map(({ key, gesture }) => (
+                <span key={key} style={styles.keyItem}>
+                    <kbd style={styles.kbd}>{key}</kbd> {gestureLabel(gesture, customGestures?.current)}
+                </span>
+            ))}
+        </div>
+    );
+
     return (
-        <div style={styles.container}>
+        <div
+            ref={containerRef}
+            style={inputMethod === "pointer" ? { ...styles.container, touchAction: "none" } : styles.container}
+        >
             <div style={styles.mirror}>
                 <video ref={videoRef} autoPlay playsInline muted style={styles.media} />
                 <canvas ref={canvasRef} style={styles.media} />
             </div>
 
-            {/* Start Screen */}
-            {!gameStarted && (
+            {/* Start Screen (recordings start playing right away) */}
+            {!gameStarted && !playback && (
                 <div style={styles.overlay}>
-                    <h1>{gameType}</h1>
-                    <button onClick={handleStart} style={styles.startButton}>Start Game</button>
+                    <h1>{game ? `${game.icon} ${game.name}` : gameType}</h1>
+                    {game && <p style={styles.description}>{game.description}</p>}
+                    {ghost && <p style={styles.inputNote}>👻 Racing the ghost of {ghost.player} ({ghost.score} pts)</p>}
+
+                    {/* Players choice (two players share the camera) */}
+                    {maxPlayers > 1 && inputMethod === "hand" && (
+                        <div style={styles.inputChoice}>
+                            {[1, 2].map(count => (
+                                <button
+                                    key={count}
+                                    onClick={() => setPlayers(count)}
+                                    style={count === players ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                                >
+                                    {count === 1 ? "👤 1 player" : "👥 2 players"}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {activePlayers > 1 && (
+                        <p style={styles.inputNote}>
+                            Player 1 plays on the left half of the screen, player 2 on the right. Two-player games are not saved.
+                        </p>
+                    )}
+
+                    {/* Game mode choice */}
+                    {activePlayers === 1 && (
+                        <div style={styles.inputChoice}>
+                            {Object.entries(GAME_MODES).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setMode(id)}
+                                    style={id === mode ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {timed && (
+                        <div style={styles.inputChoice}>
+                            {TIMED_DURATIONS.map(seconds => (
+                                <button
+                                    key={seconds}
+                                    onClick={() => setTimedDuration(seconds)}
+                                    style={seconds === timedDuration ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                                >
+                                    {seconds}s
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {activePlayers === 1 && <p style={styles.inputNote}>{modeRules.description}</p>}
+
+                    {/* Difficulty choice */}
+                    {difficulties && (
+                        <div style={styles.inputChoice}>
+                            {Object.entries(DIFFICULTIES).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setDifficulty(id)}
+                                    style={id === difficulty ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {difficulties && DIFFICULTIES[difficulty].description && (
+                        <p style={styles.inputNote}>{DIFFICULTIES[difficulty].description}</p>
+                    )}
+
+                    {/* Input method choice */}
+                    {inputs.length > 1 && (
+                        <div style={styles.inputChoice}>
+                            {inputs.map(method => (
+                                <button
+                                    key={method}
+                                    onClick={() => setInputMethod(method)}
+                                    disabled={method === "hand" && Boolean(handError)}
+                                    style={method === inputMethod ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                                >
+                                    {INPUT_LABELS[method]}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {(inputMethod === "hand" || handModel.status === "error") && <ModelLoadingStatus model={handModel} />}
+                    {cameraError && <p style={styles.inputNote}>📷 {cameraError}{fallbackInput && " Play with another input instead."}</p>}
+                    <div style={styles.inputChoice}>
+                        {cameraError && (
+                            <button onClick={camera.retry} style={styles.inputButton}>🔄 Try the camera again</button>
+                        )}
+                        <button onClick={() => navigate("/camera")} style={styles.inputButton}>📷 Camera setup</button>
+                        {inputMethod === "hand" && (
+                            <button onClick={() => navigate("/calibration")} style={styles.inputButton}>🎯 Calibrate reach</button>
+                        )}
+                        {inputMethod === "hand" && (
+                            <button onClick={() => navigate("/hand-settings")} style={styles.inputButton}>✋ Hand settings</button>
+                        )}
+                    </div>
+                    {inputMethod === "hand" && calibration && <p style={styles.inputNote}>🎯 Targets fit your calibrated reach.</p>}
+                    {hand?.required && (
+                        <p style={styles.inputNote}>✋ Play with your {HAND_LABELS[hand.required]} — the other hand is ignored.</p>
+                    )}
+                    {hand && !hand.required && (
+                        <p style={styles.inputNote}>✋ When both hands are in view, your {HAND_LABELS[hand.dominant]} plays.</p>
+                    )}
+                    {inputMethod === "hand" && (
+                        <p style={styles.inputNote}>
+                            {gestureInput
+                                ? `Take your hand out of view for ${NO_HAND_MS / 1000} seconds to pause.`
+                                : `Hold your open palm up for ${PAUSE_GESTURE_MS / 1000} seconds to pause.`}
+                        </p>
+                    )}
+                    {inputMethod === "pointer" && <p style={styles.inputNote}>Move the mouse or touch the screen — the pointer is your fingertip.</p>}
+                    {inputMethod === "keyboard" && <p style={styles.inputNote}>Hold a number key to show its gesture.</p>}
+                    {inputMethod !== "hand" && <p style={styles.inputNote}>Scores without hand tracking are ranked separately.</p>}
+                    {keyLegend}
+
+                    {/* Sound settings */}
+                    <div style={styles.inputChoice}>
+                        <button
+                            onClick={() => updateAudio({ muted: !audioSettings.muted })}
+                            style={audioSettings.muted ? styles.inputButton : { ...styles.inputButton, ...styles.inputButtonActive }}
+                        >
+                            {audioSettings.muted ? "🔇 Sound off" : "🔊 Sound on"}
+                        </button>
+                        <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.1"
+                            value={audioSettings.volume}
+                            onChange={(e) => updateAudio({ volume: Number(e.target.value) })}
+                            disabled={audioSettings.muted}
+                            aria-label="Volume"
+                        />
+                        <button
+                            onClick={() => updateAudio({ speech: !audioSettings.speech })}
+                            disabled={audioSettings.muted}
+                            style={audioSettings.speech ? { ...styles.inputButton, ...styles.inputButtonActive } : styles.inputButton}
+                        >
+                            🗣️ Spoken prompts
+                        </button>
+                    </div>
+
+                    <button onClick={handleStart} style={styles.startButton} disabled={handUnavailable}>Start Game</button>
                 </div>
             )}
 
+            {/* Text published by the game */}
+            {gameStarted && !gameOver && !pauseReason && <GameHud hud={hud} />}
+
             {/* Score and Timer During Game */}
             {gameStarted && !gameOver && (
                 <div style={styles.scoreOverlay}>
-                    <p>⏱️ {timeLeft}s</p>
-                    <p>🏆 {score} pts</p>
+                    {timed && <p>⏱️ {timeLeft}s</p>}
+                    {lives !== null && <p>{"❤️".repeat(lives)}</p>}
+                    {activeMode === "practice" && <p>{GAME_MODES.practice.label}</p>}
+                    {difficulties && activeDifficulty !== "normal" && <p>{difficultyLabel(activeDifficulty, level)}</p>}
+                    {playerScores ? (
+                        <p>🏆 P1 {playerScores[0]} · P2 {playerScores[1]}</p>
+                    ) : (
+                        <p>🏆 {score} pts</p>
+                    )}
+                    {(playback?.inputMethod ?? inputMethod) !== "hand" && <p>{INPUT_LABELS[playback?.inputMethod ?? inputMethod]}</p>}
+                    {ghost && <p>👻 {ghost.player}</p>}
+                    {hand?.required && <p>✋ {HAND_LABELS[hand.required]} only</p>}
+                    {!playback && activeMode === "practice" && (
+                        <button onClick={() => setGameOver(true)} style={styles.controlButton}>⏹️ End practice</button>
+                    )}
+                    {!playback && !pauseReason && (
+                        <button onClick={() => pauseGame("manual")} style={styles.controlButton}>⏸️ Pause</button>
+                    )}
+                    {!playback && (
+                        <button
+                            onClick={() => updateAudio({ muted: !audioSettings.muted })}
+                            style={styles.controlButton}
+                            title={audioSettings.muted ? "Sound off" : "Sound on"}
+                        >
+                            {audioSettings.muted ? "🔇" : "🔊"}
+                        </button>
+                    )}
+                    {!playback && (
+                        <button
+                            onClick={() => setShowPerf(v => !v)}
+                            style={showPerf ? { ...styles.controlButton, ...styles.inputButtonActive } : styles.controlButton}
+                            title="Performance"
+                        >
+                            📊
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {/* Performance HUD */}
+            {gameStarted && !gameOver && !playback && showPerf && (
+                <div style={styles.perfOverlay}>
+                    <p style={styles.perfLine}>🎞️ {perf?.fps ?? "–"} fps · {perf?.droppedFrames ?? 0} dropped frames</p>
+                    {inputMethod === "hand" ? (
+                        <>
+                            <p style={styles.perfLine}>
+                                🖐️ {perf?.latencyMs ?? "–"} ms per detection · {perf?.detectionsPerSecond ?? "–"} detections/s
+                            </p>
+                            <p style={styles.perfLine}>⚙️ {handModel.delegate} · {handModel.thread === "worker" ? "worker" : "main thread"}</p>
+                            {perf && (perf.scale < 1 || perf.intervalMs > 0) && (
+                                <p style={styles.perfLine}>
+                                    📉 Input at {Math.round(perf.scale * 100)}%{perf.intervalMs > 0 && `, every ${perf.intervalMs} ms`}
+                                </p>
+                            )}
+                        </>
+                    ) : (
+                        <p style={styles.perfLine}>🖐️ Hand tracking off</p>
+                    )}
+                </div>
+            )}
+            {gameStarted && !gameOver && keyLegend && <div style={styles.legendOverlay}>{keyLegend}</div>}
+
+            {/* Prompt for the required hand when only the other one is in view */}
+            {gameStarted && !gameOver && !pauseReason && wrongHand && hand?.required && (
+                <div style={styles.handNotice}>✋ Use your {HAND_LABELS[hand.required]}</div>
+            )}
+
+            {/* Pause Screen */}
+            {pauseReason && !gameOver && (
+                <div style={styles.overlay}>
+                    <h1>⏸️ Paused</h1>
+                    <p style={styles.inputNote}>{PAUSE_REASONS[pauseReason]}</p>
+                    {resumeIn !== null ? (
+                        <h2>Resuming in {resumeIn}...</h2>
+                    ) : (
+                        <>
+                            <button onClick={resumeGame} style={styles.startButton}>▶️ Resume</button>
+                            <p style={styles.inputNote}>Or press Escape or P.</p>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Playback controls */}
+            {playback && !gameOver && (
+                <div style={styles.playbackControls}>
+                    <button onClick={() => setPaused(p => !p)} style={styles.controlButton}>
+                        {paused ? "▶️" : "⏸️"}
+                    </button>
+                    <input
+                        type="range"
+                        min={0}
+                        max={playback.frames.at(-1)?.t ?? 0}
+                        step={POSITION_STEP}
+                        value={position}
+                        onChange={(e) => onSeek?.(Number(e.target.value))}
+                        disabled={!onSeek}
+                        style={styles.seekBar}
+                        aria-label="Playback position"
+                    />
+                    {PLAYBACK_SPEEDS.map(value => (
+                        <button
+                            key={value}
+                            onClick={() => setSpeed(value)}
+                            style={value === speed ? { ...styles.controlButton, ...styles.inputButtonActive } : styles.controlButton}
+                        >
+                            {value}×
+                        </button>
+                    ))}
                 </div>
             )}
 
             {/* Game Over Screen */}
             {gameOver && (
                 <div style={styles.overlay}>
-                    <h1>🎉 Game Over!</h1>
-                    <h2>Final Score: {score}</h2>
-                    <button onClick={() => navigate("/profile")} style={styles.startButton}>
-                        Go to Profile
-                    </button>
+                    <h1>{playback ? "🎬 Replay Over" : "🎉 Game Over!"}</h1>
+                    {lives === 0 && <p style={styles.saveStatus}>💔 Out of lives</p>}
+                    {playerScores ? (
+                        <h2>{winnerText(playerScores)}</h2>
+                    ) : (
+                        <h2>Final Score: {score}</h2>
+                    )}
+                    {saveStatus && <p style={styles.saveStatus}>{SAVE_STATUS_TEXT[saveStatus]}</p>}
+                    <ResultBreakdown gameType={gameType} details={details} />
+                    <div style={styles.actions}>
+                        {playback ? (
+                            onSeek && (
+                                <button onClick={() => onSeek(0)} style={styles.secondaryButton}>
+                                    🔁 Watch again
+                                </button>
+                            )
+                        ) : (
+                            <button onClick={downloadRecording} style={styles.secondaryButton}>
+                                ⬇️ Download recording
+                            </button>
+                        )}
+                        <button onClick={() => navigate("/profile")} style={styles.startButton}>
+                            Go to Profile
+                        </button>
+                    </div>
                 </div>
             )}
         </div>
@@ -193,6 +876,35 @@ const styles = {
         fontWeight: "bold",
         zIndex: 10,
     },
+    perfOverlay: {
+        position: "absolute",
+        top: 20,
+        right: 20,
+        backgroundColor: "rgba(0,0,0,0.6)",
+        padding: "8px 14px",
+        borderRadius: "10px",
+        color: "#fff",
+        fontFamily: "monospace",
+        fontSize: "14px",
+        zIndex: 10,
+    },
+    perfLine: { margin: "2px 0" },
+    handNotice: { position: "absolute", top: "15%", left: "50%", transform: "translateX(-50%)", backgroundColor: "rgba(0,0,0,0.6)", padding: "10px 24px", borderRadius: "10px", color: "#fff", fontSize: "28px", fontWeight: "bold", zIndex: 10 },
+    description: { fontSize: "18px", opacity: 0.9 },
+    inputChoice: { display: "flex", gap: "10px", justifyContent: "center", margin: "10px 0" },
+    inputButton: { padding: "8px 16px", fontSize: "16px", backgroundColor: "rgba(255,255,255,0.15)", color: "#fff", border: "2px solid transparent", borderRadius: "8px", cursor: "pointer" },
+    inputButtonActive: { borderColor: "#00c864", backgroundColor: "rgba(0,200,100,0.3)" },
+    inputNote: { fontSize: "16px", opacity: 0.85, margin: "6px 0" },
+    keyLegend: { display: "flex", flexWrap: "wrap", gap: "8px 16px", justifyContent: "center", fontSize: "16px", margin: "8px 0" },
+    keyItem: { whiteSpace: "nowrap" },
+    kbd: { display: "inline-block", minWidth: "1.4em", padding: "2px 6px", border: "1px solid #fff", borderRadius: "4px", fontFamily: "monospace" },
+    legendOverlay: { position: "absolute", bottom: 20, left: "50%", transform: "translateX(-50%)", backgroundColor: "rgba(0,0,0,0.5)", padding: "6px 16px", borderRadius: "10px", color: "#fff", zIndex: 10 },
+    saveStatus: { fontSize: "18px", margin: "8px 0" },
+    playbackControls: { position: "absolute", bottom: 20, left: "50%", transform: "translateX(-50%)", display: "flex", gap: "10px", alignItems: "center", width: "min(640px, 90vw)", backgroundColor: "rgba(0,0,0,0.5)", padding: "8px 16px", borderRadius: "10px", zIndex: 10 },
+    controlButton: { padding: "4px 10px", fontSize: "16px", backgroundColor: "rgba(255,255,255,0.15)", color: "#fff", border: "2px solid transparent", borderRadius: "8px", cursor: "pointer" },
+    seekBar: { flex: 1 },
+    actions: { display: "flex", gap: "12px", justifyContent: "center", alignItems: "flex-end" },
+    secondaryButton: { marginTop: "20px", padding: "12px 24px", fontSize: "20px", backgroundColor: "rgba(255,255,255,0.15)", color: "#fff", border: "none", borderRadius: "10px", cursor: "pointer" },
     startButton: { marginTop: "20px", padding: "12px 24px", fontSize: "20px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "10px", cursor: "pointer" },
 };
 
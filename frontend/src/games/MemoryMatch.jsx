@@ -3,26 +3,42 @@
  * Each correct gesture progresses the sequence. Completing the full sequence scores a point.
  *
  * Main Phases:
- * - Show a sequence of gestures (one at a time)
- * - Player must replicate gestures in order
+ * - Show a sequence of gestures (one at a time), including the player's custom gestures
+ *   (with the keyboard, only the gestures that have a key)
+ * - Player must replicate gestures in order, holding each one briefly
+ *   (with the required hand, named on screen, when the game requires one)
  * - Successful sequence → score +1 → harder next round
+ * - Every sequence is recorded as a hit or a miss with the steps completed
+ * - A rising note for every step, a chime for a finished sequence and a buzz when
+ *   time runs out; each gesture can also be spoken
  */
 
 import { drawSelectedKeypoints } from "../utils/drawUtils";
 import GameWrapper from "./GameWrapper";
-import { useRef, useState } from "react";
-
-const ROUND_TIME = 8; // seconds to complete a sequence
-const GESTURES = ["open", "two", "rock", "thumbs_up", "fist"];
-
-function MemoryMatch() {
+import { useRef } from "react";
+import { gestureLabel, isGesture } from "../utils/gestures";
+import { playableGestures } from "../utils/inputSources";
+import { HAND_LABELS } from "../utils/handTracking";
+import useCustomGestures from "../hooks/useCustomGestures";
+import { notePitch } from "../utils/audio";
+
+// Per difficulty: seconds to complete a sequence and gestures per sequence
+const DIFFICULTY = {
+    easy:   { roundTime: 12, sequenceLength: 2 },
+    normal: { roundTime: 8,  sequenceLength: 2 },
+    hard:   { roundTime: 6,  sequenceLength: 3 },
+};
+
+// Each gesture must be held briefly, so passing through a pose does not count
+const FILTER_OPTIONS = { holdMs: 300 };
+
+function MemoryMatch(props) {
     // --- refs to manage current round state ---
     const currentSequenceRef = useRef([]);  // Current target sequence
     const currentStepRef = useRef(0);        // Current step index in sequence
-    const roundTimerRef = useRef(Date.now()); // Time when round started
-
-    // --- local state to show countdown timer ---
-    const [roundTimeLeft, setRoundTimeLeft] = useState(ROUND_TIME);
+    const roundTimerRef = useRef(0);          // Time when round started
+    const maxSequenceRef = useRef(0);          // Longest sequence completed
+    const customGesturesRef = useCustomGestures(); // Player's custom gestures
 
     /**
      * Main per-frame loop:
@@ -31,153 +47,86 @@ function MemoryMatch() {
      * - Detects gestures via HandLandmarker
      * - Progresses user through sequence
      */
-    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-        const now = Date.now();
+    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore, recordRound, setDetail, hold, hud, sound, now, random, params, hand, inputMethod, customGestures }) => {
         const width = canvas.width;
         const height = canvas.height;
 
         // 1) -- INIT: Start a new sequence if needed
-        if (currentSequenceRef.current.length === 0 || now - roundTimerRef.current > ROUND_TIME * 1000) {
-            const newSequence = [randomGesture(), randomGesture()];
+        if (currentSequenceRef.current.length === 0 || now - roundTimerRef.current > params.roundTime * 1000) {
+            if (currentSequenceRef.current.length > 0) {
+                // Round ran out before the sequence was finished
+                recordRound({
+                    result: "miss",
+                    sequenceLength: currentSequenceRef.current.length,
+                    stepsCompleted: currentStepRef.current,
+                    timeMs: now - roundTimerRef.current,
+                });
+                sound.play("wrong");
+            }
+            // Built-in and custom gestures the input method can show
+            const gestures = playableGestures(customGestures, inputMethod);
+            const newSequence = Array.from({ length: params.sequenceLength }, () => random.pick(gestures));
             currentSequenceRef.current = newSequence;
             currentStepRef.current = 0;
             roundTimerRef.current = now;
+            sound.speak(gestureLabel(newSequence[0], customGestures));
         }
 
-        // 2) -- Update Countdown Timer
-        setRoundTimeLeft(Math.max(0, ROUND_TIME - Math.floor((now - roundTimerRef.current) / 1000)));
-
-        // 3) -- Detect Hand and Draw Landmarks
+        // 2) -- Detect Hand and Draw Landmarks
         const results = await handLandmarker.detectForVideo(video, now);
         if (results?.landmarks?.length) {
-            drawSelectedKeypoints(results.landmarks, ctx, [4,8,12,16,20], "#ff9f00");
-
-            const landmarks = results.landmarks[0];
-            const currentTarget = currentSequenceRef.current[currentStepRef.current];
-
-            // 4) -- Check if Correct Gesture
-            if (checkGesture(landmarks, currentTarget)) {
-                currentStepRef.current += 1;
+            drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, [4,8,12,16,20], "#ff9f00");
+        }
 
-                if (currentStepRef.current >= currentSequenceRef.current.length) {
-                    // Completed the sequence successfully
-                    setScore(prev => prev + 1);
-                    currentSequenceRef.current = []; // start new round
-                    currentStepRef.current = 0;
-                }
+        // 3) -- Check if Correct Gesture (shared recognizer, any hand orientation).
+        //       It must be held briefly, and released before the same gesture counts again.
+        const currentTarget = currentSequenceRef.current[currentStepRef.current];
+        const matched = isGesture(results, currentTarget, { aspectRatio: width / height, customGestures });
+        if (hold.update(matched, now)) {
+            currentStepRef.current += 1;
+
+            if (currentStepRef.current >= currentSequenceRef.current.length) {
+                // Completed the sequence successfully
+                const sequenceLength = currentSequenceRef.current.length;
+                recordRound({
+                    result: "hit",
+                    sequenceLength,
+                    stepsCompleted: sequenceLength,
+                    timeMs: now - roundTimerRef.current,
+                });
+                maxSequenceRef.current = Math.max(maxSequenceRef.current, sequenceLength);
+                setDetail("maxSequenceLength", maxSequenceRef.current);
+                setScore(prev => prev + 1);
+                sound.play("correct");
+                currentSequenceRef.current = []; // start new round
+                currentStepRef.current = 0;
+            } else {
+                sound.tone(notePitch(currentStepRef.current));
+                sound.speak(gestureLabel(currentSequenceRef.current[currentStepRef.current], customGestures));
             }
         }
 
-        // 5) -- Draw Instructions Text
-        drawTexts(ctx, width, height, currentSequenceRef.current, currentStepRef.current, roundTimeLeft);
-    };
-
-    /**
-     * Picks a random gesture from the GESTURES array.
-     */
-    const randomGesture = () => {
-        return GESTURES[Math.floor(Math.random() * GESTURES.length)];
-    };
-
-    /**
-     * Draws the current gesture instruction and timer on canvas.
-     */
-    const drawTexts = (ctx, width, height, sequence, step, timeLeft) => {
-        ctx.save();
-        ctx.scale(-1, 1);
-        ctx.translate(-width, 0);
-
-        ctx.font = "28px Arial";
-        ctx.fillStyle = "white";
-        ctx.textAlign = "center";
-
-        const text = sequence.length > 0
-            ? `Memory Match: ${gestureText(sequence[step])}`
-            : "Get Ready...";
-
-        ctx.fillText(text, width / 2, height / 2 - 40);
-
-        ctx.font = "20px Arial";
-        ctx.fillText(`Step ${step + 1} / ${sequence.length}`, width / 2, height / 2);
-        ctx.fillText(`Time Left: ${timeLeft}s`, width / 2, height / 2 + 40);
-
-        ctx.restore();
-    };
-
-    /**
-     * Compares detected hand landmarks against target gesture.
-     */
-    const checkGesture = (landmarks, gesture) => {
-        const palmBase = landmarks[0];
-        const indexTip = landmarks[8];
-        const middleTip = landmarks[12];
-        const ringTip = landmarks[16];
-        const pinkyTip = landmarks[20];
-        const thumbTip = landmarks[4];
-        const thumbIp = landmarks[3];
-
-        const handCenterY = palmBase.y;
-
-        const isFingerUp = (tip) => tip.y < handCenterY - 0.05;
-        const isFingerDown = (tip) => tip.y > handCenterY + 0.05;
-
-        const isOpen =
-            isFingerUp(indexTip) &&
-            isFingerUp(middleTip) &&
-            isFingerUp(ringTip) &&
-            isFingerUp(pinkyTip) &&
-            thumbTip.x < palmBase.x;
-
-        const isTwo =
-            isFingerUp(indexTip) &&
-            isFingerUp(middleTip) &&
-            isFingerDown(ringTip) &&
-            isFingerDown(pinkyTip);
-
-        const isRock =
-            isFingerUp(indexTip) &&
-            isFingerDown(middleTip) &&
-            isFingerDown(ringTip) &&
-            isFingerUp(pinkyTip);
-
-        const isThumbsUp =
-            Math.abs(thumbTip.y - thumbIp.y) > 0.04 &&
-            isFingerDown(indexTip) &&
-            isFingerDown(middleTip) &&
-            isFingerDown(ringTip) &&
-            isFingerDown(pinkyTip);
-
-        const isFist =
-            isFingerDown(indexTip) &&
-            isFingerDown(middleTip) &&
-            isFingerDown(ringTip) &&
-            isFingerDown(pinkyTip) &&
-            Math.abs(thumbTip.y - palmBase.y) < 0.1;
-
-        if (gesture === "open") return isOpen;
-        if (gesture === "two") return isTwo;
-        if (gesture === "rock") return isRock;
-        if (gesture === "thumbs_up") return isThumbsUp;
-        if (gesture === "fist") return isFist;
-        return false;
-    };
-
-    /**
-     * Converts gesture keyword to friendly label.
-     */
-    const gestureText = (gesture) => {
-        if (gesture === "open") return "🖐️ Open Hand";
-        if (gesture === "two") return "✌️ Two Fingers";
-        if (gesture === "rock") return "🤘 Rock Sign";
-        if (gesture === "thumbs_up") return "👍 Thumbs Up";
-        if (gesture === "fist") return "👊 Fist";
-        return "";
+        // 4) -- Show the instruction, step and countdown on the HUD
+        const sequence = currentSequenceRef.current;
+        hud.set({
+            prompt: sequence.length > 0
+                ? `Memory Match: ${gestureLabel(sequence[currentStepRef.current], customGestures)}`
+                : "Get Ready...",
+            detail: hand?.required ? `✋ With your ${HAND_LABELS[hand.required]}` : null,
+            step: sequence.length > 0 ? { current: currentStepRef.current + 1, total: sequence.length } : null,
+            timer: Math.max(0, params.roundTime - Math.floor((now - roundTimerRef.current) / 1000)),
+        });
     };
 
     return (
         <GameWrapper
+            {...props}
             gameType="MemoryMatch"
             detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
+            customGestures={customGesturesRef}
+            gestureInput
         />
     );
 }
@@ -1,21 +1,36 @@
 /**
  * A reaction-speed game where the player must quickly tap appearing targets.
+ * Each tapped target is recorded with its reaction time; expired targets count as misses.
+ * A tap needs the fingertip to rest on the target briefly, so passing over it does not count.
+ * The last reaction time is shown on the HUD; taps sound a chime and expired targets a buzz.
+ *
+ * Two players can duel on one camera: the screen is split in half, each player
+ * gets their own targets on their half and scores for their own taps.
  */
 
 import { drawSelectedKeypoints } from "../utils/drawUtils";
+import { selectHand } from "../utils/handTracking";
 import GameWrapper from "./GameWrapper";
-import { useRef, useState } from "react";
+import { useRef } from "react";
 
-const SPAWN_INTERVAL = 2000; // New target every 2 seconds
-const TARGET_RADIUS = 30;    // Target size in pixels
+// Per difficulty: time before a target moves on (ms) and target size (px)
+const DIFFICULTY = {
+    easy:   { spawnInterval: 3000, targetRadius: 45 },
+    normal: { spawnInterval: 2000, targetRadius: 30 },
+    hard:   { spawnInterval: 1400, targetRadius: 22 },
+};
 
-function QuickReaction() {
+// Brief dwell against accidental taps; the reaction time is measured on entry
+const FILTER_OPTIONS = { hitTest: { exitScale: 1.3, dwellMs: 80 } };
+
+// Target and fingertip colors of each player in a duel
+const PLAYER_COLORS = { 1: "rgba(0, 150, 255, 0.7)", 2: "rgba(255, 0, 0, 0.7)" };
+
+function QuickReaction(props) {
     // --- refs to manage target spawning and timing ---
     const targetRef = useRef(null);         // Current active target
-    const lastSpawnRef = useRef(Date.now()); // Last time a target was spawned
-
-    // --- state to track reaction time for display ---
-    const [reactionTime, setReactionTime] = useState(null);
+    const lastSpawnRef = useRef(0);         // Last time a target was spawned
+    const duelTargetsRef = useRef({});      // Duel: current target of each player
 
     /**
      * Main per-frame loop:
@@ -23,26 +38,36 @@ function QuickReaction() {
      * - Draws the current target
      * - Detects fingertip tap and checks collision
      * - Updates score and reaction time
+     * - Records every target as a hit or a miss
      */
-    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-        const now = Date.now();
+    const detectFunction = async (args) => {
+        if (args.players === 2) return detectDuel(args);
+
+        const { handLandmarker, video, canvas, ctx, setScore, recordRound, hitTest, hud, sound, now, random, params } = args;
         const width = canvas.width;
         const height = canvas.height;
 
         // 1) -- Spawn New Target if Needed
-        if (!targetRef.current || now - lastSpawnRef.current > SPAWN_INTERVAL) {
+        const { spawnInterval, targetRadius } = params;
+        if (!targetRef.current || now - lastSpawnRef.current > spawnInterval) {
+            if (targetRef.current) {
+                // Previous target expired without being tapped
+                recordRound({ result: "miss", timeMs: now - targetRef.current.spawnTime });
+                sound.play("wrong");
+            }
             targetRef.current = {
-                x: Math.random() * (width - 2 * TARGET_RADIUS) + TARGET_RADIUS,
-                y: Math.random() * (height - 2 * TARGET_RADIUS) + TARGET_RADIUS,
+                x: random.range(targetRadius, width - targetRadius),
+                y: random.range(targetRadius, height - targetRadius),
                 spawnTime: now,
             };
             lastSpawnRef.current = now;
+            hitTest.reset();
         }
 
         // 2) -- Draw Target
         if (targetRef.current) {
             ctx.beginPath();
-            ctx.arc(targetRef.current.x, targetRef.current.y, TARGET_RADIUS, 0, Math.PI * 2);
+            ctx.arc(targetRef.current.x, targetRef.current.y, targetRadius, 0, Math.PI * 2);
             ctx.fillStyle = "rgba(255, 0, 0, 0.7)"; // Red transparent circle
             ctx.fill();
         }
@@ -58,46 +83,99 @@ function QuickReaction() {
             const dx = tipX - targetRef.current.x;
             const dy = tipY - targetRef.current.y;
             const dist = Math.hypot(dx, dy);
+            const { entered, enteredAt } = hitTest.update("target", dist, targetRadius, now);
 
-            if (dist < TARGET_RADIUS) {
+            if (entered) {
                 // Successful tap!
-                const reactMs = now - targetRef.current.spawnTime;
-                setReactionTime(reactMs);
+                const reactMs = enteredAt - targetRef.current.spawnTime;
+                hud.set({ message: { text: `Last Reaction: ${reactMs} ms`, tone: "success" } });
+                recordRound({ result: "hit", reactionMs: reactMs });
 
                 setScore(prev => prev + 1);
+                sound.play("correct");
 
                 targetRef.current = null; // Clear and respawn new target
                 lastSpawnRef.current = now;
             }
         }
-
-        // 4) -- Draw Reaction Time Text
-        drawTexts(ctx, width, height, reactionTime);
     };
 
     /**
-     * Displays the last measured reaction time at top center of screen.
+     * Per-frame loop of a duel:
+     * - Keeps a target on each player's half of the screen, moving it on when it expires
+     * - Checks each player's fingertip against their own target only
+     * - Scores each player's taps and records every target with the player
+     * - Labels each half with its player and their last reaction time
      */
-    const drawTexts = (ctx, width, height, reactionTime) => {
-        ctx.save();
-        ctx.scale(-1, 1);
-        ctx.translate(-width, 0);
-
-        ctx.font = "24px Arial";
-        ctx.fillStyle = "white";
-        ctx.textAlign = "center";
-
-        if (reactionTime !== null) {
-            ctx.fillText(`Last Reaction: ${reactionTime} ms`, width / 2, 40);
-        }
+    const detectDuel = async ({ handLandmarker, video, canvas, ctx, setPlayerScore, recordRound, hitTest, hud, sound, now, random, params }) => {
+        const { width, height } = canvas;
+        const { spawnInterval, targetRadius } = params;
+
+        // The camera image is mirrored on screen: player 1 (screen left) plays on the canvas' right half
+        const halves = { 1: [width / 2, width], 2: [0, width / 2] };
+
+        // 1) -- Spawn each player's target if needed
+        [1, 2].forEach(player => {
+            const target = duelTargetsRef.current[player];
+            if (target && now - target.spawnTime <= spawnInterval) return;
+            if (target) {
+                recordRound({ result: "miss", timeMs: now - target.spawnTime, player });
+            }
+            const [from, to] = halves[player];
+            duelTargetsRef.current[player] = {
+                x: random.range(from + targetRadius, to - targetRadius),
+                y: random.range(targetRadius, height - targetRadius),
+                spawnTime: now,
+            };
+            hitTest.reset(`target-${player}`);
+        });
+        if (!hud.getSnapshot().players) hud.set({ players: { 1: "Player 1", 2: "Player 2" } });
+
+        // 2) -- Draw the split and the targets
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 0);
+        ctx.lineTo(width / 2, height);
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.5)";
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        [1, 2].forEach(player => {
+            const target = duelTargetsRef.current[player];
+            ctx.beginPath();
+            ctx.arc(target.x, target.y, targetRadius, 0, Math.PI * 2);
+            ctx.fillStyle = PLAYER_COLORS[player];
+            ctx.fill();
+        });
 
-        ctx.restore();
+        // 3) -- Check each player's tap
+        const results = await handLandmarker.detectForVideo(video, now);
+        [1, 2].forEach(player => {
+            const hand = selectHand(results, `player${player}`);
+            if (!hand) return;
+            drawSelectedKeypoints([hand.landmarks], ctx, [8], PLAYER_COLORS[player]);
+
+            const target = duelTargetsRef.current[player];
+            const tip = hand.landmarks[8];
+            const dist = Math.hypot(tip.x * width - target.x, tip.y * height - target.y);
+            const { entered, enteredAt } = hitTest.update(`target-${player}`, dist, targetRadius, now);
+
+            if (entered) {
+                const reactMs = enteredAt - target.spawnTime;
+                hud.set({ players: { ...hud.getSnapshot().players, [player]: `Player ${player}: ${reactMs} ms` } });
+                recordRound({ result: "hit", reactionMs: reactMs, player });
+                setPlayerScore(player, prev => prev + 1);
+                sound.play("correct");
+                duelTargetsRef.current[player] = null; // Respawned next frame
+            }
+        });
     };
 
     return (
         <GameWrapper
+            {...props}
             gameType="QuickReaction"
             detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
         />
     );
 }
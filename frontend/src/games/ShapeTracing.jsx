@@ -4,23 +4,34 @@
  * Users must pass through dynamically generated checkpoints on the shape to score.
  *
  * Main Features:
- * - Randomly select a circle or a square at the start.
+ * - Randomly select a circle or a square at the start, named on the HUD.
  * - Spawn checkpoints dynamically along the selected shape.
  * - Start trail drawing only when the user touches the shape.
- * - Draw trails following the fingertip movement.
+ * - Draw trails following the (smoothed) fingertip movement.
  * - Track checkpoint hits and award score after sufficient hits.
+ * - Record each traced shape with its tracing accuracy and time taken.
+ * - Sound a chime for every traced shape, and optionally speak the shape to trace.
  *
  * Uses GameWrapper for the main game loop and detection handling.
  */
 
 import { drawSelectedKeypoints } from "../utils/drawUtils";
 import GameWrapper from "./GameWrapper";
-import { useRef, useState } from "react";
+import { useRef } from "react";
 
 const SHAPE_TYPES = ["circle", "square"]; // Available shape types
-const TOLERANCE = 25; // Margin of error in pixels for hitting checkpoints
 const CHECKPOINTS = 16; // Number of checkpoints per shape
 
+// Per difficulty: margin of error in pixels for touching the shape and hitting checkpoints
+const DIFFICULTY = {
+    easy:   { tolerance: 40 },
+    normal: { tolerance: 25 },
+    hard:   { tolerance: 15 },
+};
+
+// Heavier smoothing than the default: tracing is slow and jitter spoils the accuracy
+const FILTER_OPTIONS = { smoothing: { minCutoff: 0.8, beta: 3 } };
+
 /**
  * ShapeTracing Component
  *
@@ -28,12 +39,11 @@ const CHECKPOINTS = 16; // Number of checkpoints per shape
  *
  * @returns {JSX.Element} Shape tracing game screen
  */
-function ShapeTracing() {
+function ShapeTracing(props) {
     const shapeTypeRef = useRef(null); // Current active shape type ("circle" or "square")
     const checkpointsHitRef = useRef(new Set()); // Set to track which checkpoints have been hit
     const trailPointsRef = useRef([]); // Points for the trail drawing
     const drawingStartedRef = useRef(false); // Whether trail drawing has started
-    const [currentShape, setCurrentShape] = useState(null); // React state for displaying current shape
 
     /**
      * detectFunction
@@ -44,6 +54,7 @@ function ShapeTracing() {
      * - Draws trail if finger is on the shape.
      * - Tracks checkpoints hit by finger.
      * - Awards score when 90% of checkpoints are hit.
+     * - Records the traced shape, its accuracy and duration as a round.
      *
      * @param {Object} params
      * @param {Object} params.handLandmarker - Hand detection model
@@ -51,10 +62,14 @@ function ShapeTracing() {
      * @param {HTMLCanvasElement} params.canvas - Canvas for drawing
      * @param {CanvasRenderingContext2D} params.ctx - Canvas context
      * @param {Function} params.setScore - Score update function
+     * @param {Function} params.recordRound - Records the result of a round
+     * @param {Object} params.hud - HUD the game shows the shape to trace on
+     * @param {Object} params.sound - Sound player (see utils/audio.js)
+     * @param {number} params.now - Frame time (ms)
+     * @param {Object} params.random - Seeded random source
+     * @param {Object} params.params - Parameters of the current difficulty level
      */
-    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-        const now = Date.now();
-
+    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore, recordRound, hud, sound, now, random, params }) => {
         const width = canvas.width;
         const height = canvas.height;
         const shortSide = Math.min(width, height);
@@ -66,9 +81,10 @@ function ShapeTracing() {
 
         // Randomly choose a shape if none is selected yet
         if (!shapeTypeRef.current) {
-            const randomShape = SHAPE_TYPES[Math.floor(Math.random() * SHAPE_TYPES.length)];
+            const randomShape = random.pick(SHAPE_TYPES);
             shapeTypeRef.current = randomShape;
-            setCurrentShape(randomShape);
+            hud.set({ message: { text: `Trace the ${randomShape}`, tone: "info" } });
+            sound.speak(`Trace the ${randomShape}`);
             checkpointsHitRef.current.clear();
             trailPointsRef.current = [];
             drawingStartedRef.current = false;
@@ -86,14 +102,14 @@ function ShapeTracing() {
         if (results?.landmarks?.length) {
             const landmarks = results.landmarks[0];
             const tip = landmarks[8];
-            drawSelectedKeypoints(results.landmarks, ctx, [8], "#ff9f00");
+            drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, [8], "#ff9f00");
 
             const tipX = tip.x * width;
             const tipY = tip.y * height;
 
             // Start drawing only if finger touches the shape
             if (!drawingStartedRef.current) {
-                if (isOnShape(centerX, centerY, dynamicRadius, dynamicSize, tipX, tipY)) {
+                if (isOnShape(centerX, centerY, dynamicRadius, dynamicSize, tipX, tipY, params.tolerance)) {
                     drawingStartedRef.current = true;
                 }
             }
@@ -106,15 +122,26 @@ function ShapeTracing() {
 
             // Check if a checkpoint has been hit
             if (shapeTypeRef.current === "circle") {
-                checkCircleHit(centerX, centerY, dynamicRadius, tipX, tipY);
+                checkCircleHit(centerX, centerY, dynamicRadius, tipX, tipY, params.tolerance);
             } else if (shapeTypeRef.current === "square") {
-                checkSquareHit(centerX, centerY, dynamicSize, tipX, tipY);
+                checkSquareHit(centerX, centerY, dynamicSize, tipX, tipY, params.tolerance);
             }
         }
 
         // If 90% or more checkpoints hit, score and reset
         if (checkpointsHitRef.current.size >= Math.floor(CHECKPOINTS * 0.9)) {
+            const trail = trailPointsRef.current;
+            const onOutline = trail.filter(p =>
+                distanceToOutline(centerX, centerY, dynamicRadius, dynamicSize, p.x, p.y) < params.tolerance
+            ).length;
+            recordRound({
+                result: "hit",
+                shape: shapeTypeRef.current,
+                accuracy: trail.length ? onOutline / trail.length : 0,
+                timeMs: trail.length ? now - trail[0].timestamp : 0,
+            });
             setScore(prev => prev + 1);
+            sound.play("correct");
             shapeTypeRef.current = null;
             checkpointsHitRef.current.clear();
             trailPointsRef.current = [];
@@ -123,12 +150,12 @@ function ShapeTracing() {
     };
 
     /**
-     * Check if fingertip is on the current shape (circle or square)
+     * Check if fingertip is on the current shape (circle or square), within the tolerance
      */
-    const isOnShape = (centerX, centerY, radius, size, tipX, tipY) => {
+    const isOnShape = (centerX, centerY, radius, size, tipX, tipY, tolerance) => {
         if (shapeTypeRef.current === "circle") {
             const dist = Math.hypot(tipX - centerX, tipY - centerY);
-            return Math.abs(dist - radius) < TOLERANCE;
+            return Math.abs(dist - radius) < tolerance;
         } else if (shapeTypeRef.current === "square") {
             const left = centerX - size / 2;
             const right = centerX + size / 2;
@@ -136,33 +163,49 @@ function ShapeTracing() {
             const bottom = centerY + size / 2;
 
             const insideSquare =
-                tipX >= left - TOLERANCE &&
-                tipX <= right + TOLERANCE &&
-                tipY >= top - TOLERANCE &&
-                tipY <= bottom + TOLERANCE;
+                tipX >= left - tolerance &&
+                tipX <= right + tolerance &&
+                tipY >= top - tolerance &&
+                tipY <= bottom + tolerance;
 
             const nearEdge =
-                Math.abs(tipX - left) < TOLERANCE ||
-                Math.abs(tipX - right) < TOLERANCE ||
-                Math.abs(tipY - top) < TOLERANCE ||
-                Math.abs(tipY - bottom) < TOLERANCE;
+                Math.abs(tipX - left) < tolerance ||
+                Math.abs(tipX - right) < tolerance ||
+                Math.abs(tipY - top) < tolerance ||
+                Math.abs(tipY - bottom) < tolerance;
 
             return insideSquare && nearEdge;
         }
         return false;
     };
 
+    /**
+     * Distance in pixels from a point to the outline of the current shape
+     */
+    const distanceToOutline = (centerX, centerY, radius, size, x, y) => {
+        if (shapeTypeRef.current === "circle") {
+            return Math.abs(Math.hypot(x - centerX, y - centerY) - radius);
+        }
+        // Square: distance to the nearest edge, measured from the centre outwards
+        const dx = Math.abs(x - centerX) - size / 2;
+        const dy = Math.abs(y - centerY) - size / 2;
+        if (dx > 0 || dy > 0) {
+            return Math.hypot(Math.max(dx, 0), Math.max(dy, 0)); // Outside the square
+        }
+        return -Math.max(dx, dy); // Inside the square
+    };
+
     /**
      * Check if any circle checkpoints are hit
      */
-    const checkCircleHit = (centerX, centerY, radius, tipX, tipY) => {
+    const checkCircleHit = (centerX, centerY, radius, tipX, tipY, tolerance) => {
         for (let i = 0; i < CHECKPOINTS; i++) {
             const angle = (i / CHECKPOINTS) * Math.PI * 2;
             const checkpointX = centerX + radius * Math.cos(angle);
             const checkpointY = centerY + radius * Math.sin(angle);
 
             const dist = Math.hypot(checkpointX - tipX, checkpointY - tipY);
-            if (dist < TOLERANCE) {
+            if (dist < tolerance) {
                 checkpointsHitRef.current.add(i);
             }
         }
@@ -171,30 +214,26 @@ function ShapeTracing() {
     /**
      * Check if any square checkpoints are hit
      */
-    const checkSquareHit = (centerX, centerY, size, tipX, tipY) => {
+    const checkSquareHit = (centerX, centerY, size, tipX, tipY, tolerance) => {
         const left = centerX - size / 2;
         const right = centerX + size / 2;
         const top = centerY - size / 2;
         const bottom = centerY + size / 2;
 
-        const sides = [
-            { x: left, y: top + (size / (CHECKPOINTS/4)) * 0 },
-            { x: left, y: top + (size / (CHECKPOINTS/4)) * 1 },
-            { x: left, y: top + (size / (CHECKPOINTS/4)) * 2 },
-            { x: left, y: top + (size / (CHECKPOINTS/4)) * 3 },
-            { x: left + (size / (CHECKPOINTS/4)) * 0, y: top },
-            { x: left + (size / (CHECKPOINTS/4)) * 1, y: top },
-            { x: left + (size / (CHECKPOINTS/4)) * 2, y: top },
-            { x: left + (size / (CHECKPOINTS/4)) * 3, y: top },
-            { x: right, y: top + (size / (CHECKPOINTS/4)) * 0 },
-            { x: right, y: top + (size / (CHECKPOINTS/4)) * 1 },
-            { x: right, y: top + (size / (CHECKPOINTS/4)) * 2 },
-            { x: right, y: top + (size / (CHECKPOINTS/4)) * 3 },
-        ];
-
-        sides.forEach((edge, idx) => {
-            const dist = Math.hypot(edge.x - tipX, edge.y - tipY);
-            if (dist < TOLERANCE) {
+        // CHECKPOINTS / 4 checkpoints along each side, clockwise from the top left corner
+        const corners = [[left, top], [right, top], [right, bottom], [left, bottom]];
+        const perSide = CHECKPOINTS / 4;
+        const checkpoints = [];
+        corners.forEach(([x, y], i) => {
+            const [nextX, nextY] = corners[(i + 1) % corners.length];
+            for (let k = 0; k < perSide; k++) {
+                checkpoints.push({ x: x + (nextX - x) * (k / perSide), y: y + (nextY - y) * (k / perSide) });
+            }
+        });
+
+        checkpoints.forEach((checkpoint, idx) => {
+            const dist = Math.hypot(checkpoint.x - tipX, checkpoint.y - tipY);
+            if (dist < tolerance) {
                 checkpointsHitRef.current.add(idx);
             }
         });
@@ -240,8 +279,11 @@ function ShapeTracing() {
 
     return (
         <GameWrapper
+            {...props}
             gameType="ShapeTracing"
             detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
         />
     );
 }
@@ -3,122 +3,92 @@
  * match a random hand gesture shown on screen before the timer runs out.
  *
  * Main Features:
- * - Randomly select a gesture every 5 seconds.
- * - Detect the player's hand gesture using landmarks.
- * - Compare detected gesture against the expected one.
+ * - Randomly select a gesture every few seconds (by difficulty), including the player's custom gestures
+ *   (with the keyboard, only the gestures that have a key).
+ * - Detect the player's hand gesture with the shared gesture recognizer.
+ * - Compare detected gesture against the expected one; it must be held briefly to count.
  * - Award points for correct gestures.
- * - Display timer countdown and gesture name.
+ * - Sound a chime for a matched gesture and a buzz for a missed one, and optionally speak every new gesture.
+ * - Record every round as a hit or a miss with the gesture and time taken.
+ * - Show timer countdown and gesture name, and the hand to show it with when the game requires one, on the HUD.
  *
  * Uses GameWrapper to handle camera, hand detection, and game timing.
  */
 
 import GameWrapper from "./GameWrapper";
 import { useRef, useCallback } from "react";
-
-const ROUND_TIME = 5;
-const GESTURES = ["open", "two", "rock", "thumbs_up", "fist"];
-
-// Mapping for display text
-const gestureTextMap = {
-    open:     "🖐️ Open Hand",
-    two:      "✌️ Two Fingers",
-    rock:     "🤘 Rock Sign",
-    thumbs_up:"👍 Thumbs Up",
-    fist:     "👊 Fist",
+import { gestureLabel, isGesture } from "../utils/gestures";
+import { playableGestures } from "../utils/inputSources";
+import { HAND_LABELS } from "../utils/handTracking";
+import useCustomGestures from "../hooks/useCustomGestures";
+
+// Per difficulty: seconds to show each gesture
+const DIFFICULTY = {
+    easy:   { roundTime: 8 },
+    normal: { roundTime: 5 },
+    hard:   { roundTime: 3.5 },
 };
 
-// Helper: get display label
-const gestureText = (g) => gestureTextMap[g] || "";
-
-// Draws the instruction and timer on the canvas
-function drawTexts(ctx, w, h, gesture, timeLeft) {
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.translate(-w, 0);
-    ctx.font = "32px Arial";
-    ctx.fillStyle = "white";
-    ctx.textAlign = "center";
-    ctx.fillText(
-        `Simon Says: ${gestureText(gesture) || "Waiting..."}`,
-        w / 2,
-        h / 2 - 40
-    );
-    ctx.font = "24px Arial";
-    ctx.fillText(`Time Left: ${timeLeft.toFixed(1)}s`, w / 2, h / 2 + 10);
-    ctx.restore();
-}
-
-// Detects whether the landmarks match the target gesture
-function checkGesture(landmarks, gesture) {
-    // Compute palm center from key palm points
-    const palmIndices = [0, 1, 5, 9, 13, 17];
-    const palm = palmIndices.reduce(
-        (acc, i) => ({ x: acc.x + landmarks[i].x, y: acc.y + landmarks[i].y }),
-        { x: 0, y: 0 }
-    );
-    palm.x /= palmIndices.length;
-    palm.y /= palmIndices.length;
-
-    // Dynamic threshold based on palm-to-middle-Finger-MCP distance
-    const mcpY = landmarks[9].y;
-    const driveDist = Math.abs(mcpY - palm.y);
-    const upThresh   = palm.y - driveDist * 0.5;
-    const downThresh = palm.y + driveDist * 0.3;
-
-    const isUp   = (pt) => pt.y < upThresh;
-    const isDown = (pt) => pt.y > downThresh;
-
-    const [thumbTip, thumbIp, indexTip, middleTip, ringTip, pinkyTip] =
-        [landmarks[4], landmarks[3], landmarks[8], landmarks[12], landmarks[16], landmarks[20]];
-
-    const rules = {
-        open:      isUp(indexTip) && isUp(middleTip) && isUp(ringTip) && isUp(pinkyTip) && Math.abs(thumbTip.x - palm.x) > driveDist * 0.3,
-        two:       isUp(indexTip) && isUp(middleTip) && isDown(ringTip) && isDown(pinkyTip),
-        rock:      isUp(indexTip) && isDown(middleTip) && isDown(ringTip) && isUp(pinkyTip),
-        thumbs_up: isUp(thumbTip) && isDown(indexTip) && isDown(middleTip) && isDown(ringTip) && isDown(pinkyTip),
-        fist:      isDown(indexTip) && isDown(middleTip) && isDown(ringTip) && isDown(pinkyTip) && isDown(thumbTip),
-    };
-
-    return rules[gesture] || false;
-}
+// Passing through a pose does not count: the gesture must be held
+const FILTER_OPTIONS = { holdMs: 300 };
 
 // Main component
-export default function SimonSays() {
+export default function SimonSays(props) {
     const gestureRef = useRef(null);
-    const timerRef   = useRef(Date.now());
+    const timerRef   = useRef(0);
+    const customGesturesRef = useCustomGestures();
 
     const detectFunction = useCallback(
-        async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-            const now = Date.now();
+        async ({ handLandmarker, video, canvas, setScore, recordRound, hold, hud, sound, now, random, params, hand, inputMethod, customGestures }) => {
             const w   = canvas.width;
             const h   = canvas.height;
 
             // Start a new round if needed
-            if (!gestureRef.current || now - timerRef.current > ROUND_TIME * 1000) {
-                gestureRef.current = GESTURES[Math.floor(Math.random() * GESTURES.length)];
+            if (!gestureRef.current || now - timerRef.current > params.roundTime * 1000) {
+                if (gestureRef.current) {
+                    // Round ran out before the gesture was shown
+                    recordRound({ result: "miss", gesture: gestureRef.current, timeMs: now - timerRef.current });
+                    sound.play("wrong");
+                }
+                gestureRef.current = random.pick(playableGestures(customGestures, inputMethod));
                 timerRef.current   = now;
+                sound.speak(gestureLabel(gestureRef.current, customGestures));
             }
 
             // Compute remaining time
-            const timeLeft = Math.max(0, ROUND_TIME - (now - timerRef.current) / 1000);
+            const timeLeft = Math.max(0, params.roundTime - (now - timerRef.current) / 1000);
 
             // Detect hand landmarks
             const results = await handLandmarker.detectForVideo(video, now);
-            if (results?.landmarks?.length) {
-                const lm = results.landmarks[0];
-                if (timeLeft > 0 && checkGesture(lm, gestureRef.current)) {
-                    setScore((s) => s + 1);
-                    // Immediately start next round
-                    gestureRef.current = null;
-                    timerRef.current   = now;
-                }
+            const matched = isGesture(results, gestureRef.current, { aspectRatio: w / h, customGestures });
+            if (hold.update(matched, now) && timeLeft > 0) {
+                recordRound({ result: "hit", gesture: gestureRef.current, timeMs: now - timerRef.current });
+                setScore((s) => s + 1);
+                sound.play("correct");
+                // Immediately start next round
+                gestureRef.current = null;
+                timerRef.current   = now;
             }
 
-            // Draw UI
-            drawTexts(ctx, w, h, gestureRef.current, timeLeft);
+            // Show the instruction (with the required hand, if any) and the timer
+            hud.set({
+                prompt: `Simon Says: ${gestureLabel(gestureRef.current, customGestures) || "Waiting..."}`,
+                detail: hand?.required ? `✋ With your ${HAND_LABELS[hand.required]}` : null,
+                timer: Number(timeLeft.toFixed(1)),
+            });
         },
         []
     );
 
-    return <GameWrapper gameType="SimonSays" detectFunction={detectFunction} />;
+    return (
+        <GameWrapper
+            {...props}
+            gameType="SimonSays"
+            detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
+            customGestures={customGesturesRef}
+            gestureInput
+        />
+    );
 }
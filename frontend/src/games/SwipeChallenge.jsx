@@ -1,23 +1,34 @@
 /**
  * A reaction-based game where the player must swipe in the correct direction.
  * Directions: Left, Right, Up, Down.
+ * Every prompt is recorded as a hit or a miss with the prompted and detected direction.
+ * Landmarks are smoothed so that jitter of a resting hand is not taken for a swipe.
+ * The prompt and the round countdown are shown on the HUD; swipes sound a chime
+ * or a buzz, and the direction can be spoken.
  */
 
 import { drawSelectedKeypoints } from "../utils/drawUtils";
 import GameWrapper from "./GameWrapper";
-import { useRef, useState } from "react";
+import { useRef } from "react";
 
-const ROUND_TIME = 5; // Seconds to complete each swipe
 const DIRECTIONS = ["left", "right", "up", "down"];
+const SWIPE_WINDOW = 600;  // Time in ms a swipe may take
 
-function SwipeChallenge() {
+// Per difficulty: seconds to complete each swipe and fingertip travel (px) that counts as a swipe
+const DIFFICULTY = {
+    easy:   { roundTime: 7, swipeDistance: 60 },
+    normal: { roundTime: 5, swipeDistance: 80 },
+    hard:   { roundTime: 3, swipeDistance: 110 },
+};
+
+// Strong smoothing at rest against jitter swipes, little lag on real swipes
+const FILTER_OPTIONS = { smoothing: { minCutoff: 1, beta: 8 } };
+
+function SwipeChallenge(props) {
     // --- refs to manage swipe detection state ---
     const currentDirectionRef = useRef(null); // Target swipe direction
     const swipeStartRef = useRef(null);        // Starting position of swipe
-    const roundTimerRef = useRef(Date.now());  // Start time of current round
-
-    // --- state to track countdown timer ---
-    const [roundTimeLeft, setRoundTimeLeft] = useState(ROUND_TIME);
+    const roundTimerRef = useRef(0);           // Start time of current round
 
     /**
      * Main per-frame loop:
@@ -26,34 +37,41 @@ function SwipeChallenge() {
      * - Detects swipe direction and compares with target.
      * - Awards score on correct swipe.
      */
-    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore }) => {
-        const now = Date.now();
+    const detectFunction = async ({ handLandmarker, video, canvas, ctx, setScore, recordRound, hud, sound, now, random, params }) => {
         const width = canvas.width;
         const height = canvas.height;
 
         // 1) -- Start New Round if Time Expired
-        if (!currentDirectionRef.current || now - roundTimerRef.current > ROUND_TIME * 1000) {
-            currentDirectionRef.current = randomDirection();
+        const { roundTime, swipeDistance } = params;
+        if (!currentDirectionRef.current || now - roundTimerRef.current > roundTime * 1000) {
+            if (currentDirectionRef.current) {
+                // No swipe before the round ran out
+                recordRound({
+                    result: "miss",
+                    direction: currentDirectionRef.current,
+                    timeMs: now - roundTimerRef.current,
+                });
+                sound.play("wrong");
+            }
+            currentDirectionRef.current = random.pick(DIRECTIONS);
             roundTimerRef.current = now;
+            sound.speak(`Swipe ${currentDirectionRef.current}`);
             swipeStartRef.current = null; // Reset swipe
         }
 
-        // 2) -- Update Countdown Timer
-        setRoundTimeLeft(Math.max(0, ROUND_TIME - Math.floor((now - roundTimerRef.current) / 1000)));
-
-        // 3) -- Detect Hand and Swipe
+        // 2) -- Detect Hand and Swipe
         const results = await handLandmarker.detectForVideo(video, now);
 
         if (results?.landmarks?.length) {
             const landmarks = results.landmarks[0];
             const tip = landmarks[8]; // Index finger tip
-            drawSelectedKeypoints(results.landmarks, ctx, [8], "#ff9f00");
+            drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, [8], "#ff9f00");
 
             const tipX = tip.x * width;
             const tipY = tip.y * height;
 
-            if (!swipeStartRef.current) {
-                // Record starting point
+            if (!swipeStartRef.current || now - swipeStartRef.current.time > SWIPE_WINDOW) {
+                // Record starting point (slow drifts restart it, only quick moves are swipes)
                 swipeStartRef.current = { x: tipX, y: tipY, time: now };
             } else {
                 // Measure swipe movement
@@ -61,13 +79,21 @@ function SwipeChallenge() {
                 const deltaY = tipY - swipeStartRef.current.y;
                 const distance = Math.hypot(deltaX, deltaY);
 
-                if (distance > 80) {
+                if (distance > swipeDistance) {
                     const detectedDirection = getSwipeDirection(deltaX, deltaY);
 
                     // Check if swipe matches prompt
-                    if (detectedDirection === currentDirectionRef.current) {
+                    const isCorrect = detectedDirection === currentDirectionRef.current;
+                    if (isCorrect) {
                         setScore(prev => prev + 1);
                     }
+                    sound.play(isCorrect ? "correct" : "wrong");
+                    recordRound({
+                        result: isCorrect ? "hit" : "miss",
+                        direction: currentDirectionRef.current,
+                        detected: detectedDirection,
+                        timeMs: now - roundTimerRef.current,
+                    });
 
                     // Reset for next round
                     currentDirectionRef.current = null;
@@ -75,17 +101,17 @@ function SwipeChallenge() {
                     roundTimerRef.current = now;
                 }
             }
+        } else {
+            // Hand left the frame: re-entering must not count as a swipe
+            swipeStartRef.current = null;
         }
 
-        // 4) -- Draw Current Prompt Text
-        drawTexts(ctx, width, height, currentDirectionRef.current, roundTimeLeft);
-    };
-
-    /**
-     * Picks a random swipe direction.
-     */
-    const randomDirection = () => {
-        return DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)];
+        // 3) -- Show the prompt and countdown on the HUD
+        const direction = currentDirectionRef.current;
+        hud.set({
+            prompt: direction ? `Swipe ${arrowText(direction)}` : "Get Ready...",
+            timer: Math.max(0, roundTime - Math.floor((now - roundTimerRef.current) / 1000)),
+        });
     };
 
     /**
@@ -99,27 +125,6 @@ function SwipeChallenge() {
         }
     };
 
-    /**
-     * Draws the swipe instruction and countdown timer on screen.
-     */
-    const drawTexts = (ctx, width, height, direction, timeLeft) => {
-        ctx.save();
-        ctx.scale(-1, 1);
-        ctx.translate(-width, 0);
-
-        ctx.font = "32px Arial";
-        ctx.fillStyle = "white";
-        ctx.textAlign = "center";
-
-        const text = direction ? `Swipe ${arrowText(direction)}` : "Get Ready...";
-        ctx.fillText(text, width / 2, height / 2 - 20);
-
-        ctx.font = "24px Arial";
-        ctx.fillText(`Time Left: ${timeLeft}s`, width / 2, height / 2 + 30);
-
-        ctx.restore();
-    };
-
     /**
      * Converts direction to arrow emoji for display.
      */
@@ -133,8 +138,11 @@ function SwipeChallenge() {
 
     return (
         <GameWrapper
+            {...props}
             gameType="SwipeChallenge"
             detectFunction={detectFunction}
+            filterOptions={FILTER_OPTIONS}
+            difficulties={DIFFICULTY}
         />
     );
 }
@@ -0,0 +1,117 @@
+/**
+ * Difficulty levels of the games.
+ *
+ * Every game declares an easy, a normal and a hard parameter set (target sizes,
+ * timings, tolerances, ...) and passes them to GameWrapper as `difficulties`.
+ * The player picks one of the levels, or the adaptive mode, on the start overlay.
+ *
+ * Main Features:
+ * - Fixed levels: the game gets the parameter set of the level.
+ * - Adaptive: starts at normal and moves towards easy or hard after a few
+ *   rounds, based on the player's recent success rate. Numeric parameters
+ *   are interpolated between the sets, so the game gets gradually harder or easier.
+ *
+ * Saved difficulties mirror DIFFICULTIES in backend/config/games.js.
+ */
+
+export const DIFFICULTIES = {
+    easy: { label: "🌱 Easy" },
+    normal: { label: "🎯 Normal" },
+    hard: { label: "🔥 Hard" },
+    adaptive: { label: "📈 Adaptive", description: "Gets harder while you succeed and easier when you struggle." },
+};
+
+// Position of each fixed level on the adaptive scale
+const LEVEL_POSITIONS = { easy: 0, normal: 1, hard: 2 };
+const LEVEL_NAMES = ["Easy", "Normal", "Hard"];
+
+export const ADAPTIVE_WINDOW = 5; // Recent rounds the success rate is computed from
+const ADAPTIVE_MIN_ROUNDS = 3; // Rounds needed before the level changes
+const ADAPTIVE_RAISE_RATE = 0.8; // Success rate at which the game gets harder
+const ADAPTIVE_LOWER_RATE = 0.5; // Success rate below which the game gets easier
+const ADAPTIVE_STEP = 0.25; // Change of the level per adjustment (four steps from normal to hard)
+
+/**
+ * difficultyLabel
+ *
+ * Label of a difficulty; the adaptive one also names the level it has reached.
+ *
+ * @param {string} difficulty - "easy" | "normal" | "hard" | "adaptive"
+ * @param {number} [level] - Current position on the easy (0) → hard (2) scale
+ * @returns {string} Label
+ */
+export function difficultyLabel(difficulty, level = 1) {
+    const { label } = DIFFICULTIES[difficulty] ?? DIFFICULTIES.normal;
+    return difficulty === "adaptive" ? `${label}: ${LEVEL_NAMES[Math.round(level)]}` : label;
+}
+
+/**
+ * interpolateParams
+ *
+ * Parameter set at a position of the easy (0) → normal (1) → hard (2) scale.
+ * Numbers are interpolated (and kept whole when both ends are whole);
+ * other values are taken from the nearest level.
+ *
+ * @param {Object} levels - { easy, normal, hard } parameter sets
+ * @param {number} position - 0 to 2
+ * @returns {Object} Parameter set
+ */
+export function interpolateParams(levels, position) {
+    const lower = position < 1 ? levels.easy : levels.normal;
+    const upper = position < 1 ? levels.normal : levels.hard;
+    const f = position < 1 ? position : position - 1;
+
+    const params = {};
+    Object.keys(levels.normal).forEach(key => {
+        const a = lower[key];
+        const b = upper[key];
+        if (typeof a === "number" && typeof b === "number") {
+            const value = a + (b - a) * f;
+            params[key] = Number.isInteger(a) && Number.isInteger(b) ? Math.round(value) : value;
+        } else {
+            params[key] = f < 0.5 ? a : b;
+        }
+    });
+    return params;
+}
+
+/**
+ * createDifficulty
+ *
+ * Tracks the parameter set of a game at the chosen difficulty.
+ *
+ * @param {Object|null} levels - The game's { easy, normal, hard } parameter sets (null: none)
+ * @param {string} [difficulty] - "easy" | "normal" | "hard" | "adaptive"
+ * @returns {{params: Function, recordResult: Function, level: Function}}
+ *   params() → current parameter set, recordResult("hit"|"miss") after every round,
+ *   level() → current position on the easy (0) → hard (2) scale
+ */
+export function createDifficulty(levels, difficulty = "normal") {
+    const adaptive = difficulty === "adaptive";
+    let position = LEVEL_POSITIONS[difficulty] ?? LEVEL_POSITIONS.normal;
+    let params = levels ? interpolateParams(levels, position) : {};
+    let results = []; // Recent round results since the last adjustment
+
+    const recordResult = (result) => {
+        if (!adaptive || !levels) return;
+        results = [...results, result].slice(-ADAPTIVE_WINDOW);
+        if (results.length < ADAPTIVE_MIN_ROUNDS) return;
+
+        const rate = results.filter(r => r === "hit").length / results.length;
+        let next = position;
+        if (rate >= ADAPTIVE_RAISE_RATE) next = Math.min(2, position + ADAPTIVE_STEP);
+        else if (rate < ADAPTIVE_LOWER_RATE) next = Math.max(0, position - ADAPTIVE_STEP);
+
+        if (next !== position) {
+            position = next;
+            params = interpolateParams(levels, position);
+            results = []; // The new level is judged on fresh rounds
+        }
+    };
+
+    return {
+        params: () => params,
+        recordResult,
+        level: () => position,
+    };
+}
@@ -0,0 +1,64 @@
+import { createDifficulty, interpolateParams } from "./difficulty";
+import { createGameRunner } from "./gameRunner";
+
+describe("difficulty", () => {
+    const levels = {
+        easy: { count: 2, interval: 3000, shape: "circle" },
+        normal: { count: 4, interval: 2000, shape: "circle" },
+        hard: { count: 6, interval: 1000, shape: "square" },
+    };
+
+    test("fixed levels use their parameter set", () => {
+        expect(createDifficulty(levels, "easy").params()).toEqual(levels.easy);
+        expect(createDifficulty(levels, "hard").params()).toEqual(levels.hard);
+        expect(createDifficulty(levels).params()).toEqual(levels.normal);
+    });
+
+    test("interpolates numbers between levels, keeping whole numbers whole", () => {
+        expect(interpolateParams(levels, 1.25)).toEqual({ count: 5, interval: 1750, shape: "circle" });
+        expect(interpolateParams(levels, 0.5)).toEqual({ count: 3, interval: 2500, shape: "circle" });
+        expect(interpolateParams(levels, 1.75).shape).toBe("square");
+    });
+
+    test("adaptive gets harder on success and easier on failure", () => {
+        const difficulty = createDifficulty(levels, "adaptive");
+        ["hit", "hit", "hit"].forEach(difficulty.recordResult);
+        expect(difficulty.level()).toBe(1.25);
+        expect(difficulty.params().count).toBe(5);
+
+        ["miss", "miss"].forEach(difficulty.recordResult);
+        expect(difficulty.level()).toBe(1.25); // Too few rounds since the last change
+        difficulty.recordResult("miss");
+        expect(difficulty.level()).toBe(1);
+
+        ["miss", "miss", "miss", "miss", "miss", "miss", "miss", "miss", "miss", "miss", "miss", "miss"].forEach(difficulty.recordResult);
+        expect(difficulty.level()).toBe(0);
+    });
+
+    test("fixed levels do not adapt", () => {
+        const difficulty = createDifficulty(levels, "normal");
+        ["hit", "hit", "hit", "hit", "hit"].forEach(difficulty.recordResult);
+        expect(difficulty.level()).toBe(1);
+    });
+
+    test("the runner passes the current parameters and reports level changes", async () => {
+        const seen = [];
+        const onLevel = jest.fn();
+        const runner = createGameRunner({
+            detectFunction: ({ params, recordRound }) => {
+                seen.push(params.count);
+                recordRound({ result: "hit" });
+            },
+            source: { detectForVideo: () => ({ landmarks: [], handedness: [] }) },
+            difficulties: levels,
+            difficulty: "adaptive",
+            onLevel,
+        });
+        for (let now = 1; now <= 4; now++) {
+            await runner.step({ video: null, canvas: { width: 100, height: 100 }, ctx: null, now });
+        }
+        expect(seen).toEqual([4, 4, 4, 5]);
+        expect(onLevel.mock.calls).toEqual([[1.25]]);
+        expect(runner.getRecording().difficulty).toBe("adaptive");
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Collects the structured details of a single game:
+ * - One entry per round ({ result: "hit" | "miss", timeMs?, ...game-specific fields })
+ * - Game-specific summary values (e.g., maxSequenceLength)
+ * - Played duration and number of misses
+ *
+ * The snapshot is sent with the final score and validated by the backend
+ * against the game's details schema. Endless games can play more rounds than the
+ * backend accepts: the snapshot then keeps the latest MAX_ROUNDS rounds and sums up
+ * the older ones in droppedRounds and droppedHits, so a long run is never rejected.
+ */
+
+export const MAX_ROUNDS = 1000; // Rounds sent with a score (the backend's limit for details.rounds)
+
+/**
+ * createDetailsTracker
+ *
+ * Creates a tracker for the details of one game.
+ *
+ * @returns {Object} Tracker with start, recordRound, setDetail and snapshot methods
+ */
+export function createDetailsTracker() {
+    let rounds = [];
+    let summary = {};
+    let startedAt = 0;
+
+    return {
+        /**
+         * Resets the tracker at the start of a game.
+         *
+         * @param {number} now - Start time (ms)
+         */
+        start(now) {
+            rounds = [];
+            summary = {};
+            startedAt = now;
+        },
+
+        /**
+         * Records the outcome of one round.
+         *
+         * @param {Object} round - { result: "hit" | "miss", timeMs?, ...game-specific fields }
+         */
+        recordRound(round) {
+            rounds.push(round);
+        },
+
+        /**
+         * Sets a game-specific summary value.
+         *
+         * @param {string} key - Summary field name
+         * @param {*} value - Field value
+         */
+        setDetail(key, value) {
+            summary[key] = value;
+        },
+
+        /**
+         * Returns the details collected so far.
+         *
+         * @param {number} now - End time (ms)
+         * @returns {Object} { durationMs, misses, rounds, droppedRounds?, droppedHits?, ...summary }
+         */
+        snapshot(now) {
+            const dropped = rounds.slice(0, Math.max(0, rounds.length - MAX_ROUNDS));
+            return {
+                ...summary,
+                durationMs: Math.max(0, Math.round(now - startedAt)),
+                misses: rounds.filter(round => round.result === "miss").length,
+                rounds: rounds.slice(dropped.length),
+                ...(dropped.length && {
+                    droppedRounds: dropped.length,
+                    droppedHits: dropped.filter(round => round.result === "hit").length,
+                }),
+            };
+        },
+    };
+}
@@ -0,0 +1,33 @@
+import { createDetailsTracker, MAX_ROUNDS } from "./gameDetails";
+
+describe("createDetailsTracker", () => {
+    test("reports every round, the misses and the played duration", () => {
+        const tracker = createDetailsTracker();
+        tracker.start(1000);
+        tracker.recordRound({ result: "hit", timeMs: 400 });
+        tracker.recordRound({ result: "miss" });
+        tracker.setDetail("maxSequenceLength", 3);
+
+        expect(tracker.snapshot(3500)).toEqual({
+            maxSequenceLength: 3,
+            durationMs: 2500,
+            misses: 1,
+            rounds: [{ result: "hit", timeMs: 400 }, { result: "miss" }],
+        });
+    });
+
+    test("sums up the oldest rounds of long runs instead of sending them all", () => {
+        const tracker = createDetailsTracker();
+        tracker.start(0);
+        for (let i = 0; i < MAX_ROUNDS + 10; i++) {
+            tracker.recordRound({ result: i % 2 ? "miss" : "hit", index: i });
+        }
+
+        const details = tracker.snapshot(60000);
+        expect(details.rounds).toHaveLength(MAX_ROUNDS);
+        expect(details.rounds[0].index).toBe(10); // The latest rounds are kept
+        expect(details.droppedRounds).toBe(10);
+        expect(details.droppedHits).toBe(5);
+        expect(details.misses).toBe((MAX_ROUNDS + 10) / 2); // Misses count every round
+    });
+});
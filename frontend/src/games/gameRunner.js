@@ -0,0 +1,232 @@
+/**
+ * Runs one game: calls the game's detectFunction once per frame with
+ * everything it needs, and records the game as it is played.
+ *
+ * Main Features:
+ * - Passes the filtered landmarker, the frame time (now), a seeded random
+ *   source, score and round-detail callbacks, the hold/hit-test helpers,
+ *   the HUD the game publishes its text to (see hud.js) and a sound player
+ *   (see utils/audio.js).
+ * - Keeps the score, so it can run without React (e.g. in Jest); in two-player
+ *   games, a score per player (setPlayerScore).
+ * - Applies the player's hand settings (hand): games see the dominant hand
+ *   first, or only the hand the game requires.
+ * - Passes the player's custom gestures (customGestures) and records them, so
+ *   a replay prompts and recognizes the recorded player's gestures.
+ * - Passes the parameter set of the chosen difficulty (params), adapting it
+ *   to the player's success rate in the adaptive difficulty.
+ * - Keeps the player's lives in modes that have them: every round recorded
+ *   as a miss costs a life, and games can call loseLife() for other mistakes.
+ * - Records the raw landmarker results of every frame with its timestamp;
+ *   replaying the recording with the same seed reproduces the game exactly.
+ *
+ * Used by GameWrapper for live play and by playback.js for replays.
+ */
+
+import { resolveFilterOptions, createDetectionPipeline, createHoldDetector, createHitTest } from "../utils/filters";
+import { createRandom, randomSeed } from "../utils/random";
+import { createDetailsTracker } from "./gameDetails";
+import { createDifficulty } from "./difficulty";
+import { createHud } from "./hud";
+import { SILENT_SOUND } from "../utils/audio";
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * createGameRunner
+ *
+ * @param {Object} params
+ * @param {Function} params.detectFunction - The game's per-frame function
+ * @param {Object} params.source - Input source with detectForVideo(video, timestamp)
+ * @param {string} [params.gameType] - Game id, stored in the recording
+ * @param {Object} [params.filterOptions] - Game-specific filtering settings
+ * @param {number} [params.seed] - Seed of the random source (new seed if omitted)
+ * @param {string} [params.inputMethod] - "hand" | "pointer" | "keyboard"
+ * @param {string} [params.mode] - Game mode (see modes.js), stored in the recording
+ * @param {number|null} [params.duration] - Seconds of a timed game, stored in the recording
+ * @param {number|null} [params.lives] - Lives at the start (null: mistakes cost nothing)
+ * @param {Object|null} [params.difficulties] - The game's { easy, normal, hard } parameter sets
+ * @param {string} [params.difficulty] - "easy" | "normal" | "hard" | "adaptive"
+ * @param {number} [params.players] - Players sharing the camera (1 or 2), stored in the recording
+ * @param {Object|null} [params.hand] - The player's hand settings ({ dominant, required }, see utils/handTracking.js),
+ *   stored in the recording; ignored in two-player games
+ * @param {Array} [params.customGestures] - The player's custom gestures ({ _id, name, samples }), stored in the recording
+ * @param {Object} [params.hud] - HUD store the game publishes to (see hud.js; a new one if omitted)
+ * @param {Object} [params.sound] - Sound player for the game's sound effects (silent if omitted)
+ * @param {Function} [params.onScore] - Called with the new score whenever it changes
+ * @param {Function} [params.onLives] - Called with the lives left whenever they change
+ * @param {Function} [params.onLevel] - Called with the new level whenever the adaptive difficulty changes it
+ * @param {Function} [params.onPlayerScores] - Called with the scores of all players whenever one changes
+ * @returns {Object} Runner ({ start, step, getScore, getPlayerScores, getLives, getLevel, finish, getRecording })
+ */
+export function createGameRunner({
+    detectFunction,
+    source,
+    gameType = null,
+    filterOptions,
+    seed = randomSeed(),
+    inputMethod = "hand",
+    mode = "timed",
+    duration = null,
+    lives: startLives = null,
+    difficulties = null,
+    difficulty = "normal",
+    players = 1,
+    hand = null,
+    customGestures = [],
+    hud = createHud(),
+    sound = SILENT_SOUND,
+    onScore,
+    onLives,
+    onLevel,
+    onPlayerScores,
+}) {
+    const options = resolveFilterOptions(filterOptions);
+    const frames = []; // Recorded frames ({ t, results? }), t relative to the start
+    let frame = null; // Frame being played
+    let startedAt = null; // Time of the first frame
+    let lastNow = null; // Time of the latest frame
+    let size = null; // Canvas size of the recording
+    let score = 0;
+    let playerScores = Array(players).fill(0);
+    let lives = startLives;
+
+    // Records the raw results (before filtering) of the frame being played
+    const recordingSource = {
+        async detectForVideo(video, timestamp) {
+            const results = await source.detectForVideo(video, timestamp);
+            if (frame) {
+                frame.results = { landmarks: results?.landmarks ?? [], handedness: results?.handedness ?? [] };
+            }
+            return results;
+        },
+    };
+
+    const playerHand = players > 1 ? null : hand; // Each player plays with whichever hand they like
+    const pipeline = createDetectionPipeline(recordingSource, options, playerHand);
+    const hold = createHoldDetector({ holdMs: options.holdMs });
+    const hitTest = createHitTest(options.hitTest);
+    const details = createDetailsTracker();
+    const random = createRandom(seed);
+    const level = createDifficulty(difficulties, difficulty);
+
+    /** Same contract as a React state setter: a value or an updater function */
+    const setScore = (update) => {
+        score = typeof update === "function" ? update(score) : update;
+        onScore?.(score);
+    };
+
+    /** Same contract for the score of one player (1-based) */
+    const setPlayerScore = (player, update) => {
+        const current = playerScores[player - 1];
+        if (current === undefined) return;
+        playerScores = playerScores.map((value, i) =>
+            (i === player - 1 ? (typeof update === "function" ? update(current) : update) : value));
+        onPlayerScores?.(playerScores);
+    };
+
+    /** Costs the player a life, when the mode has lives */
+    const loseLife = () => {
+        if (lives === null || lives === 0) return;
+        lives -= 1;
+        onLives?.(lives);
+    };
+
+    /** A missed round is a mistake; every round counts towards the adaptive difficulty */
+    const recordRound = (round) => {
+        details.recordRound(round);
+        const before = level.level();
+        level.recordResult(round?.result);
+        if (level.level() !== before) onLevel?.(level.level());
+        if (round?.result === "miss") loseLife();
+    };
+
+    /** Starts the game clock and the round details at the given time (ms) */
+    const start = (now) => {
+        startedAt = now;
+        lastNow = now;
+        details.start(now);
+    };
+
+    return {
+        start,
+
+        /**
+         * Plays one frame.
+         *
+         * @param {Object} frameInput - { video, canvas, ctx, now }
+         * @returns {Promise<Object|null>} Raw landmarker results of the frame (null when the game did not run detection)
+         */
+        async step({ video, canvas, ctx, now }) {
+            if (startedAt === null) start(now);
+            size ??= { width: canvas.width, height: canvas.height };
+            lastNow = now;
+            const played = { t: now - startedAt };
+            frame = played;
+            frames.push(played);
+
+            await detectFunction({
+                handLandmarker: pipeline,
+                video,
+                canvas,
+                ctx,
+                now,
+                random,
+                params: level.params(),
+                players,
+                hand: playerHand,
+                customGestures,
+                setScore,
+                setPlayerScore,
+                recordRound,
+                setDetail: details.setDetail,
+                loseLife,
+                hold,
+                hitTest,
+                hud,
+                sound,
+                inputMethod,
+            });
+            frame = null;
+            return played.results ?? null;
+        },
+
+        getScore: () => score,
+
+        /** Score of every player, player 1 first */
+        getPlayerScores: () => playerScores,
+
+        /** Lives left (null when the mode has none); 0 means the game is over */
+        getLives: () => lives,
+
+        /** Position on the easy (0) → normal (1) → hard (2) scale */
+        getLevel: () => level.level(),
+
+        /** Round details of the game, up to the latest frame */
+        finish: () => details.snapshot(lastNow ?? 0),
+
+        /**
+         * The game as played so far:
+         * { version, gameType, inputMethod, mode, duration, lives, difficulty, players, hand, customGestures, seed, width, height, startedAt, score, frames: [{ t, results? }] }
+         * Frames without results are frames in which the game did not run detection.
+         */
+        getRecording: () => ({
+            version: RECORDING_VERSION,
+            gameType,
+            inputMethod,
+            mode,
+            duration,
+            lives: startLives,
+            difficulty,
+            players,
+            hand: playerHand,
+            customGestures,
+            seed: random.seed,
+            width: size?.width ?? 0,
+            height: size?.height ?? 0,
+            startedAt,
+            score,
+            frames,
+        }),
+    };
+}
@@ -0,0 +1,39 @@
+import { createGameRunner } from "./gameRunner";
+
+describe("createGameRunner lives", () => {
+    const step = (runner, now) => runner.step({ video: null, canvas: { width: 100, height: 100 }, ctx: null, now });
+    const source = { detectForVideo: () => ({ landmarks: [], handedness: [] }) };
+
+    test("missed rounds and loseLife() cost a life, down to zero", async () => {
+        const onLives = jest.fn();
+        const runner = createGameRunner({
+            detectFunction: ({ recordRound, loseLife, now }) => {
+                if (now === 1) recordRound({ result: "hit" });
+                if (now === 2) recordRound({ result: "miss" });
+                if (now >= 3) loseLife();
+            },
+            source,
+            lives: 2,
+            onLives,
+        });
+
+        await step(runner, 1);
+        expect(runner.getLives()).toBe(2);
+        await step(runner, 2);
+        expect(runner.getLives()).toBe(1);
+        await step(runner, 3);
+        await step(runner, 4);
+        expect(runner.getLives()).toBe(0);
+        expect(onLives.mock.calls).toEqual([[1], [0]]);
+        expect(runner.getRecording().lives).toBe(2);
+    });
+
+    test("mistakes cost nothing without lives", async () => {
+        const runner = createGameRunner({
+            detectFunction: ({ recordRound }) => recordRound({ result: "miss" }),
+            source,
+        });
+        await step(runner, 1);
+        expect(runner.getLives()).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * HUD layer: the text a game shows over the camera image.
+ *
+ * Games publish their prompt, timers, counters and feedback through the `hud`
+ * argument of their detectFunction instead of drawing text on the mirrored
+ * canvas; GameWrapper renders it as DOM (see components/GameHud.jsx), which reads
+ * the right way round and is announced by screen readers.
+ *
+ * Main Features:
+ * - hud.set(fields) updates some fields and keeps the others:
+ *   - prompt {string|null}: The main instruction ("Swipe ⬅️")
+ *   - detail {string|null}: A second line under it ("✋ With your left hand")
+ *   - timer {number|null}: Seconds left in the round, as shown (round it first)
+ *   - step {{ current, total }|null}: Progress through a sequence
+ *   - message {{ text, tone: "info"|"success"|"error" }|null}: Feedback shown at the top
+ *   - players {{ 1: string, 2: string }|null}: A label over each player's half in two-player games
+ * - Only changes reach the screen: games may publish every frame, and the HUD
+ *   re-renders only when a shown value differs.
+ * - hud.reset() clears every field (GameWrapper does so when a game starts).
+ */
+
+export const HUD_FIELDS = ["prompt", "detail", "timer", "step", "message", "players"];
+export const HUD_TONES = ["info", "success", "error"];
+
+const EMPTY = Object.freeze(Object.fromEntries(HUD_FIELDS.map(field => [field, null])));
+
+/**
+ * sameValue
+ *
+ * @param {*} a - Shown value of a field
+ * @param {*} b - New value of the field
+ * @returns {boolean} True if both show the same (objects are compared one level deep)
+ */
+const sameValue = (a, b) => {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * createHud
+ *
+ * @returns {{set: Function, reset: Function, getSnapshot: Function, subscribe: Function}} HUD store
+ *   (getSnapshot and subscribe follow React's useSyncExternalStore contract)
+ */
+export function createHud() {
+    let state = EMPTY;
+    const listeners = new Set();
+
+    const update = (next) => {
+        state = next;
+        listeners.forEach(listener => listener());
+    };
+
+    /** Updates the given fields (see above); unknown fields are ignored */
+    const set = (fields) => {
+        let next = state;
+        HUD_FIELDS.forEach(field => {
+            if (!(field in fields)) return;
+            const value = fields[field] ?? null;
+            if (sameValue(next[field], value)) return;
+            if (next === state) next = { ...state };
+            next[field] = value;
+        });
+        if (next !== state) update(next);
+    };
+
+    const reset = () => {
+        if (state !== EMPTY) update(EMPTY);
+    };
+
+    const getSnapshot = () => state;
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    return { set, reset, getSnapshot, subscribe };
+}
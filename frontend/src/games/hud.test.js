@@ -0,0 +1,53 @@
+import { createHud, HUD_FIELDS } from "./hud";
+
+describe("createHud", () => {
+    test("starts with every field empty", () => {
+        const hud = createHud();
+        expect(Object.keys(hud.getSnapshot())).toEqual(HUD_FIELDS);
+        expect(Object.values(hud.getSnapshot()).every(value => value === null)).toBe(true);
+    });
+
+    test("set updates the given fields and keeps the others", () => {
+        const hud = createHud();
+        hud.set({ prompt: "Swipe ⬅️", timer: 3 });
+        hud.set({ timer: 2, unknown: "ignored" });
+        expect(hud.getSnapshot()).toMatchObject({ prompt: "Swipe ⬅️", timer: 2, detail: null });
+        expect(hud.getSnapshot()).not.toHaveProperty("unknown");
+        hud.set({ prompt: undefined });
+        expect(hud.getSnapshot().prompt).toBeNull();
+    });
+
+    test("notifies subscribers of changes only", () => {
+        const hud = createHud();
+        const listener = jest.fn();
+        const unsubscribe = hud.subscribe(listener);
+
+        hud.set({ step: { current: 1, total: 4 }, message: { text: "Nice!", tone: "success" } });
+        const snapshot = hud.getSnapshot();
+        hud.set({ step: { current: 1, total: 4 }, message: { text: "Nice!", tone: "success" } }); // Same values, new objects
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(hud.getSnapshot()).toBe(snapshot);
+
+        hud.set({ step: { current: 2, total: 4 } });
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(snapshot.step).toEqual({ current: 1, total: 4 }); // Snapshots are not changed afterwards
+
+        unsubscribe();
+        hud.set({ prompt: "Unheard" });
+        expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test("reset clears every field, notifying only when something was shown", () => {
+        const hud = createHud();
+        const listener = jest.fn();
+        hud.subscribe(listener);
+
+        hud.reset();
+        expect(listener).not.toHaveBeenCalled();
+
+        hud.set({ prompt: "Show ✌️", players: { 1: "Player 1", 2: "Player 2" } });
+        hud.reset();
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(Object.values(hud.getSnapshot()).every(value => value === null)).toBe(true);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Game modes offered by GameWrapper on the start overlay.
+ *
+ * - timed: Time attack, the game lasts one of TIMED_DURATIONS seconds
+ * - endless: No timer, every mistake costs one of the player's lives
+ * - sudden_death: No timer, the first mistake ends the game
+ * - practice: No timer and no lives; the score is not saved
+ *
+ * Saved modes mirror GAME_MODES in backend/config/games.js.
+ */
+
+export const TIMED_DURATIONS = [30, 60, 90, 120];
+
+export const GAME_MODES = {
+    timed: {
+        label: "⏱️ Time attack",
+        description: "Score as much as you can before the time runs out.",
+        timed: true,
+        lives: null,
+        saved: true,
+    },
+    endless: {
+        label: "♾️ Endless",
+        description: "No timer — every mistake costs a life. The game ends when all lives are gone.",
+        timed: false,
+        lives: 3,
+        saved: true,
+    },
+    sudden_death: {
+        label: "💀 Sudden death",
+        description: "No timer — your first mistake ends the game.",
+        timed: false,
+        lives: 1,
+        saved: true,
+    },
+    practice: {
+        label: "🎯 Practice",
+        description: "No timer and no lives. End whenever you like — the score is not saved.",
+        timed: false,
+        lives: null,
+        saved: false,
+    },
+};
+
+/**
+ * modeLabel
+ *
+ * Short label of a saved score's mode, e.g. "⏱️ Time attack 30s".
+ *
+ * @param {string} [mode] - Mode of the score (none: timed)
+ * @param {number} [duration] - Seconds of a timed game
+ * @returns {string} Display label
+ */
+export const modeLabel = (mode = "timed", duration) => {
+    const label = GAME_MODES[mode]?.label ?? mode;
+    return mode === "timed" && duration ? `${label} ${duration}s` : label;
+};
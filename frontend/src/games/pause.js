@@ -0,0 +1,133 @@
+/**
+ * Pausing a running game.
+ *
+ * Games take all their time from the game clock (the `now` argument), so stopping
+ * the clock freezes the game timer and every game-specific timer (round timers,
+ * spawn intervals, flashes) at once.
+ *
+ * Main Features:
+ * - Game clock: real time minus the time spent paused.
+ * - Pause detector for hand tracking: pauses when no hand has been seen for a while,
+ *   when the open palm is held as a pause gesture, or when the camera stops sending frames.
+ *   Games played with gestures turn the pause gesture off, as the open palm is one of
+ *   the gestures they prompt.
+ * - Labels of the reasons a game was paused.
+ */
+
+import { isGesture } from "../utils/gestures";
+
+export const NO_HAND_MS = 5000; // Detection without a hand for this long pauses the game
+export const PAUSE_GESTURE = "open"; // Held open palm pauses the game
+export const PAUSE_GESTURE_MS = 2000; // How long the pause gesture must be held
+export const CAMERA_STALL_MS = 2000; // A camera without new frames for this long pauses the game
+export const RESUME_COUNTDOWN = 3; // Seconds counted down before the game resumes
+
+// Why a game was paused
+export const PAUSE_REASONS = {
+    manual: "Game paused.",
+    hidden: "Paused while you were away from the game.",
+    no_hand: "Paused — no hand in view. Show your hand to the camera, then resume.",
+    gesture: "Paused by holding your open palm.",
+    camera: "Paused — the camera stopped sending pictures.",
+};
+
+/**
+ * createGameClock
+ *
+ * Game time that stands still while the game is paused.
+ * Successive readings always increase, as the hand model requires.
+ *
+ * @returns {{now: Function, pause: Function, resume: Function, isPaused: Function}}
+ *   now(realNow) → game time, pause(realNow), resume(realNow), isPaused()
+ */
+export function createGameClock() {
+    let pausedTotal = 0; // Time spent paused before the current pause (ms)
+    let pausedAt = null; // Real time the current pause began
+    let last = -Infinity; // Latest game time handed out
+
+    return {
+        now(realNow) {
+            const time = (pausedAt ?? realNow) - pausedTotal;
+            last = Math.max(time, last + 1);
+            return last;
+        },
+        pause(realNow) {
+            pausedAt ??= realNow;
+        },
+        resume(realNow) {
+            if (pausedAt === null) return;
+            pausedTotal += realNow - pausedAt;
+            pausedAt = null;
+        },
+        isPaused: () => pausedAt !== null,
+    };
+}
+
+/**
+ * createPauseDetector
+ *
+ * Watches the frames of a hand-tracked game for reasons to pause it.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.noHandMs] - Time without a hand before pausing
+ * @param {string|null} [options.gesture] - Pause gesture (null turns pausing by gesture off)
+ * @param {number} [options.gestureMs] - Time the pause gesture must be held
+ * @param {number} [options.stallMs] - Time without a new camera frame before pausing
+ * @returns {{update: Function, reset: Function}}
+ *   update({ now, results, videoTime, aspectRatio }) → "no_hand" | "gesture" | "camera" | null;
+ *   results is null for frames in which the game did not run detection.
+ *   reset() starts watching afresh (after resuming).
+ */
+export function createPauseDetector({
+    noHandMs = NO_HAND_MS,
+    gesture = PAUSE_GESTURE,
+    gestureMs = PAUSE_GESTURE_MS,
+    stallMs = CAMERA_STALL_MS,
+} = {}) {
+    let missingSince = null; // Start of the current run of detections without a hand
+    let gestureSince = null; // Start of the current pause gesture
+    let videoTime = null; // Latest camera frame time
+    let videoChangedAt = null; // When the camera last sent a new frame
+
+    const reset = () => {
+        missingSince = null;
+        gestureSince = null;
+        videoTime = null;
+        videoChangedAt = null;
+    };
+
+    const update = ({ now, results, videoTime: frameTime, aspectRatio = 1 }) => {
+        if (frameTime !== undefined) {
+            if (frameTime !== videoTime) {
+                videoTime = frameTime;
+                videoChangedAt = now;
+            } else if (now - videoChangedAt >= stallMs) {
+                return "camera";
+            }
+        }
+
+        // Only frames in which the game looked for a hand tell whether one is there
+        if (!results) {
+            missingSince = null;
+            gestureSince = null;
+            return null;
+        }
+
+        if (!results.landmarks?.length) {
+            missingSince ??= now;
+            gestureSince = null;
+            return now - missingSince >= noHandMs ? "no_hand" : null;
+        }
+        missingSince = null;
+
+        if (gesture && isGesture(results, gesture, { aspectRatio })) {
+            gestureSince ??= now;
+            if (now - gestureSince >= gestureMs) return "gesture";
+        } else {
+            gestureSince = null;
+        }
+        return null;
+    };
+
+    return { update, reset };
+}
@@ -0,0 +1,89 @@
+import { render } from "@testing-library/react";
+import { createGameClock, createPauseDetector } from "./pause";
+import SimonSays from "./SimonSays";
+import MemoryMatch from "./MemoryMatch";
+import QuickReaction from "./QuickReaction";
+import handPoses from "../utils/__fixtures__/handPoses.json";
+
+// The games only declare their input to GameWrapper; capture its props instead of rendering it
+let wrapperProps = null;
+jest.mock("./GameWrapper", () => (props) => {
+    wrapperProps = props;
+    return null;
+});
+
+jest.mock("../hooks/useCustomGestures", () => jest.fn(() => ({ current: [] })));
+
+describe("pause", () => {
+    test("the game clock stands still while paused", () => {
+        const clock = createGameClock();
+        expect(clock.now(1000)).toBe(1000);
+        clock.pause(1500);
+        expect(clock.isPaused()).toBe(true);
+        clock.resume(9500);
+        expect(clock.isPaused()).toBe(false);
+        expect(clock.now(10000)).toBe(2000);
+    });
+
+    test("game time always increases", () => {
+        const clock = createGameClock();
+        clock.now(1000);
+        clock.pause(1000);
+        clock.resume(2000);
+        expect(clock.now(2000)).toBe(1001);
+    });
+
+    const hand = { landmarks: [[{ x: 0, y: 0, z: 0 }]], handedness: [] };
+    const noHand = { landmarks: [], handedness: [] };
+
+    test("pauses after a while of detections without a hand", () => {
+        const detector = createPauseDetector({ noHandMs: 1000 });
+        expect(detector.update({ now: 0, results: noHand })).toBeNull();
+        expect(detector.update({ now: 500, results: null })).toBeNull(); // No detection: starts over
+        expect(detector.update({ now: 600, results: noHand })).toBeNull();
+        expect(detector.update({ now: 1500, results: hand })).toBeNull();
+        expect(detector.update({ now: 1600, results: noHand })).toBeNull();
+        expect(detector.update({ now: 2600, results: noHand })).toBe("no_hand");
+        detector.reset();
+        expect(detector.update({ now: 2700, results: noHand })).toBeNull();
+    });
+
+    test("pauses when the open palm is held", () => {
+        const palm = handPoses.find(f => f.gesture === "open");
+        const fist = handPoses.find(f => f.gesture === "fist");
+        const detector = createPauseDetector({ gestureMs: 1000 });
+        const update = (now, pose) => detector.update({ now, results: pose.results, aspectRatio: pose.aspectRatio });
+        expect(update(0, palm)).toBeNull();
+        expect(update(500, fist)).toBeNull();
+        expect(update(600, palm)).toBeNull();
+        expect(update(1600, palm)).toBe("gesture");
+    });
+
+    test("does not pause on the open palm when the pause gesture is off", () => {
+        const palm = handPoses.find(f => f.gesture === "open");
+        const detector = createPauseDetector({ gesture: null, gestureMs: 1000 });
+        const update = (now) => detector.update({ now, results: palm.results, aspectRatio: palm.aspectRatio });
+        expect(update(0)).toBeNull();
+        expect(update(5000)).toBeNull();
+    });
+
+    test("pauses when the camera stops sending frames", () => {
+        const detector = createPauseDetector({ stallMs: 1000 });
+        expect(detector.update({ now: 0, results: hand, videoTime: 1 })).toBeNull();
+        expect(detector.update({ now: 800, results: hand, videoTime: 1 })).toBeNull();
+        expect(detector.update({ now: 900, results: hand, videoTime: 2 })).toBeNull();
+        expect(detector.update({ now: 1900, results: hand, videoTime: 2 })).toBe("camera");
+    });
+});
+
+describe("the pause gesture", () => {
+    test.each([
+        ["SimonSays", SimonSays, true],
+        ["MemoryMatch", MemoryMatch, true],
+        ["QuickReaction", QuickReaction, undefined],
+    ])("%s declares whether it is played with gestures", (name, Game, gestureInput) => {
+        const { unmount } = render(<Game />);
+        expect(wrapperProps.gestureInput).toBe(gestureInput);
+        unmount();
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Playback of recorded games (see gameRunner.js for the recording format).
+ *
+ * Main Features:
+ * - A HandLandmarker stand-in that returns the recorded results for each timestamp.
+ * - A canvas context that ignores drawing, for running games without a browser.
+ * - replayRecording: plays a recording through a game's detectFunction and
+ *   returns the final score and details, e.g. to check in Jest that a
+ *   recorded session still reaches the same score.
+ * - Conversion between recordings and replays, the downsampled form uploaded
+ *   with a score (see backend/utils/validateReplay.js).
+ */
+
+import { createGameRunner, RECORDING_VERSION } from "./gameRunner";
+import { GAME_MODES } from "./modes";
+
+export const REPLAY_VERSION = 1;
+const REPLAY_FPS = 15; // Sample rate of uploaded replays
+const REPLAY_PRECISION = 4; // Decimals kept per landmark coordinate
+const REPLAY_MAX_HANDS = 2;
+const REPLAY_MAX_FRAMES = 1200; // Long (untimed) games are sampled more sparsely
+
+const NO_HAND = { landmarks: [], handedness: [] };
+
+/**
+ * createPlaybackLandmarker
+ *
+ * Stand-in for MediaPipe's HandLandmarker that plays back a recording.
+ * detectForVideo returns the results of the latest recorded frame at or before
+ * the timestamp (the video argument is ignored).
+ *
+ * @param {Object} recording - Recording from createGameRunner().getRecording()
+ * @returns {{detectForVideo: Function}} Playback landmarker
+ */
+export function createPlaybackLandmarker(recording) {
+    const frames = recording.frames.filter(frame => frame.results);
+    let index = 0;
+
+    return {
+        detectForVideo(video, timestamp) {
+            const t = timestamp - recording.startedAt;
+            if (index > 0 && frames[index].t > t) index = 0; // Played back from an earlier point
+            while (index + 1 < frames.length && frames[index + 1].t <= t) index++;
+            const frame = frames[index];
+            return frame && frame.t <= t ? frame.results : NO_HAND;
+        },
+    };
+}
+
+/**
+ * createNullContext
+ *
+ * A 2D canvas context whose drawing methods do nothing. Property writes
+ * (fillStyle, font, ...) are kept, so reading them back works.
+ *
+ * @param {{width: number, height: number}} canvas - Canvas size
+ * @returns {Object} Context usable by the games' drawing code
+ */
+export function createNullContext(canvas) {
+    const noop = () => {};
+    return new Proxy({}, {
+        get: (target, prop) => {
+            if (prop === "canvas") return canvas;
+            return prop in target ? target[prop] : noop;
+        },
+        set: (target, prop, value) => {
+            target[prop] = value;
+            return true;
+        },
+    });
+}
+
+/**
+ * replayRecording
+ *
+ * Plays every recorded frame, at its recorded time, through a game's detectFunction.
+ *
+ * @param {Object} params
+ * @param {Function} params.detectFunction - The game's per-frame function
+ * @param {Object} params.recording - Recording to play
+ * @param {Object} [params.filterOptions] - The game's filtering settings
+ * @param {Object} [params.difficulties] - The game's difficulty parameter sets
+ * @param {Object} [params.ctx] - Canvas context (default: createNullContext)
+ * @returns {Promise<{score: number, playerScores: number[], details: Object}>} Final score, score per player and round details
+ */
+export async function replayRecording({ detectFunction, recording, filterOptions, difficulties, ctx }) {
+    const canvas = { width: recording.width, height: recording.height };
+    const runner = createGameRunner({
+        detectFunction,
+        source: createPlaybackLandmarker(recording),
+        gameType: recording.gameType,
+        filterOptions,
+        seed: recording.seed,
+        inputMethod: recording.inputMethod,
+        mode: recording.mode,
+        duration: recording.duration,
+        lives: recording.lives ?? null,
+        difficulties,
+        difficulty: recording.difficulty ?? "normal",
+        players: recording.players ?? 1,
+        hand: recording.hand ?? null,
+        customGestures: recording.customGestures ?? [],
+    });
+
+    const drawCtx = ctx ?? createNullContext(canvas);
+
+    runner.start(recording.startedAt);
+    for (const frame of recording.frames) {
+        await runner.step({ video: null, canvas, ctx: drawCtx, now: recording.startedAt + frame.t });
+    }
+
+    return { score: runner.getScore(), playerScores: runner.getPlayerScores(), details: runner.finish() };
+}
+
+/**
+ * toReplay
+ *
+ * Downsamples a recording for upload: at most REPLAY_FPS frames per second
+ * and REPLAY_MAX_FRAMES frames, landmarks flattened to 63 rounded values per hand.
+ * Playing a replay approximates the game; the saved score stays authoritative.
+ *
+ * @param {Object} recording - Recording from createGameRunner().getRecording()
+ * @returns {Object} Replay ({ version, seed, width, height, startedAt, hand?, customGestures?, frames: [{ t, hands? }] })
+ */
+export function toReplay(recording) {
+    const factor = 10 ** REPLAY_PRECISION;
+    const round = (value) => Math.round(value * factor) / factor;
+    const totalMs = recording.frames.at(-1)?.t ?? 0;
+    const minGap = Math.max(1000 / REPLAY_FPS, totalMs / (REPLAY_MAX_FRAMES - 1));
+    const frames = [];
+    let lastT = -Infinity;
+
+    for (const frame of recording.frames) {
+        if (frame.t - lastT < minGap) continue;
+        lastT = frame.t;
+
+        const compact = { t: frame.t };
+        if (frame.results) {
+            compact.hands = frame.results.landmarks.slice(0, REPLAY_MAX_HANDS).map((hand, i) => ({
+                handedness: frame.results.handedness?.[i]?.[0]?.categoryName === "Left" ? "Left" : "Right",
+                landmarks: hand.flatMap(p => [round(p.x), round(p.y), round(p.z ?? 0)]),
+            }));
+        }
+        frames.push(compact);
+    }
+
+    return {
+        version: REPLAY_VERSION,
+        seed: recording.seed,
+        width: recording.width,
+        height: recording.height,
+        startedAt: recording.startedAt,
+        ...(recording.hand && { hand: recording.hand }),
+        ...(recording.customGestures?.length && {
+            customGestures: recording.customGestures.map(({ _id, name, samples }) => ({ _id, name, samples })),
+        }),
+        frames,
+    };
+}
+
+/**
+ * fromReplay
+ *
+ * Turns a stored replay back into a recording that GameWrapper can play.
+ *
+ * @param {Object} replay - Replay from GET /api/replays/:scoreId
+ * @returns {Object} Recording (see gameRunner.js)
+ */
+export function fromReplay(replay) {
+    const frames = replay.frames.map(({ t, hands }) => {
+        if (!hands) return { t };
+        return {
+            t,
+            results: {
+                landmarks: hands.map(hand => {
+                    const points = [];
+                    for (let i = 0; i < hand.landmarks.length; i += 3) {
+                        points.push({ x: hand.landmarks[i], y: hand.landmarks[i + 1], z: hand.landmarks[i + 2] });
+                    }
+                    return points;
+                }),
+                handedness: hands.map(hand => [{ categoryName: hand.handedness, displayName: hand.handedness, score: 1, index: 0 }]),
+            },
+        };
+    });
+
+    const mode = replay.score?.mode ?? "timed";
+    return {
+        version: RECORDING_VERSION,
+        gameType: replay.gameType ?? replay.score?.gameType ?? null,
+        inputMethod: replay.score?.inputMethod ?? "hand",
+        mode,
+        duration: replay.score?.duration ?? null,
+        lives: GAME_MODES[mode]?.lives ?? null,
+        difficulty: replay.score?.difficulty ?? "normal",
+        seed: replay.seed,
+        width: replay.width,
+        height: replay.height,
+        startedAt: replay.startedAt,
+        hand: replay.hand ?? null,
+        customGestures: replay.customGestures ?? [],
+        score: replay.score?.score ?? null,
+        frames,
+    };
+}
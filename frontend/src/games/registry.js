@@ -0,0 +1,95 @@
+/**
+ * Game registry: the single source of truth for every game in the frontend.
+ *
+ * Routes, Profile cards, the History game filter and the result breakdown
+ * are all generated from this list. The catalog fields come from the backend
+ * registry (backend/config/games.js, served at GET /api/games) through catalog.json,
+ * which scripts/sync-catalog.js generates; each entry here only adds what the
+ * frontend needs, such as the game component, loaded on demand.
+ *
+ * Fields:
+ * - id {string}: Game type stored with scores
+ * - name, route, icon, color, description, scoring: Catalog information (from catalog.json)
+ * - duration {number}: Length of a game in seconds (from catalog.json)
+ * - inputs {string[]}: Input methods the game can be played with ("hand", "pointer", "keyboard"; from catalog.json)
+ * - textColor {string}: Text color on the game's color
+ * - maxPlayers {number}: Players who can share the camera (1 when omitted; frontend only)
+ * - roundFields {Array}: Round detail fields shown in the result breakdown ({ key, label, format? })
+ * - component {React.LazyExoticComponent}: The game screen
+ */
+
+import { lazy } from "react";
+import CATALOG from "./catalog.json";
+
+// Frontend parts of every game, in the order the games are listed
+const FRONTEND_ENTRIES = [
+    {
+        id: "ShapeTracing",
+        textColor: "#fff",
+        roundFields: [
+            { key: "shape", label: "Shape" },
+            { key: "accuracy", label: "Accuracy", format: v => `${Math.round(v * 100)}%` },
+        ],
+        component: lazy(() => import("./ShapeTracing")),
+    },
+    {
+        id: "SwipeChallenge",
+        textColor: "#fff",
+        roundFields: [
+            { key: "direction", label: "Prompt" },
+            { key: "detected", label: "Swiped" },
+        ],
+        component: lazy(() => import("./SwipeChallenge")),
+    },
+    {
+        id: "QuickReaction",
+        textColor: "#333",
+        maxPlayers: 2,
+        roundFields: [
+            { key: "reactionMs", label: "Reaction", format: v => `${Math.round(v)} ms` },
+        ],
+        component: lazy(() => import("./QuickReaction")),
+    },
+    {
+        id: "BallGame",
+        textColor: "#fff",
+        roundFields: [
+            { key: "sequenceLength", label: "Sequence" },
+        ],
+        component: lazy(() => import("./BallGame")),
+    },
+    {
+        id: "MemoryMatch",
+        textColor: "#fff",
+        roundFields: [
+            { key: "sequenceLength", label: "Sequence" },
+            { key: "stepsCompleted", label: "Steps done" },
+        ],
+        component: lazy(() => import("./MemoryMatch")),
+    },
+    {
+        id: "SimonSays",
+        textColor: "#fff",
+        roundFields: [
+            { key: "gesture", label: "Gesture" },
+        ],
+        component: lazy(() => import("./SimonSays")),
+    },
+];
+
+const GAMES = FRONTEND_ENTRIES.map(entry => ({
+    ...CATALOG.find(game => game.id === entry.id),
+    ...entry,
+}));
+
+/**
+ * getGame
+ *
+ * Looks up a game by its id.
+ *
+ * @param {string} id - Game type (e.g., "BallGame")
+ * @returns {Object|undefined} Registry entry
+ */
+export const getGame = (id) => GAMES.find(game => game.id === id);
+
+export default GAMES;
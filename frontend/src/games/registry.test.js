@@ -0,0 +1,17 @@
+import GAMES from "./registry";
+import CATALOG from "./catalog.json";
+import { listGames } from "../../../backend/config/games";
+
+describe("game registry", () => {
+    test("catalog.json is up to date with the backend registry (run npm run sync-catalog)", () => {
+        expect(CATALOG).toEqual(listGames());
+    });
+
+    test("every game of the catalog has a component and its catalog fields", () => {
+        expect(GAMES.map(game => game.id).sort()).toEqual(CATALOG.map(game => game.id).sort());
+        GAMES.forEach(game => {
+            expect(game.component).toBeDefined();
+            expect(game.route).toBe(CATALOG.find(entry => entry.id === game.id).route);
+        });
+    });
+});
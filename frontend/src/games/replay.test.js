@@ -0,0 +1,163 @@
+import { render } from "@testing-library/react";
+import { act } from "react";
+import { replayRecording, createPlaybackLandmarker, toReplay, fromReplay } from "./playback";
+import { createGameRunner } from "./gameRunner";
+import QuickReaction from "./QuickReaction";
+import SwipeChallenge from "./SwipeChallenge";
+import BallGame from "./BallGame";
+import SimonSays from "./SimonSays";
+import MemoryMatch from "./MemoryMatch";
+import ShapeTracing from "./ShapeTracing";
+import quickReactionRecording from "./__fixtures__/QuickReaction.json";
+import swipeChallengeRecording from "./__fixtures__/SwipeChallenge.json";
+import ballGameRecording from "./__fixtures__/BallGame.json";
+import simonSaysRecording from "./__fixtures__/SimonSays.json";
+import memoryMatchRecording from "./__fixtures__/MemoryMatch.json";
+import shapeTracingRecording from "./__fixtures__/ShapeTracing.json";
+import simonSaysHandsRecording from "./__fixtures__/SimonSaysHands.json";
+import useCustomGestures from "../hooks/useCustomGestures";
+
+// The games only hand their detectFunction to GameWrapper; capture it instead of rendering the wrapper
+let wrapperProps = null;
+jest.mock("./GameWrapper", () => (props) => {
+    wrapperProps = props;
+    return null;
+});
+
+// The custom gestures of whoever watches a replay (none unless a test sets them)
+jest.mock("../hooks/useCustomGestures", () => jest.fn(() => ({ current: [] })));
+
+/** Mounts a game and replays a recording through its detectFunction */
+const replay = async (Game, recording) => {
+    const { unmount } = render(<Game />);
+    const { detectFunction, filterOptions, difficulties } = wrapperProps;
+    let result;
+    await act(async () => {
+        result = await replayRecording({ detectFunction, recording, filterOptions, difficulties });
+    });
+    unmount();
+    return result;
+};
+
+describe("recorded games replay to the recorded score", () => {
+    test.each([
+        ["QuickReaction", QuickReaction, quickReactionRecording],
+        ["SwipeChallenge", SwipeChallenge, swipeChallengeRecording],
+        ["BallGame", BallGame, ballGameRecording],
+        ["SimonSays", SimonSays, simonSaysRecording],
+        ["MemoryMatch", MemoryMatch, memoryMatchRecording],
+    ])("%s", async (gameType, Game, recording) => {
+        expect(recording.gameType).toBe(gameType);
+
+        const first = await replay(Game, recording);
+        expect(first.score).toBe(recording.score);
+        expect(first.score).toBeGreaterThan(0);
+        expect(first.details.rounds.length).toBeGreaterThan(first.score);
+
+        // A fresh mount of the game replays to identical round details
+        const second = await replay(Game, recording);
+        expect(second).toEqual(first);
+    });
+
+    // Shape Tracing records finished shapes only, so its rounds are all hits
+    test("ShapeTracing", async () => {
+        const first = await replay(ShapeTracing, shapeTracingRecording);
+        expect(first.score).toBe(shapeTracingRecording.score);
+        expect(first.score).toBeGreaterThan(0);
+        expect(first.details.rounds.map(round => round.result)).toEqual(Array(first.score).fill("hit"));
+        expect(new Set(first.details.rounds.map(round => round.shape))).toEqual(new Set(["circle", "square"]));
+
+        const second = await replay(ShapeTracing, shapeTracingRecording);
+        expect(second).toEqual(first);
+    });
+});
+
+// Jittery landmarks of both hands, listed in either order, with the odd flicker of handedness:
+// the right hand answers with gestures while the left hand rests open in view
+describe("a hand-tracked game with two hands in view", () => {
+    test("replays to the recorded score", async () => {
+        const recording = simonSaysHandsRecording;
+        expect(recording.inputMethod).toBe("hand");
+        expect(recording.frames.filter(frame => frame.results?.landmarks.length === 2).length).toBeGreaterThan(recording.frames.length / 2);
+
+        const first = await replay(SimonSays, recording);
+        expect(first.score).toBe(recording.score);
+        expect(first.details.rounds.map(round => round.result)).toContain("miss");
+        expect(new Set(first.details.rounds.map(round => round.gesture)).size).toBeGreaterThan(3);
+
+        const second = await replay(SimonSays, recording);
+        expect(second).toEqual(first);
+    });
+
+    test("scores the dominant hand only", async () => {
+        const { score } = await replay(SimonSays, { ...simonSaysHandsRecording, hand: null });
+        expect(score).toBeLessThan(simonSaysHandsRecording.score);
+    });
+});
+
+describe("createPlaybackLandmarker", () => {
+    const hand = (x) => ({ landmarks: [[{ x, y: 0.5, z: 0 }]], handedness: [[{ categoryName: "Left" }]] });
+    const recording = {
+        startedAt: 1000,
+        frames: [{ t: 0, results: hand(0.1) }, { t: 50 }, { t: 100, results: hand(0.2) }],
+    };
+
+    test("returns the latest recorded results at or before the timestamp", () => {
+        const landmarker = createPlaybackLandmarker(recording);
+        expect(landmarker.detectForVideo(null, 1000).landmarks[0][0].x).toBe(0.1);
+        expect(landmarker.detectForVideo(null, 1099).landmarks[0][0].x).toBe(0.1);
+        expect(landmarker.detectForVideo(null, 1150).landmarks[0][0].x).toBe(0.2);
+        // Seeking back
+        expect(landmarker.detectForVideo(null, 1020).landmarks[0][0].x).toBe(0.1);
+    });
+
+    test("returns no hand before the first frame", () => {
+        const landmarker = createPlaybackLandmarker(recording);
+        expect(landmarker.detectForVideo(null, 900).landmarks).toEqual([]);
+    });
+});
+
+describe("uploaded replays", () => {
+    test("are downsampled and turn back into a playable recording", async () => {
+        const uploaded = toReplay(quickReactionRecording);
+        expect(uploaded.frames.length).toBeLessThan(quickReactionRecording.frames.length);
+        uploaded.frames.slice(1).forEach((frame, i) => {
+            expect(frame.t - uploaded.frames[i].t).toBeGreaterThanOrEqual(1000 / 15);
+        });
+        expect(uploaded.frames[0].hands?.[0]?.landmarks ?? []).toHaveLength(uploaded.frames[0].hands ? 63 : 0);
+
+        const recording = fromReplay({ ...uploaded, gameType: "QuickReaction", score: { score: quickReactionRecording.score } });
+        expect(recording.seed).toBe(quickReactionRecording.seed);
+        const { score } = await replay(QuickReaction, recording);
+        expect(score).toBeGreaterThan(0);
+    });
+});
+
+describe("custom gestures", () => {
+    const customGestures = [{ _id: "g1", name: "OK Sign", samples: [Array(63).fill(0.1)] }];
+
+    test("are recorded and passed to the game when it is replayed", async () => {
+        const seen = [];
+        const detectFunction = (args) => seen.push(args.customGestures);
+        const runner = createGameRunner({
+            detectFunction,
+            source: { detectForVideo: () => ({ landmarks: [], handedness: [] }) },
+            customGestures,
+        });
+        runner.start(0);
+        await runner.step({ video: null, canvas: { width: 100, height: 100 }, ctx: null, now: 0 });
+        const recording = runner.getRecording();
+        expect(recording.customGestures).toEqual(customGestures);
+
+        await replayRecording({ detectFunction, recording: fromReplay(toReplay(recording)) });
+        expect(seen).toEqual([customGestures, customGestures]);
+    });
+
+    test("of the viewer are not used in a replay of another player's game", async () => {
+        // The recorded player had none; the viewer's would change the prompted gestures
+        useCustomGestures.mockReturnValue({ current: customGestures });
+        const { score } = await replay(SimonSays, simonSaysRecording);
+        useCustomGestures.mockReturnValue({ current: [] });
+        expect(score).toBe(simonSaysRecording.score);
+    });
+});
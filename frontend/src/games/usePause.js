@@ -0,0 +1,98 @@
+/**
+ * React hook that pauses and resumes a live game (see pause.js).
+ *
+ * Main Features:
+ * - Game clock of the current game, standing still while the game is paused.
+ * - Pauses when the player leaves the tab; Escape or P pauses and resumes.
+ * - Pause detector for hand tracking (no hand in view, the pause gesture, a stalled camera).
+ * - Resumes after a countdown, with a countdown sound every second.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createGameClock, createPauseDetector, PAUSE_GESTURE, RESUME_COUNTDOWN } from "./pause";
+
+/**
+ * usePause
+ *
+ * @param {Object} options
+ * @param {boolean} options.active - Whether a live game is running (listens to the tab and the keys)
+ * @param {boolean} [options.gestureInput] - The game is played with gestures (no pause gesture)
+ * @param {Object} options.sound - Sound player for the resume countdown
+ * @returns {{clockRef: Object, pauseReason: string|null, resumeIn: number|null, start: Function,
+ *   pauseGame: Function, resumeGame: Function, watch: Function}}
+ *   clockRef holds the game clock of the current game; pauseReason (see PAUSE_REASONS) is set while
+ *   the game is paused and resumeIn counts down the seconds to resuming (null when not resuming).
+ *   start() gives a new game a fresh clock, pauseGame(reason) pauses, resumeGame() starts the countdown
+ *   and watch({ now, results, videoTime, aspectRatio }) pauses a hand-tracked game when a frame calls for it.
+ */
+export default function usePause({ active, gestureInput = false, sound }) {
+    const clockRef = useRef(null); // Game clock of the current game (stands still while paused)
+    const detectorRef = useRef(null); // Watches the hand-tracked game for reasons to pause
+    const [pauseReason, setPauseReason] = useState(null); // Why the live game is paused, if it is
+    const [resumeIn, setResumeIn] = useState(null); // Seconds until the paused game resumes (null: not resuming)
+
+    /** Gives a new game a fresh clock and pause detector */
+    const start = useCallback(() => {
+        clockRef.current = createGameClock();
+        detectorRef.current = createPauseDetector({ gesture: gestureInput ? null : PAUSE_GESTURE });
+        setPauseReason(null);
+        setResumeIn(null);
+    }, [gestureInput]);
+
+    /**
+     * Stops the game clock. A resume countdown in progress is cancelled;
+     * the first reason of a pause is the one shown.
+     */
+    const pauseGame = useCallback((reason) => {
+        if (!clockRef.current) return;
+        clockRef.current.pause(Date.now());
+        setResumeIn(null);
+        setPauseReason(prev => prev ?? reason);
+    }, []);
+
+    const resumeGame = useCallback(() => setResumeIn(RESUME_COUNTDOWN), []);
+
+    /** Pauses when a frame of the hand-tracked game calls for it */
+    const watch = useCallback((frame) => {
+        const reason = detectorRef.current?.update(frame);
+        if (reason) pauseGame(reason);
+    }, [pauseGame]);
+
+    /** Pause when the player leaves the tab; Escape or P pauses and resumes */
+    useEffect(() => {
+        if (!active) return;
+
+        const onVisibilityChange = () => {
+            if (document.hidden) pauseGame("hidden");
+        };
+        const onKeyDown = (e) => {
+            if (e.key !== "Escape" && e.key.toLowerCase() !== "p") return;
+            if (pauseReason && resumeIn === null) resumeGame();
+            else pauseGame("manual");
+        };
+
+        document.addEventListener("visibilitychange", onVisibilityChange);
+        window.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("visibilitychange", onVisibilityChange);
+            window.removeEventListener("keydown", onKeyDown);
+        };
+    }, [active, pauseReason, resumeIn, pauseGame, resumeGame]);
+
+    /** Count down, then restart the game clock */
+    useEffect(() => {
+        if (resumeIn === null) return;
+        if (resumeIn === 0) {
+            clockRef.current.resume(Date.now());
+            detectorRef.current.reset();
+            setResumeIn(null);
+            setPauseReason(null);
+            return;
+        }
+        sound.play("countdown");
+        const timeout = setTimeout(() => setResumeIn(n => n - 1), 1000);
+        return () => clearTimeout(timeout);
+    }, [resumeIn, sound]);
+
+    return { clockRef, pauseReason, resumeIn, start, pauseGame, resumeGame, watch };
+}
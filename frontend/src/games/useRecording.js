@@ -0,0 +1,80 @@
+/**
+ * React hook for the recordings around a game (see playback.js).
+ *
+ * Main Features:
+ * - Loads the replay to race as a ghost (?ghost=<scoreId> in the URL).
+ * - Playback controls of a played back recording: play/pause, speed and position,
+ *   with refs the game loop reads every frame.
+ * - Downloads the game just played as a JSON recording.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import replayService from "../services/replayService";
+import { fromReplay } from "./playback";
+
+/**
+ * useRecording
+ *
+ * @param {Object} options
+ * @param {string} options.gameType - Game being played (ghosts of other games are refused)
+ * @param {Object} options.runnerRef - Ref to the runner (and recorder) of the current game
+ * @param {number} [options.playbackStart] - Position (ms) the playback starts from
+ * @returns {{ghost: Object|null, paused: boolean, setPaused: Function, speed: number, setSpeed: Function,
+ *   position: number, setPosition: Function, pausedRef: Object, speedRef: Object, downloadRecording: Function}}
+ *   ghost is the recording raced as a ghost ({ recording, player, score }), once loaded
+ */
+export default function useRecording({ gameType, runnerRef, playbackStart = 0 }) {
+    const [searchParams] = useSearchParams();
+    const ghostId = searchParams.get("ghost"); // Score whose replay is raced as a ghost
+    const [ghost, setGhost] = useState(null); // Recording drawn as a ghost, with its player
+    const [paused, setPaused] = useState(false); // Whether the playback is paused
+    const [speed, setSpeed] = useState(1); // Playback speed
+    const [position, setPosition] = useState(playbackStart); // Playback position (ms)
+    const pausedRef = useRef(false); // Playback controls, read by the loop
+    const speedRef = useRef(1);
+
+    useEffect(() => {
+        pausedRef.current = paused;
+        speedRef.current = speed;
+    }, [paused, speed]);
+
+    /** Load the replay to race as a ghost */
+    useEffect(() => {
+        if (!ghostId) return;
+        let cancelled = false;
+        replayService
+            .getReplay(ghostId)
+            .then((replay) => {
+                if (cancelled) return;
+                if (replay.gameType !== gameType) {
+                    toast.warn("That replay belongs to another game.");
+                    return;
+                }
+                setGhost({ recording: fromReplay(replay), player: replay.player, score: replay.score?.score });
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) toast.warn("Could not load the ghost replay.");
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [ghostId, gameType]);
+
+    /** Download the game just played as a JSON recording */
+    const downloadRecording = useCallback(() => {
+        const recording = runnerRef.current?.getRecording();
+        if (!recording) return;
+        const blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${gameType}-${new Date(recording.startedAt).toISOString()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [gameType, runnerRef]);
+
+    return { ghost, paused, setPaused, speed, setSpeed, position, setPosition, pausedRef, speedRef, downloadRecording };
+}
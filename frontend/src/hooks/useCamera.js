@@ -0,0 +1,67 @@
+/**
+ * React hook that shows a camera stream in a video element.
+ *
+ * The stream is started with the given camera settings (restarted when they
+ * change) and all its tracks are stopped when the component unmounts, so the
+ * camera turns off as soon as the player leaves the page.
+ */
+
+import { useEffect, useState } from "react";
+import { openCamera, cameraErrorState, stopStream } from "../utils/camera";
+
+/**
+ * useCamera
+ *
+ * @param {Object} videoRef - Ref to the video element showing the camera
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - { deviceId, resolution, frameRate } (see utils/camera.js)
+ * @param {boolean} [options.enabled] - Whether the camera should run (default true)
+ * @returns {{status: string, actual: Object|null, retry: Function}}
+ *   status: "off" | "starting" | "ready" | "denied" | "missing" | "busy" | "unsupported" | "error";
+ *   actual: settings the camera really runs at ({ deviceId, width, height, frameRate });
+ *   retry() starts the camera again after a failure
+ */
+export default function useCamera(videoRef, { settings = {}, enabled = true } = {}) {
+    const [status, setStatus] = useState(enabled ? "starting" : "off");
+    const [actual, setActual] = useState(null);
+    const [attempt, setAttempt] = useState(0); // Bumped to retry
+
+    const { deviceId = null, resolution, frameRate } = settings;
+
+    useEffect(() => {
+        if (!enabled) {
+            setStatus("off");
+            return;
+        }
+        let stream = null;
+        let cancelled = false;
+        const video = videoRef.current;
+        setStatus("starting");
+
+        openCamera({ deviceId, resolution, frameRate })
+            .then((s) => {
+                if (cancelled) {
+                    stopStream(s);
+                    return;
+                }
+                stream = s;
+                const [track] = s.getVideoTracks();
+                track?.addEventListener("ended", () => setStatus("missing")); // Unplugged or revoked
+                if (video) video.srcObject = s;
+                setActual(track?.getSettings?.() ?? null);
+                setStatus("ready");
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setStatus(cameraErrorState(err));
+            });
+
+        return () => {
+            cancelled = true;
+            stopStream(stream);
+            if (video && video.srcObject === stream) video.srcObject = null;
+        };
+    }, [videoRef, enabled, deviceId, resolution, frameRate, attempt]);
+
+    return { status, actual, retry: () => setAttempt(n => n + 1) };
+}
@@ -0,0 +1,37 @@
+/**
+ * React hook that loads the logged-in user's custom gestures for a game.
+ *
+ * Returns a ref rather than state, so per-frame detect functions always read
+ * the latest list without being re-created. Games keep working with the
+ * built-in gestures when the user has none or the request fails.
+ */
+
+import { useEffect, useRef } from "react";
+import gestureService from "../services/gestureService";
+
+/**
+ * useCustomGestures
+ *
+ * @returns {{current: Array}} Ref holding the user's custom gestures ({ _id, name, samples })
+ */
+export default function useCustomGestures() {
+    const customGesturesRef = useRef([]);
+
+    useEffect(() => {
+        if (!localStorage.getItem("user")) return;
+        let cancelled = false;
+
+        gestureService
+            .getGestures()
+            .then((gestures) => {
+                if (!cancelled) customGesturesRef.current = gestures;
+            })
+            .catch((err) => console.error("Could not load custom gestures:", err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    return customGesturesRef;
+}
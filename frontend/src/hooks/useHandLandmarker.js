@@ -0,0 +1,33 @@
+/**
+ * React hook that provides the shared hand landmark model (see utils/handModel.js).
+ *
+ * Starts loading the model on first use and re-renders with its loading
+ * progress. The model stays loaded when the component unmounts, so the next
+ * game starts without loading it again.
+ */
+
+import { useEffect, useState } from "react";
+import { getHandModelState, loadHandLandmarker, subscribeHandModel } from "../utils/handModel";
+
+/**
+ * useHandLandmarker
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Whether the model is needed (default true)
+ * @returns {Object} { status, stage, progress, delegate, error, landmarker, retry }
+ *   landmarker is null until the model is ready; retry() loads it again after a failure
+ */
+export default function useHandLandmarker({ enabled = true } = {}) {
+    const [state, setState] = useState(getHandModelState);
+
+    useEffect(() => {
+        setState(getHandModelState()); // It may have changed before subscribing
+        return subscribeHandModel(setState);
+    }, []);
+
+    useEffect(() => {
+        if (enabled) loadHandLandmarker().catch(() => {}); // Failures show up in the state
+    }, [enabled]);
+
+    return { ...state, retry: () => loadHandLandmarker().catch(() => {}) };
+}
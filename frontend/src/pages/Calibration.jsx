@@ -0,0 +1,336 @@
+/**
+ * This component lets the user calibrate the area their hand can reach.
+ *
+ * Main Features:
+ * - Shows the webcam with the detected index fingertip of the player's dominant hand
+ *   (see pages/HandSettings.jsx).
+ * - Records the fingertip while the player sweeps it over everything they can
+ *   comfortably reach, after a short countdown.
+ * - Draws the reachable area found by the sweep and the one saved before.
+ * - Saves the area to the user's account, or removes it (whole camera image again).
+ * - Redirects to login if user is not authenticated.
+ *
+ * Games stretch the saved area over the whole screen (see utils/calibration.js),
+ * so it also makes up for a camera that is far away or off-centre.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import calibrationService from "../services/calibrationService";
+import settingsService from "../services/settingsService";
+import useCamera from "../hooks/useCamera";
+import useHandLandmarker from "../hooks/useHandLandmarker";
+import ModelLoadingStatus from "../components/ModelLoadingStatus";
+import { drawSelectedKeypoints } from "../utils/drawUtils";
+import { CAMERA_ERRORS, loadCameraSettings } from "../utils/camera";
+import { CALIBRATION_POINT, computeCalibration } from "../utils/calibration";
+import { HAND_LABELS, pickHands } from "../utils/handTracking";
+
+const SWEEP_COUNTDOWN = 3; // Seconds to get ready before the sweep
+const SWEEP_SECONDS = 10; // Duration of the sweep
+
+/**
+ * drawArea
+ *
+ * Outlines a calibrated area on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - { x0, y0, x1, y1 }
+ * @param {string} color - Stroke color
+ * @param {number[]} [dash] - Line dash pattern
+ */
+const drawArea = (ctx, { x0, y0, x1, y1 }, color, dash = []) => {
+    const { width, height } = ctx.canvas;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.setLineDash(dash);
+    ctx.strokeRect(x0 * width, y0 * height, (x1 - x0) * width, (y1 - y0) * height);
+    ctx.restore();
+};
+
+/**
+ * Calibration Component
+ *
+ * @returns {JSX.Element} Calibration page
+ */
+function Calibration() {
+    const navigate = useNavigate();
+    const videoRef = useRef(null); // Ref for the webcam video element
+    const canvasRef = useRef(null); // Ref for the canvas element
+    const pointsRef = useRef([]); // Fingertip positions of the sweep
+    const phaseRef = useRef("idle"); // Phase, read by the detection loop
+
+    const [saved, setSaved] = useState(null); // Calibration stored on the account
+    const [draft, setDraft] = useState(null); // Area found by the latest sweep
+    const [phase, setPhase] = useState("idle"); // "idle" | "countdown" | "sweeping"
+    const [secondsLeft, setSecondsLeft] = useState(null); // Seconds left in the countdown or the sweep
+    const [saving, setSaving] = useState(false);
+    const [dominantHand, setDominantHand] = useState("right"); // Hand that sweeps when both are in view
+
+    /** Redirect to login if no user is stored, else load the saved calibration and dominant hand */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+            return;
+        }
+
+        calibrationService
+            .getCalibration()
+            .then(setSaved)
+            .catch(() => toast.error("Failed to load your calibration."));
+        settingsService
+            .getSettings()
+            .then((settings) => setDominantHand(settings.dominantHand))
+            .catch((err) => console.error("Could not load the hand settings:", err));
+    }, [navigate]);
+
+    /** Use the hand landmark model shared with the games */
+    const handModel = useHandLandmarker();
+    const handLandmarker = handModel.landmarker; // Hand detection model, once loaded
+
+    /** Run the webcam with the user's camera settings and stop it when leaving the page */
+    const [cameraSettings] = useState(loadCameraSettings);
+    const camera = useCamera(videoRef, { settings: cameraSettings });
+
+    useEffect(() => {
+        phaseRef.current = phase;
+    }, [phase]);
+
+    /** Detect the fingertip every frame, record it during the sweep and draw the areas */
+    useEffect(() => {
+        if (!handLandmarker) return;
+        let rafId;
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+        const ctx = canvas.getContext("2d");
+
+        const loop = () => {
+            if (video.videoWidth > 0) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+                const results = pickHands(handLandmarker.detectForVideo(video, performance.now()), { dominant: dominantHand, required: null });
+                if (results?.landmarks?.length) {
+                    drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, [CALIBRATION_POINT], "#ff9f00");
+                    if (phaseRef.current === "sweeping") {
+                        const { x, y } = results.landmarks[0][CALIBRATION_POINT];
+                        pointsRef.current.push({ x, y });
+                    }
+                }
+
+                const sweep = phaseRef.current === "sweeping" ? computeCalibration(pointsRef.current) : null;
+                if (saved) drawArea(ctx, saved, "rgba(255,255,255,0.6)", [12, 8]);
+                if (sweep ?? draft) drawArea(ctx, sweep ?? draft, "#00c864");
+            }
+            rafId = requestAnimationFrame(loop);
+        };
+
+        rafId = requestAnimationFrame(loop);
+        return () => cancelAnimationFrame(rafId);
+    }, [handLandmarker, saved, draft, dominantHand]);
+
+    /** Count down, sweep, then compute the area */
+    useEffect(() => {
+        if (phase === "idle") return;
+
+        if (secondsLeft > 0) {
+            const timeout = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+            return () => clearTimeout(timeout);
+        }
+
+        if (phase === "countdown") {
+            pointsRef.current = [];
+            setPhase("sweeping");
+            setSecondsLeft(SWEEP_SECONDS);
+            return;
+        }
+
+        const area = computeCalibration(pointsRef.current);
+        setPhase("idle");
+        setSecondsLeft(null);
+        setDraft(area);
+        if (!area) toast.warn("The sweep was too small. Move your fingertip over everything you can reach.");
+    }, [phase, secondsLeft]);
+
+    /** Start a sweep */
+    const handleSweep = () => {
+        setDraft(null);
+        setPhase("countdown");
+        setSecondsLeft(SWEEP_COUNTDOWN);
+    };
+
+    /** Save the swept area to the user's account */
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            setSaved(await calibrationService.saveCalibration(draft));
+            setDraft(null);
+            toast.success("Calibration saved! Games now fit your reach.");
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to save calibration.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /** Remove the calibration, so games use the whole camera image */
+    const handleReset = async () => {
+        try {
+            await calibrationService.deleteCalibration();
+            setSaved(null);
+            toast.success("Calibration removed.");
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to remove calibration.");
+        }
+    };
+
+    const cameraError = CAMERA_ERRORS[camera.status];
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.header}>
+                <h1 style={styles.title}>🎯 Calibrate Your Reach</h1>
+                <button style={styles.backButton} onClick={() => navigate("/profile")}>
+                    ← Back to Profile
+                </button>
+            </div>
+
+            <div style={styles.layout}>
+                <div style={styles.camera}>
+                    <div style={styles.mirror}>
+                        <video ref={videoRef} autoPlay playsInline muted style={styles.media} />
+                        <canvas ref={canvasRef} style={styles.media} />
+                    </div>
+                    {cameraError ? (
+                        <p style={styles.cameraText}>⚠️ {cameraError}</p>
+                    ) : (
+                        handModel.status !== "ready" && (
+                            <div style={styles.cameraText}><ModelLoadingStatus model={handModel} /></div>
+                        )
+                    )}
+                    {phase === "countdown" && <p style={styles.countdown}>{secondsLeft}</p>}
+                    {phase === "sweeping" && <p style={styles.live}>🖐️ Sweep! {secondsLeft}s left</p>}
+                </div>
+
+                <div style={styles.panel}>
+                    <h2>Sweep your reach</h2>
+                    <p style={styles.hint}>
+                        Sit or stand as you play. When the sweep starts, move the index fingertip of your {HAND_LABELS[dominantHand]}
+                        for {SWEEP_SECONDS} seconds over everything you can comfortably reach: up, down, left and right.
+                        Games then stretch that area over the whole screen.
+                    </p>
+                    <button
+                        style={styles.captureButton}
+                        onClick={handleSweep}
+                        disabled={!handLandmarker || Boolean(cameraError) || phase !== "idle"}
+                    >
+                        🖐️ Start sweep
+                    </button>
+                    {draft && (
+                        <>
+                            <p style={styles.hint}>
+                                Your reach: {Math.round((draft.x1 - draft.x0) * 100)}% × {Math.round((draft.y1 - draft.y0) * 100)}%
+                                of the camera image (green).
+                            </p>
+                            <button style={styles.saveButton} onClick={handleSave} disabled={saving}>
+                                {saving ? "Saving..." : "💾 Save calibration"}
+                            </button>
+                        </>
+                    )}
+
+                    <h2>Saved calibration</h2>
+                    {saved ? (
+                        <>
+                            <p style={styles.hint}>
+                                Games use {Math.round((saved.x1 - saved.x0) * 100)}% × {Math.round((saved.y1 - saved.y0) * 100)}%
+                                of the camera image (dashed).
+                            </p>
+                            <button style={styles.secondaryButton} onClick={handleReset}>
+                                Use the whole camera image
+                            </button>
+                        </>
+                    ) : (
+                        <p style={styles.hint}>None yet — games use the whole camera image.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the Calibration component
+ */
+const styles = {
+    container: {
+        minHeight: "100vh",
+        padding: "2rem",
+        backgroundColor: "#f0f2f5",
+    },
+    header: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        maxWidth: "1200px",
+        margin: "0 auto 1.5rem",
+    },
+    title: {
+        fontSize: "2.2rem",
+        color: "#333",
+        margin: 0,
+    },
+    backButton: {
+        padding: "10px 20px",
+        backgroundColor: "#333",
+        color: "#fff",
+        fontSize: "16px",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+    layout: {
+        display: "grid",
+        gridTemplateColumns: "minmax(300px, 2fr) minmax(280px, 1fr)",
+        gap: "2rem",
+        maxWidth: "1200px",
+        margin: "0 auto",
+    },
+    camera: {
+        position: "relative",
+        aspectRatio: "4 / 3",
+        backgroundColor: "#000",
+        borderRadius: "12px",
+        overflow: "hidden",
+    },
+    mirror: { position: "absolute", top: 0, left: 0, width: "100%", height: "100%", transform: "scaleX(-1)" },
+    media: { position: "absolute", width: "100%", height: "100%", objectFit: "cover" },
+    cameraText: { position: "absolute", top: "45%", width: "100%", textAlign: "center", color: "#fff", fontSize: "20px" },
+    countdown: { position: "absolute", top: "35%", width: "100%", textAlign: "center", color: "#fff", fontSize: "72px", fontWeight: "bold", margin: 0 },
+    live: {
+        position: "absolute",
+        bottom: 10,
+        left: 10,
+        margin: 0,
+        padding: "6px 14px",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        color: "#fff",
+        borderRadius: "8px",
+        fontSize: "18px",
+    },
+    panel: {
+        backgroundColor: "#fff",
+        padding: "1.5rem",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+    },
+    hint: { color: "#666", fontSize: "15px" },
+    captureButton: { width: "100%", padding: "10px", backgroundColor: "#7b2ff7", color: "#fff", border: "none", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    secondaryButton: { padding: "10px 16px", backgroundColor: "#ddd", color: "#333", border: "none", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    saveButton: { width: "100%", padding: "12px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "8px", fontSize: "18px", cursor: "pointer" },
+};
+
+export default Calibration;
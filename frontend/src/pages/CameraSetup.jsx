@@ -0,0 +1,223 @@
+/**
+ * This component lets the user choose the camera the games use.
+ *
+ * Main Features:
+ * - Shows a live preview of the chosen camera.
+ * - Lists the video devices and offers resolutions and frame rates.
+ * - Shows the resolution and frame rate the camera really delivers.
+ * - Explains denied, missing and busy cameras, with a retry button.
+ * - Remembers the choice for this user (in this browser).
+ * - Redirects to login if user is not authenticated.
+ *
+ * The preview is stopped when the page is left, so the camera turns off.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import useCamera from "../hooks/useCamera";
+import {
+    CAMERA_ERRORS,
+    CAMERA_FRAME_RATES,
+    CAMERA_RESOLUTIONS,
+    listCameras,
+    loadCameraSettings,
+    saveCameraSettings,
+} from "../utils/camera";
+
+// Preview status text for the states that are not errors
+const STATUS_TEXT = {
+    off: "Camera off",
+    starting: "Starting the camera...",
+};
+
+/**
+ * CameraSetup Component
+ *
+ * @returns {JSX.Element} Camera setup page
+ */
+function CameraSetup() {
+    const navigate = useNavigate();
+    const videoRef = useRef(null); // Ref for the preview video element
+
+    const [settings, setSettings] = useState(loadCameraSettings); // Settings being edited
+    const [cameras, setCameras] = useState([]); // Video devices of the browser
+    const camera = useCamera(videoRef, { settings });
+
+    /** Redirect to login if no user is stored */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+        }
+    }, [navigate]);
+
+    /** List the cameras; their names only show once access is allowed */
+    useEffect(() => {
+        listCameras()
+            .then(setCameras)
+            .catch((err) => console.error("Could not list cameras:", err));
+    }, [camera.status]);
+
+    /** Update a single setting */
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setSettings(prev => ({
+            ...prev,
+            [name]: name === "frameRate" ? Number(value) : value || null,
+        }));
+    };
+
+    /** Remember the settings for this user */
+    const handleSave = () => {
+        saveCameraSettings(settings);
+        toast.success("Camera settings saved.");
+    };
+
+    const error = CAMERA_ERRORS[camera.status];
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.header}>
+                <h1 style={styles.title}>📷 Camera Setup</h1>
+                <button style={styles.backButton} onClick={() => navigate("/profile")}>
+                    ← Back to Profile
+                </button>
+            </div>
+
+            <div style={styles.layout}>
+                <div style={styles.camera}>
+                    <div style={styles.mirror}>
+                        <video ref={videoRef} autoPlay playsInline muted style={styles.media} />
+                    </div>
+                    {STATUS_TEXT[camera.status] && <p style={styles.cameraText}>{STATUS_TEXT[camera.status]}</p>}
+                    {error && (
+                        <div style={styles.error}>
+                            <p>⚠️ {error}</p>
+                            <button style={styles.secondaryButton} onClick={camera.retry}>🔄 Try again</button>
+                        </div>
+                    )}
+                    {camera.status === "ready" && camera.actual && (
+                        <p style={styles.live}>
+                            {camera.actual.width} × {camera.actual.height}
+                            {camera.actual.frameRate && ` @ ${Math.round(camera.actual.frameRate)} fps`}
+                        </p>
+                    )}
+                </div>
+
+                <div style={styles.panel}>
+                    <label style={styles.label}>
+                        Camera
+                        <select name="deviceId" value={settings.deviceId ?? ""} onChange={handleChange} style={styles.input}>
+                            <option value="">Browser default</option>
+                            {cameras.map(c => <option key={c.deviceId} value={c.deviceId}>{c.label}</option>)}
+                        </select>
+                    </label>
+                    <label style={styles.label}>
+                        Resolution
+                        <select name="resolution" value={settings.resolution} onChange={handleChange} style={styles.input}>
+                            {CAMERA_RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                        </select>
+                    </label>
+                    <label style={styles.label}>
+                        Frame rate
+                        <select name="frameRate" value={settings.frameRate} onChange={handleChange} style={styles.input}>
+                            {CAMERA_FRAME_RATES.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+                        </select>
+                    </label>
+                    <p style={styles.hint}>
+                        Higher resolutions and frame rates track faster movements but need a faster computer.
+                        The camera uses the closest setting it supports.
+                    </p>
+                    <button style={styles.saveButton} onClick={handleSave}>
+                        💾 Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the CameraSetup component
+ */
+const styles = {
+    container: {
+        minHeight: "100vh",
+        padding: "2rem",
+        backgroundColor: "#f0f2f5",
+    },
+    header: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        maxWidth: "1200px",
+        margin: "0 auto 1.5rem",
+    },
+    title: {
+        fontSize: "2.2rem",
+        color: "#333",
+        margin: 0,
+    },
+    backButton: {
+        padding: "10px 20px",
+        backgroundColor: "#333",
+        color: "#fff",
+        fontSize: "16px",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+    layout: {
+        display: "grid",
+        gridTemplateColumns: "minmax(300px, 2fr) minmax(280px, 1fr)",
+        gap: "2rem",
+        maxWidth: "1200px",
+        margin: "0 auto",
+    },
+    camera: {
+        position: "relative",
+        aspectRatio: "4 / 3",
+        backgroundColor: "#000",
+        borderRadius: "12px",
+        overflow: "hidden",
+    },
+    mirror: { position: "absolute", top: 0, left: 0, width: "100%", height: "100%", transform: "scaleX(-1)" },
+    media: { position: "absolute", width: "100%", height: "100%", objectFit: "cover" },
+    cameraText: { position: "absolute", top: "45%", width: "100%", textAlign: "center", color: "#fff", fontSize: "20px" },
+    error: { position: "absolute", top: "35%", left: "10%", width: "80%", textAlign: "center", color: "#fff", fontSize: "18px" },
+    live: {
+        position: "absolute",
+        bottom: 10,
+        left: 10,
+        margin: 0,
+        padding: "6px 14px",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        color: "#fff",
+        borderRadius: "8px",
+        fontSize: "18px",
+    },
+    panel: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "1rem",
+        backgroundColor: "#fff",
+        padding: "1.5rem",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+    },
+    label: { display: "flex", flexDirection: "column", gap: "0.4rem", color: "#555" },
+    hint: { color: "#666", fontSize: "15px", margin: 0 },
+    input: {
+        width: "100%",
+        boxSizing: "border-box",
+        padding: "10px",
+        fontSize: "16px",
+        border: "1px solid #ccc",
+        borderRadius: "8px",
+    },
+    secondaryButton: { padding: "10px 16px", backgroundColor: "#ddd", color: "#333", border: "none", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    saveButton: { width: "100%", padding: "12px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "8px", fontSize: "18px", cursor: "pointer" },
+};
+
+export default CameraSetup;
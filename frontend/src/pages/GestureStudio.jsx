@@ -0,0 +1,425 @@
+/**
+ * This component lets the user teach the games their own hand gestures.
+ *
+ * Main Features:
+ * - Shows the webcam with the detected hand and the gesture it currently looks like.
+ * - Captures samples of a held pose after a short countdown.
+ * - Warns when a new pose looks like a built-in gesture.
+ * - Saves the named gesture to the user's account and lists or deletes saved ones.
+ * - Captures labelled camera frames of the built-in gestures, including borderline
+ *   ones, and downloads them as test fixtures for the gesture recognizer
+ *   (src/utils/__fixtures__/capturedPoses.json).
+ * - Redirects to login if user is not authenticated.
+ *
+ * Saved gestures are picked up by Simon Says and Memory Match.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import gestureService from "../services/gestureService";
+import useCamera from "../hooks/useCamera";
+import useHandLandmarker from "../hooks/useHandLandmarker";
+import ModelLoadingStatus from "../components/ModelLoadingStatus";
+import { drawSelectedKeypoints } from "../utils/drawUtils";
+import { CAMERA_ERRORS, loadCameraSettings } from "../utils/camera";
+import {
+    flattenLandmarks,
+    getHandedness,
+    gestureLabel,
+    recognizeGesture,
+    classifyGesture,
+    physicalHand,
+    DEFAULT_MIN_CONFIDENCE,
+    GESTURE_LABELS,
+} from "../utils/gestures";
+
+const MIN_SAMPLES = 3; // Samples needed before a gesture can be saved
+const MAX_SAMPLES = 10; // Samples kept per gesture
+const CAPTURE_COUNTDOWN = 3; // Seconds to get into the pose before a capture
+const ALL_LANDMARKS = Array.from({ length: 21 }, (_, i) => i);
+const NO_GESTURE = "none"; // Test frame label of a pose that is none of the built-in gestures
+
+/**
+ * toPoseFixture
+ *
+ * Turns a captured frame into an entry of the gesture recognizer's test fixtures.
+ *
+ * @param {Object} hand - Latest detected hand ({ results, aspectRatio })
+ * @param {string} gesture - Gesture the pose shows (NO_GESTURE for none)
+ * @param {boolean} borderline - Whether the pose is a borderline case (e.g. a half-curled finger)
+ * @param {number} index - Number of the frame, to tell frames of the same pose apart
+ * @returns {Object} { name, gesture, hand, borderline, aspectRatio, results: { landmarks, handedness } }
+ */
+const toPoseFixture = (hand, gesture, borderline, index) => {
+    const physical = physicalHand(getHandedness(hand.results));
+    return {
+        name: `${gesture} / ${physical} hand / captured${borderline ? " borderline" : ""} ${index}`,
+        gesture,
+        hand: physical,
+        borderline,
+        aspectRatio: Math.round(hand.aspectRatio * 10000) / 10000,
+        results: {
+            landmarks: hand.results.landmarks.slice(0, 1),
+            handedness: hand.results.handedness.slice(0, 1),
+        },
+    };
+};
+
+/**
+ * GestureStudio Component
+ *
+ * @returns {JSX.Element} Gesture studio page
+ */
+function GestureStudio() {
+    const navigate = useNavigate();
+    const videoRef = useRef(null); // Ref for the webcam video element
+    const canvasRef = useRef(null); // Ref for the canvas element
+    const handRef = useRef(null); // Latest detected hand ({ landmarks, handedness, aspectRatio, results })
+
+    const [gestures, setGestures] = useState([]); // Saved custom gestures
+    const [live, setLive] = useState(""); // Label of the gesture currently shown
+    const [name, setName] = useState(""); // Name of the new gesture
+    const [samples, setSamples] = useState([]); // Captured samples of the new gesture
+    const [lookalike, setLookalike] = useState(null); // Built-in gesture the new pose resembles
+    const [countdown, setCountdown] = useState(null); // Seconds until the next capture
+    const [captureTarget, setCaptureTarget] = useState("sample"); // What the countdown captures: "sample" or "testFrame"
+    const [testGesture, setTestGesture] = useState(Object.keys(GESTURE_LABELS)[0]); // Label of the next test frame
+    const [borderline, setBorderline] = useState(false); // Whether the next test frame is a borderline pose
+    const [testFrames, setTestFrames] = useState([]); // Captured test frames (fixture entries)
+    const [saving, setSaving] = useState(false);
+
+    /** Redirect to login if no user is stored, else load the saved gestures */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+            return;
+        }
+
+        gestureService
+            .getGestures()
+            .then(setGestures)
+            .catch(() => toast.error("Failed to load your gestures."));
+    }, [navigate]);
+
+    /** Use the hand landmark model shared with the games */
+    const handModel = useHandLandmarker();
+    const handLandmarker = handModel.landmarker; // Hand detection model, once loaded
+
+    /** Run the webcam with the user's camera settings and stop it when leaving the page */
+    const [cameraSettings] = useState(loadCameraSettings);
+    const camera = useCamera(videoRef, { settings: cameraSettings });
+
+    /** Detect the hand every frame, draw it and show what it looks like */
+    useEffect(() => {
+        if (!handLandmarker) return;
+        let rafId;
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+        const ctx = canvas.getContext("2d");
+
+        const loop = () => {
+            if (video.videoWidth > 0) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+                const results = handLandmarker.detectForVideo(video, performance.now());
+                const aspectRatio = canvas.width / canvas.height;
+
+                if (results?.landmarks?.length) {
+                    drawSelectedKeypoints(results.landmarks.slice(0, 1), ctx, ALL_LANDMARKS, "#7b2ff7");
+                    handRef.current = { landmarks: results.landmarks[0], handedness: getHandedness(results), aspectRatio, results };
+
+                    const best = recognizeGesture(results, { aspectRatio, customGestures: gestures });
+                    setLive(best.confidence >= DEFAULT_MIN_CONFIDENCE ? gestureLabel(best.gesture, gestures) : "");
+                } else {
+                    handRef.current = null;
+                    setLive("");
+                }
+            }
+            rafId = requestAnimationFrame(loop);
+        };
+
+        rafId = requestAnimationFrame(loop);
+        return () => cancelAnimationFrame(rafId);
+    }, [handLandmarker, gestures]);
+
+    /** Count down, then capture the held pose */
+    useEffect(() => {
+        if (countdown === null) return;
+
+        if (countdown > 0) {
+            const timeout = setTimeout(() => setCountdown(countdown - 1), 1000);
+            return () => clearTimeout(timeout);
+        }
+
+        setCountdown(null);
+        const hand = handRef.current;
+        if (!hand) {
+            toast.warn("No hand detected. Hold your hand in front of the camera.");
+            return;
+        }
+
+        if (captureTarget === "testFrame") {
+            setTestFrames(prev => [...prev, toPoseFixture(hand, testGesture, borderline, prev.length + 1)]);
+            return;
+        }
+
+        const options = { handedness: hand.handedness, aspectRatio: hand.aspectRatio };
+        const [best] = classifyGesture(hand.landmarks, options);
+        setLookalike(best.confidence >= DEFAULT_MIN_CONFIDENCE ? best.gesture : null);
+        setSamples(prev => [...prev, flattenLandmarks(hand.landmarks, options)].slice(-MAX_SAMPLES));
+    }, [countdown, captureTarget, testGesture, borderline]);
+
+    /** Count down, then capture a sample of the new gesture or a test frame */
+    const startCapture = (target) => {
+        setCaptureTarget(target);
+        setCountdown(CAPTURE_COUNTDOWN);
+    };
+
+    /** Download the captured test frames in the format of the recognizer's test fixtures */
+    const handleDownloadTestFrames = () => {
+        const blob = new Blob([JSON.stringify(testFrames, null, 1)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "capturedPoses.json";
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /** Reset the gesture being recorded */
+    const resetRecording = () => {
+        setName("");
+        setSamples([]);
+        setLookalike(null);
+    };
+
+    /** Save the recorded gesture to the user's account */
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const gesture = await gestureService.saveGesture(name.trim(), samples);
+            setGestures(prev => [...prev, gesture]);
+            toast.success(`"${gesture.name}" saved! It will show up in Simon Says and Memory Match.`);
+            resetRecording();
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to save gesture.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /** Delete a saved gesture */
+    const handleDelete = async (gesture) => {
+        try {
+            await gestureService.deleteGesture(gesture._id);
+            setGestures(prev => prev.filter(g => g._id !== gesture._id));
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to delete gesture.");
+        }
+    };
+
+    const canSave = name.trim().length > 0 && samples.length >= MIN_SAMPLES && !saving;
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.header}>
+                <h1 style={styles.title}>✨ Gesture Studio</h1>
+                <button style={styles.backButton} onClick={() => navigate("/profile")}>
+                    ← Back to Profile
+                </button>
+            </div>
+
+            <div style={styles.layout}>
+                <div style={styles.camera}>
+                    <div style={styles.mirror}>
+                        <video ref={videoRef} autoPlay playsInline muted style={styles.media} />
+                        <canvas ref={canvasRef} style={styles.media} />
+                    </div>
+                    {CAMERA_ERRORS[camera.status] ? (
+                        <p style={styles.cameraText}>⚠️ {CAMERA_ERRORS[camera.status]}</p>
+                    ) : (
+                        handModel.status !== "ready" && (
+                            <div style={styles.cameraText}><ModelLoadingStatus model={handModel} /></div>
+                        )
+                    )}
+                    {countdown !== null && <p style={styles.countdown}>{countdown || "📸"}</p>}
+                    <p style={styles.live}>{live ? `Looks like: ${live}` : "No known gesture"}</p>
+                </div>
+
+                <div style={styles.panel}>
+                    <h2>Record a gesture</h2>
+                    <p style={styles.hint}>
+                        Hold the pose in front of the camera and capture it {MIN_SAMPLES} or more times,
+                        slightly moving or turning your hand between captures.
+                    </p>
+                    <input
+                        style={styles.input}
+                        placeholder="Gesture name (e.g. OK Sign)"
+                        maxLength={30}
+                        value={name}
+                        onChange={e => setName(e.target.value)}
+                    />
+                    <div style={styles.buttons}>
+                        <button
+                            style={styles.captureButton}
+                            onClick={() => startCapture("sample")}
+                            disabled={!handLandmarker || countdown !== null}
+                        >
+                            📸 Capture sample
+                        </button>
+                        <button style={styles.secondaryButton} onClick={resetRecording} disabled={samples.length === 0}>
+                            Clear
+                        </button>
+                    </div>
+                    <p>Samples: {samples.length} / {MIN_SAMPLES}+</p>
+                    {lookalike && (
+                        <p style={styles.warning}>
+                            ⚠️ This pose looks like {gestureLabel(lookalike)}. Games may confuse the two.
+                        </p>
+                    )}
+                    <button style={styles.saveButton} onClick={handleSave} disabled={!canSave}>
+                        {saving ? "Saving..." : "💾 Save gesture"}
+                    </button>
+
+                    <h2>Your gestures</h2>
+                    {gestures.length === 0 ? (
+                        <p style={styles.hint}>No custom gestures yet.</p>
+                    ) : (
+                        <ul style={styles.list}>
+                            {gestures.map(gesture => (
+                                <li key={gesture._id} style={styles.listItem}>
+                                    <span>✨ {gesture.name} <small>({gesture.samples.length} samples)</small></span>
+                                    <button style={styles.deleteButton} onClick={() => handleDelete(gesture)}>
+                                        Delete
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <h2>Test frames</h2>
+                    <p style={styles.hint}>
+                        For developers: capture camera frames of the built-in gestures, including borderline
+                        poses, and add the download to src/utils/__fixtures__/capturedPoses.json.
+                    </p>
+                    <div style={styles.buttons}>
+                        <select style={styles.select} value={testGesture} onChange={e => setTestGesture(e.target.value)}>
+                            {Object.entries(GESTURE_LABELS).map(([gesture, label]) => (
+                                <option key={gesture} value={gesture}>{label}</option>
+                            ))}
+                            <option value={NO_GESTURE}>No gesture</option>
+                        </select>
+                        <label style={styles.checkbox}>
+                            <input type="checkbox" checked={borderline} onChange={e => setBorderline(e.target.checked)} />
+                            Borderline
+                        </label>
+                    </div>
+                    <div style={styles.buttons}>
+                        <button
+                            style={styles.captureButton}
+                            onClick={() => startCapture("testFrame")}
+                            disabled={!handLandmarker || countdown !== null}
+                        >
+                            📸 Capture frame
+                        </button>
+                        <button style={styles.secondaryButton} onClick={handleDownloadTestFrames} disabled={testFrames.length === 0}>
+                            ⬇️ Download ({testFrames.length})
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the GestureStudio component
+ */
+const styles = {
+    container: {
+        minHeight: "100vh",
+        padding: "2rem",
+        backgroundColor: "#f0f2f5",
+    },
+    header: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        maxWidth: "1200px",
+        margin: "0 auto 1.5rem",
+    },
+    title: {
+        fontSize: "2.2rem",
+        color: "#333",
+        margin: 0,
+    },
+    backButton: {
+        padding: "10px 20px",
+        backgroundColor: "#333",
+        color: "#fff",
+        fontSize: "16px",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+    layout: {
+        display: "grid",
+        gridTemplateColumns: "minmax(300px, 2fr) minmax(280px, 1fr)",
+        gap: "2rem",
+        maxWidth: "1200px",
+        margin: "0 auto",
+    },
+    camera: {
+        position: "relative",
+        aspectRatio: "4 / 3",
+        backgroundColor: "#000",
+        borderRadius: "12px",
+        overflow: "hidden",
+    },
+    mirror: { position: "absolute", top: 0, left: 0, width: "100%", height: "100%", transform: "scaleX(-1)" },
+    media: { position: "absolute", width: "100%", height: "100%", objectFit: "cover" },
+    cameraText: { position: "absolute", top: "45%", width: "100%", textAlign: "center", color: "#fff", fontSize: "20px" },
+    countdown: { position: "absolute", top: "35%", width: "100%", textAlign: "center", color: "#fff", fontSize: "72px", fontWeight: "bold", margin: 0 },
+    live: {
+        position: "absolute",
+        bottom: 10,
+        left: 10,
+        margin: 0,
+        padding: "6px 14px",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        color: "#fff",
+        borderRadius: "8px",
+        fontSize: "18px",
+    },
+    panel: {
+        backgroundColor: "#fff",
+        padding: "1.5rem",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+    },
+    hint: { color: "#666", fontSize: "15px" },
+    input: {
+        width: "100%",
+        boxSizing: "border-box",
+        padding: "10px",
+        fontSize: "16px",
+        border: "1px solid #ccc",
+        borderRadius: "8px",
+    },
+    buttons: { display: "flex", gap: "10px", marginTop: "12px" },
+    captureButton: { flex: 1, padding: "10px", backgroundColor: "#7b2ff7", color: "#fff", border: "none", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    secondaryButton: { padding: "10px 16px", backgroundColor: "#ddd", color: "#333", border: "none", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    saveButton: { width: "100%", padding: "12px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "8px", fontSize: "18px", cursor: "pointer" },
+    warning: { color: "#b36b00", fontSize: "15px" },
+    select: { flex: 1, padding: "10px", fontSize: "16px", borderRadius: "8px" },
+    checkbox: { display: "flex", alignItems: "center", gap: "6px", fontSize: "16px" },
+    list: { listStyle: "none", padding: 0, margin: 0 },
+    listItem: { display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: "1px solid #eee" },
+    deleteButton: { padding: "6px 12px", backgroundColor: "#e74c3c", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
+};
+
+export default GestureStudio;
@@ -0,0 +1,179 @@
+/**
+ * This component lets the user choose which hand they play with.
+ *
+ * Main Features:
+ * - Chooses the dominant hand: when both hands are in view, games follow it.
+ * - Requires a hand per game, e.g. when a therapist prescribes an exercise for the
+ *   affected hand: the game then ignores the other hand and names the required one
+ *   in its prompts.
+ * - Saves the settings to the user's account (see services/settingsService.js).
+ * - Redirects to login if user is not authenticated.
+ *
+ * Gesture recognition works with either hand (see utils/gestures.js), so the settings
+ * only decide which hand counts.
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import settingsService from "../services/settingsService";
+import GAMES from "../games/registry";
+import { HAND_LABELS } from "../utils/handTracking";
+
+const DOMINANT_LABELS = { left: "🫲 Left-handed", right: "🫱 Right-handed" };
+const HAND_GAMES = GAMES.filter(game => game.inputs.includes("hand")); // Games played with hand tracking
+
+/**
+ * HandSettings Component
+ *
+ * @returns {JSX.Element} Hand settings page
+ */
+function HandSettings() {
+    const navigate = useNavigate();
+    const [dominantHand, setDominantHand] = useState("right"); // Hand games follow when both are in view
+    const [requiredHands, setRequiredHands] = useState({}); // Game id → the only hand that plays it
+    const [loaded, setLoaded] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    /** Redirect to login if no user is stored, else load the saved settings */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+            return;
+        }
+
+        settingsService
+            .getSettings()
+            .then((settings) => {
+                setDominantHand(settings.dominantHand);
+                setRequiredHands(settings.requiredHands ?? {});
+                setLoaded(true);
+            })
+            .catch(() => toast.error("Failed to load your hand settings."));
+    }, [navigate]);
+
+    /** Require a hand for a game, or let it be played with either hand ("any") */
+    const handleRequiredHand = (gameId, hand) => {
+        setRequiredHands((current) => {
+            const { [gameId]: removed, ...rest } = current;
+            return hand === "any" ? rest : { ...rest, [gameId]: hand };
+        });
+    };
+
+    /** Save the settings to the user's account */
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const saved = await settingsService.saveSettings({ dominantHand, requiredHands });
+            setDominantHand(saved.dominantHand);
+            setRequiredHands(saved.requiredHands);
+            toast.success("Hand settings saved!");
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to save hand settings.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.header}>
+                <h1 style={styles.title}>✋ Hand Settings</h1>
+                <button style={styles.backButton} onClick={() => navigate("/profile")}>
+                    ← Back to Profile
+                </button>
+            </div>
+
+            <div style={styles.panel}>
+                <h2>Dominant hand</h2>
+                <p style={styles.hint}>When both hands are in view, games follow this hand.</p>
+                <div style={styles.choice}>
+                    {Object.entries(DOMINANT_LABELS).map(([hand, label]) => (
+                        <button
+                            key={hand}
+                            onClick={() => setDominantHand(hand)}
+                            style={hand === dominantHand ? { ...styles.choiceButton, ...styles.choiceButtonActive } : styles.choiceButton}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                <h2>Hand per game</h2>
+                <p style={styles.hint}>
+                    Require a hand for a game, e.g. for exercises prescribed for the affected hand.
+                    The game then ignores the other hand and asks for the required one.
+                </p>
+                {HAND_GAMES.map(game => (
+                    <label key={game.id} style={styles.gameRow}>
+                        <span>{game.icon} {game.name}</span>
+                        <select
+                            value={requiredHands[game.id] ?? "any"}
+                            onChange={(e) => handleRequiredHand(game.id, e.target.value)}
+                            style={styles.select}
+                        >
+                            <option value="any">Either hand</option>
+                            {Object.entries(HAND_LABELS).map(([hand, label]) => (
+                                <option key={hand} value={hand}>Only the {label}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+
+                <button style={styles.saveButton} onClick={handleSave} disabled={!loaded || saving}>
+                    {saving ? "Saving..." : "💾 Save settings"}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the HandSettings component
+ */
+const styles = {
+    container: {
+        minHeight: "100vh",
+        padding: "2rem",
+        backgroundColor: "#f0f2f5",
+    },
+    header: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        maxWidth: "720px",
+        margin: "0 auto 1.5rem",
+    },
+    title: {
+        fontSize: "2.2rem",
+        color: "#333",
+        margin: 0,
+    },
+    backButton: {
+        padding: "10px 20px",
+        backgroundColor: "#333",
+        color: "#fff",
+        fontSize: "16px",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+    panel: {
+        maxWidth: "720px",
+        margin: "0 auto",
+        backgroundColor: "#fff",
+        padding: "1.5rem",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+    },
+    hint: { color: "#666", fontSize: "15px" },
+    choice: { display: "flex", gap: "10px" },
+    choiceButton: { flex: 1, padding: "10px", backgroundColor: "#eee", color: "#333", border: "2px solid transparent", borderRadius: "8px", fontSize: "16px", cursor: "pointer" },
+    choiceButtonActive: { borderColor: "#7b2ff7", backgroundColor: "#efe6ff" },
+    gameRow: { display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: "1px solid #eee", fontSize: "16px" },
+    select: { padding: "6px 10px", fontSize: "15px", borderRadius: "6px" },
+    saveButton: { width: "100%", marginTop: "1.5rem", padding: "12px", backgroundColor: "#00c864", color: "#fff", border: "none", borderRadius: "8px", fontSize: "18px", cursor: "pointer" },
+};
+
+export default HandSettings;
@@ -0,0 +1,321 @@
+/**
+ * This component displays the user's full score history.
+ *
+ * Main Features:
+ * - Filters by game, date range and score range.
+ * - Sorts by newest, oldest, highest or lowest score.
+ * - Loads pages from the server as the user scrolls (infinite scroll).
+ * - Marks scores played without hand tracking (mouse/touch or keyboard).
+ * - Marks scores of other modes than the default time attack.
+ * - Marks scores played at another difficulty than normal.
+ * - Links scores that have a stored replay to the replay viewer.
+ * - Redirects to login if user is not authenticated.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import scoreService from "../services/scoreService";
+import GAMES, { getGame } from "../games/registry";
+import { INPUT_LABELS } from "../utils/inputSources";
+import { modeLabel } from "../games/modes";
+import { DIFFICULTIES } from "../games/difficulty";
+
+const PAGE_SIZE = 25; // Scores fetched per page
+
+// Games available in the game filter, from the game registry
+const GAME_OPTIONS = GAMES.map(game => ({ value: game.id, label: `${game.icon} ${game.name}` }));
+
+const EMPTY_FILTERS = { gameType: "", from: "", to: "", minScore: "", maxScore: "", sort: "newest" };
+
+/**
+ * toQuery
+ *
+ * Converts the form filters into API query parameters.
+ * Dates are whole local days: "from" starts at midnight, "to" ends at midnight.
+ *
+ * @param {Object} filters - Form filter values
+ * @returns {Object} Query parameters for scoreService.getScores
+ */
+const toQuery = (filters) => ({
+    gameType: filters.gameType || undefined,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+    minScore: filters.minScore !== "" ? filters.minScore : undefined,
+    maxScore: filters.maxScore !== "" ? filters.maxScore : undefined,
+    sort: filters.sort,
+    limit: PAGE_SIZE,
+});
+
+/**
+ * History Component
+ *
+ * @returns {JSX.Element} Score history page
+ */
+function History() {
+    const navigate = useNavigate();
+    const [filters, setFilters] = useState(EMPTY_FILTERS); // Current filter form values
+    const [scores, setScores] = useState([]); // Scores loaded so far
+    const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page
+    const [hasMore, setHasMore] = useState(true); // Whether more pages exist
+    const [loading, setLoading] = useState(false); // Whether a page is being fetched
+    const sentinelRef = useRef(null); // Element at the end of the list that triggers loading
+    const requestRef = useRef(0); // Id of the latest filter change, to ignore stale pages
+
+    /** Redirect to login if no user is stored */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+        }
+    }, [navigate]);
+
+    /**
+     * loadPage
+     *
+     * Fetches the next page for the current filters and appends it.
+     *
+     * @param {string|null} cursor - Cursor to continue from (null for the first page)
+     * @param {number} requestId - Filter change the page belongs to
+     */
+    const loadPage = useCallback(async (cursor, requestId) => {
+        setLoading(true);
+        try {
+            const page = await scoreService.getScores(toQuery(filters), cursor);
+            if (requestId !== requestRef.current) return; // Filters changed meanwhile
+
+            setScores(prev => (cursor ? [...prev, ...page.items] : page.items));
+            setNextCursor(page.nextCursor);
+            setHasMore(Boolean(page.nextCursor));
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to fetch scores");
+            setHasMore(false);
+        } finally {
+            if (requestId === requestRef.current) setLoading(false);
+        }
+    }, [filters]);
+
+    /** Reload from the first page whenever the filters change */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) return;
+        requestRef.current += 1;
+        setScores([]);
+        setNextCursor(null);
+        setHasMore(true);
+        loadPage(null, requestRef.current);
+    }, [loadPage]);
+
+    /** Load the next page when the end of the list scrolls into view */
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !hasMore || loading || !nextCursor) return;
+
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) {
+                observer.disconnect();
+                loadPage(nextCursor, requestRef.current);
+            }
+        }, { rootMargin: "200px" });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, loading, nextCursor, loadPage]);
+
+    /** Update a single filter field */
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const gameLabel = (type) => GAME_OPTIONS.find(g => g.value === type)?.label || type;
+
+    // Mode of a score, unless it is a time attack of the game's default duration
+    const scoreModeLabel = (s) => {
+        const defaultMode = (s.mode ?? "timed") === "timed" && (!s.duration || s.duration === getGame(s.gameType)?.duration);
+        return defaultMode ? null : modeLabel(s.mode, s.duration);
+    };
+
+    return (
+        <div style={styles.container}>
+            <h1 style={styles.title}>📜 Score History</h1>
+
+            {/* Filters */}
+            <div style={styles.filters}>
+                <select name="gameType" value={filters.gameType} onChange={handleChange} style={styles.input} aria-label="Game">
+                    <option value="">All games</option>
+                    {GAME_OPTIONS.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+                </select>
+                <label style={styles.label}>
+                    From
+                    <input type="date" name="from" value={filters.from} onChange={handleChange} style={styles.input} />
+                </label>
+                <label style={styles.label}>
+                    To
+                    <input type="date" name="to" value={filters.to} onChange={handleChange} style={styles.input} />
+                </label>
+                <input type="number" name="minScore" placeholder="Min score" value={filters.minScore} onChange={handleChange} style={styles.numberInput} />
+                <input type="number" name="maxScore" placeholder="Max score" value={filters.maxScore} onChange={handleChange} style={styles.numberInput} />
+                <select name="sort" value={filters.sort} onChange={handleChange} style={styles.input} aria-label="Sort">
+                    <option value="newest">Newest first</option>
+                    <option value="oldest">Oldest first</option>
+                    <option value="highest">Highest score</option>
+                    <option value="lowest">Lowest score</option>
+                </select>
+                <button onClick={() => setFilters(EMPTY_FILTERS)} style={styles.resetButton}>Reset</button>
+            </div>
+
+            {/* Score list */}
+            <ul style={styles.list}>
+                {scores.map(s => (
+                    <li key={s._id} style={styles.item}>
+                        <span style={styles.game}>
+                            {gameLabel(s.gameType)}
+                            {s.inputMethod && s.inputMethod !== "hand" && (
+                                <small style={styles.inputTag}> {INPUT_LABELS[s.inputMethod]}</small>
+                            )}
+                            {scoreModeLabel(s) && <small style={styles.inputTag}> {scoreModeLabel(s)}</small>}
+                            {DIFFICULTIES[s.difficulty] && s.difficulty !== "normal" && (
+                                <small style={styles.inputTag}> {DIFFICULTIES[s.difficulty].label}</small>
+                            )}
+                        </span>
+                        <span style={styles.score}>{s.score} pts</span>
+                        <span style={styles.date}>{new Date(s.createdAt).toLocaleString()}</span>
+                        <span>
+                            {s.hasReplay && (
+                                <button onClick={() => navigate(`/replay/${s._id}`)} style={styles.replayButton}>
+                                    🎬 Replay
+                                </button>
+                            )}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+
+            {!loading && scores.length === 0 && <p style={styles.empty}>No scores match these filters.</p>}
+            {loading && <p style={styles.empty}>Loading...</p>}
+            <div ref={sentinelRef} />
+
+            <button onClick={() => navigate("/profile")} style={styles.backButton}>Back to Profile</button>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the History component
+ */
+const styles = {
+    container: {
+        minHeight: "100vh",
+        padding: "2rem",
+        backgroundColor: "#f0f2f5",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+    },
+    title: {
+        fontSize: "2.5rem",
+        marginBottom: "1.5rem",
+        color: "#333",
+    },
+    filters: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "0.75rem",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "#fff",
+        padding: "1rem",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+        marginBottom: "1.5rem",
+        maxWidth: "900px",
+    },
+    label: {
+        display: "flex",
+        alignItems: "center",
+        gap: "0.4rem",
+        color: "#555",
+    },
+    input: {
+        padding: "0.5rem",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "0.95rem",
+    },
+    numberInput: {
+        padding: "0.5rem",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "0.95rem",
+        width: "110px",
+    },
+    replayButton: {
+        padding: "0.35rem 0.75rem",
+        backgroundColor: "#6c5ce7",
+        color: "#fff",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+    },
+    resetButton: {
+        padding: "0.5rem 1rem",
+        backgroundColor: "#888",
+        color: "#fff",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+    },
+    list: {
+        listStyle: "none",
+        padding: 0,
+        margin: 0,
+        width: "100%",
+        maxWidth: "900px",
+    },
+    item: {
+        display: "grid",
+        gridTemplateColumns: "2fr 1fr 2fr 1fr",
+        alignItems: "center",
+        padding: "12px 16px",
+        marginBottom: "8px",
+        backgroundColor: "#fff",
+        borderRadius: "8px",
+        border: "1px solid #ddd",
+        fontSize: "16px",
+    },
+    game: {
+        fontWeight: "bold",
+        color: "#333",
+    },
+    inputTag: {
+        fontWeight: "normal",
+        color: "#888",
+    },
+    score: {
+        textAlign: "center",
+        color: "#00a050",
+        fontWeight: "bold",
+    },
+    date: {
+        textAlign: "right",
+        color: "#888",
+    },
+    empty: {
+        color: "#888",
+        fontStyle: "italic",
+        marginTop: "1rem",
+    },
+    backButton: {
+        marginTop: "1.5rem",
+        padding: "12px 24px",
+        backgroundColor: "#0077ff",
+        color: "#fff",
+        fontSize: "18px",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+};
+
+export default History;
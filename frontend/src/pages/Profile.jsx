@@ -1,23 +1,27 @@
 /**
  * This component displays the user's profile after login.
  * It shows:
- * - User welcome message
- * - Highest scores and all recorded scores for each game
- * - Buttons to play each available game
+ * - User welcome message and current daily streak
+ * - Best, average and median score (of the latest games, for players with very many),
+ *   play count and play time for each game
+ * - A chart of the daily best score over the last 30 days for each game
+ * - Buttons to play each available game, to open the score history, the gesture studio,
+ *   the camera setup and the reach calibration
  *
  * Main Features:
  * - Fetches user info from localStorage.
- * - Fetches scores from the server.
+ * - Fetches per-game statistics from the server.
  * - Redirects to login if user is not authenticated.
- * - Displays scores grouped by game type.
  * - Provides quick navigation to games.
+ * - Generates one card per game from the game registry.
  */
 
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import scoreService from "../services/scoreService";
 import { toast } from "react-toastify";
-import { FaBasketballBall, FaBrain, FaHandPaper, FaPaintBrush, FaBolt, FaGamepad, FaSwimmer } from "react-icons/fa";
+import ScoreChart from "../components/ScoreChart";
+import GAMES from "../games/registry";
 
 /**
  * Profile Component
@@ -29,7 +33,7 @@ import { FaBasketballBall, FaBrain, FaHandPaper, FaPaintBrush, FaBolt, FaGamepad
 function Profile() {
     const navigate = useNavigate();
     const [user, setUser] = useState(null); // Current logged-in user
-    const [scores, setScores] = useState([]); // List of all scores fetched
+    const [stats, setStats] = useState(null); // Per-game statistics and streak
 
     /**
      * useEffect
@@ -37,7 +41,7 @@ function Profile() {
      * Runs on component mount:
      * - Loads user from localStorage.
      * - If no user, redirects to login.
-     * - Otherwise fetches scores from the server.
+     * - Otherwise fetches statistics from the server.
      */
     useEffect(() => {
         const storedUser = JSON.parse(localStorage.getItem("user"));
@@ -46,90 +50,68 @@ function Profile() {
             navigate("/login");
         } else {
             setUser(storedUser);
-            fetchScores();
+            fetchStats();
         }
     }, [navigate]);
 
     /**
-     * fetchScores
+     * fetchStats
      *
-     * Fetches all user's scores from the server.
+     * Fetches the user's per-game statistics from the server.
      */
-    const fetchScores = async () => {
+    const fetchStats = async () => {
         try {
-            const data = await scoreService.getScores();
-            if (Array.isArray(data)) {
-                setScores(data);
-            } else {
-                console.error("Fetched scores are not an array:", data);
-                setScores([]); // fallback to empty array
-            }
+            const data = await scoreService.getStats();
+            setStats(data);
         } catch (err) {
             console.error(err);
-            toast.error("Failed to fetch scores");
+            toast.error("Failed to fetch statistics");
         }
     };
 
-
     /**
-     * getScoresByGame
+     * formatPlayTime
      *
-     * Filters scores by a given game type.
+     * Formats a duration as hours and minutes.
      *
-     * @param {string} type - Game type (e.g., "BallGame", "SimonSays")
-     * @returns {Array} List of scores for that game
-     */
-    const getScoresByGame = (type) => {
-        if (!Array.isArray(scores)) return [];
-        return scores.filter(score => score.gameType === type);
-    };
-
-
-    /**
-     * getHighestScore
-     *
-     * Finds the highest score for a given game type.
-     *
-     * @param {string} type - Game type
-     * @returns {number} Highest score or 0 if no scores
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} e.g. "1h 05m" or "12m"
      */
-    const getHighestScore = (type) => {
-        const filtered = getScoresByGame(type);
-        if (filtered.length === 0) return 0;
-        return Math.max(...filtered.map(s => s.score));
+    const formatPlayTime = (ms) => {
+        const minutes = Math.round(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, "0")}m` : `${minutes}m`;
     };
 
     /**
-     * renderScores
+     * renderStats
      *
-     * Renders a list of all scores for a given game.
+     * Renders the statistics and 30-day chart of a game.
      *
      * @param {string} type - Game type
-     * @returns {JSX.Element} List of scores or no score message
+     * @param {string} color - Chart color of the game
+     * @returns {JSX.Element} Statistics or no score message
      */
-    const renderScores = (type) => {
-        const gameScores = getScoresByGame(type);
+    const renderStats = (type, color) => {
+        const game = stats?.games?.[type];
 
-        if (gameScores.length === 0) {
+        if (!game) {
             return <p style={styles.noScore}>No scores yet.</p>;
         }
 
         return (
-            <ul style={styles.scoreList}>
-                {gameScores.map((s, idx) => (
-                    <li
-                        key={s._id}
-                        style={{
-                            ...styles.scoreItem,
-                            backgroundColor: idx === 0 ? "#00c864" : "#fff",
-                            color: idx === 0 ? "#fff" : "#333",
-                            fontWeight: idx === 0 ? "bold" : "normal",
-                        }}
-                    >
-                        {s.score} pts — {new Date(s.createdAt).toLocaleString()}
-                    </li>
-                ))}
-            </ul>
+            <>
+                <h3>🏆 Highest Score: {game.best}</h3>
+                <div style={styles.statsGrid}>
+                    <span>Average: <b>{game.average}</b></span>
+                    <span>
+                        {game.medianOf < game.playCount ? `Median of last ${game.medianOf} games` : "Median"}: <b>{game.median}</b>
+                    </span>
+                    <span>Games: <b>{game.playCount}</b></span>
+                    <span>Play time: <b>{formatPlayTime(game.totalPlayTimeMs)}</b></span>
+                </div>
+                <ScoreChart data={game.trend} color={color} />
+            </>
         );
     };
 
@@ -138,68 +120,45 @@ function Profile() {
             {user && (
                 <>
                     <h1 style={styles.title}>Welcome, {user.name} 👋</h1>
+                    {stats && (
+                        <p style={styles.streak}>
+                            🔥 {stats.streak.current}-day streak
+                            {stats.streak.current > 0 && !stats.streak.playedToday && " — play today to keep it going!"}
+                        </p>
+                    )}
+                    <div style={styles.links}>
+                        <button style={styles.historyButton} onClick={() => navigate("/history")}>
+                            📜 Score History
+                        </button>
+                        <button style={styles.historyButton} onClick={() => navigate("/gestures")}>
+                            ✨ Gesture Studio
+                        </button>
+                        <button style={styles.historyButton} onClick={() => navigate("/camera")}>
+                            📷 Camera Setup
+                        </button>
+                        <button style={styles.historyButton} onClick={() => navigate("/calibration")}>
+                            🎯 Calibrate Reach
+                        </button>
+                        <button style={styles.historyButton} onClick={() => navigate("/hand-settings")}>
+                            ✋ Hand Settings
+                        </button>
+                    </div>
 
                     <div style={styles.cards}>
-
-                        {/* Shape Tracing Section */}
-                        <div style={styles.section}>
-                            <h2>🎨 Shape Tracing</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("ShapeTracing")}</h3>
-                            {renderScores("ShapeTracing")}
-                            <button style={styles.buttonShape} onClick={() => navigate("/shape-tracing")}>
-                                🎨 Play Shape Tracing
-                            </button>
-                        </div>
-
-                        {/* Swipe Challenge Section */}
-                        <div style={styles.section}>
-                            <h2>🏓 Swipe Challenge</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("SwipeChallenge")}</h3>
-                            {renderScores("SwipeChallenge")}
-                            <button style={styles.buttonSwipe} onClick={() => navigate("/swipe-challenge")}>
-                                🏓 Play Swipe Challenge
-                            </button>
-                        </div>
-
-                        {/* Quick Reaction Section */}
-                        <div style={styles.section}>
-                            <h2>⚡ Quick Reaction</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("QuickReaction")}</h3>
-                            {renderScores("QuickReaction")}
-                            <button style={styles.buttonQuick} onClick={() => navigate("/quick-reaction")}>
-                                ⚡ Play Quick Reaction
-                            </button>
-                        </div>
-
-                        {/* Ball Game Section */}
-                        <div style={styles.section}>
-                            <h2>🏀 Ball Game</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("BallGame")}</h3>
-                            {renderScores("BallGame")}
-                            <button style={styles.button} onClick={() => navigate("/ball-game")}>
-                                🎮 Play Ball Game
-                            </button>
-                        </div>
-
-                        {/* Memory Match Section */}
-                        <div style={styles.section}>
-                            <h2>🧠 Memory Match</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("MemoryMatch")}</h3>
-                            {renderScores("MemoryMatch")}
-                            <button style={styles.buttonMemory} onClick={() => navigate("/memory-match")}>
-                                🧠 Play Memory Match
-                            </button>
-                        </div>
-
-                        {/* Simon Says Section */}
-                        <div style={styles.section}>
-                            <h2>✋ Simon Says</h2>
-                            <h3>🏆 Highest Score: {getHighestScore("SimonSays")}</h3>
-                            {renderScores("SimonSays")}
-                            <button style={styles.buttonAlt} onClick={() => navigate("/simon-says")}>
-                                ✋ Play Simon Says
-                            </button>
-                        </div>
+                        {GAMES.map(game => (
+                            <div key={game.id} style={styles.section}>
+                                <h2>{game.icon} {game.name}</h2>
+                                <p style={styles.description}>{game.description}</p>
+                                {renderStats(game.id, game.color)}
+                                <button
+                                    style={{ ...styles.playButton, backgroundColor: game.color, color: game.textColor }}
+                                    onClick={() => navigate(game.route)}
+                                    title={game.scoring}
+                                >
+                                    {game.icon} Play {game.name}
+                                </button>
+                            </div>
+                        ))}
                     </div>
                 </>
             )}
@@ -238,85 +197,50 @@ const styles = {
         boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
         textAlign: "center",
     },
-    scoreList: {
-        listStyle: "none",
-        padding: 0,
-        marginTop: "1rem",
-    },
-    scoreItem: {
-        padding: "10px",
-        marginBottom: "8px",
-        borderRadius: "8px",
-        border: "1px solid #ddd",
-        textAlign: "center",
-        fontSize: "16px",
-    },
-    noScore: {
-        color: "#888",
-        fontStyle: "italic",
-        marginTop: "1rem",
+    streak: {
+        fontSize: "1.2rem",
+        marginTop: "-1rem",
+        marginBottom: "2rem",
+        color: "#555",
     },
-    button: {
-        marginTop: "1.5rem",
-        padding: "12px 24px",
-        backgroundColor: "#0077ff",
-        color: "#fff",
-        fontSize: "18px",
-        border: "none",
-        borderRadius: "8px",
-        cursor: "pointer",
+    links: {
+        display: "flex",
+        gap: "1rem",
+        marginBottom: "2rem",
     },
-    buttonAlt: {
-        marginTop: "1.5rem",
-        padding: "12px 24px",
-        backgroundColor: "#ff9900",
+    historyButton: {
+        padding: "10px 20px",
+        backgroundColor: "#333",
         color: "#fff",
-        fontSize: "18px",
+        fontSize: "16px",
         border: "none",
         borderRadius: "8px",
         cursor: "pointer",
     },
-    buttonShape: {
-        marginTop: "1.5rem",
-        padding: "12px 24px",
-        backgroundColor: "#00c864",
-        color: "#fff",
-        fontSize: "18px",
-        border: "none",
-        borderRadius: "8px",
-        cursor: "pointer",
+    statsGrid: {
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr",
+        gap: "6px",
+        color: "#555",
+        fontSize: "15px",
     },
-    buttonMemory: {
-        marginTop: "1.5rem",
-        padding: "12px 24px",
-        backgroundColor: "#6c5ce7",
-        color: "#fff",
-        fontSize: "18px",
-        border: "none",
-        borderRadius: "8px",
-        cursor: "pointer",
+    noScore: {
+        color: "#888",
+        fontStyle: "italic",
+        marginTop: "1rem",
     },
-    buttonSwipe: {
-        marginTop: "1.5rem",
-        padding: "12px 24px",
-        backgroundColor: "#0984e3",
-        color: "#fff",
-        fontSize: "18px",
-        border: "none",
-        borderRadius: "8px",
-        cursor: "pointer",
+    description: {
+        color: "#666",
+        marginTop: "-0.5rem",
     },
-    buttonQuick: {
+    playButton: {
         marginTop: "1.5rem",
         padding: "12px 24px",
-        backgroundColor: "#fdcb6e",
-        color: "#333",
         fontSize: "18px",
         border: "none",
         borderRadius: "8px",
         cursor: "pointer",
     },
-
 };
 
 export default Profile;
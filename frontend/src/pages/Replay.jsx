@@ -0,0 +1,139 @@
+/**
+ * This component plays back the replay of a saved score.
+ *
+ * Main Features:
+ * - Loads the replay stored with the score and re-renders the game on a canvas,
+ *   using the game's own drawing code (through GameWrapper's playback mode).
+ * - Play, pause, seek and speed controls.
+ * - Races the replay as a ghost in a new game of the same game.
+ * - Redirects to login if user is not authenticated.
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import replayService from "../services/replayService";
+import { getGame } from "../games/registry";
+import { fromReplay } from "../games/playback";
+
+/**
+ * Replay Component
+ *
+ * @returns {JSX.Element} Replay viewer page
+ */
+function Replay() {
+    const { scoreId } = useParams();
+    const navigate = useNavigate();
+
+    const [replay, setReplay] = useState(null); // Replay as returned by the server
+    const [recording, setRecording] = useState(null); // The replay as a playable recording
+    const [seek, setSeek] = useState({ start: 0, key: 0 }); // Playback start; a new key remounts the game
+    const [error, setError] = useState(null);
+
+    /** Redirect to login if no user is stored, else load the replay */
+    useEffect(() => {
+        if (!localStorage.getItem("user")) {
+            toast.error("Please login first.");
+            navigate("/login");
+            return;
+        }
+
+        let cancelled = false;
+        replayService
+            .getReplay(scoreId)
+            .then((data) => {
+                if (cancelled) return;
+                setReplay(data);
+                setRecording(fromReplay(data));
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setError(err.response?.status === 404 ? "This score has no replay." : "Failed to load the replay.");
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [scoreId, navigate]);
+
+    /** Game state cannot be rewound, so seeking remounts the game at the new position */
+    const handleSeek = (position) => {
+        setSeek(prev => ({ start: position, key: prev.key + 1 }));
+    };
+
+    const game = replay ? getGame(replay.gameType) : null;
+
+    if (error || (replay && !game)) {
+        return (
+            <div style={styles.message}>
+                <p>{error ?? "This game is no longer available."}</p>
+                <button onClick={() => navigate(-1)} style={styles.button}>⬅️ Back</button>
+            </div>
+        );
+    }
+
+    if (!recording) {
+        return <div style={styles.message}><p>Loading replay...</p></div>;
+    }
+
+    const Game = game.component;
+
+    return (
+        <div style={styles.container}>
+            <Game key={seek.key} playback={recording} playbackStart={seek.start} onSeek={handleSeek} />
+
+            <div style={styles.header}>
+                <span>
+                    🎬 {replay.player} — {replay.score?.score} pts — {new Date(replay.score?.createdAt).toLocaleString()}
+                </span>
+                <button onClick={() => navigate(`${game.route}?ghost=${scoreId}`)} style={styles.button}>
+                    👻 Race this ghost
+                </button>
+                <button onClick={() => navigate(-1)} style={styles.button}>⬅️ Back</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inline styles for the Replay component
+ */
+const styles = {
+    container: {
+        position: "relative",
+    },
+    header: {
+        position: "absolute",
+        top: 20,
+        right: 20,
+        display: "flex",
+        gap: "10px",
+        alignItems: "center",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        color: "#fff",
+        padding: "8px 16px",
+        borderRadius: "10px",
+        zIndex: 20,
+    },
+    message: {
+        minHeight: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "1rem",
+        backgroundColor: "#000",
+        color: "#fff",
+        fontSize: "20px",
+    },
+    button: {
+        padding: "6px 14px",
+        fontSize: "16px",
+        backgroundColor: "#6c5ce7",
+        color: "#fff",
+        border: "none",
+        borderRadius: "8px",
+        cursor: "pointer",
+    },
+};
+
+export default Replay;
@@ -0,0 +1,65 @@
+/**
+ * Service module to handle calibration API requests:
+ * - Retrieve the user's calibrated hand area
+ * - Save a new calibration
+ * - Delete the calibration
+ *
+ * Uses Axios for HTTP requests.
+ * Automatically attaches the user's token from localStorage.
+ */
+
+import axios from "axios";
+
+const API_URL = "/api/calibration"; // Base URL for calibration endpoints
+
+/**
+ * authHeaders
+ *
+ * @returns {Object} Axios config with the logged-in user's token
+ */
+const authHeaders = () => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    return { headers: { Authorization: `Bearer ${user.token}` } };
+};
+
+/**
+ * getCalibration
+ *
+ * Fetches the logged-in user's calibration.
+ *
+ * @returns {Promise<Object|null>} { x0, y0, x1, y1, updatedAt }, or null when the user has none
+ */
+const getCalibration = async () => {
+    const res = await axios.get(API_URL, authHeaders());
+    return res.data;
+};
+
+/**
+ * saveCalibration
+ *
+ * Stores the user's reachable area.
+ *
+ * @param {Object} calibration - { x0, y0, x1, y1 } in normalized camera coordinates
+ * @returns {Promise<Object>} Saved calibration
+ */
+const saveCalibration = async ({ x0, y0, x1, y1 }) => {
+    const res = await axios.put(API_URL, { x0, y0, x1, y1 }, authHeaders());
+    return res.data;
+};
+
+/**
+ * deleteCalibration
+ *
+ * Removes the user's calibration, so games use the whole camera image again.
+ *
+ * @returns {Promise<Object>} Server response
+ */
+const deleteCalibration = async () => {
+    const res = await axios.delete(API_URL, authHeaders());
+    return res.data;
+};
+
+// Export all calibration-related methods
+const calibrationService = { getCalibration, saveCalibration, deleteCalibration };
+
+export default calibrationService;
@@ -0,0 +1,67 @@
+/**
+ * Service module to handle custom gesture API requests:
+ * - Retrieve the user's custom gestures
+ * - Save a new custom gesture with its samples
+ * - Delete a custom gesture
+ *
+ * Uses Axios for HTTP requests.
+ * Automatically attaches the user's token from localStorage.
+ */
+
+import axios from "axios";
+
+const API_URL = "/api/gestures"; // Base URL for custom gesture endpoints
+
+/**
+ * authHeaders
+ *
+ * @returns {Object} Axios config with the logged-in user's token
+ */
+const authHeaders = () => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    return { headers: { Authorization: `Bearer ${user.token}` } };
+};
+
+/**
+ * getGestures
+ *
+ * Fetches the logged-in user's custom gestures.
+ *
+ * @returns {Promise<Array>} Gestures ({ _id, name, samples, createdAt })
+ */
+const getGestures = async () => {
+    const res = await axios.get(API_URL, authHeaders());
+    return res.data;
+};
+
+/**
+ * saveGesture
+ *
+ * Stores a new custom gesture.
+ *
+ * @param {string} name - Display name of the gesture
+ * @param {number[][]} samples - Flattened normalized landmarks of every captured sample
+ * @returns {Promise<Object>} Saved gesture
+ */
+const saveGesture = async (name, samples) => {
+    const res = await axios.post(API_URL, { name, samples }, authHeaders());
+    return res.data;
+};
+
+/**
+ * deleteGesture
+ *
+ * Deletes one of the user's custom gestures.
+ *
+ * @param {string} id - Gesture id
+ * @returns {Promise<Object>} Server response
+ */
+const deleteGesture = async (id) => {
+    const res = await axios.delete(`${API_URL}/${id}`, authHeaders());
+    return res.data;
+};
+
+// Export all gesture-related methods
+const gestureService = { getGestures, saveGesture, deleteGesture };
+
+export default gestureService;
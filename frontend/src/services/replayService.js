@@ -0,0 +1,35 @@
+/**
+ * Service module to handle session replay API requests:
+ * - Retrieve the replay stored with a score
+ *
+ * Replays are uploaded together with their score (see scoreService.saveScore).
+ * Uses Axios for HTTP requests.
+ * Automatically attaches the user's token from localStorage.
+ */
+
+import axios from "axios";
+
+const API_URL = "/api/replays"; // Base URL for replay endpoints
+
+/**
+ * getReplay
+ *
+ * Fetches the replay of a score.
+ *
+ * @param {string} scoreId - Id of the score
+ * @returns {Promise<Object>} Replay ({ gameType, seed, width, height, startedAt, frames, score, player })
+ */
+const getReplay = async (scoreId) => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    const res = await axios.get(`${API_URL}/${scoreId}`, {
+        headers: { Authorization: `Bearer ${user.token}` }
+    });
+    return res.data;
+};
+
+// Export all replay-related methods
+const replayService = {
+    getReplay,
+};
+
+export default replayService;
@@ -0,0 +1,267 @@
+/**
+ * Persistent retry queue for score submissions.
+ *
+ * Main Features:
+ * - Submits a finished game's score straight away when possible.
+ * - Stores failed submissions (backend down, token expired, offline) in IndexedDB.
+ * - Retries pending submissions in the background, when the browser comes
+ *   back online and on the next app load.
+ * - Keys every entry by its game session id, so the same game is never queued
+ *   or submitted twice (the server also answers a resubmitted session with the
+ *   score it already saved).
+ * - Stores the id of the user who played with every entry and only retries the
+ *   logged-in user's entries, so a score is never submitted under another account.
+ * - Parks entries that keep failing (login rejected, too many attempts) instead of
+ *   retrying them forever; parked entries get another try after the next login.
+ */
+
+import scoreService from "./scoreService";
+
+const DB_NAME = "hand-games";
+const DB_VERSION = 1;
+const STORE = "pendingScores";
+const RETRY_INTERVAL = 30 * 1000; // Background retry period (ms)
+const MAX_AUTH_FAILURES = 3; // Rejected logins before an entry is parked until the next login
+const MAX_ATTEMPTS = 50; // Failed retries before an entry is parked until the next login
+
+let dbPromise = null; // Shared IndexedDB connection
+let flushing = null; // Promise of the flush in progress, if any
+let syncStarted = false; // Whether background retries are running
+
+/**
+ * openDb
+ *
+ * Opens (and creates on first use) the IndexedDB database holding the queue.
+ *
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: "id" });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => {
+            dbPromise = null; // Allow a later retry
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * runStore
+ *
+ * Runs a single request against the queue's object store.
+ *
+ * @param {"readonly"|"readwrite"} mode - Transaction mode
+ * @param {Function} action - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const runStore = async (mode, action) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+/**
+ * getUser
+ *
+ * @returns {Object|null} The logged-in user ({ _id, token, ... }), if any
+ */
+const getUser = () => JSON.parse(localStorage.getItem("user") || "null");
+
+/**
+ * isRetryable
+ *
+ * Decides whether a failed submission should be kept for a later retry.
+ * Network errors, server errors, expired logins and missing sessions or routes
+ * (404, e.g. while the backend is being deployed) are temporary; any other
+ * rejection (invalid, expired or already used session) is final.
+ *
+ * @param {Error} err - Axios error
+ * @returns {boolean} True if the submission should be retried later
+ */
+const isRetryable = (err) => {
+    const status = err.response?.status;
+    return !status || status >= 500 || [401, 404, 408, 429].includes(status);
+};
+
+/**
+ * afterFailure
+ *
+ * Counts a failed retry of an entry and parks it once it failed too often.
+ * A parked entry remembers the login it failed with and waits for a new one.
+ *
+ * @param {Object} entry - Queued submission
+ * @param {Error} err - Axios error of the retry
+ * @param {string} token - Login token the retry was sent with
+ * @returns {Object} Updated entry
+ */
+const afterFailure = (entry, err, token) => {
+    const attempts = (entry.attempts ?? 0) + 1;
+    const authFailures = (entry.authFailures ?? 0) + (err.response?.status === 401 ? 1 : 0);
+    const parked = authFailures >= MAX_AUTH_FAILURES || attempts >= MAX_ATTEMPTS;
+    return parked
+        ? { ...entry, attempts: 0, authFailures: 0, parkedToken: token }
+        : { ...entry, attempts, authFailures };
+};
+
+/**
+ * send
+ *
+ * Sends one queued entry to the server.
+ *
+ * @param {Object} entry - Queued submission
+ * @returns {Promise<Object>} Saved score data from the server
+ */
+const send = (entry) =>
+    scoreService.saveScore(entry.score, entry.gameType, entry.sessionToken, entry.details, entry.replay, entry.performance);
+
+/**
+ * getPending
+ *
+ * Lists all submissions still waiting in the queue, of every user.
+ *
+ * @returns {Promise<Array>} Pending entries
+ */
+const getPending = () => runStore("readonly", (store) => store.getAll());
+
+/**
+ * enqueue
+ *
+ * Stores a submission for a later retry. Re-queuing the same session replaces it.
+ *
+ * @param {Object} entry - { id, userId, score, gameType, sessionToken, details, replay, performance }
+ * @returns {Promise<void>}
+ */
+const enqueue = (entry) =>
+    runStore("readwrite", (store) =>
+        store.put({ attempts: 0, authFailures: 0, queuedAt: Date.now(), ...entry })
+    );
+
+/**
+ * remove
+ *
+ * Removes a submission from the queue.
+ *
+ * @param {string} id - Session id of the entry
+ * @returns {Promise<void>}
+ */
+const remove = (id) => runStore("readwrite", (store) => store.delete(id));
+
+/**
+ * submit
+ *
+ * Submits the final score of a game, falling back to the queue on failure.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId - Id of the game session (used to de-duplicate)
+ * @param {string} params.sessionToken - Signed token of the game session
+ * @param {number} params.score - Final score
+ * @param {string} params.gameType - Type of the game
+ * @param {Object} [params.details] - Per-round details of the game
+ * @param {Object} [params.replay] - Downsampled landmark stream of the game
+ * @param {Object} [params.performance] - Performance measurements of the game
+ * @returns {Promise<"saved"|"queued"|"failed">} Outcome of the submission
+ */
+const submit = async ({ sessionId, sessionToken, score, gameType, details, replay, performance }) => {
+    const entry = { id: sessionId, userId: getUser()?._id, sessionToken, score, gameType, details, replay, performance };
+
+    try {
+        await send(entry);
+        return "saved";
+    } catch (err) {
+        console.error(err);
+        if (!isRetryable(err)) return "failed";
+    }
+
+    try {
+        await enqueue(entry);
+        return "queued";
+    } catch (err) {
+        console.error("Failed to queue score", err);
+        return "failed";
+    }
+};
+
+/**
+ * flush
+ *
+ * Retries every pending submission of the logged-in user once; other users'
+ * entries wait until they log in. Parked entries are skipped until the user
+ * logs in again.
+ * Concurrent calls share the same run, so an entry is never sent twice at once.
+ *
+ * @returns {Promise<number>} Number of the user's entries still pending afterwards
+ */
+const flush = () => {
+    if (!flushing) {
+        flushing = (async () => {
+            const user = getUser();
+            if (!user) return 0;
+
+            const pending = (await getPending()).filter(entry => entry.userId === user._id);
+            let remaining = pending.length;
+
+            for (const entry of pending) {
+                if (entry.parkedToken === user.token) continue;
+                try {
+                    await send(entry);
+                    await remove(entry.id);
+                    remaining--;
+                } catch (err) {
+                    if (!isRetryable(err)) {
+                        console.error("Dropping rejected score submission", err);
+                        await remove(entry.id);
+                        remaining--;
+                    } else {
+                        const updated = afterFailure(entry, err, user.token);
+                        await runStore("readwrite", (store) => store.put(updated));
+                    }
+                }
+            }
+            return remaining;
+        })().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+};
+
+/**
+ * startBackgroundSync
+ *
+ * Flushes the queue now, whenever the browser comes back online, and periodically.
+ * Safe to call more than once.
+ */
+const startBackgroundSync = () => {
+    if (syncStarted || typeof indexedDB === "undefined") return;
+    syncStarted = true;
+
+    const tryFlush = () => {
+        if (navigator.onLine === false || !localStorage.getItem("user")) return;
+        flush().catch((err) => console.error("Score queue flush failed", err));
+    };
+
+    window.addEventListener("online", tryFlush);
+    setInterval(tryFlush, RETRY_INTERVAL);
+    tryFlush();
+};
+
+// Export all queue-related methods
+const scoreQueue = {
+    submit,
+    flush,
+    getPending,
+    startBackgroundSync,
+};
+
+export default scoreQueue;
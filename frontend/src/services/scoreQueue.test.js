@@ -0,0 +1,115 @@
+import { IDBFactory } from "fake-indexeddb";
+
+jest.mock("./scoreService", () => ({ saveScore: jest.fn() }));
+
+const networkError = () => new Error("Network Error"); // No response: offline or backend down
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+const game = (sessionId, score = 10) => ({ sessionId, sessionToken: `token-${sessionId}`, score, gameType: "QuickReaction" });
+const login = (_id, token) => localStorage.setItem("user", JSON.stringify({ _id, token }));
+
+let scoreQueue;
+let scoreService;
+
+beforeEach(() => {
+    // A fresh database and a fresh module (it keeps its connection) for every test
+    global.indexedDB = new IDBFactory();
+    jest.resetModules();
+    scoreQueue = require("./scoreQueue").default;
+    scoreService = require("./scoreService");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    login("u1", "t1");
+});
+
+afterEach(() => {
+    console.error.mockRestore();
+    localStorage.clear();
+});
+
+/** Session ids of the queued entries */
+const pendingIds = async () => (await scoreQueue.getPending()).map(entry => entry.id).sort();
+
+describe("submit", () => {
+    test("saves straight away when the server is reachable", async () => {
+        scoreService.saveScore.mockResolvedValue({});
+        expect(await scoreQueue.submit(game("s1"))).toBe("saved");
+        expect(await pendingIds()).toEqual([]);
+    });
+
+    test("queues the score when offline, once per game session", async () => {
+        scoreService.saveScore.mockRejectedValue(networkError());
+        expect(await scoreQueue.submit(game("s1", 10))).toBe("queued");
+        expect(await scoreQueue.submit(game("s1", 10))).toBe("queued");
+
+        const pending = await scoreQueue.getPending();
+        expect(pending).toHaveLength(1);
+        expect(pending[0]).toMatchObject({ id: "s1", userId: "u1", score: 10, sessionToken: "token-s1" });
+    });
+
+    test("does not queue a score the server rejected", async () => {
+        scoreService.saveScore.mockRejectedValue(httpError(400));
+        expect(await scoreQueue.submit(game("s1"))).toBe("failed");
+        expect(await pendingIds()).toEqual([]);
+    });
+});
+
+describe("flush", () => {
+    beforeEach(async () => {
+        scoreService.saveScore.mockRejectedValue(networkError());
+        await scoreQueue.submit(game("s1"));
+        await scoreQueue.submit(game("s2"));
+        scoreService.saveScore.mockReset();
+    });
+
+    test("sends every queued score once when the connection is back", async () => {
+        scoreService.saveScore.mockResolvedValue({});
+        const [first, second] = await Promise.all([scoreQueue.flush(), scoreQueue.flush()]); // E.g. "online" and the timer at once
+        expect(first).toBe(0);
+        expect(second).toBe(0);
+        expect(scoreService.saveScore.mock.calls.map(call => call[2]).sort()).toEqual(["token-s1", "token-s2"]);
+
+        await scoreQueue.flush();
+        expect(scoreService.saveScore).toHaveBeenCalledTimes(2);
+        expect(await pendingIds()).toEqual([]);
+    });
+
+    test("keeps scores that still cannot be sent", async () => {
+        scoreService.saveScore.mockRejectedValueOnce(networkError()).mockResolvedValueOnce({});
+        expect(await scoreQueue.flush()).toBe(1);
+        expect(await pendingIds()).toHaveLength(1);
+    });
+
+    test("drops a score the server rejects instead of retrying it", async () => {
+        scoreService.saveScore.mockRejectedValue(httpError(400));
+        expect(await scoreQueue.flush()).toBe(0);
+        expect(await pendingIds()).toEqual([]);
+
+        await scoreQueue.flush();
+        expect(scoreService.saveScore).toHaveBeenCalledTimes(2);
+    });
+
+    test("parks scores whose login keeps being rejected until the next login", async () => {
+        scoreService.saveScore.mockRejectedValue(httpError(401));
+        await scoreQueue.flush();
+        await scoreQueue.flush();
+        await scoreQueue.flush();
+        expect(scoreService.saveScore).toHaveBeenCalledTimes(6);
+
+        await scoreQueue.flush();
+        expect(scoreService.saveScore).toHaveBeenCalledTimes(6); // Parked
+        expect(await pendingIds()).toEqual(["s1", "s2"]); // But not lost
+
+        login("u1", "t2");
+        scoreService.saveScore.mockResolvedValue({});
+        expect(await scoreQueue.flush()).toBe(0);
+        expect(scoreService.saveScore).toHaveBeenCalledTimes(8);
+    });
+
+    test("sends only the logged-in user's scores", async () => {
+        login("u2", "t3");
+        scoreService.saveScore.mockResolvedValue({});
+        expect(await scoreQueue.flush()).toBe(0);
+        expect(scoreService.saveScore).not.toHaveBeenCalled();
+        expect(await pendingIds()).toEqual(["s1", "s2"]);
+    });
+});
@@ -2,6 +2,7 @@
  * Service module to handle score-related API requests:
  * - Save a new score
  * - Retrieve existing scores
+ * - Retrieve personal statistics
  *
  * Uses Axios for HTTP requests.
  * Automatically attaches the user's token from localStorage.
@@ -18,13 +19,17 @@ const API_URL = "/api/scores"; // Base URL for score endpoints
  *
  * @param {number} score - The achieved score
  * @param {string} gameType - Type of the game (e.g., "BallGame", "SimonSays")
+ * @param {string} sessionToken - Signed token of the game session the score was played in
+ * @param {Object} [details] - Per-round details ({ durationMs, misses, rounds, ... })
+ * @param {Object} [replay] - Downsampled landmark stream of the game (see games/playback.js)
+ * @param {Object} [performance] - Performance measurements of the game (see utils/perfMonitor.js)
  * @returns {Promise<Object>} Saved score data from the server
  */
-const saveScore = async (score, gameType) => {
+const saveScore = async (score, gameType, sessionToken, details, replay, performance) => {
     const user = JSON.parse(localStorage.getItem("user"));
     const res = await axios.post(
         API_URL,
-        { score, gameType },
+        { score, gameType, sessionToken, details, replay, performance },
         {
             headers: { Authorization: `Bearer ${user.token}` }
         }
@@ -35,17 +40,38 @@ const saveScore = async (score, gameType) => {
 /**
  * getScores
  *
- * Fetches all scores for the current user from the server.
+ * Fetches one page of the current user's scores from the server.
  *
- * @returns {Promise<Array>} List of score objects
+ * @param {Object} [filters] - { gameType, from, to, minScore, maxScore, sort, limit }
+ * @param {string|null} [cursor] - nextCursor of the previous page
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>} Page of score objects
  */
-const getScores = async () => {
+const getScores = async (filters = {}, cursor = null) => {
     const user = JSON.parse(localStorage.getItem("user"));
     const res = await axios.get(API_URL, {
+        params: { ...filters, cursor: cursor || undefined },
+        headers: { Authorization: `Bearer ${user.token}` }
+    });
+    return res.data;
+};
+
+/**
+ * getStats
+ *
+ * Fetches per-game statistics (best, average, median of the latest scores, play count, play time,
+ * 30-day trend) and the daily streak of the current user.
+ * Days are counted in the browser's time zone.
+ *
+ * @returns {Promise<Object>} { games: { [gameType]: {...} }, streak: { current, playedToday } }
+ */
+const getStats = async () => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    const res = await axios.get(`${API_URL}/stats`, {
+        params: { tz: Intl.DateTimeFormat().resolvedOptions().timeZone },
         headers: { Authorization: `Bearer ${user.token}` }
     });
     return res.data;
 };
 
 // Export all score-related methods
-export default { saveScore, getScores };
+export default { saveScore, getScores, getStats };
@@ -0,0 +1,43 @@
+/**
+ * Service module to handle game session API requests:
+ * - Start a new game session
+ *
+ * A session is started when the player presses Start and its signed
+ * token must be sent along with the final score.
+ *
+ * Uses Axios for HTTP requests.
+ * Automatically attaches the user's token from localStorage.
+ */
+
+import axios from "axios";
+
+const API_URL = "/api/sessions"; // Base URL for session endpoints
+
+/**
+ * startSession
+ *
+ * Asks the server to start a game session.
+ *
+ * @param {string} gameType - Type of the game (e.g., "BallGame", "SimonSays")
+ * @param {string} [inputMethod] - "hand" | "pointer" | "keyboard" (default "hand")
+ * @param {string} [mode] - "timed" | "endless" | "sudden_death" (default "timed")
+ * @param {number} [duration] - Seconds of a timed game (default the game's duration)
+ * @param {string} [difficulty] - "easy" | "normal" | "hard" | "adaptive" (default "normal")
+ * @returns {Promise<Object>} Session data ({ sessionId, sessionToken, inputMethod, mode, duration, difficulty, expiresAt })
+ */
+const startSession = async (gameType, inputMethod = "hand", mode = "timed", duration, difficulty) => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    const res = await axios.post(
+        API_URL,
+        { gameType, inputMethod, mode, duration, difficulty },
+        {
+            headers: { Authorization: `Bearer ${user.token}` }
+        }
+    );
+    return res.data;
+};
+
+// Export all session-related methods
+const sessionService = { startSession };
+
+export default sessionService;
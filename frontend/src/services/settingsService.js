@@ -0,0 +1,53 @@
+/**
+ * Service module to handle the settings API requests:
+ * - Retrieve the user's hand and audio settings
+ * - Save them
+ *
+ * Uses Axios for HTTP requests.
+ * Automatically attaches the user's token from localStorage.
+ */
+
+import axios from "axios";
+
+const API_URL = "/api/settings"; // Base URL for settings endpoints
+
+/**
+ * authHeaders
+ *
+ * @returns {Object} Axios config with the logged-in user's token
+ */
+const authHeaders = () => {
+    const user = JSON.parse(localStorage.getItem("user"));
+    return { headers: { Authorization: `Bearer ${user.token}` } };
+};
+
+/**
+ * getSettings
+ *
+ * Fetches the logged-in user's settings.
+ *
+ * @returns {Promise<Object>} { dominantHand: "left"|"right", requiredHands: { [gameType]: "left"|"right" },
+ *   audio: { muted, volume, speech } }
+ */
+const getSettings = async () => {
+    const res = await axios.get(API_URL, authHeaders());
+    return res.data;
+};
+
+/**
+ * saveSettings
+ *
+ * Stores the settings that are given. requiredHands replaces the saved one as a whole.
+ *
+ * @param {Object} settings - Any of { dominantHand, requiredHands, audio }
+ * @returns {Promise<Object>} Saved settings
+ */
+const saveSettings = async ({ dominantHand, requiredHands, audio }) => {
+    const res = await axios.put(API_URL, { dominantHand, requiredHands, audio }, authHeaders());
+    return res.data;
+};
+
+// Export all settings-related methods
+const settingsService = { getSettings, saveSettings };
+
+export default settingsService;
@@ -0,0 +1,140 @@
+/**
+ * Sound effects and spoken prompts for the games.
+ *
+ * Main Features:
+ * - Synthesizes every sound with the Web Audio API (oscillators with short
+ *   envelopes), so there are no sound files to download.
+ * - Sound effects for game events: correct, wrong, tick, countdown and gameOver.
+ * - Tones of any pitch, e.g. one note per ball in BallGame (notePitch).
+ * - Optional spoken prompts (e.g. gesture names) through speechSynthesis.
+ * - Mute, volume and spoken prompts settings, saved to the user's account
+ *   (see useAudioSettings.js).
+ *
+ * Browsers only start audio after a user gesture, so GameWrapper calls unlockAudio()
+ * from the Start button. Games get a player through the `sound` argument of their
+ * detectFunction; recordings play back with SILENT_SOUND.
+ */
+
+export const DEFAULT_AUDIO_SETTINGS = { muted: false, volume: 0.7, speech: false };
+
+/**
+ * Sound effects: notes { frequency (Hz), start (ms after the effect starts),
+ * duration (ms), type (oscillator waveform), gain (0-1) }
+ */
+export const SOUND_EFFECTS = {
+    correct: [
+        { frequency: 660, start: 0, duration: 90 },
+        { frequency: 990, start: 90, duration: 160 },
+    ],
+    wrong: [
+        { frequency: 196, start: 0, duration: 120, type: "sawtooth", gain: 0.5 },
+        { frequency: 147, start: 120, duration: 260, type: "sawtooth", gain: 0.5 },
+    ],
+    tick: [{ frequency: 1400, start: 0, duration: 40, type: "square", gain: 0.25 }],
+    countdown: [{ frequency: 880, start: 0, duration: 160, type: "triangle" }],
+    gameOver: [
+        { frequency: 523, start: 0, duration: 180, type: "triangle" },
+        { frequency: 392, start: 180, duration: 180, type: "triangle" },
+        { frequency: 262, start: 360, duration: 450, type: "triangle" },
+    ],
+};
+
+const BASE_PITCH = 523.25; // C5, the first note of notePitch
+const PENTATONIC = [0, 2, 4, 7, 9]; // Semitones of the major pentatonic scale: neighbouring notes never clash
+const PEAK_GAIN = 0.4; // Loudness of a note at full volume, leaving headroom for overlapping notes
+const ATTACK_S = 0.01; // Fade-in of every note, against clicks
+
+let context = null; // Shared AudioContext, created by unlockAudio
+
+/** A player that plays nothing, for recordings, tests and games without sound */
+export const SILENT_SOUND = Object.freeze({ play() {}, tone() {}, speak() {} });
+
+/**
+ * notePitch
+ *
+ * @param {number} index - Position on the scale (0 is the lowest note)
+ * @returns {number} Frequency (Hz) of that note of the major pentatonic scale from C5
+ */
+export function notePitch(index) {
+    const octave = Math.floor(index / PENTATONIC.length);
+    const semitones = 12 * octave + PENTATONIC[index % PENTATONIC.length];
+    return BASE_PITCH * 2 ** (semitones / 12);
+}
+
+/**
+ * unlockAudio
+ *
+ * Creates (or resumes) the shared AudioContext. Call it from a user gesture,
+ * such as a click, or browsers keep it suspended.
+ */
+export function unlockAudio() {
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    context ??= new AudioContextClass();
+    if (context.state === "suspended") context.resume().catch(() => {});
+}
+
+/**
+ * playNotes
+ *
+ * @param {Array} notes - Notes (see SOUND_EFFECTS)
+ * @param {number} volume - Volume (0-1)
+ */
+const playNotes = (notes, volume) => {
+    if (!context || context.state !== "running" || volume <= 0) return;
+    const startTime = context.currentTime;
+
+    notes.forEach(({ frequency, start = 0, duration, type = "sine", gain = 1 }) => {
+        const begin = startTime + start / 1000;
+        const end = begin + duration / 1000;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, begin);
+        envelope.gain.linearRampToValueAtTime(PEAK_GAIN * gain * volume, begin + ATTACK_S);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(envelope).connect(context.destination);
+        oscillator.start(begin);
+        oscillator.stop(end);
+    });
+};
+
+/**
+ * createSoundPlayer
+ *
+ * @param {Function} getSettings - Returns the current audio settings (read on every sound)
+ * @returns {{play: Function, tone: Function, speak: Function}} play(effect) plays one of SOUND_EFFECTS,
+ *   tone(frequency, durationMs) a single note and speak(text) a spoken prompt (when spoken prompts are on)
+ */
+export function createSoundPlayer(getSettings) {
+    const volume = () => {
+        const { muted, volume: level } = getSettings();
+        return muted ? 0 : level;
+    };
+
+    return {
+        play(effect) {
+            if (SOUND_EFFECTS[effect]) playNotes(SOUND_EFFECTS[effect], volume());
+        },
+
+        tone(frequency, durationMs = 250) {
+            playNotes([{ frequency, duration: durationMs, type: "triangle" }], volume());
+        },
+
+        speak(text) {
+            const { muted, speech, volume: level } = getSettings();
+            if (muted || !speech || !text || !("speechSynthesis" in window)) return;
+            // Emoji would be read out by name ("thumbs up sign")
+            const spoken = text.replace(/[\p{Extended_Pictographic}\uFE0F]/gu, "").trim();
+            if (!spoken) return;
+
+            const utterance = new SpeechSynthesisUtterance(spoken);
+            utterance.volume = level;
+            window.speechSynthesis.cancel(); // The latest prompt replaces one still being read
+            window.speechSynthesis.speak(utterance);
+        },
+    };
+}
@@ -0,0 +1,119 @@
+import { act, renderHook } from "@testing-library/react";
+import { DEFAULT_AUDIO_SETTINGS, createSoundPlayer, notePitch, unlockAudio } from "./audio";
+import useAudioSettings, { SAVE_DELAY_MS } from "./useAudioSettings";
+import settingsService from "../services/settingsService";
+
+jest.mock("../services/settingsService", () => ({ getSettings: jest.fn(), saveSettings: jest.fn() }));
+
+// A Web Audio context that keeps the peak gain of every note it plays
+const peaks = [];
+class FakeAudioContext {
+    state = "running";
+    currentTime = 0;
+    destination = {};
+    createOscillator() {
+        return { frequency: {}, connect: node => node, start() {}, stop() {} };
+    }
+    createGain() {
+        return {
+            gain: { setValueAtTime() {}, linearRampToValueAtTime: value => peaks.push(value), exponentialRampToValueAtTime() {} },
+            connect: node => node,
+        };
+    }
+}
+
+beforeAll(() => {
+    window.AudioContext = FakeAudioContext;
+    unlockAudio();
+});
+
+beforeEach(() => {
+    peaks.length = 0;
+});
+
+describe("notePitch", () => {
+    test("walks the pentatonic scale up from C5, an octave every five notes", () => {
+        expect(notePitch(0)).toBeCloseTo(523.25);
+        expect(notePitch(3) / notePitch(0)).toBeCloseTo(2 ** (7 / 12));
+        expect(notePitch(5)).toBeCloseTo(2 * notePitch(0));
+    });
+});
+
+describe("createSoundPlayer", () => {
+    test("plays louder with a higher volume", () => {
+        const settings = { ...DEFAULT_AUDIO_SETTINGS, volume: 0.5 };
+        const player = createSoundPlayer(() => settings);
+        player.tone(440);
+        settings.volume = 1;
+        player.tone(440);
+        expect(peaks).toHaveLength(2);
+        expect(peaks[1]).toBeCloseTo(2 * peaks[0]);
+    });
+
+    test("plays nothing and says nothing while muted", () => {
+        window.speechSynthesis = { cancel: jest.fn(), speak: jest.fn() };
+        window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+            this.text = text;
+        };
+        const settings = { muted: true, volume: 1, speech: true };
+        const player = createSoundPlayer(() => settings);
+        player.play("correct");
+        player.speak("✌️ Two Fingers");
+        expect(peaks).toHaveLength(0);
+        expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+
+        settings.muted = false;
+        player.speak("✌️ Two Fingers");
+        expect(window.speechSynthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ text: "Two Fingers", volume: 1 }));
+    });
+});
+
+describe("useAudioSettings", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        settingsService.saveSettings.mockReset().mockResolvedValue({});
+        localStorage.setItem("user", JSON.stringify({ _id: "u1", token: "t" }));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        localStorage.clear();
+    });
+
+    test("saves mute and volume changes to the account once the player stops changing them", () => {
+        const { result } = renderHook(() => useAudioSettings());
+        act(() => result.current.updateAudio({ volume: 0.4 }));
+        act(() => result.current.updateAudio({ volume: 0.3, muted: true }));
+        expect(result.current.audioSettings).toEqual({ ...DEFAULT_AUDIO_SETTINGS, volume: 0.3, muted: true });
+        expect(settingsService.saveSettings).not.toHaveBeenCalled();
+
+        act(() => jest.advanceTimersByTime(SAVE_DELAY_MS));
+        expect(settingsService.saveSettings).toHaveBeenCalledTimes(1);
+        expect(settingsService.saveSettings).toHaveBeenCalledWith({ audio: { volume: 0.3, muted: true } });
+    });
+
+    test("saves changes still waiting when the game is left", () => {
+        const { result, unmount } = renderHook(() => useAudioSettings());
+        act(() => result.current.updateAudio({ speech: true }));
+        unmount();
+        expect(settingsService.saveSettings).toHaveBeenCalledWith({ audio: { speech: true } });
+    });
+
+    test("applies the settings loaded from the account unless the player changed them first", () => {
+        const { result } = renderHook(() => useAudioSettings());
+        act(() => result.current.loadAudio({ muted: true, volume: 0.2, speech: false }));
+        expect(result.current.audioSettings).toEqual({ muted: true, volume: 0.2, speech: false });
+
+        act(() => result.current.updateAudio({ muted: false }));
+        act(() => result.current.loadAudio({ muted: true, volume: 0.9, speech: true }));
+        expect(result.current.audioSettings).toEqual({ muted: false, volume: 0.2, speech: false });
+        expect(settingsService.saveSettings).not.toHaveBeenCalled(); // Loading saves nothing
+    });
+
+    test("the sound player follows the latest settings", () => {
+        const { result } = renderHook(() => useAudioSettings());
+        act(() => result.current.updateAudio({ muted: true }));
+        result.current.soundPlayer.play("correct");
+        expect(peaks).toHaveLength(0);
+    });
+});
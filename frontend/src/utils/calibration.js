@@ -0,0 +1,106 @@
+/**
+ * Calibration of the player's reachable hand area.
+ *
+ * Hand landmarks are normalized to the camera image, so a player who cannot
+ * reach its edges (seated, camera far away or off-centre) cannot reach
+ * targets near the screen edges. A calibration is the rectangle
+ * { x0, y0, x1, y1 } of the camera image the player swept with their index
+ * fingertip; games get landmarks mapped from that rectangle to the whole screen.
+ *
+ * Main Features:
+ * - Computes the reachable rectangle from the fingertip positions of a sweep,
+ *   ignoring stray detections at the extremes.
+ * - Maps landmarker results through a calibration: every hand is moved so its
+ *   index fingertip lands where the calibration maps it, and scaled uniformly,
+ *   so its shape (and the gesture it shows) is kept.
+ * - Wraps an input source so every detection it returns is mapped.
+ */
+
+export const CALIBRATION_POINT = 8; // Landmark swept by the player (index fingertip)
+export const MIN_SPAN = 0.1; // Smallest width and height of a calibrated area (as on the server)
+const OUTLIER_SHARE = 0.02; // Share of the positions at each extreme left out as stray detections
+const INSET = 0.05; // Share of the swept area trimmed at each side, so the screen edges are reached without a full stretch
+
+/**
+ * quantile
+ *
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} q - 0 (lowest) to 1 (highest)
+ * @returns {number} Value at that position
+ */
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))))];
+
+/**
+ * computeCalibration
+ *
+ * @param {Array<{x: number, y: number}>} points - Fingertip positions of the sweep (normalized)
+ * @returns {Object|null} { x0, y0, x1, y1 }, or null when the sweep covered less than MIN_SPAN
+ */
+export function computeCalibration(points) {
+    if (points.length === 0) return null;
+    const xs = points.map(p => p.x).sort((a, b) => a - b);
+    const ys = points.map(p => p.y).sort((a, b) => a - b);
+
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    const range = (sorted) => {
+        const low = quantile(sorted, OUTLIER_SHARE);
+        const high = quantile(sorted, 1 - OUTLIER_SHARE);
+        const inset = (high - low) * INSET;
+        return [clamp(low + inset), clamp(high - inset)];
+    };
+
+    const [x0, x1] = range(xs);
+    const [y0, y1] = range(ys);
+    if (x1 - x0 < MIN_SPAN || y1 - y0 < MIN_SPAN) return null;
+    return { x0, y0, x1, y1 };
+}
+
+/**
+ * applyCalibration
+ *
+ * Maps hands from the calibrated rectangle to the whole image. The fingertip of
+ * a hand is mapped exactly; the rest of the hand follows it, scaled by the mean
+ * stretch of the calibration, as a non-uniform stretch would distort gestures.
+ * Fingertips outside the rectangle map outside 0..1, as uncalibrated points outside the image do.
+ *
+ * @param {Object} results - Landmarker results ({ landmarks, handedness })
+ * @param {Object|null} calibration - { x0, y0, x1, y1 }, or null to leave the results as they are
+ * @returns {Object} Mapped results
+ */
+export function applyCalibration(results, calibration) {
+    if (!calibration || !results?.landmarks?.length) return results;
+    const { x0, y0, x1, y1 } = calibration;
+    const scale = Math.sqrt(1 / ((x1 - x0) * (y1 - y0))); // Geometric mean of the x and y stretch
+
+    return {
+        ...results,
+        landmarks: results.landmarks.map(hand => {
+            const tip = hand[CALIBRATION_POINT];
+            const x = (tip.x - x0) / (x1 - x0);
+            const y = (tip.y - y0) / (y1 - y0);
+            return hand.map(point => ({
+                ...point,
+                x: x + (point.x - tip.x) * scale,
+                y: y + (point.y - tip.y) * scale,
+                z: point.z * scale,
+            }));
+        }),
+    };
+}
+
+/**
+ * withCalibration
+ *
+ * @param {Object} source - Input source with detectForVideo(video, timestamp)
+ * @param {Object|null} calibration - { x0, y0, x1, y1 }
+ * @returns {Object} Source returning calibrated results (the source itself without a calibration)
+ */
+export function withCalibration(source, calibration) {
+    if (!source || !calibration) return source;
+    return {
+        ...source,
+        async detectForVideo(video, timestamp) {
+            return applyCalibration(await source.detectForVideo(video, timestamp), calibration);
+        },
+    };
+}
@@ -0,0 +1,90 @@
+import { computeCalibration, applyCalibration, withCalibration, CALIBRATION_POINT } from "./calibration";
+import { recognizeGesture } from "./gestures";
+import handPoses from "./__fixtures__/handPoses.json";
+
+// A sweep of the fingertip over the rectangle 0.3..0.7 × 0.2..0.8, with a stray detection
+const sweep = [];
+for (let i = 0; i <= 20; i++) {
+    for (let j = 0; j <= 20; j++) sweep.push({ x: 0.3 + 0.02 * i, y: 0.2 + 0.03 * j });
+}
+sweep.push({ x: 0.99, y: 0.01 });
+
+/** A hand whose fingertip is at (x, y), the rest of it around the fingertip */
+const handAt = (x, y) => ({
+    landmarks: [Array.from({ length: 21 }, (_, i) => (
+        i === CALIBRATION_POINT ? { x, y, z: 0 } : { x: x + 0.01 * (i % 3), y: y + 0.01 * i, z: -0.01 }
+    ))],
+    handedness: [],
+});
+
+describe("computeCalibration", () => {
+    test("covers the swept area, trimmed a little and without stray detections", () => {
+        const { x0, y0, x1, y1 } = computeCalibration(sweep);
+        expect(x0).toBeCloseTo(0.32);
+        expect(x1).toBeCloseTo(0.68);
+        expect(y0).toBeCloseTo(0.23);
+        expect(y1).toBeCloseTo(0.77);
+    });
+
+    test("refuses sweeps that cover too little", () => {
+        expect(computeCalibration([])).toBeNull();
+        expect(computeCalibration(sweep.map(p => ({ x: p.x, y: 0.5 })))).toBeNull();
+    });
+});
+
+describe("applyCalibration", () => {
+    const calibration = computeCalibration(sweep);
+    const { x0, y0, x1, y1 } = calibration;
+    const tip = (results) => results.landmarks[0][CALIBRATION_POINT];
+
+    test("maps the corners of the calibrated area to the corners of the screen", () => {
+        [[x0, y0, 0, 0], [x1, y1, 1, 1], [(x0 + x1) / 2, (y0 + y1) / 2, 0.5, 0.5]].forEach(([x, y, mappedX, mappedY]) => {
+            const mapped = tip(applyCalibration(handAt(x, y), calibration));
+            expect(mapped.x).toBeCloseTo(mappedX);
+            expect(mapped.y).toBeCloseTo(mappedY);
+        });
+    });
+
+    test("maps back to the camera image with the inverse mapping", () => {
+        const mapped = tip(applyCalibration(handAt(0.41, 0.66), calibration));
+        expect(x0 + mapped.x * (x1 - x0)).toBeCloseTo(0.41);
+        expect(y0 + mapped.y * (y1 - y0)).toBeCloseTo(0.66);
+    });
+
+    test("scales the hand uniformly around its fingertip", () => {
+        const results = handAt(0.5, 0.5);
+        const mapped = applyCalibration(results, calibration);
+        const scale = Math.sqrt(1 / ((x1 - x0) * (y1 - y0)));
+        const offset = (hand, i) => [hand[i].x - hand[CALIBRATION_POINT].x, hand[i].y - hand[CALIBRATION_POINT].y];
+        [0, 4, 20].forEach(i => {
+            const [dx, dy] = offset(results.landmarks[0], i);
+            const [mappedDx, mappedDy] = offset(mapped.landmarks[0], i);
+            expect(mappedDx).toBeCloseTo(dx * scale);
+            expect(mappedDy).toBeCloseTo(dy * scale);
+        });
+    });
+
+    test.each(handPoses.filter(pose => pose.gesture).map(pose => [pose.name, pose]))("keeps the gesture: %s", (name, pose) => {
+        const options = { aspectRatio: pose.aspectRatio };
+        const before = recognizeGesture(pose.results, options);
+        const after = recognizeGesture(applyCalibration(pose.results, calibration), options);
+        expect(after.gesture).toBe(before.gesture);
+    });
+
+    test("leaves results without a calibration or a hand as they are", () => {
+        const results = handAt(0.5, 0.5);
+        const empty = { landmarks: [], handedness: [] };
+        expect(applyCalibration(results, null)).toBe(results);
+        expect(applyCalibration(empty, calibration)).toBe(empty);
+    });
+});
+
+describe("withCalibration", () => {
+    test("maps every detection of the source", async () => {
+        const calibration = { x0: 0.25, y0: 0.25, x1: 0.75, y1: 0.75 };
+        const source = { detectForVideo: async () => handAt(0.75, 0.25) };
+        const mapped = await withCalibration(source, calibration).detectForVideo(null, 0);
+        expect(mapped.landmarks[0][CALIBRATION_POINT]).toMatchObject({ x: 1, y: 0 });
+        expect(withCalibration(source, null)).toBe(source);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Camera access for the games and the Gesture Studio.
+ *
+ * Main Features:
+ * - Lists the video devices of the browser.
+ * - Opens the chosen camera at the chosen resolution and frame rate, falling back
+ *   to any camera when the saved one is gone.
+ * - Sorts camera failures into clear states: permission denied, no camera,
+ *   camera busy (used by another app) and unsupported browser.
+ * - Remembers the camera settings per user (in this browser).
+ */
+
+// Resolutions offered on the camera setup screen
+export const CAMERA_RESOLUTIONS = [
+    { id: "480p", label: "640 × 480", width: 640, height: 480 },
+    { id: "720p", label: "1280 × 720", width: 1280, height: 720 },
+    { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+];
+export const CAMERA_FRAME_RATES = [15, 30, 60];
+
+export const DEFAULT_CAMERA_SETTINGS = { deviceId: null, resolution: "480p", frameRate: 30 };
+
+// What to tell the player for each camera failure
+export const CAMERA_ERRORS = {
+    denied: "Camera access was denied. Allow the camera in your browser's site settings, then try again.",
+    missing: "No camera was found. Connect a camera, then try again.",
+    busy: "The camera is in use by another app or tab. Close it there, then try again.",
+    unsupported: "This browser cannot use the camera here (it needs a secure https:// connection).",
+    error: "The camera could not be started.",
+};
+
+const SETTINGS_KEY = "cameraSettings"; // localStorage key prefix, followed by the user id
+
+/**
+ * settingsKey
+ *
+ * Storage key of the logged-in user's camera settings.
+ *
+ * @returns {string} localStorage key
+ */
+const settingsKey = () => {
+    const user = JSON.parse(localStorage.getItem("user") || "null");
+    return `${SETTINGS_KEY}:${user?._id ?? "guest"}`;
+};
+
+/**
+ * loadCameraSettings
+ *
+ * @returns {{deviceId: string|null, resolution: string, frameRate: number}} Saved settings, or the defaults
+ */
+export function loadCameraSettings() {
+    try {
+        return { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(localStorage.getItem(settingsKey()) || "{}") };
+    } catch {
+        return { ...DEFAULT_CAMERA_SETTINGS };
+    }
+}
+
+/**
+ * saveCameraSettings
+ *
+ * @param {{deviceId: string|null, resolution: string, frameRate: number}} settings - Settings to remember
+ */
+export function saveCameraSettings(settings) {
+    localStorage.setItem(settingsKey(), JSON.stringify(settings));
+}
+
+/**
+ * listCameras
+ *
+ * Lists the video devices. Their labels are only filled in once the user
+ * has allowed camera access.
+ *
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} Cameras
+ */
+export async function listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === "videoinput")
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * openCamera
+ *
+ * Starts a camera stream with the given settings. A saved camera that is no
+ * longer available is replaced by the browser's default camera.
+ *
+ * @param {{deviceId: string|null, resolution: string, frameRate: number}} settings - Camera settings
+ * @returns {Promise<MediaStream>} Camera stream
+ */
+export async function openCamera({ deviceId, resolution, frameRate } = DEFAULT_CAMERA_SETTINGS) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+        throw Object.assign(new Error("getUserMedia is not available"), { name: "NotSupportedError" });
+    }
+
+    const size = CAMERA_RESOLUTIONS.find(r => r.id === resolution) ?? CAMERA_RESOLUTIONS[0];
+    const video = {
+        width: { ideal: size.width },
+        height: { ideal: size.height },
+        frameRate: { ideal: frameRate },
+    };
+
+    if (!deviceId) return navigator.mediaDevices.getUserMedia({ video });
+    try {
+        return await navigator.mediaDevices.getUserMedia({ video: { ...video, deviceId: { exact: deviceId } } });
+    } catch (err) {
+        if (err.name !== "NotFoundError" && err.name !== "OverconstrainedError") throw err;
+        return navigator.mediaDevices.getUserMedia({ video });
+    }
+}
+
+/**
+ * cameraErrorState
+ *
+ * Sorts a getUserMedia failure into one of the CAMERA_ERRORS states.
+ *
+ * @param {Error} err - DOMException thrown by getUserMedia
+ * @returns {"denied"|"missing"|"busy"|"unsupported"|"error"} Error state
+ */
+export function cameraErrorState(err) {
+    switch (err?.name) {
+        case "NotAllowedError":
+        case "PermissionDeniedError":
+        case "SecurityError":
+            return "denied";
+        case "NotFoundError":
+        case "DevicesNotFoundError":
+        case "OverconstrainedError":
+            return "missing";
+        case "NotReadableError":
+        case "TrackStartError":
+        case "AbortError":
+            return "busy";
+        case "NotSupportedError":
+            return "unsupported";
+        default:
+            return "error";
+    }
+}
+
+/**
+ * stopStream
+ *
+ * Stops every track of a stream, which turns the camera (and its light) off.
+ *
+ * @param {MediaStream|null} stream - Stream to stop
+ */
+export function stopStream(stream) {
+    stream?.getTracks().forEach(track => track.stop());
+}
@@ -0,0 +1,123 @@
+import {
+    cameraErrorState,
+    openCamera,
+    listCameras,
+    loadCameraSettings,
+    saveCameraSettings,
+    DEFAULT_CAMERA_SETTINGS,
+} from "./camera";
+
+/** A getUserMedia failure as browsers report it */
+const mediaError = (name) => Object.assign(new Error(name), { name });
+
+const stream = { getTracks: () => [] };
+
+afterEach(() => {
+    delete navigator.mediaDevices;
+    localStorage.clear();
+});
+
+describe("cameraErrorState", () => {
+    test.each([
+        ["NotAllowedError", "denied"],
+        ["PermissionDeniedError", "denied"],
+        ["SecurityError", "denied"],
+        ["NotFoundError", "missing"],
+        ["DevicesNotFoundError", "missing"],
+        ["OverconstrainedError", "missing"],
+        ["NotReadableError", "busy"],
+        ["TrackStartError", "busy"],
+        ["AbortError", "busy"],
+        ["NotSupportedError", "unsupported"],
+        ["TypeError", "error"],
+    ])("%s is %s", (name, state) => {
+        expect(cameraErrorState(mediaError(name))).toBe(state);
+    });
+
+    test("a failure without a name is a plain error", () => {
+        expect(cameraErrorState(undefined)).toBe("error");
+    });
+});
+
+describe("openCamera", () => {
+    let getUserMedia;
+    beforeEach(() => {
+        getUserMedia = jest.fn();
+        navigator.mediaDevices = { getUserMedia };
+    });
+
+    test("asks for the chosen resolution and frame rate", async () => {
+        getUserMedia.mockResolvedValue(stream);
+        expect(await openCamera({ deviceId: null, resolution: "720p", frameRate: 60 })).toBe(stream);
+        expect(getUserMedia).toHaveBeenCalledWith({
+            video: { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 60 } },
+        });
+    });
+
+    test("opens exactly the chosen camera", async () => {
+        getUserMedia.mockResolvedValue(stream);
+        await openCamera({ ...DEFAULT_CAMERA_SETTINGS, deviceId: "cam-2" });
+        expect(getUserMedia).toHaveBeenCalledTimes(1);
+        expect(getUserMedia.mock.calls[0][0].video.deviceId).toEqual({ exact: "cam-2" });
+    });
+
+    test.each(["NotFoundError", "OverconstrainedError"])("falls back to any camera when the chosen one is gone (%s)", async (name) => {
+        getUserMedia.mockRejectedValueOnce(mediaError(name)).mockResolvedValueOnce(stream);
+        expect(await openCamera({ ...DEFAULT_CAMERA_SETTINGS, deviceId: "unplugged" })).toBe(stream);
+        expect(getUserMedia).toHaveBeenCalledTimes(2);
+        expect(getUserMedia.mock.calls[1][0].video).not.toHaveProperty("deviceId");
+    });
+
+    test.each([
+        ["NotAllowedError", "denied"],
+        ["NotReadableError", "busy"],
+    ])("does not try another camera when access fails with %s", async (name, state) => {
+        getUserMedia.mockRejectedValue(mediaError(name));
+        const err = await openCamera({ ...DEFAULT_CAMERA_SETTINGS, deviceId: "cam-1" }).catch(e => e);
+        expect(cameraErrorState(err)).toBe(state);
+        expect(getUserMedia).toHaveBeenCalledTimes(1);
+    });
+
+    test("a missing camera is reported as missing", async () => {
+        getUserMedia.mockRejectedValue(mediaError("NotFoundError"));
+        const err = await openCamera().catch(e => e);
+        expect(cameraErrorState(err)).toBe("missing");
+    });
+
+    test("reports an unsupported browser without getUserMedia", async () => {
+        delete navigator.mediaDevices;
+        const err = await openCamera().catch(e => e);
+        expect(cameraErrorState(err)).toBe("unsupported");
+    });
+});
+
+describe("listCameras", () => {
+    test("lists the video inputs, naming those without a label", async () => {
+        navigator.mediaDevices = {
+            enumerateDevices: async () => [
+                { kind: "audioinput", deviceId: "mic", label: "Microphone" },
+                { kind: "videoinput", deviceId: "cam-1", label: "" },
+                { kind: "videoinput", deviceId: "cam-2", label: "USB Camera" },
+            ],
+        };
+        expect(await listCameras()).toEqual([
+            { deviceId: "cam-1", label: "Camera 1" },
+            { deviceId: "cam-2", label: "USB Camera" },
+        ]);
+    });
+
+    test("lists nothing without media devices", async () => {
+        expect(await listCameras()).toEqual([]);
+    });
+});
+
+describe("camera settings", () => {
+    test("are remembered per user", () => {
+        localStorage.setItem("user", JSON.stringify({ _id: "u1" }));
+        saveCameraSettings({ deviceId: "cam-2", resolution: "720p", frameRate: 60 });
+        expect(loadCameraSettings()).toEqual({ deviceId: "cam-2", resolution: "720p", frameRate: 60 });
+
+        localStorage.setItem("user", JSON.stringify({ _id: "u2" }));
+        expect(loadCameraSettings()).toEqual(DEFAULT_CAMERA_SETTINGS);
+    });
+});
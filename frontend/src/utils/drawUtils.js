@@ -1,36 +1,53 @@
 /**
- * Draw only the selected keypoints on the target hand.
+ * Draw only the selected keypoints of every given hand.
  *
- * @param {Object} results
- *   - landmarks: Array of landmark arrays for each detected hand
- *   - handedness: Array of { categoryName: "Left"|"Right" } for each hand
+ * @param {Array} landmarksPerHand - Array of landmark arrays, one per hand to draw
+ *   (e.g. results.landmarks for all hands, or [hand.landmarks] for one)
  * @param {CanvasRenderingContext2D} ctx
- * @param {number[]} selectedIndices  // e.g. [4,8,12,16,20]
- * @param {"Left"|"Right"|null} targetHand
- *   Which hand to draw; if null, draws for *all* hands
- * @param {Object} [options]
- *   - radius (default: 6)
- *   - fillStyle (default: "#5f1103")
- *   - strokeStyle (default: "white")
+ * @param {number[]} [indices] - Landmarks to draw, e.g. [4,8,12,16,20]
+ * @param {string} [color] - Fill color of the keypoints
  */
 export function drawSelectedKeypoints(landmarksPerHand, ctx, indices = [8], color = "#00ff00") {
     if (!landmarksPerHand?.length) return;
-    const landmarks = landmarksPerHand[0];
-    indices.forEach(i => {
-        const kp = landmarks[i];
-        if (!kp) return;
-        ctx.beginPath();
-        ctx.arc(
-            kp.x * ctx.canvas.width,
-            kp.y * ctx.canvas.height,
-            6,  // radius
-            0, // start angle
-            2 * Math.PI // end angle
-        );
-        ctx.fillStyle = color;
-        ctx.fill();
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = "#ffffff";
-        ctx.stroke();
+    landmarksPerHand.forEach(landmarks => {
+        indices.forEach(i => {
+            const kp = landmarks[i];
+            if (!kp) return;
+            ctx.beginPath();
+            ctx.arc(
+                kp.x * ctx.canvas.width,
+                kp.y * ctx.canvas.height,
+                6,  // radius
+                0, // start angle
+                2 * Math.PI // end angle
+            );
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = "#ffffff";
+            ctx.stroke();
+        });
     });
-}
\ No newline at end of file
+}
+/**
+ * Draw every landmark of every hand as a faint "ghost", e.g. the hand of a
+ * replay raced by the player.
+ *
+ * @param {Array} landmarksPerHand - Array of landmark arrays for each hand
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} [color] - Fill color of the keypoints
+ */
+export function drawGhostHands(landmarksPerHand, ctx, color = "rgba(180, 200, 255, 0.45)") {
+    if (!landmarksPerHand?.length) return;
+    ctx.save();
+    ctx.fillStyle = color;
+    landmarksPerHand.forEach(landmarks => {
+        landmarks.forEach((kp, i) => {
+            ctx.beginPath();
+            // Fingertips larger, like the games' own fingertip markers
+            ctx.arc(kp.x * ctx.canvas.width, kp.y * ctx.canvas.height, i === 8 ? 8 : 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    });
+    ctx.restore();
+}
@@ -0,0 +1,288 @@
+/**
+ * Temporal filtering layer of the hand detection pipeline.
+ *
+ * Main Features:
+ * - Hand tracking: stable hand identities, order and handedness across frames
+ *   (see utils/handTracking.js), then the player's hand settings: the dominant hand
+ *   first, or only the hand a game requires.
+ * - One Euro filter: smooths jittery landmarks while staying responsive to fast moves.
+ * - Landmark smoother that wraps a HandLandmarker, so detectForVideo returns
+ *   smoothed results to the games.
+ * - Hold detector: a gesture only counts once it has been held for a while.
+ * - Hit test with hysteresis: a target is entered inside its radius, left only
+ *   beyond a larger exit radius, and can require a short dwell before it counts.
+ *
+ * Games tune these settings through GameWrapper's filterOptions prop.
+ */
+
+import { createHandTracker, pickHands } from "./handTracking";
+
+/**
+ * Default settings. Smoothing works on normalized frame coordinates (0..1)
+ * with time in seconds, so beta is per (frame width / second).
+ */
+export const DEFAULT_FILTER_OPTIONS = {
+    smoothing: {
+        minCutoff: 1.5, // Hz — lower means smoother when the hand is still
+        beta: 5,        // How fast the cutoff grows with speed — higher means less lag on fast moves
+        dCutoff: 1,     // Hz — cutoff used to smooth the speed estimate
+    },
+    holdMs: 250, // Time a gesture must be held before it counts
+    hitTest: {
+        exitScale: 1.3, // Exit radius relative to the entry radius
+        dwellMs: 0,     // Time the point must stay inside before the hit counts
+    },
+};
+
+/**
+ * resolveFilterOptions
+ *
+ * Merges a game's settings over the defaults. Setting `smoothing: false`
+ * turns smoothing off.
+ *
+ * @param {Object} [options] - Game-specific settings
+ * @returns {Object} Complete settings
+ */
+export function resolveFilterOptions(options = {}) {
+    return {
+        smoothing: options.smoothing === false
+            ? false
+            : { ...DEFAULT_FILTER_OPTIONS.smoothing, ...options.smoothing },
+        holdMs: options.holdMs ?? DEFAULT_FILTER_OPTIONS.holdMs,
+        hitTest: { ...DEFAULT_FILTER_OPTIONS.hitTest, ...options.hitTest },
+    };
+}
+
+const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+/**
+ * createOneEuroFilter
+ *
+ * One Euro filter (Casiez et al., 2012) for a single value: a low-pass filter
+ * whose cutoff frequency rises with the speed of the signal.
+ *
+ * @param {Object} [options] - minCutoff, beta and dCutoff (see DEFAULT_FILTER_OPTIONS.smoothing)
+ * @returns {{filter: Function, reset: Function}} filter(value, timeMs) returns the smoothed value
+ */
+export function createOneEuroFilter({ minCutoff, beta, dCutoff } = DEFAULT_FILTER_OPTIONS.smoothing) {
+    let prev = null; // { value, speed, time }
+
+    const filter = (value, timeMs) => {
+        if (!prev) {
+            prev = { value, speed: 0, time: timeMs };
+            return value;
+        }
+
+        const dt = (timeMs - prev.time) / 1000;
+        if (dt <= 0) return prev.value; // Same frame delivered twice
+
+        const speed = prev.speed + smoothingFactor(dCutoff, dt) * ((value - prev.value) / dt - prev.speed);
+        const cutoff = minCutoff + beta * Math.abs(speed);
+        const smoothed = prev.value + smoothingFactor(cutoff, dt) * (value - prev.value);
+
+        prev = { value: smoothed, speed, time: timeMs };
+        return smoothed;
+    };
+
+    const reset = () => {
+        prev = null;
+    };
+
+    return { filter, reset };
+}
+
+/**
+ * handKey
+ *
+ * Identifies a hand between frames by its tracked id or, for untracked results,
+ * its handedness label, so the filters of one hand are not fed with the other hand's landmarks.
+ */
+const handKey = (results, i) => {
+    if (results.hands?.[i]) return `track-${results.hands[i].id}`;
+    const labels = (results.handedness ?? []).map(h => h?.[0]?.categoryName);
+    if (!labels[i]) return `hand-${i}`;
+    const sameLabelBefore = labels.slice(0, i).filter(label => label === labels[i]).length;
+    return `${labels[i]}-${sameLabelBefore}`;
+};
+
+/**
+ * createLandmarkSmoother
+ *
+ * Smooths every coordinate of every landmark of every detected hand.
+ * Filters of a hand are dropped when it leaves the frame, so it starts fresh
+ * when it comes back.
+ *
+ * @param {Object} [options] - One Euro settings (see DEFAULT_FILTER_OPTIONS.smoothing)
+ * @returns {{smooth: Function, reset: Function}} smooth(results, timeMs) returns smoothed results
+ */
+export function createLandmarkSmoother(options = DEFAULT_FILTER_OPTIONS.smoothing) {
+    let hands = new Map(); // hand key → [{ x, y, z } filters per landmark]
+
+    const smooth = (results, timeMs) => {
+        if (!results?.landmarks) return results;
+
+        const nextHands = new Map();
+        const landmarks = results.landmarks.map((hand, i) => {
+            const key = handKey(results, i);
+            const filters = hands.get(key) ?? hand.map(() => ({
+                x: createOneEuroFilter(options),
+                y: createOneEuroFilter(options),
+                z: createOneEuroFilter(options),
+            }));
+            nextHands.set(key, filters);
+
+            return hand.map((p, j) => ({
+                ...p,
+                x: filters[j].x.filter(p.x, timeMs),
+                y: filters[j].y.filter(p.y, timeMs),
+                z: filters[j].z.filter(p.z ?? 0, timeMs),
+            }));
+        });
+        hands = nextHands;
+
+        return {
+            ...results,
+            landmarks,
+            ...(results.hands && { hands: results.hands.map((hand, i) => ({ ...hand, landmarks: landmarks[i] })) }),
+        };
+    };
+
+    const reset = () => {
+        hands = new Map();
+    };
+
+    return { smooth, reset };
+}
+
+/**
+ * createDetectionPipeline
+ *
+ * Wraps a HandLandmarker so its results go through the tracking and filtering layer.
+ * The returned object has the same detectForVideo(video, timestamp) method,
+ * so games use it exactly like the model itself.
+ *
+ * @param {Object} handLandmarker - MediaPipe HandLandmarker (or anything with detectForVideo)
+ * @param {Object} [options] - Settings from resolveFilterOptions
+ * @param {Object|null} [hand] - The player's hand settings ({ dominant, required }, see pickHands)
+ * @returns {{detectForVideo: Function, reset: Function}} Filtered landmarker
+ */
+export function createDetectionPipeline(handLandmarker, options = resolveFilterOptions(), hand = null) {
+    const tracker = createHandTracker();
+    const smoother = options.smoothing ? createLandmarkSmoother(options.smoothing) : null;
+
+    return {
+        async detectForVideo(video, timestamp) {
+            const results = pickHands(tracker.track(await handLandmarker.detectForVideo(video, timestamp), timestamp), hand);
+            return smoother ? smoother.smooth(results, timestamp) : results;
+        },
+        reset() {
+            tracker.reset();
+            smoother?.reset();
+        },
+    };
+}
+
+/**
+ * createHoldDetector
+ *
+ * Turns a per-frame condition (e.g. "the hand shows a fist") into a single
+ * event once the condition has held for holdMs. It fires again only after
+ * the condition was released.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.holdMs] - Time the condition must hold
+ * @returns {{update: Function, progress: Function, reset: Function}}
+ */
+export function createHoldDetector({ holdMs = DEFAULT_FILTER_OPTIONS.holdMs } = {}) {
+    let since = null; // When the condition started to hold
+    let fired = false; // Whether this hold already counted
+
+    /**
+     * @param {boolean} active - Whether the condition holds in this frame
+     * @param {number} now - Current time in ms
+     * @returns {boolean} True on the frame the hold completes
+     */
+    const update = (active, now) => {
+        if (!active) {
+            since = null;
+            fired = false;
+            return false;
+        }
+        if (since === null) since = now;
+        if (!fired && now - since >= holdMs) {
+            fired = true;
+            return true;
+        }
+        return false;
+    };
+
+    /** How far the current hold is, from 0 to 1 */
+    const progress = (now) => (since === null ? 0 : Math.min(1, holdMs > 0 ? (now - since) / holdMs : 1));
+
+    const reset = () => {
+        since = null;
+        fired = false;
+    };
+
+    return { update, progress, reset };
+}
+
+/**
+ * createHitTest
+ *
+ * Hit test with hysteresis for round targets. Each target (by id) is entered
+ * when the point comes within its radius and left only beyond radius × exitScale,
+ * so landmark jitter at the edge does not produce repeated hits.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.exitScale] - Exit radius relative to the entry radius
+ * @param {number} [options.dwellMs] - Time the point must stay inside before the hit counts
+ * @returns {{update: Function, reset: Function}}
+ */
+export function createHitTest({
+    exitScale = DEFAULT_FILTER_OPTIONS.hitTest.exitScale,
+    dwellMs = DEFAULT_FILTER_OPTIONS.hitTest.dwellMs,
+} = {}) {
+    let targets = new Map(); // id → { inside, since, fired }
+
+    /**
+     * @param {string|number} id - Target id
+     * @param {number} distance - Distance from the point to the target centre
+     * @param {number} radius - Target radius (same unit as distance)
+     * @param {number} now - Current time in ms
+     * @returns {{inside: boolean, entered: boolean, enteredAt: number|null}}
+     *   entered is true once per visit, when the dwell time is reached
+     */
+    const update = (id, distance, radius, now) => {
+        const state = targets.get(id) ?? { inside: false, since: null, fired: false };
+
+        if (!state.inside && distance < radius) {
+            state.inside = true;
+            state.since = now;
+            state.fired = false;
+        } else if (state.inside && distance > radius * exitScale) {
+            state.inside = false;
+            state.since = null;
+        }
+
+        let entered = false;
+        if (state.inside && !state.fired && now - state.since >= dwellMs) {
+            state.fired = true;
+            entered = true;
+        }
+        targets.set(id, state);
+
+        return { inside: state.inside, entered, enteredAt: state.since };
+    };
+
+    /** Forget one target, or all targets without an id */
+    const reset = (id) => {
+        if (id === undefined) targets = new Map();
+        else targets.delete(id);
+    };
+
+    return { update, reset };
+}
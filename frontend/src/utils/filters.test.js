@@ -0,0 +1,158 @@
+import {
+    createOneEuroFilter,
+    createLandmarkSmoother,
+    createDetectionPipeline,
+    createHoldDetector,
+    createHitTest,
+    resolveFilterOptions,
+} from "./filters";
+
+const FRAME_MS = 1000 / 30; // A 30 fps camera
+
+describe("createOneEuroFilter", () => {
+    test("damps jitter around a still position", () => {
+        const { filter } = createOneEuroFilter();
+        let deviation = 0;
+        for (let i = 0; i < 60; i++) {
+            const smoothed = filter(0.5 + (i % 2 ? 0.01 : -0.01), i * FRAME_MS);
+            if (i >= 30) deviation = Math.max(deviation, Math.abs(smoothed - 0.5));
+        }
+        expect(deviation).toBeLessThan(0.003); // A third of the raw jitter at most
+    });
+
+    test("follows a fast move with little lag", () => {
+        const { filter } = createOneEuroFilter();
+        const still = createOneEuroFilter({ ...resolveFilterOptions().smoothing, beta: 0 }); // A plain low-pass filter
+        let smoothed;
+        let lowPassed;
+        for (let i = 0; i <= 15; i++) {
+            smoothed = filter((i / 15) * 0.6, i * FRAME_MS); // Across 60% of the frame in half a second
+            lowPassed = still.filter((i / 15) * 0.6, i * FRAME_MS);
+        }
+        expect(0.6 - smoothed).toBeLessThan(0.03);
+        expect(0.6 - lowPassed).toBeGreaterThan(0.1);
+    });
+
+    test("passes the first value through and ignores a repeated frame", () => {
+        const { filter, reset } = createOneEuroFilter();
+        expect(filter(0.2, 0)).toBe(0.2);
+        const smoothed = filter(0.4, FRAME_MS);
+        expect(filter(0.9, FRAME_MS)).toBe(smoothed);
+        reset();
+        expect(filter(0.9, 2 * FRAME_MS)).toBe(0.9);
+    });
+});
+
+describe("createLandmarkSmoother", () => {
+    const hand = (x) => Array.from({ length: 21 }, () => ({ x, y: 0.5, z: 0 }));
+    const results = (...xs) => ({
+        landmarks: xs.map(hand),
+        handedness: xs.map((_, i) => [{ categoryName: i === 0 ? "Left" : "Right" }]),
+    });
+
+    test("smooths each hand with its own filters", () => {
+        const smoother = createLandmarkSmoother();
+        smoother.smooth(results(0.2, 0.8), 0);
+        const next = smoother.smooth(results(0.22, 0.78), FRAME_MS);
+        expect(next.landmarks[0][0].x).toBeGreaterThan(0.2);
+        expect(next.landmarks[0][0].x).toBeLessThan(0.22);
+        expect(next.landmarks[1][0].x).toBeGreaterThan(0.78);
+        expect(next.landmarks[1][0].x).toBeLessThan(0.8);
+    });
+
+    test("starts a hand afresh when it comes back", () => {
+        const smoother = createLandmarkSmoother();
+        smoother.smooth(results(0.2), 0);
+        smoother.smooth(results(), FRAME_MS);
+        expect(smoother.smooth(results(0.9), 2 * FRAME_MS).landmarks[0][0].x).toBe(0.9);
+    });
+});
+
+describe("createDetectionPipeline", () => {
+    test("smooths the landmarker's results unless smoothing is off", async () => {
+        const frames = [0.2, 0.3];
+        const landmarker = {
+            detectForVideo: (video, timestamp) => ({
+                landmarks: [Array.from({ length: 21 }, () => ({ x: frames[timestamp], y: 0.5, z: 0 }))],
+                handedness: [[{ categoryName: "Right", score: 1 }]],
+            }),
+        };
+        const tip = (results) => results.landmarks[0][8].x;
+
+        const smoothed = createDetectionPipeline(landmarker);
+        await smoothed.detectForVideo(null, 0);
+        expect(tip(await smoothed.detectForVideo(null, 1))).toBeLessThan(0.3);
+
+        const raw = createDetectionPipeline(landmarker, resolveFilterOptions({ smoothing: false }));
+        await raw.detectForVideo(null, 0);
+        expect(tip(await raw.detectForVideo(null, 1))).toBe(0.3);
+    });
+});
+
+describe("createHoldDetector", () => {
+    test("fires once when the hold completes and re-arms only after release", () => {
+        const hold = createHoldDetector({ holdMs: 300 });
+        expect(hold.update(true, 0)).toBe(false);
+        expect(hold.progress(150)).toBe(0.5);
+        expect(hold.update(true, 299)).toBe(false);
+        expect(hold.update(true, 300)).toBe(true);
+        expect(hold.update(true, 400)).toBe(false);
+        expect(hold.update(true, 2000)).toBe(false); // Still the same hold
+
+        expect(hold.update(false, 2100)).toBe(false);
+        expect(hold.progress(2100)).toBe(0);
+        expect(hold.update(true, 2200)).toBe(false);
+        expect(hold.update(true, 2500)).toBe(true);
+    });
+
+    test("a short release starts the hold over", () => {
+        const hold = createHoldDetector({ holdMs: 300 });
+        hold.update(true, 0);
+        hold.update(false, 200);
+        expect(hold.update(true, 250)).toBe(false);
+        expect(hold.update(true, 400)).toBe(false);
+        expect(hold.update(true, 550)).toBe(true);
+    });
+});
+
+describe("createHitTest", () => {
+    test("a point jittering at the edge of a target hits it once", () => {
+        const hitTest = createHitTest({ exitScale: 1.3 });
+        const hits = [49, 51, 49, 52, 48, 55, 50].filter((distance, i) => hitTest.update("t", distance, 50, i * FRAME_MS).entered);
+        expect(hits).toHaveLength(1);
+    });
+
+    test("a target is left only beyond its exit radius, then can be hit again", () => {
+        const hitTest = createHitTest({ exitScale: 1.3 });
+        expect(hitTest.update("t", 40, 50, 0)).toMatchObject({ inside: true, entered: true });
+        expect(hitTest.update("t", 64, 50, 10)).toMatchObject({ inside: true, entered: false });
+        expect(hitTest.update("t", 66, 50, 20)).toMatchObject({ inside: false, entered: false });
+        expect(hitTest.update("t", 40, 50, 30)).toMatchObject({ inside: true, entered: true });
+    });
+
+    test("counts a hit only after the dwell time", () => {
+        const hitTest = createHitTest({ dwellMs: 200 });
+        expect(hitTest.update("t", 10, 50, 1000)).toMatchObject({ inside: true, entered: false, enteredAt: 1000 });
+        expect(hitTest.update("t", 10, 50, 1199).entered).toBe(false);
+        expect(hitTest.update("t", 10, 50, 1200).entered).toBe(true);
+        expect(hitTest.update("t", 10, 50, 1500).entered).toBe(false);
+    });
+
+    test("leaving before the dwell time counts nothing", () => {
+        const hitTest = createHitTest({ dwellMs: 200 });
+        hitTest.update("t", 10, 50, 0);
+        hitTest.update("t", 100, 50, 100);
+        expect(hitTest.update("t", 10, 50, 150).entered).toBe(false);
+        expect(hitTest.update("t", 10, 50, 349).entered).toBe(false);
+        expect(hitTest.update("t", 10, 50, 350).entered).toBe(true);
+    });
+
+    test("keeps targets apart and forgets them on reset", () => {
+        const hitTest = createHitTest();
+        expect(hitTest.update("a", 10, 50, 0).entered).toBe(true);
+        expect(hitTest.update("b", 10, 50, 0).entered).toBe(true);
+        hitTest.reset("a");
+        expect(hitTest.update("a", 10, 50, 10).entered).toBe(true);
+        expect(hitTest.update("b", 10, 50, 10).entered).toBe(false);
+    });
+});
@@ -0,0 +1,358 @@
+/**
+ * Shared hand gesture recognizer used by every gesture-based game.
+ *
+ * Main Features:
+ * - Normalizes landmarks for position, scale, rotation and handedness, so the
+ *   same pose is recognized whether the hand is tilted, near, far, left or right.
+ * - Measures finger extension from joint angles (not raw y-coordinates).
+ * - Scores every known gesture and returns a ranked list with confidences.
+ * - Matches user-recorded custom gestures by nearest-neighbour distance
+ *   between normalized landmarks.
+ *
+ * Landmarks follow the MediaPipe HandLandmarker format: 21 points { x, y, z }
+ * per hand, x/y normalized to the video frame and z roughly on the x scale.
+ */
+
+// Landmark indices
+export const WRIST = 0;
+export const THUMB = [1, 2, 3, 4]; // CMC, MCP, IP, TIP
+export const INDEX = [5, 6, 7, 8]; // MCP, PIP, DIP, TIP
+export const MIDDLE = [9, 10, 11, 12];
+export const RING = [13, 14, 15, 16];
+export const PINKY = [17, 18, 19, 20];
+
+const FINGERS = { index: INDEX, middle: MIDDLE, ring: RING, pinky: PINKY };
+
+// Gestures used by the games
+export const GESTURES = ["open", "two", "rock", "thumbs_up", "fist"];
+
+// Display text of every recognizable gesture
+export const GESTURE_LABELS = {
+    open:      "🖐️ Open Hand",
+    two:       "✌️ Two Fingers",
+    rock:      "🤘 Rock Sign",
+    thumbs_up: "👍 Thumbs Up",
+    fist:      "👊 Fist",
+    point:     "☝️ Point",
+};
+
+/**
+ * Expected extension per finger (1 = extended, 0 = curled, null = ignored)
+ * in the order thumb, index, middle, ring, pinky.
+ */
+const TEMPLATES = {
+    open:      [1, 1, 1, 1, 1],
+    two:       [null, 1, 1, 0, 0],
+    rock:      [null, 1, 0, 0, 1],
+    thumbs_up: [1, 0, 0, 0, 0],
+    fist:      [0, 0, 0, 0, 0],
+    point:     [null, 1, 0, 0, 0],
+};
+
+const FINGER_ORDER = ["thumb", "index", "middle", "ring", "pinky"];
+
+export const DEFAULT_MIN_CONFIDENCE = 0.6; // Confidence needed to accept a gesture
+
+export const CUSTOM_PREFIX = "custom:"; // Gesture keyword prefix of custom gestures
+const CUSTOM_MAX_DISTANCE = 0.5; // Mean landmark distance at which a custom match drops to 0
+const Z_WEIGHT = 0.5; // Depth is noisier than x/y, so it counts less in custom matches
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * angleAt
+ *
+ * Angle (degrees) at joint b between the segments b→a and b→c.
+ * A straight joint measures 180°.
+ */
+const angleAt = (a, b, c) => {
+    const u = sub(a, b);
+    const v = sub(c, b);
+    const denom = length(u) * length(v);
+    if (denom === 0) return 180;
+    const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / denom;
+    return (Math.acos(Math.min(1, Math.max(-1, cos))) * 180) / Math.PI;
+};
+
+/**
+ * physicalHand
+ *
+ * MediaPipe labels handedness as if the image were mirrored (selfie view).
+ * The webcam frames are not mirrored (only the CSS is), so the label names
+ * the opposite physical hand.
+ *
+ * @param {string|null} label - "Left" | "Right" as reported by HandLandmarker
+ * @returns {"left"|"right"|null} The player's physical hand
+ */
+export function physicalHand(label) {
+    if (label === "Left") return "right";
+    if (label === "Right") return "left";
+    return null;
+}
+
+/**
+ * getHandedness
+ *
+ * Reads the handedness label of one detected hand.
+ *
+ * @param {Object} results - HandLandmarker results
+ * @param {number} [handIndex] - Index of the hand in results.landmarks
+ * @returns {"Left"|"Right"|null} Label reported by HandLandmarker
+ */
+export function getHandedness(results, handIndex = 0) {
+    return results?.handedness?.[handIndex]?.[0]?.categoryName ?? null;
+}
+
+/**
+ * normalizeLandmarks
+ *
+ * Brings a hand into a canonical pose:
+ * - Wrist at the origin
+ * - Wrist → middle finger MCP has length 1 and points up (negative y)
+ * - Left hands are mirrored so they look like right hands
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+ * @param {Object} [options]
+ * @param {string|null} [options.handedness] - HandLandmarker label ("Left" | "Right")
+ * @param {number} [options.aspectRatio] - Video width / height, to make x and y comparable
+ * @returns {Array<{x: number, y: number, z: number}>} Normalized landmarks
+ */
+export function normalizeLandmarks(landmarks, { handedness = null, aspectRatio = 1 } = {}) {
+    // Square pixels: x (and z, which follows the x scale) are stretched by the aspect ratio
+    const points = landmarks.map(p => ({ x: p.x * aspectRatio, y: p.y, z: (p.z || 0) * aspectRatio }));
+    const wrist = points[WRIST];
+    const axis = sub(points[MIDDLE[0]], wrist);
+    const scale = Math.hypot(axis.x, axis.y) || 1;
+
+    // Rotate so that the wrist → middle MCP axis points straight up
+    const angle = Math.atan2(axis.x, -axis.y);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const mirror = physicalHand(handedness) === "left" ? -1 : 1;
+
+    return points.map(p => {
+        const dx = (p.x - wrist.x) / scale;
+        const dy = (p.y - wrist.y) / scale;
+        return {
+            x: mirror * (dx * cos + dy * sin),
+            y: -dx * sin + dy * cos,
+            z: (p.z - wrist.z) / scale,
+        };
+    });
+}
+
+/**
+ * getFingerExtension
+ *
+ * Measures how extended every finger is, from 0 (fully curled) to 1 (straight).
+ * Fingers use the bend at their MCP, PIP and DIP joints. The thumb combines the
+ * bend at its MCP and IP joints with how far its tip reaches from the pinky side.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Normalized landmarks
+ * @returns {{thumb: number, index: number, middle: number, ring: number, pinky: number}}
+ */
+export function getFingerExtension(points) {
+    const extension = {};
+
+    Object.entries(FINGERS).forEach(([name, [mcp, pip, dip, tip]]) => {
+        const bend =
+            0.5 * (180 - angleAt(points[WRIST], points[mcp], points[pip])) +
+            (180 - angleAt(points[mcp], points[pip], points[dip])) +
+            (180 - angleAt(points[pip], points[dip], points[tip]));
+        extension[name] = clamp01(1 - (bend - 30) / 120);
+    });
+
+    const [cmc, mcp, ip, tip] = THUMB;
+    const thumbBend =
+        (180 - angleAt(points[cmc], points[mcp], points[ip])) +
+        (180 - angleAt(points[mcp], points[ip], points[tip]));
+    const straightness = clamp01(1 - (thumbBend - 20) / 70);
+    const reach = clamp01((length(sub(points[tip], points[PINKY[0]])) - 0.8) / 0.4);
+    extension.thumb = Math.sqrt(straightness * reach);
+
+    return extension;
+}
+
+/**
+ * thumbPointsUp
+ *
+ * How much the thumb points up in the video frame (0..1). Used for "thumbs_up",
+ * the only gesture whose meaning depends on orientation.
+ */
+const thumbPointsUp = (landmarks, aspectRatio) => {
+    const mcp = landmarks[THUMB[1]];
+    const tip = landmarks[THUMB[3]];
+    const dx = (tip.x - mcp.x) * aspectRatio;
+    const dy = tip.y - mcp.y;
+    const len = Math.hypot(dx, dy);
+    return len === 0 ? 0 : clamp01((-dy / len - 0.3) / 0.4);
+};
+
+/**
+ * classifyGesture
+ *
+ * Scores every known gesture for one hand.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+ * @param {Object} [options]
+ * @param {string|null} [options.handedness] - HandLandmarker label ("Left" | "Right")
+ * @param {number} [options.aspectRatio] - Video width / height
+ * @returns {Array<{gesture: string, confidence: number}>} Gestures, most likely first
+ */
+export function classifyGesture(landmarks, { handedness = null, aspectRatio = 1 } = {}) {
+    const extension = getFingerExtension(normalizeLandmarks(landmarks, { handedness, aspectRatio }));
+
+    return Object.entries(TEMPLATES)
+        .map(([gesture, template]) => {
+            // Geometric mean of per-finger agreement: one wrong finger sinks the score
+            let product = 1;
+            let count = 0;
+            template.forEach((expected, i) => {
+                if (expected === null) return;
+                const value = extension[FINGER_ORDER[i]];
+                product *= expected ? value : 1 - value;
+                count++;
+            });
+            let confidence = Math.pow(product, 1 / count);
+
+            if (gesture === "thumbs_up") {
+                confidence *= thumbPointsUp(landmarks, aspectRatio);
+            }
+            return { gesture, confidence };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * recognizeGesture
+ *
+ * Classifies one hand of a HandLandmarker result.
+ *
+ * @param {Object} results - HandLandmarker results ({ landmarks, handedness })
+ * @param {Object} [options]
+ * @param {number} [options.handIndex] - Which detected hand to use (default 0)
+ * @param {number} [options.aspectRatio] - Video width / height
+ * @param {Array} [options.customGestures] - Custom gestures to rank alongside the built-in ones
+ * @returns {{gesture: string, confidence: number, ranked: Array}|null} Best gesture, or null without a hand
+ */
+export function recognizeGesture(results, { handIndex = 0, aspectRatio = 1, customGestures = [] } = {}) {
+    const landmarks = results?.landmarks?.[handIndex];
+    if (!landmarks || landmarks.length < 21) return null;
+
+    const options = { handedness: getHandedness(results, handIndex), aspectRatio };
+    const ranked = [
+        ...classifyGesture(landmarks, options),
+        ...matchCustomGesture(landmarks, customGestures, options).map(({ gesture, confidence }) => ({ gesture, confidence })),
+    ].sort((a, b) => b.confidence - a.confidence);
+    return { ...ranked[0], ranked };
+}
+
+/**
+ * isGesture
+ *
+ * Checks whether a hand currently shows the given gesture: it must be the
+ * most likely gesture and reach the minimum confidence.
+ *
+ * @param {Object} results - HandLandmarker results
+ * @param {string} gesture - Expected gesture
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence] - Confidence threshold (default 0.6)
+ * @param {number} [options.handIndex] - Which detected hand to use (default 0)
+ * @param {number} [options.aspectRatio] - Video width / height
+ * @param {Array} [options.customGestures] - Custom gestures to recognize as well
+ * @returns {boolean} True if the gesture is shown
+ */
+export function isGesture(results, gesture, { minConfidence = DEFAULT_MIN_CONFIDENCE, ...options } = {}) {
+    const best = recognizeGesture(results, options);
+    return Boolean(best) && best.gesture === gesture && best.confidence >= minConfidence;
+}
+
+/**
+ * customGestureId
+ *
+ * @param {{_id: string}} customGesture - Custom gesture as stored on the backend
+ * @returns {string} Gesture keyword used by the games (e.g. "custom:64f0...")
+ */
+export function customGestureId(customGesture) {
+    return CUSTOM_PREFIX + customGesture._id;
+}
+
+/**
+ * gestureVocabulary
+ *
+ * @param {Array<{_id: string}>} [customGestures] - The user's custom gestures
+ * @returns {string[]} Built-in game gestures followed by the custom ones
+ */
+export function gestureVocabulary(customGestures = []) {
+    return [...GESTURES, ...customGestures.map(customGestureId)];
+}
+
+/**
+ * flattenLandmarks
+ *
+ * Normalizes a hand and flattens it into the sample format stored for custom
+ * gestures: [x0, y0, z0, x1, y1, z1, ...] rounded to 4 decimals.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+ * @param {Object} [options] - handedness and aspectRatio, as for normalizeLandmarks
+ * @returns {number[]} 63 normalized values
+ */
+export function flattenLandmarks(landmarks, options) {
+    return normalizeLandmarks(landmarks, options).flatMap(p =>
+        [p.x, p.y, p.z].map(v => Math.round(v * 10000) / 10000)
+    );
+}
+
+/**
+ * sampleDistance
+ *
+ * Mean distance between the landmarks of a normalized hand and a stored sample.
+ */
+const sampleDistance = (points, sample) =>
+    points.reduce((sum, p, i) =>
+        sum + Math.hypot(p.x - sample[i * 3], p.y - sample[i * 3 + 1], Z_WEIGHT * (p.z - sample[i * 3 + 2])), 0
+    ) / points.length;
+
+/**
+ * matchCustomGesture
+ *
+ * Scores user-recorded gestures for one hand. Each gesture is scored by its
+ * nearest sample; the confidence falls linearly with the mean landmark distance.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+ * @param {Array<{_id: string, samples: number[][]}>} customGestures - Gestures from gestureService
+ * @param {Object} [options] - handedness and aspectRatio, as for normalizeLandmarks
+ * @returns {Array<{gesture: string, confidence: number, distance: number}>} Gestures, most likely first
+ */
+export function matchCustomGesture(landmarks, customGestures, options) {
+    if (!customGestures?.length) return [];
+    const points = normalizeLandmarks(landmarks, options);
+
+    return customGestures
+        .map(customGesture => {
+            const distance = Math.min(...customGesture.samples.map(sample => sampleDistance(points, sample)));
+            return {
+                gesture: customGestureId(customGesture),
+                confidence: clamp01(1 - distance / CUSTOM_MAX_DISTANCE),
+                distance,
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * gestureLabel
+ *
+ * @param {string} gesture - Gesture keyword
+ * @param {Array<{_id: string, name: string}>} [customGestures] - Custom gestures to look up names in
+ * @returns {string} Friendly label with emoji, or "" for unknown gestures
+ */
+export function gestureLabel(gesture, customGestures = []) {
+    if (gesture?.startsWith(CUSTOM_PREFIX)) {
+        const customGesture = customGestures.find(g => customGestureId(g) === gesture);
+        return customGesture ? `✨ ${customGesture.name}` : "";
+    }
+    return GESTURE_LABELS[gesture] || "";
+}
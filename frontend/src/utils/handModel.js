@@ -0,0 +1,232 @@
+/**
+ * Shared loader of the MediaPipe hand landmark model.
+ *
+ * The WASM runtime and the model are served by the app itself (copied to
+ * public/ by scripts/copy-mediapipe.js from the pinned @mediapipe/tasks-vision
+ * package), so the games work offline and on locked-down networks.
+ *
+ * Main Features:
+ * - Loads the model once per page load and shares it between all games
+ *   and the Gesture Studio.
+ * - Runs detection in a Web Worker when the browser can (see utils/handWorker.js),
+ *   so inference never holds up rendering; otherwise on the main thread, which
+ *   also takes over when the worker crashes.
+ * - Reports loading progress (model download, then starting the model).
+ * - Falls back to the CPU delegate when the GPU (WebGL) cannot be used.
+ * - Detects on smaller frames, or less often, while detection is slow
+ *   (see utils/inferenceScheduler.js); the landmarker's stats() reports
+ *   the detection latency and the current scale and interval.
+ * - Can be retried after a failure.
+ *
+ * The shared model needs increasing timestamps across all of its users, so it
+ * timestamps frames with its own clock and ignores the caller's timestamp.
+ * In the worker, detectForVideo answers at once with the latest (interpolated) landmarks.
+ */
+
+import { HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { canUseHandWorker, startHandWorker } from "./handWorker";
+import { createInferenceScheduler } from "./inferenceScheduler";
+
+const WASM_PATH = `${process.env.PUBLIC_URL}/mediapipe/wasm`;
+const MODEL_PATH = `${process.env.PUBLIC_URL}/models/hand_landmarker.task`;
+const NUM_HANDS = 2; // Hands tracked per frame
+
+// Loading stages, as shown to the player
+export const MODEL_STAGES = {
+    model: "Downloading the hand model...",
+    init: "Starting hand tracking...",
+};
+
+let state = { status: "idle", stage: null, progress: 0, delegate: null, thread: null, error: null, landmarker: null };
+let loading = null; // Promise of the load in progress
+const listeners = new Set();
+
+/** Updates the shared state and tells every subscriber */
+const setState = (update) => {
+    state = { ...state, ...update };
+    listeners.forEach(listener => listener(state));
+};
+
+/**
+ * getHandModelState
+ *
+ * @returns {Object} { status: "idle"|"loading"|"ready"|"error", stage, progress (0-1), delegate ("GPU"|"CPU"),
+ *   thread ("worker"|"main"), error, landmarker }
+ */
+export const getHandModelState = () => state;
+
+/**
+ * subscribeHandModel
+ *
+ * @param {Function} listener - Called with the new state whenever it changes
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribeHandModel = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * fetchModel
+ *
+ * Downloads the model file, reporting its progress.
+ *
+ * @param {string} url - Model URL
+ * @returns {Promise<Uint8Array>} Model file
+ */
+const fetchModel = async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Model download failed (${res.status})`);
+
+    const total = Number(res.headers.get("content-length")) || 0;
+    if (!res.body || !total) return new Uint8Array(await res.arrayBuffer());
+
+    const reader = res.body.getReader();
+    const buffer = new Uint8Array(total);
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer.set(value, loaded);
+        loaded += value.length;
+        setState({ progress: loaded / total });
+    }
+    return buffer.subarray(0, loaded);
+};
+
+/**
+ * createMainThreadDetector
+ *
+ * Wraps the model so every frame gets a strictly increasing timestamp,
+ * whichever game or page detects with it. While detection is slow, frames are
+ * shrunk before detection, or skipped (answered with the latest landmarks).
+ *
+ * @param {HandLandmarker} model - Loaded model
+ * @returns {{detectForVideo: Function, stats: Function}} Shared landmarker
+ */
+const createMainThreadDetector = (model) => {
+    const scheduler = createInferenceScheduler();
+    const canvas = document.createElement("canvas"); // Shrunk frame
+    let last = 0;
+    let latest = null; // Latest results
+
+    return {
+        detectForVideo(video) {
+            const start = performance.now();
+            if (latest && !scheduler.shouldRun(start)) return latest;
+
+            const { scale } = scheduler.settings();
+            let input = video;
+            if (scale < 1 && video.videoWidth) {
+                canvas.width = Math.round(video.videoWidth * scale);
+                canvas.height = Math.round(video.videoHeight * scale);
+                canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+                input = canvas;
+            }
+
+            scheduler.started(start);
+            last = Math.max(Math.round(start), last + 1);
+            latest = model.detectForVideo(input, last);
+            scheduler.record(performance.now() - start);
+            return latest;
+        },
+
+        stats: () => scheduler.stats(),
+    };
+};
+
+/**
+ * loadOnMainThread
+ *
+ * Loads the model on the main thread, preferring the GPU.
+ *
+ * @param {Uint8Array} modelAssetBuffer - Model file
+ * @returns {Promise<{landmarker: Object, delegate: string}>} Landmarker and the delegate it runs on
+ */
+const loadOnMainThread = async (modelAssetBuffer) => {
+    const vision = await FilesetResolver.forVisionTasks(WASM_PATH);
+    const create = (delegate) => HandLandmarker.createFromOptions(vision, {
+        baseOptions: { modelAssetBuffer, delegate },
+        runningMode: "VIDEO",
+        numHands: NUM_HANDS,
+    });
+
+    try {
+        return { landmarker: createMainThreadDetector(await create("GPU")), delegate: "GPU" };
+    } catch (err) {
+        console.warn("GPU hand tracking unavailable, using the CPU:", err);
+        return { landmarker: createMainThreadDetector(await create("CPU")), delegate: "CPU" };
+    }
+};
+
+/**
+ * replaceCrashedWorker
+ *
+ * Loads the model on the main thread for a landmarker whose worker crashed.
+ * A failure is reported as a model error, so the model can be loaded again.
+ *
+ * @param {Uint8Array} modelAssetBuffer - Model file
+ * @returns {Promise<Object>} Main-thread landmarker
+ */
+const replaceCrashedWorker = async (modelAssetBuffer) => {
+    try {
+        const loaded = await loadOnMainThread(modelAssetBuffer);
+        setState({ delegate: loaded.delegate, thread: "main" });
+        return loaded.landmarker;
+    } catch (err) {
+        setState({ status: "error", error: err.message || String(err), landmarker: null });
+        throw err;
+    }
+};
+
+/**
+ * loadHandLandmarker
+ *
+ * Loads the shared hand landmarker, or returns the one already loaded.
+ * Concurrent calls share the same load; a failed load can be retried by calling again.
+ *
+ * @returns {Promise<{detectForVideo: Function, stats: Function}>} Shared landmarker
+ */
+export function loadHandLandmarker() {
+    if (state.landmarker) return Promise.resolve(state.landmarker);
+    if (loading) return loading;
+
+    loading = (async () => {
+        setState({ status: "loading", stage: "model", progress: 0, error: null });
+        const modelAssetBuffer = await fetchModel(MODEL_PATH);
+
+        setState({ stage: "init", progress: 1 });
+        let loaded = null;
+        let thread = "worker";
+        if (canUseHandWorker()) {
+            try {
+                loaded = await startHandWorker({
+                    wasmPath: new URL(WASM_PATH, window.location.href).href,
+                    modelAssetBuffer,
+                    numHands: NUM_HANDS,
+                    fallback: () => replaceCrashedWorker(modelAssetBuffer),
+                });
+            } catch (err) {
+                console.warn("Hand detection worker unavailable, detecting on the main thread:", err);
+            }
+        }
+        if (!loaded) {
+            thread = "main";
+            loaded = await loadOnMainThread(modelAssetBuffer);
+        }
+
+        setState({ status: "ready", stage: null, delegate: loaded.delegate, thread, landmarker: loaded.landmarker });
+        return loaded.landmarker;
+    })();
+
+    loading
+        .catch((err) => {
+            console.error(err);
+            setState({ status: "error", stage: null, error: err.message || String(err) });
+        })
+        .finally(() => {
+            loading = null;
+        });
+
+    return loading;
+}
@@ -0,0 +1,179 @@
+/**
+ * Hand identities across frames.
+ *
+ * HandLandmarker reports up to two hands per frame in no particular order,
+ * and its handedness label can flicker. The tracker matches every detected hand
+ * to the hand it was in the previous frames, by position and handedness, so
+ * games can address the same hand for as long as it stays in view.
+ *
+ * Main Features:
+ * - Stable ids: a hand keeps its id until it has been out of view for TRACK_TIMEOUT_MS.
+ * - Stable order: results list the hands oldest first, so landmarks[0] does not flip.
+ * - Stable handedness: the label follows the average of the model's votes, not single frames.
+ * - Players: a hand belongs to player 1 when it appears on the left half of the
+ *   (mirrored) screen and to player 2 on the right half, and keeps its player
+ *   when it crosses the middle.
+ * - selectHand addresses a hand as "left", "right", "player1" or "player2".
+ * - pickHands applies the player's hand settings: the dominant hand comes first,
+ *   and a game that requires one hand only sees that hand.
+ *
+ * Tracked results keep the landmarker format and add
+ * hands: [{ id, hand: "left"|"right", player: 1|2, landmarks, handedness }].
+ */
+
+import { physicalHand, getHandedness } from "./gestures";
+
+export const HAND_LABELS = { left: "left hand", right: "right hand" }; // The player's hands, as named in prompts
+export const TRACK_TIMEOUT_MS = 500; // A hand out of view for longer is a new hand when it returns
+const MAX_MATCH_DISTANCE = 0.35; // Farther detections (normalized) are a new hand
+const HANDEDNESS_PENALTY = 0.2; // Extra distance for matching a hand to one of the other handedness
+const HANDEDNESS_SMOOTHING = 0.2; // Weight of a new frame in the handedness vote
+
+/** Middle of the palm (between the wrist and the middle finger's knuckle) */
+const palmCenter = (landmarks) => ({
+    x: (landmarks[0].x + landmarks[9].x) / 2,
+    y: (landmarks[0].y + landmarks[9].y) / 2,
+});
+
+/**
+ * rightVote
+ *
+ * @param {Array} categories - Handedness categories of one hand
+ * @returns {number} Probability (0-1) that the label is "Right"
+ */
+const rightVote = (categories) => {
+    const best = categories?.[0];
+    if (!best) return 0.5;
+    const score = best.score ?? 1;
+    return best.categoryName === "Right" ? score : 1 - score;
+};
+
+/**
+ * createHandTracker
+ *
+ * @returns {{track: Function, reset: Function}} track(results, timeMs) returns tracked results
+ */
+export function createHandTracker() {
+    let tracks = []; // { id, center, right (vote), player, seenAt }
+    let nextId = 1;
+
+    const track = (results, timeMs) => {
+        if (!results?.landmarks) return results;
+        tracks = tracks.filter(t => timeMs - t.seenAt <= TRACK_TIMEOUT_MS);
+
+        const detections = results.landmarks.map((landmarks, i) => ({
+            index: i,
+            landmarks,
+            categories: results.handedness?.[i] ?? [],
+            center: palmCenter(landmarks),
+            right: rightVote(results.handedness?.[i]),
+        }));
+
+        // Match the closest pairs first
+        const pairs = [];
+        detections.forEach(detection => {
+            tracks.forEach(t => {
+                const sameHand = (t.right >= 0.5) === (detection.right >= 0.5);
+                const cost = Math.hypot(t.center.x - detection.center.x, t.center.y - detection.center.y)
+                    + (sameHand ? 0 : HANDEDNESS_PENALTY);
+                if (cost <= MAX_MATCH_DISTANCE) pairs.push({ t, detection, cost });
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const matched = new Map(); // detection index → track
+        const used = new Set();
+        pairs.forEach(({ t, detection }) => {
+            if (matched.has(detection.index) || used.has(t)) return;
+            matched.set(detection.index, t);
+            used.add(t);
+        });
+
+        detections.forEach(detection => {
+            let t = matched.get(detection.index);
+            if (t) {
+                t.right += (detection.right - t.right) * HANDEDNESS_SMOOTHING;
+            } else {
+                // The camera image is mirrored on screen: its right half is the screen's left half
+                const side = detection.center.x >= 0.5 ? 1 : 2;
+                const taken = tracks.some(other => other.player === side);
+                t = { id: nextId++, right: detection.right, player: taken ? 3 - side : side };
+                tracks.push(t);
+            }
+            t.center = detection.center;
+            t.seenAt = timeMs;
+            detection.track = t;
+        });
+
+        const ordered = [...detections].sort((a, b) => a.track.id - b.track.id);
+        const hands = ordered.map(({ track: t, landmarks, categories }) => {
+            const label = t.right >= 0.5 ? "Right" : "Left";
+            return {
+                id: t.id,
+                hand: physicalHand(label),
+                player: t.player,
+                landmarks,
+                handedness: [{ ...categories[0], categoryName: label }],
+            };
+        });
+
+        return {
+            ...results,
+            landmarks: hands.map(h => h.landmarks),
+            handedness: hands.map(h => h.handedness),
+            hands,
+        };
+    };
+
+    const reset = () => {
+        tracks = [];
+    };
+
+    return { track, reset };
+}
+
+/**
+ * selectHand
+ *
+ * @param {Object} results - Tracked results (see createHandTracker)
+ * @param {"left"|"right"|"player1"|"player2"|number} which - The player's physical hand,
+ *   a player, or an index (0 is the hand in view the longest)
+ * @returns {Object|null} { id, hand, player, landmarks, handedness }, or null when that hand is not in view
+ */
+export function selectHand(results, which) {
+    const hands = results?.hands ?? [];
+    if (typeof which === "number") return hands[which] ?? null;
+    if (which === "player1" || which === "player2") {
+        const player = which === "player1" ? 1 : 2;
+        return hands.find(h => h.player === player) ?? null;
+    }
+    return hands.find(h => h.hand === which) ?? null;
+}
+
+/**
+ * pickHands
+ *
+ * Applies the player's hand settings (see pages/HandSettings.jsx) to landmarker results:
+ * the dominant hand moves first, so games reading landmarks[0] follow it, and when
+ * a hand is required, the other hand is left out. Works on raw and tracked results.
+ *
+ * @param {Object} results - Landmarker results
+ * @param {Object|null} hand - { dominant: "left"|"right", required: "left"|"right"|null }, or null to keep the results
+ * @returns {Object} Results with the picked hands, in order
+ */
+export function pickHands(results, hand) {
+    if (!hand || !results?.landmarks?.length) return results;
+    const hands = results.landmarks.map((_, i) => results.hands?.[i]?.hand ?? physicalHand(getHandedness(results, i)));
+    const order = hand.required
+        ? [...hands.keys()].filter(i => hands[i] === hand.required)
+        : [...hands.keys()].sort((a, b) => (hands[b] === hand.dominant) - (hands[a] === hand.dominant));
+    const pick = (list) => order.map(i => list[i]);
+
+    return {
+        ...results,
+        landmarks: pick(results.landmarks),
+        handedness: pick(results.handedness ?? []),
+        ...(results.worldLandmarks && { worldLandmarks: pick(results.worldLandmarks) }),
+        ...(results.hands && { hands: pick(results.hands) }),
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for the hand tracker: stable identities, order, handedness and players,
+ * and for the hand settings applied on top.
+ */
+
+import { createHandTracker, selectHand, pickHands, TRACK_TIMEOUT_MS } from "./handTracking";
+
+/** A hand whose palm is centred at (x, y) */
+const hand = (x, y) => Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+const label = (categoryName, score = 0.9) => [{ categoryName, score }];
+
+/** Landmarker results with the given hands ({ x, y, label }) in that order */
+const frame = (...hands) => ({
+    landmarks: hands.map(h => hand(h.x, h.y)),
+    handedness: hands.map(h => label(h.label, h.score)),
+});
+
+describe("createHandTracker", () => {
+    test("keeps the order of the hands when the model swaps them", () => {
+        const tracker = createHandTracker();
+        const first = tracker.track(frame({ x: 0.3, y: 0.5, label: "Left" }, { x: 0.7, y: 0.5, label: "Right" }), 0);
+        const swapped = tracker.track(frame({ x: 0.71, y: 0.5, label: "Right" }, { x: 0.31, y: 0.5, label: "Left" }), 33);
+
+        expect(swapped.hands.map(h => h.id)).toEqual(first.hands.map(h => h.id));
+        expect(swapped.landmarks[0][0].x).toBeCloseTo(0.31);
+        expect(swapped.landmarks[1][0].x).toBeCloseTo(0.71);
+    });
+
+    test("ignores a single flickering handedness label", () => {
+        const tracker = createHandTracker();
+        tracker.track(frame({ x: 0.5, y: 0.5, label: "Left" }), 0);
+        tracker.track(frame({ x: 0.5, y: 0.5, label: "Left" }), 33);
+        const flicker = tracker.track(frame({ x: 0.5, y: 0.5, label: "Right", score: 0.6 }), 66);
+
+        expect(flicker.handedness[0][0].categoryName).toBe("Left");
+        expect(flicker.hands[0].hand).toBe("right");
+    });
+
+    test("gives a hand a new id once it has been gone for a while", () => {
+        const tracker = createHandTracker();
+        const before = tracker.track(frame({ x: 0.5, y: 0.5, label: "Left" }), 0);
+        tracker.track(frame(), 100);
+        const soon = tracker.track(frame({ x: 0.5, y: 0.5, label: "Left" }), 200);
+        tracker.track(frame(), 300);
+        const gone = tracker.track(frame({ x: 0.5, y: 0.5, label: "Left" }), 200 + TRACK_TIMEOUT_MS + 1);
+
+        expect(soon.hands[0].id).toBe(before.hands[0].id);
+        expect(gone.hands[0].id).not.toBe(before.hands[0].id);
+    });
+
+    test("assigns players by screen half and keeps them across the middle", () => {
+        const tracker = createHandTracker();
+        // Camera x > 0.5 is the left half of the mirrored screen
+        tracker.track(frame({ x: 0.8, y: 0.5, label: "Left" }, { x: 0.2, y: 0.5, label: "Left" }), 0);
+        tracker.track(frame({ x: 0.6, y: 0.5, label: "Left" }, { x: 0.2, y: 0.5, label: "Left" }), 33);
+        const crossed = tracker.track(frame({ x: 0.2, y: 0.5, label: "Left" }, { x: 0.45, y: 0.5, label: "Left" }), 66);
+
+        expect(selectHand(crossed, "player1").landmarks[0].x).toBeCloseTo(0.45);
+        expect(selectHand(crossed, "player2").landmarks[0].x).toBeCloseTo(0.2);
+    });
+});
+
+describe("selectHand", () => {
+    test("addresses the player's physical hands, players and indices", () => {
+        const results = createHandTracker().track(
+            frame({ x: 0.7, y: 0.5, label: "Left" }, { x: 0.3, y: 0.5, label: "Right" }),
+            0
+        );
+
+        expect(selectHand(results, "right").landmarks[0].x).toBeCloseTo(0.7); // "Left" label: right hand
+        expect(selectHand(results, "left").landmarks[0].x).toBeCloseTo(0.3);
+        expect(selectHand(results, 1).landmarks[0].x).toBeCloseTo(0.3);
+        expect(selectHand(results, 2)).toBeNull();
+        expect(selectHand({ landmarks: [], handedness: [] }, "player1")).toBeNull();
+    });
+});
+
+describe("pickHands", () => {
+    // "Right" label: the player's left hand (the camera image is not mirrored)
+    const results = frame({ x: 0.7, y: 0.5, label: "Left" }, { x: 0.3, y: 0.5, label: "Right" });
+
+    test("puts the dominant hand first", () => {
+        const picked = pickHands(results, { dominant: "left", required: null });
+
+        expect(picked.landmarks.map(h => h[0].x)).toEqual([0.3, 0.7]);
+        expect(picked.handedness.map(h => h[0].categoryName)).toEqual(["Right", "Left"]);
+        expect(pickHands(results, { dominant: "right", required: null }).landmarks[0][0].x).toBe(0.7);
+    });
+
+    test("keeps only the required hand, also in tracked results", () => {
+        const tracked = createHandTracker().track(results, 0);
+        const picked = pickHands(tracked, { dominant: "right", required: "left" });
+
+        expect(picked.landmarks).toHaveLength(1);
+        expect(picked.landmarks[0][0].x).toBe(0.3);
+        expect(picked.hands.map(h => h.hand)).toEqual(["left"]);
+        expect(pickHands(frame({ x: 0.7, y: 0.5, label: "Left" }), { dominant: "left", required: "left" }).landmarks).toEqual([]);
+        expect(pickHands(results, null)).toBe(results);
+    });
+});
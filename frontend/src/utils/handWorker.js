@@ -0,0 +1,183 @@
+/**
+ * Main-thread side of the hand detection worker (workers/handLandmarker.worker.js).
+ *
+ * Main Features:
+ * - Starts the worker and loads the hand model in it.
+ * - Sends video frames to the worker as transferred ImageBitmaps, one at a time:
+ *   a new frame is only captured once the previous one has been detected.
+ * - Answers detectForVideo at once with the latest landmarks, interpolated
+ *   between the two latest detections, so games draw at display rate however
+ *   long inference takes.
+ * - Shrinks the frames sent, or sends fewer of them, while detection is slow
+ *   (see utils/inferenceScheduler.js), and reports its measurements through stats().
+ * - Hands detection over to a fallback landmarker (on the main thread) when the worker crashes.
+ */
+
+import { createInferenceScheduler } from "./inferenceScheduler";
+import spawnHandWorker from "../workers/spawnHandWorker";
+
+export const STALE_MS = 1000; // Detections older than this are dropped (no hand)
+const MAX_INTERPOLATION_MS = 250; // Detections further apart than this are not interpolated
+
+const NO_HANDS = { landmarks: [], handedness: [] };
+
+/**
+ * canUseHandWorker
+ *
+ * @returns {boolean} Whether this browser can detect hands in a worker
+ */
+export function canUseHandWorker() {
+    return typeof Worker !== "undefined"
+        && typeof OffscreenCanvas !== "undefined"
+        && typeof createImageBitmap === "function";
+}
+
+/**
+ * interpolateResults
+ *
+ * Blends two detections of the same hands. When the hands differ
+ * (a hand appeared, left or swapped), the newer detection is used as is.
+ *
+ * @param {Object} from - Older results ({ landmarks, handedness })
+ * @param {Object} to - Newer results
+ * @param {number} alpha - 0 (from) to 1 (to)
+ * @returns {Object} Results
+ */
+export function interpolateResults(from, to, alpha) {
+    const sameHands = from.landmarks.length === to.landmarks.length
+        && to.handedness.every((h, i) => h[0]?.categoryName === from.handedness[i]?.[0]?.categoryName);
+    if (alpha >= 1 || !sameHands) return to;
+
+    return {
+        landmarks: to.landmarks.map((hand, i) => hand.map((point, j) => {
+            const start = from.landmarks[i][j];
+            return {
+                x: start.x + (point.x - start.x) * alpha,
+                y: start.y + (point.y - start.y) * alpha,
+                z: start.z + (point.z - start.z) * alpha,
+            };
+        })),
+        handedness: to.handedness,
+    };
+}
+
+/**
+ * createWorkerDetector
+ *
+ * Landmarker facade over a ready worker. Once the worker crashes, it answers
+ * with the fallback landmarker (no hands until that has loaded, or if it fails to).
+ *
+ * @param {Worker} worker - Worker that has loaded the model
+ * @param {Function} [fallback] - Resolves to the landmarker to use after a crash
+ * @returns {{detectForVideo: Function, stats: Function}} Landmarker answering with the latest landmarks
+ */
+const createWorkerDetector = (worker, fallback) => {
+    const scheduler = createInferenceScheduler();
+    let busy = false; // Whether a frame is being detected
+    let sentAt = 0; // When the frame being detected was captured
+    let previous = null; // Detection before the latest ({ results, at })
+    let latest = null; // Latest detection
+    let timestamp = 0; // Timestamp of the latest frame sent
+    let crashed = false; // Whether the worker has crashed
+    let replacement = null; // Fallback landmarker, once loaded
+
+    worker.addEventListener("message", ({ data }) => {
+        if (data.type !== "result") return;
+        busy = false;
+        scheduler.record(performance.now() - sentAt);
+        if (!data.results) return; // Failed frame; the next one is tried
+        previous = latest;
+        latest = { results: data.results, at: performance.now() };
+    });
+
+    // A crashed worker answers no more frames
+    worker.addEventListener("error", (event) => {
+        if (crashed) return;
+        console.error("The hand detection worker crashed:", event.message);
+        crashed = true;
+        busy = false;
+        previous = null;
+        latest = null;
+        worker.terminate();
+        Promise.resolve(fallback?.())
+            .then((landmarker) => {
+                replacement = landmarker ?? null;
+            })
+            .catch((err) => console.error("No landmarker to replace the crashed worker:", err));
+    });
+
+    /** Sends the current video frame to the worker, shrunk while detection is slow */
+    const capture = async (video) => {
+        busy = true;
+        sentAt = performance.now();
+        scheduler.started(sentAt);
+        try {
+            const { scale } = scheduler.settings();
+            const bitmap = scale < 1
+                ? await createImageBitmap(video, {
+                    resizeWidth: Math.round(video.videoWidth * scale),
+                    resizeHeight: Math.round(video.videoHeight * scale),
+                    resizeQuality: "low",
+                })
+                : await createImageBitmap(video);
+            timestamp = Math.max(Math.round(performance.now()), timestamp + 1);
+            worker.postMessage({ type: "detect", bitmap, timestamp }, [bitmap]);
+        } catch (err) {
+            busy = false;
+        }
+    };
+
+    return {
+        detectForVideo(video) {
+            if (crashed) return replacement ? replacement.detectForVideo(video) : NO_HANDS;
+
+            const now = performance.now();
+            if (!busy && video?.readyState >= 2 && scheduler.shouldRun(now)) capture(video);
+
+            if (!latest || now - latest.at > STALE_MS) return NO_HANDS;
+            if (!previous || latest.at - previous.at > MAX_INTERPOLATION_MS) return latest.results;
+
+            // Move from the previous to the latest detection over one detection interval
+            const alpha = Math.min(1, (now - latest.at) / (latest.at - previous.at));
+            return interpolateResults(previous.results, latest.results, alpha);
+        },
+
+        stats: () => (replacement ?? scheduler).stats(),
+    };
+};
+
+/**
+ * startHandWorker
+ *
+ * Starts the worker and loads the model in it.
+ *
+ * @param {Object} params
+ * @param {string} params.wasmPath - Absolute URL of the MediaPipe WASM runtime
+ * @param {Uint8Array} params.modelAssetBuffer - Model file
+ * @param {number} params.numHands - Hands tracked per frame
+ * @param {Function} [params.fallback] - Resolves to the landmarker to detect with if the worker crashes later
+ * @returns {Promise<{landmarker: Object, delegate: string}>} Landmarker and the delegate it runs on
+ */
+export function startHandWorker({ wasmPath, modelAssetBuffer, numHands, fallback }) {
+    const worker = spawnHandWorker();
+
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            worker.terminate();
+            reject(error instanceof Error ? error : new Error(error));
+        };
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === "ready") {
+                worker.onmessage = null;
+                worker.onerror = null;
+                resolve({ landmarker: createWorkerDetector(worker, fallback), delegate: data.delegate });
+            } else if (data.type === "error") {
+                fail(data.error);
+            }
+        };
+        worker.onerror = (event) => fail(event.message || "The hand detection worker failed to start.");
+
+        worker.postMessage({ type: "init", wasmPath, modelAssetBuffer, numHands });
+    });
+}
@@ -0,0 +1,135 @@
+import { interpolateResults, startHandWorker, STALE_MS } from "./handWorker";
+import spawnHandWorker from "../workers/spawnHandWorker";
+
+jest.mock("../workers/spawnHandWorker", () => jest.fn());
+
+const hand = (x, label = "Left") => ({
+    landmarks: [[{ x, y: 0.5, z: 0 }, { x: x + 0.1, y: 0.4, z: -0.1 }]],
+    handedness: [[{ categoryName: label }]],
+});
+
+describe("interpolateResults", () => {
+    test("blends the landmarks of the same hands", () => {
+        const blended = interpolateResults(hand(0.2), hand(0.4), 0.5);
+        expect(blended.landmarks[0][0].x).toBeCloseTo(0.3);
+        expect(blended.landmarks[0][1]).toEqual({ x: expect.closeTo(0.4), y: 0.4, z: -0.1 });
+        expect(blended.handedness).toEqual(hand(0.4).handedness);
+        expect(interpolateResults(hand(0.2), hand(0.4), 0).landmarks[0][0].x).toBeCloseTo(0.2);
+    });
+
+    test("returns the newer detection once reached", () => {
+        const to = hand(0.4);
+        expect(interpolateResults(hand(0.2), to, 1)).toBe(to);
+    });
+
+    test("does not blend different hands", () => {
+        const two = { landmarks: [...hand(0.2).landmarks, ...hand(0.7, "Right").landmarks], handedness: [[{ categoryName: "Left" }], [{ categoryName: "Right" }]] };
+        const right = hand(0.4, "Right");
+        expect(interpolateResults(hand(0.2), two, 0.5)).toBe(two); // A hand appeared
+        expect(interpolateResults(two, hand(0.4), 0.5).landmarks[0][0].x).toBe(0.4); // A hand left
+        expect(interpolateResults(hand(0.2), right, 0.5)).toBe(right); // Another hand
+    });
+});
+
+describe("startHandWorker", () => {
+    // A worker that loads at once and answers when told to
+    class FakeWorker extends EventTarget {
+        postMessage = jest.fn();
+        terminate = jest.fn();
+        send(data) {
+            const event = new MessageEvent("message", { data });
+            this.onmessage?.(event);
+            this.dispatchEvent(event);
+        }
+        crash(message) {
+            const event = Object.assign(new Event("error"), { message });
+            this.onerror?.(event);
+            this.dispatchEvent(event);
+        }
+    }
+
+    const video = { readyState: 4, videoWidth: 640, videoHeight: 480 };
+    const frameSent = () => new Promise(resolve => setTimeout(resolve, 0));
+    let worker;
+
+    /** Starts the worker and the detector over it */
+    const start = async (fallback) => {
+        const started = startHandWorker({ wasmPath: "/wasm", modelAssetBuffer: new Uint8Array(), numHands: 2, fallback });
+        worker.send({ type: "ready", delegate: "GPU" });
+        return (await started).landmarker;
+    };
+
+    beforeEach(() => {
+        worker = new FakeWorker();
+        spawnHandWorker.mockReturnValue(worker);
+        global.createImageBitmap = jest.fn(async () => ({}));
+        jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.createImageBitmap;
+        console.error.mockRestore();
+    });
+
+    test("fails to start when the model cannot be loaded", async () => {
+        const started = startHandWorker({ wasmPath: "/wasm", modelAssetBuffer: new Uint8Array(), numHands: 2 });
+        worker.send({ type: "error", error: "No WebGL" });
+        await expect(started).rejects.toThrow("No WebGL");
+        expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    test("sends one frame at a time and answers with the latest detection", async () => {
+        const landmarker = await start();
+        expect(landmarker.detectForVideo(video)).toEqual({ landmarks: [], handedness: [] });
+        await frameSent();
+        landmarker.detectForVideo(video); // Still detecting the first frame
+        await frameSent();
+        expect(worker.postMessage.mock.calls.filter(([data]) => data.type === "detect")).toHaveLength(1);
+
+        const detected = hand(0.3);
+        worker.send({ type: "result", results: detected });
+        expect(landmarker.detectForVideo(video)).toBe(detected);
+        await frameSent();
+        expect(worker.postMessage.mock.calls.filter(([data]) => data.type === "detect")).toHaveLength(2);
+    });
+
+    test("drops detections older than STALE_MS", async () => {
+        const now = jest.spyOn(performance, "now").mockReturnValue(1000);
+        const landmarker = await start();
+        landmarker.detectForVideo(video);
+        await frameSent();
+        worker.send({ type: "result", results: hand(0.3) });
+        now.mockReturnValue(1000 + STALE_MS + 1);
+        expect(landmarker.detectForVideo(null).landmarks).toEqual([]);
+        now.mockRestore();
+    });
+
+    test("detects with the fallback once the worker crashes", async () => {
+        const fallbackResults = hand(0.6);
+        const fallbackLandmarker = { detectForVideo: jest.fn(() => fallbackResults), stats: () => ({ thread: "main" }) };
+        const fallback = jest.fn(async () => fallbackLandmarker);
+        const landmarker = await start(fallback);
+        landmarker.detectForVideo(video);
+        await frameSent(); // A frame is being detected when the worker crashes
+
+        worker.crash("Out of memory");
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(fallback).toHaveBeenCalledTimes(1);
+        await frameSent();
+
+        expect(landmarker.detectForVideo(video)).toBe(fallbackResults);
+        expect(fallbackLandmarker.detectForVideo).toHaveBeenCalledWith(video);
+        expect(landmarker.stats()).toEqual({ thread: "main" });
+        expect(worker.postMessage.mock.calls.filter(([data]) => data.type === "detect")).toHaveLength(1);
+    });
+
+    test("answers with no hands when there is no fallback after a crash", async () => {
+        const landmarker = await start(async () => {
+            throw new Error("No WebGL");
+        });
+        worker.send({ type: "result", results: hand(0.3) });
+        worker.crash("Out of memory");
+        await frameSent();
+        expect(landmarker.detectForVideo(video).landmarks).toEqual([]);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Adaptive scheduling of hand detection.
+ *
+ * Slow devices cannot detect hands in every display frame at full camera
+ * resolution. The scheduler watches how long detection takes and trades
+ * quality for speed in steps while it is over budget:
+ * first a smaller input image, then fewer detections per second.
+ * It steps back up once detection is comfortably fast again.
+ *
+ * Main Features:
+ * - Tells whether a frame should be detected (minimum interval between detections).
+ * - Tells the scale of the input image (landmarks are normalized, so they are unaffected).
+ * - Keeps a moving average of the detection latency and counts the detections.
+ */
+
+export const LATENCY_BUDGET_MS = 50; // Detection time above which the scheduler steps down
+
+// Quality steps, best first: input image scale and minimum interval (ms) between detections
+export const INFERENCE_STEPS = [
+    { scale: 1, intervalMs: 0 },
+    { scale: 0.75, intervalMs: 0 },
+    { scale: 0.5, intervalMs: 0 },
+    { scale: 0.5, intervalMs: 50 },
+    { scale: 0.5, intervalMs: 100 },
+];
+
+const LATENCY_SMOOTHING = 0.2; // Weight of a new sample in the moving average
+const SAMPLES_PER_STEP = 10; // Detections measured before the step may change again
+const STEP_UP_RATIO = 0.5; // Step back up below this share of the budget
+
+/**
+ * createInferenceScheduler
+ *
+ * @param {Object} [options]
+ * @param {number} [options.budgetMs] - Latency budget (ms)
+ * @returns {Object} Scheduler with
+ *   - shouldRun(now): whether the minimum interval since the latest detection has passed
+ *   - started(now): a detection has started
+ *   - record(latencyMs): a detection has finished
+ *   - settings(): { scale, intervalMs } of the current step
+ *   - stats(): { latencyMs, detections, scale, intervalMs }
+ */
+export function createInferenceScheduler({ budgetMs = LATENCY_BUDGET_MS } = {}) {
+    let step = 0; // Index into INFERENCE_STEPS
+    let latency = null; // Moving average (ms)
+    let samples = 0; // Detections measured since the step changed
+    let lastStart = -Infinity; // When the latest detection started
+    let detections = 0;
+
+    return {
+        shouldRun(now) {
+            return now - lastStart >= INFERENCE_STEPS[step].intervalMs;
+        },
+
+        started(now) {
+            lastStart = now;
+        },
+
+        record(latencyMs) {
+            detections++;
+            latency = latency === null ? latencyMs : latency + (latencyMs - latency) * LATENCY_SMOOTHING;
+            if (++samples < SAMPLES_PER_STEP) return;
+
+            if (latency > budgetMs && step < INFERENCE_STEPS.length - 1) {
+                step++;
+                samples = 0;
+            } else if (latency < budgetMs * STEP_UP_RATIO && step > 0) {
+                step--;
+                samples = 0;
+            }
+        },
+
+        settings() {
+            return INFERENCE_STEPS[step];
+        },
+
+        stats() {
+            return { latencyMs: latency, detections, ...INFERENCE_STEPS[step] };
+        },
+    };
+}
@@ -0,0 +1,57 @@
+import { createInferenceScheduler, INFERENCE_STEPS, LATENCY_BUDGET_MS } from "./inferenceScheduler";
+
+/** Records the same detection latency a number of times */
+const recordMany = (scheduler, latencyMs, count) => {
+    for (let i = 0; i < count; i++) scheduler.record(latencyMs);
+};
+
+describe("createInferenceScheduler", () => {
+    test("detects every frame at full scale while detection is fast", () => {
+        const scheduler = createInferenceScheduler();
+        recordMany(scheduler, LATENCY_BUDGET_MS / 2, 50);
+        expect(scheduler.settings()).toEqual(INFERENCE_STEPS[0]);
+        scheduler.started(1000);
+        expect(scheduler.shouldRun(1000)).toBe(true);
+        expect(scheduler.stats()).toMatchObject({ latencyMs: LATENCY_BUDGET_MS / 2, detections: 50, scale: 1 });
+    });
+
+    test("steps down once per ten slow detections, shrinking the input before skipping frames", () => {
+        const scheduler = createInferenceScheduler();
+        recordMany(scheduler, 100, 9);
+        expect(scheduler.settings()).toEqual(INFERENCE_STEPS[0]);
+        scheduler.record(100);
+        expect(scheduler.settings()).toEqual({ scale: 0.75, intervalMs: 0 });
+        recordMany(scheduler, 100, 10);
+        expect(scheduler.settings()).toEqual({ scale: 0.5, intervalMs: 0 });
+        recordMany(scheduler, 100, 100);
+        expect(scheduler.settings()).toEqual(INFERENCE_STEPS.at(-1)); // And no further
+    });
+
+    test("skips frames within the interval of a slow step", () => {
+        const scheduler = createInferenceScheduler();
+        recordMany(scheduler, 100, 40);
+        const { intervalMs } = scheduler.settings();
+        expect(intervalMs).toBeGreaterThan(0);
+
+        scheduler.started(1000);
+        expect(scheduler.shouldRun(1000 + intervalMs - 1)).toBe(false);
+        expect(scheduler.shouldRun(1000 + intervalMs)).toBe(true);
+    });
+
+    test("steps back up once detection is well within the budget", () => {
+        const scheduler = createInferenceScheduler();
+        recordMany(scheduler, 100, 10);
+        expect(scheduler.settings().scale).toBe(0.75);
+
+        recordMany(scheduler, LATENCY_BUDGET_MS * 0.8, 30); // Within the budget, but not well within
+        expect(scheduler.settings().scale).toBe(0.75);
+        recordMany(scheduler, 5, 10);
+        expect(scheduler.settings()).toEqual(INFERENCE_STEPS[0]);
+    });
+
+    test("follows a custom budget", () => {
+        const scheduler = createInferenceScheduler({ budgetMs: 200 });
+        recordMany(scheduler, 100, 20);
+        expect(scheduler.settings()).toEqual(INFERENCE_STEPS[0]);
+    });
+});
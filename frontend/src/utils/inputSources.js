@@ -0,0 +1,251 @@
+/**
+ * Input sources that stand in for the hand tracker when no camera is available
+ * (or the player prefers another input).
+ *
+ * Main Features:
+ * - Mouse / touch: the pointer position becomes the index fingertip of a
+ *   pointing hand (tap, swipe and trace games).
+ * - Keyboard: number keys show a gesture while held (gesture games),
+ *   including the player's custom gestures. Only MAX_KEYS gestures have a key,
+ *   so gesture games prompt only those (see playableGestures).
+ *
+ * Every source implements detectForVideo(video, timestamp) and returns results
+ * shaped like MediaPipe HandLandmarker results ({ landmarks, handedness }), so
+ * the filtering layer and the games work unchanged with any input.
+ */
+
+import { CUSTOM_PREFIX, INDEX, WRIST, gestureVocabulary } from "./gestures";
+
+// Display text of every input method
+export const INPUT_LABELS = {
+    hand: "✋ Hand tracking",
+    pointer: "🖱️ Mouse / touch",
+    keyboard: "⌨️ Keyboard",
+};
+
+const HAND_SIZE = 0.18; // Wrist → middle finger MCP, relative to the frame height
+const INDEX_TIP = INDEX[3];
+export const MAX_KEYS = 9; // Gestures reachable with the keys 1-9
+
+// A physical right hand, as labelled by HandLandmarker (labels assume a mirrored image)
+const HANDEDNESS = [{ categoryName: "Left", displayName: "Left", score: 1, index: 0 }];
+
+/**
+ * Poses of the built-in gestures: 21 landmarks (x, y, z) relative to the wrist,
+ * in units of the wrist → middle finger MCP distance, upright in the frame.
+ */
+const POSES = {
+    open: [
+        0, 0, 0, 0.25, -0.13, 0, 0.52, -0.38, 0,
+        0.73, -0.58, -0.02, 0.88, -0.74, -0.03, 0.33, -0.92, -0.02,
+        0.36, -1.38, -0.03, 0.41, -1.66, -0.09, 0.44, -1.87, -0.14,
+        0.03, -1, 0.02, -0.01, -1.48, -0.05, 0, -1.79, -0.09,
+        0, -2, -0.15, -0.25, -0.91, 0.01, -0.31, -1.35, -0.04,
+        -0.32, -1.62, -0.09, -0.36, -1.85, -0.13, -0.5, -0.79, 0.02,
+        -0.56, -1.18, -0.01, -0.62, -1.37, -0.09, -0.65, -1.55, -0.12,
+    ],
+    two: [
+        0, 0, 0, 0.25, -0.15, 0.04, 0.4, -0.34, -0.05,
+        0.29, -0.54, -0.16, 0.09, -0.61, -0.18, 0.29, -0.93, -0.01,
+        0.35, -1.38, 0, 0.38, -1.63, -0.04, 0.4, -1.85, -0.09,
+        -0.02, -1, 0.01, -0.01, -1.47, -0.02, 0, -1.8, -0.08,
+        -0.02, -2, -0.14, -0.28, -0.92, 0.02, -0.28, -0.97, -0.41,
+        -0.29, -0.71, -0.43, -0.26, -0.64, -0.23, -0.52, -0.81, 0.05,
+        -0.52, -0.87, -0.31, -0.47, -0.63, -0.29, -0.42, -0.54, -0.15,
+    ],
+    rock: [
+        0, 0, 0, 0.23, -0.14, 0.03, 0.41, -0.37, -0.07,
+        0.3, -0.56, -0.16, 0.08, -0.64, -0.21, 0.31, -0.97, -0.01,
+        0.36, -1.42, -0.08, 0.41, -1.67, -0.11, 0.43, -1.91, -0.14,
+        0.02, -1, -0.02, 0.02, -1.11, -0.48, -0.02, -0.81, -0.49,
+        0.01, -0.7, -0.26, -0.29, -0.93, -0.02, -0.27, -1.02, -0.47,
+        -0.27, -0.74, -0.47, -0.25, -0.64, -0.26, -0.53, -0.84, 0,
+        -0.59, -1.19, -0.02, -0.67, -1.4, -0.08, -0.67, -1.57, -0.12,
+    ],
+    thumbs_up: [
+        0, 0, 0, 0.05, -0.27, -0.02, 0.01, -0.61, -0.03,
+        0.03, -0.88, -0.02, 0.01, -1.16, -0.04, -0.47, -0.84, -0.01,
+        -0.56, -0.91, -0.45, -0.39, -0.72, -0.46, -0.32, -0.64, -0.26,
+        -0.76, -0.65, -0.02, -0.84, -0.7, -0.5, -0.57, -0.49, -0.49,
+        -0.53, -0.43, -0.29, -0.88, -0.41, 0.02, -0.95, -0.47, -0.45,
+        -0.71, -0.27, -0.45, -0.65, -0.23, -0.27, -0.94, -0.17, 0.01,
+        -1.01, -0.2, -0.34, -0.83, -0.1, -0.38, -0.73, -0.05, -0.16,
+    ],
+    fist: [
+        0, 0, 0, 0.24, -0.15, 0.01, 0.4, -0.34, -0.03,
+        0.31, -0.55, -0.12, 0.08, -0.62, -0.21, 0.31, -0.94, 0.03,
+        0.34, -1, -0.43, 0.29, -0.76, -0.42, 0.29, -0.69, -0.24,
+        0.01, -1, -0.01, 0.01, -1.07, -0.48, 0.02, -0.78, -0.47,
+        0.01, -0.69, -0.24, -0.25, -0.92, 0, -0.27, -1, -0.46,
+        -0.21, -0.72, -0.44, -0.26, -0.64, -0.23, -0.49, -0.8, 0.01,
+        -0.51, -0.87, -0.33, -0.44, -0.66, -0.32, -0.43, -0.6, -0.14,
+    ],
+    point: [
+        0, 0, 0, 0.25, -0.15, 0.03, 0.39, -0.34, 0,
+        0.3, -0.52, -0.15, 0.09, -0.62, -0.15, 0.32, -0.94, 0.01,
+        0.38, -1.4, 0, 0.38, -1.69, -0.07, 0.43, -1.9, -0.09,
+        0, -1, 0.05, 0, -1.07, -0.46, -0.01, -0.8, -0.47,
+        0, -0.69, -0.26, -0.31, -0.91, 0.05, -0.3, -1.02, -0.4,
+        -0.28, -0.74, -0.41, -0.25, -0.64, -0.23, -0.52, -0.8, 0.03,
+        -0.55, -0.88, -0.32, -0.5, -0.64, -0.31, -0.48, -0.55, -0.13,
+    ],};
+
+/**
+ * poseToResults
+ *
+ * Places a pose in the frame and wraps it as HandLandmarker results.
+ *
+ * @param {number[]} pose - 63 values (x, y, z per landmark) relative to the wrist
+ * @param {Object} placement
+ * @param {number} placement.x - Normalized x of the anchor landmark
+ * @param {number} placement.y - Normalized y of the anchor landmark
+ * @param {number} [placement.anchor] - Landmark placed at (x, y) (default: wrist)
+ * @param {number} [placement.aspectRatio] - Frame width / height
+ * @returns {{landmarks: Array, handedness: Array}} HandLandmarker-shaped results
+ */
+export function poseToResults(pose, { x, y, anchor = WRIST, aspectRatio = 1 }) {
+    const ax = pose[anchor * 3];
+    const ay = pose[anchor * 3 + 1];
+    const landmarks = [];
+    for (let i = 0; i < pose.length; i += 3) {
+        landmarks.push({
+            x: x + ((pose[i] - ax) * HAND_SIZE) / aspectRatio,
+            y: y + (pose[i + 1] - ay) * HAND_SIZE,
+            z: (pose[i + 2] * HAND_SIZE) / aspectRatio,
+        });
+    }
+    return { landmarks: [landmarks], handedness: [HANDEDNESS] };
+}
+
+const NO_HAND = { landmarks: [], handedness: [] };
+
+/**
+ * playableGestures
+ *
+ * @param {Array<{_id: string}>} customGestures - The player's custom gestures
+ * @param {string} inputMethod - Input method of the game ("hand", "pointer" or "keyboard")
+ * @returns {string[]} Gestures a gesture game may prompt: every gesture of the vocabulary,
+ *   or with the keyboard only the first MAX_KEYS, which have a key
+ */
+export function playableGestures(customGestures, inputMethod) {
+    const vocabulary = gestureVocabulary(customGestures);
+    return inputMethod === "keyboard" ? vocabulary.slice(0, MAX_KEYS) : vocabulary;
+}
+
+/**
+ * toFrame
+ *
+ * Converts a pointer position on the (CSS-mirrored, object-fit: cover) canvas
+ * into normalized frame coordinates, like the ones the hand tracker reports.
+ */
+const toFrame = (canvas, clientX, clientY) => {
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / canvas.width, rect.height / canvas.height);
+    const offsetX = (rect.width - canvas.width * scale) / 2;
+    const offsetY = (rect.height - canvas.height * scale) / 2;
+    const mirroredX = rect.width - (clientX - rect.left); // The canvas is shown mirrored
+    return {
+        x: (mirroredX - offsetX) / (canvas.width * scale),
+        y: (clientY - rect.top - offsetY) / (canvas.height * scale),
+    };
+};
+
+/**
+ * createPointerSource
+ *
+ * Mouse and touch input. A mouse "hand" is present while the pointer is over
+ * the game, a touch "hand" while the finger is on the screen.
+ *
+ * @param {HTMLElement} element - Element receiving the pointer events
+ * @param {HTMLCanvasElement} canvas - Game canvas (for the coordinate mapping)
+ * @returns {{detectForVideo: Function, dispose: Function}} Input source
+ */
+export function createPointerSource(element, canvas) {
+    let pointer = null; // Latest position in client coordinates, null when absent
+
+    const onMove = (e) => {
+        if (e.pointerType === "mouse" || e.buttons > 0) pointer = { x: e.clientX, y: e.clientY };
+    };
+    const onDown = (e) => {
+        pointer = { x: e.clientX, y: e.clientY };
+    };
+    const onUp = (e) => {
+        if (e.pointerType !== "mouse") pointer = null;
+    };
+    const onLeave = () => {
+        pointer = null;
+    };
+
+    element.addEventListener("pointermove", onMove);
+    element.addEventListener("pointerdown", onDown);
+    element.addEventListener("pointerup", onUp);
+    element.addEventListener("pointercancel", onLeave);
+    element.addEventListener("pointerleave", onLeave);
+
+    return {
+        detectForVideo() {
+            if (!pointer || !canvas.width || !canvas.height) return NO_HAND;
+            const { x, y } = toFrame(canvas, pointer.x, pointer.y);
+            return poseToResults(POSES.point, { x, y, anchor: INDEX_TIP, aspectRatio: canvas.width / canvas.height });
+        },
+        dispose() {
+            element.removeEventListener("pointermove", onMove);
+            element.removeEventListener("pointerdown", onDown);
+            element.removeEventListener("pointerup", onUp);
+            element.removeEventListener("pointercancel", onLeave);
+            element.removeEventListener("pointerleave", onLeave);
+        },
+    };
+}
+
+/**
+ * createKeyboardSource
+ *
+ * Keyboard input for gesture games: while a number key is held, the hand shows
+ * the matching gesture (1-5 for the built-in gestures, then custom gestures).
+ *
+ * @param {HTMLCanvasElement} canvas - Game canvas (for the aspect ratio)
+ * @param {Function} [getCustomGestures] - Returns the player's custom gestures
+ * @returns {{detectForVideo: Function, dispose: Function, keys: Function}} Input source
+ */
+export function createKeyboardSource(canvas, getCustomGestures = () => []) {
+    let pressed = null; // Key currently held
+
+    const keys = () =>
+        playableGestures(getCustomGestures(), "keyboard").map((gesture, i) => ({ key: String(i + 1), gesture }));
+
+    const onKeyDown = (e) => {
+        if (keys().some(k => k.key === e.key)) pressed = e.key;
+    };
+    const onKeyUp = (e) => {
+        if (e.key === pressed) pressed = null;
+    };
+    const onBlur = () => {
+        pressed = null; // Key releases are missed while the window has no focus
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+
+    const poseOf = (gesture) => {
+        if (!gesture?.startsWith(CUSTOM_PREFIX)) return POSES[gesture];
+        const custom = getCustomGestures().find(g => CUSTOM_PREFIX + g._id === gesture);
+        return custom?.samples[0];
+    };
+
+    return {
+        detectForVideo() {
+            const gesture = keys().find(k => k.key === pressed)?.gesture;
+            const pose = poseOf(gesture);
+            if (!pose || !canvas.width || !canvas.height) return NO_HAND;
+            return poseToResults(pose, { x: 0.5, y: 0.8, aspectRatio: canvas.width / canvas.height });
+        },
+        dispose() {
+            window.removeEventListener("keydown", onKeyDown);
+            window.removeEventListener("keyup", onKeyUp);
+            window.removeEventListener("blur", onBlur);
+        },
+        keys,
+    };
+}
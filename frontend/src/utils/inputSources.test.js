@@ -0,0 +1,32 @@
+import { createKeyboardSource, playableGestures, MAX_KEYS } from "./inputSources";
+import { gestureVocabulary, recognizeGesture } from "./gestures";
+
+// More custom gestures than there are keys left after the built-in ones
+const customGestures = Array.from({ length: 8 }, (_, i) => ({ _id: `g${i}`, name: `Gesture ${i}`, samples: [] }));
+
+describe("playableGestures", () => {
+    test("keeps the whole vocabulary for hand tracking", () => {
+        expect(playableGestures(customGestures, "hand")).toEqual(gestureVocabulary(customGestures));
+    });
+
+    test("keeps only the gestures that have a key for the keyboard", () => {
+        const gestures = playableGestures(customGestures, "keyboard");
+        expect(gestures).toHaveLength(MAX_KEYS);
+        expect(gestures).toEqual(gestureVocabulary(customGestures).slice(0, MAX_KEYS));
+    });
+});
+
+describe("createKeyboardSource", () => {
+    test("has a key for every gesture a keyboard game prompts and shows it while held", () => {
+        const canvas = { width: 640, height: 480 };
+        const source = createKeyboardSource(canvas, () => customGestures);
+        const keys = source.keys();
+        expect(keys.map(k => k.gesture)).toEqual(playableGestures(customGestures, "keyboard"));
+
+        window.dispatchEvent(new KeyboardEvent("keydown", { key: "1" }));
+        expect(recognizeGesture(source.detectForVideo(), { aspectRatio: 640 / 480 }).gesture).toBe(keys[0].gesture);
+        window.dispatchEvent(new KeyboardEvent("keyup", { key: "1" }));
+        expect(source.detectForVideo().landmarks).toHaveLength(0);
+        source.dispose();
+    });
+});
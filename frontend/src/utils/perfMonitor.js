@@ -0,0 +1,96 @@
+/**
+ * Performance measurements of a game, for the performance HUD and the game session.
+ *
+ * Main Features:
+ * - Render frame rate and dropped display frames, from the frames of the game loop.
+ * - Samples of the frame rate and of the hand detector's stats (latency,
+ *   detections per second, input scale and interval, see utils/inferenceScheduler.js).
+ * - A summary of the whole game, sent with its score so struggling devices can be spotted.
+ *
+ * Gaps between frames longer than GAP_MS (a paused game, a hidden tab) are left out,
+ * so pauses neither lower the frame rate nor count as dropped frames.
+ */
+
+const FRAME_MS = 1000 / 60; // A display frame at 60 Hz
+const GAP_MS = 1000; // Longer gaps between frames are not play time
+
+const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * createPerfMonitor
+ *
+ * @returns {Object} Monitor with
+ *   - frame(now): a frame of the game loop was drawn (performance.now())
+ *   - sample(detector): { fps, droppedFrames, latencyMs, detectionsPerSecond, scale, intervalMs }
+ *     since the previous sample; detector is the hand landmarker's stats() (null without hand tracking)
+ *   - summary(): measurements of the whole game
+ */
+export function createPerfMonitor() {
+    let lastFrame = null; // Time of the latest frame
+    let frames = 0; // Frames in the current sample
+    let activeMs = 0; // Play time in the current sample
+    let totalFrames = 0;
+    let totalMs = 0;
+    let droppedFrames = 0;
+    let lastDetections = null; // Detector's detection count at the previous sample
+    const samples = [];
+
+    return {
+        frame(now) {
+            if (lastFrame !== null) {
+                const gap = now - lastFrame;
+                if (gap < GAP_MS) {
+                    frames++;
+                    activeMs += gap;
+                    droppedFrames += Math.max(0, Math.round(gap / FRAME_MS) - 1);
+                }
+            }
+            lastFrame = now;
+        },
+
+        sample(detector) {
+            const fps = activeMs > 0 ? (frames * 1000) / activeMs : null;
+            const detections = detector?.detections ?? null;
+            const detectionsPerSecond = activeMs > 0 && lastDetections !== null && detections !== null
+                ? ((detections - lastDetections) * 1000) / activeMs
+                : null;
+
+            const snapshot = {
+                fps: round(fps),
+                droppedFrames,
+                latencyMs: round(detector?.latencyMs ?? null, 1),
+                detectionsPerSecond: round(detectionsPerSecond),
+                scale: detector?.scale ?? null,
+                intervalMs: detector?.intervalMs ?? null,
+            };
+            if (fps !== null) samples.push(snapshot);
+
+            totalFrames += frames;
+            totalMs += activeMs;
+            frames = 0;
+            activeMs = 0;
+            lastDetections = detections;
+            return snapshot;
+        },
+
+        summary() {
+            const values = (key) => samples.map(s => s[key]).filter(v => v !== null);
+            const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+            const fps = values("fps");
+            const latency = values("latencyMs");
+            const scales = values("scale");
+            const intervals = values("intervalMs");
+
+            return {
+                avgFps: round(totalMs > 0 ? (totalFrames * 1000) / totalMs : null),
+                minFps: fps.length ? Math.min(...fps) : null,
+                droppedFrames,
+                avgLatencyMs: round(average(latency), 1),
+                maxLatencyMs: latency.length ? Math.max(...latency) : null,
+                detectionsPerSecond: round(average(values("detectionsPerSecond"))),
+                minScale: scales.length ? Math.min(...scales) : null,
+                maxIntervalMs: intervals.length ? Math.max(...intervals) : null,
+            };
+        },
+    };
+}
@@ -0,0 +1,58 @@
+import { createPerfMonitor } from "./perfMonitor";
+
+/** Draws frames every stepMs from start (exclusive) to end (inclusive) */
+const drawFrames = (monitor, start, end, stepMs) => {
+    for (let now = start + stepMs; now <= end + 1e-9; now += stepMs) monitor.frame(now);
+};
+
+describe("createPerfMonitor", () => {
+    test("measures the frame rate and counts the dropped frames", () => {
+        const monitor = createPerfMonitor();
+        monitor.frame(0);
+        drawFrames(monitor, 0, 500, 1000 / 60);
+        drawFrames(monitor, 500, 1000, 1000 / 30); // Every other display frame is dropped
+
+        const sample = monitor.sample(null);
+        expect(sample.fps).toBe(45);
+        expect(sample.droppedFrames).toBe(15);
+        expect(sample.latencyMs).toBeNull();
+        expect(sample.detectionsPerSecond).toBeNull();
+    });
+
+    test("leaves pauses out of the frame rate", () => {
+        const monitor = createPerfMonitor();
+        monitor.frame(0);
+        drawFrames(monitor, 0, 1000, 1000 / 60);
+        monitor.frame(6000); // Five seconds paused
+        drawFrames(monitor, 6000, 7000, 1000 / 60);
+
+        expect(monitor.sample(null)).toMatchObject({ fps: 60, droppedFrames: 0 });
+    });
+
+    test("samples the detector's stats and sums up the game", () => {
+        const monitor = createPerfMonitor();
+        monitor.frame(0);
+        drawFrames(monitor, 0, 1000, 1000 / 60);
+        monitor.sample({ latencyMs: 20.04, detections: 10, scale: 1, intervalMs: 0 });
+        drawFrames(monitor, 1000, 2000, 1000 / 30);
+        const second = monitor.sample({ latencyMs: 60, detections: 40, scale: 0.5, intervalMs: 50 });
+        expect(second).toMatchObject({ fps: 30, latencyMs: 60, detectionsPerSecond: 30, scale: 0.5, intervalMs: 50 });
+
+        expect(monitor.summary()).toEqual({
+            avgFps: 45,
+            minFps: 30,
+            droppedFrames: 30,
+            avgLatencyMs: 40,
+            maxLatencyMs: 60,
+            detectionsPerSecond: 30,
+            minScale: 0.5,
+            maxIntervalMs: 50,
+        });
+    });
+
+    test("sums up nothing before a frame was drawn", () => {
+        const monitor = createPerfMonitor();
+        expect(monitor.sample(null).fps).toBeNull();
+        expect(monitor.summary()).toMatchObject({ avgFps: null, minFps: null, avgLatencyMs: null });
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Seeded random source for the games.
+ *
+ * Games draw every random choice (target positions, sequences, prompts) from
+ * the source GameWrapper passes to detectFunction instead of Math.random, so a
+ * recorded game replays with exactly the same targets.
+ *
+ * Uses the mulberry32 generator: fast, 32-bit state, good enough for gameplay.
+ */
+
+/**
+ * randomSeed
+ *
+ * @returns {number} A fresh 32-bit seed for a new game
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 2 ** 32) >>> 0;
+}
+
+/**
+ * createRandom
+ *
+ * @param {number} seed - 32-bit seed; the same seed gives the same sequence
+ * @returns {{seed: number, next: Function, int: Function, range: Function, pick: Function}}
+ *   next() → [0, 1), int(n) → 0..n-1, range(min, max) → [min, max), pick(array) → one element
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        seed: seed >>> 0,
+        next,
+        int: (n) => Math.floor(next() * n),
+        range: (min, max) => min + next() * (max - min),
+        pick: (array) => array[Math.floor(next() * array.length)],
+    };
+}
@@ -0,0 +1,25 @@
+import { createRandom } from "./random";
+
+describe("createRandom", () => {
+    test("repeats its sequence for the same seed", () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = Array.from({ length: 5 }, () => a.next());
+        expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+        sequence.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    test("int, range and pick stay within bounds", () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 100; i++) {
+            expect(random.int(4)).toBeLessThan(4);
+            const value = random.range(30, 610);
+            expect(value).toBeGreaterThanOrEqual(30);
+            expect(value).toBeLessThan(610);
+            expect(["a", "b"]).toContain(random.pick(["a", "b"]));
+        }
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * React hook that keeps the player's audio settings (mute, volume, spoken prompts)
+ * and a sound player that follows them (see audio.js).
+ *
+ * The settings are stored on the user's account (see services/settingsService.js):
+ * the caller hands in the settings it loaded, and changes are saved shortly after
+ * the last one, so dragging the volume slider sends a single request.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import settingsService from "../services/settingsService";
+import { DEFAULT_AUDIO_SETTINGS, createSoundPlayer } from "./audio";
+
+export const SAVE_DELAY_MS = 800; // Quiet time after the last change before it is saved
+
+/**
+ * useAudioSettings
+ *
+ * @returns {{audioSettings: Object, updateAudio: Function, loadAudio: Function, soundPlayer: Object}}
+ *   audioSettings is { muted, volume, speech }; updateAudio(changes) changes some of them and saves them
+ *   to the account; loadAudio(saved) applies the settings loaded from the account (unless the player
+ *   changed them meanwhile); soundPlayer plays with the latest settings
+ */
+export default function useAudioSettings() {
+    const [audioSettings, setAudioSettings] = useState(DEFAULT_AUDIO_SETTINGS);
+    const settingsRef = useRef(DEFAULT_AUDIO_SETTINGS); // Latest settings, read by the sound player
+    const unsavedRef = useRef(null); // Changes not saved yet
+    const changedRef = useRef(false); // Whether the player changed the settings (loaded ones then come too late)
+    const [soundPlayer] = useState(() => createSoundPlayer(() => settingsRef.current));
+
+    const save = useCallback(() => {
+        const changes = unsavedRef.current;
+        unsavedRef.current = null;
+        if (!changes || !localStorage.getItem("user")) return;
+        settingsService
+            .saveSettings({ audio: changes })
+            .catch((err) => console.error("Could not save the audio settings:", err));
+    }, []);
+
+    const updateAudio = useCallback((changes) => {
+        changedRef.current = true;
+        unsavedRef.current = { ...unsavedRef.current, ...changes };
+        setAudioSettings(current => ({ ...current, ...changes }));
+    }, []);
+
+    const loadAudio = useCallback((saved) => {
+        if (changedRef.current) return;
+        setAudioSettings({ ...DEFAULT_AUDIO_SETTINGS, ...saved });
+    }, []);
+
+    /** Save the changes once the player stops changing them */
+    useEffect(() => {
+        settingsRef.current = audioSettings;
+        if (!unsavedRef.current) return;
+        const timeout = setTimeout(save, SAVE_DELAY_MS);
+        return () => clearTimeout(timeout);
+    }, [audioSettings, save]);
+
+    /** Save changes still waiting when the game is left */
+    useEffect(() => save, [save]);
+
+    return { audioSettings, updateAudio, loadAudio, soundPlayer };
+}
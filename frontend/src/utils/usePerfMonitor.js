@@ -0,0 +1,52 @@
+/**
+ * React hook that measures the performance of a live game (see perfMonitor.js)
+ * for the performance HUD and for the score submission.
+ *
+ * Main Features:
+ * - A performance monitor per game, fed one call per display frame.
+ * - Samples the frame rate and the hand detector's stats every second while the game runs.
+ * - Remembers whether the performance HUD is shown (in this browser).
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createPerfMonitor } from "./perfMonitor";
+
+const SAMPLE_MS = 1000; // Period of the performance measurements
+const SHOW_KEY = "perfHud"; // localStorage key remembering whether the performance HUD is shown
+
+/**
+ * usePerfMonitor
+ *
+ * @param {Object} options
+ * @param {boolean} options.active - Whether a live game is running (sampled while it is)
+ * @param {Object|null} options.detector - Hand landmarker whose stats() are sampled (null without hand tracking)
+ * @returns {{monitorRef: Object, perf: Object|null, showPerf: boolean, setShowPerf: Function, start: Function}}
+ *   monitorRef holds the monitor of the current game (frame(time) per frame, summary() at the end);
+ *   perf is the latest sample; start() gives a new game a fresh monitor
+ */
+export default function usePerfMonitor({ active, detector }) {
+    const monitorRef = useRef(null);
+    const [perf, setPerf] = useState(null); // Latest performance sample, shown by the HUD
+    const [showPerf, setShowPerf] = useState(() => localStorage.getItem(SHOW_KEY) === "true"); // Performance HUD toggle
+
+    const start = useCallback(() => {
+        monitorRef.current = createPerfMonitor();
+        setPerf(null);
+    }, []);
+
+    /** Remember whether the performance HUD is shown */
+    useEffect(() => {
+        localStorage.setItem(SHOW_KEY, String(showPerf));
+    }, [showPerf]);
+
+    /** Sample the performance of the live game (kept for the session, shown by the HUD) */
+    useEffect(() => {
+        if (!active) return;
+        const interval = setInterval(() => {
+            setPerf(monitorRef.current.sample(detector?.stats?.() ?? null));
+        }, SAMPLE_MS);
+        return () => clearInterval(interval);
+    }, [active, detector]);
+
+    return { monitorRef, perf, showPerf, setShowPerf, start };
+}
@@ -0,0 +1,66 @@
+/**
+ * Web Worker that runs the MediaPipe hand landmark model off the main thread.
+ *
+ * Messages in:
+ * - { type: "init", wasmPath, modelAssetBuffer, numHands }: loads the model
+ *   (GPU delegate, falling back to the CPU)
+ * - { type: "detect", bitmap, timestamp }: detects hands in a transferred ImageBitmap
+ *
+ * Messages out:
+ * - { type: "ready", delegate } or { type: "error", error } after init
+ * - { type: "result", timestamp, results: { landmarks, handedness } | null, error? } after every detect
+ *
+ * See utils/handWorker.js for the main-thread side.
+ */
+
+/* eslint-env worker, es2020 */
+import { HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+
+let landmarker = null;
+
+/** Loads the model, preferring the GPU */
+const init = async ({ wasmPath, modelAssetBuffer, numHands }) => {
+    const vision = await FilesetResolver.forVisionTasks(wasmPath);
+    const create = (delegate) => HandLandmarker.createFromOptions(vision, {
+        baseOptions: { modelAssetBuffer, delegate },
+        runningMode: "VIDEO",
+        numHands,
+    });
+
+    try {
+        landmarker = await create("GPU");
+        return "GPU";
+    } catch (err) {
+        console.warn("GPU hand tracking unavailable in the worker, using the CPU:", err);
+        landmarker = await create("CPU");
+        return "CPU";
+    }
+};
+
+globalThis.onmessage = async ({ data }) => {
+    if (data.type === "init") {
+        try {
+            const delegate = await init(data);
+            globalThis.postMessage({ type: "ready", delegate });
+        } catch (err) {
+            globalThis.postMessage({ type: "error", error: err.message || String(err) });
+        }
+        return;
+    }
+
+    if (data.type === "detect") {
+        const { bitmap, timestamp } = data;
+        try {
+            const results = landmarker.detectForVideo(bitmap, timestamp);
+            globalThis.postMessage({
+                type: "result",
+                timestamp,
+                results: { landmarks: results.landmarks, handedness: results.handedness },
+            });
+        } catch (err) {
+            globalThis.postMessage({ type: "result", timestamp, results: null, error: err.message || String(err) });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
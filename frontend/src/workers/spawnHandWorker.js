@@ -0,0 +1,12 @@
+/**
+ * Starts the hand detection worker (workers/handLandmarker.worker.js).
+ *
+ * Webpack bundles the worker from the new URL(..., import.meta.url) below, which
+ * Jest cannot load; keeping it in this module lets tests of utils/handWorker.js
+ * mock the worker alone.
+ *
+ * @returns {Worker} Hand detection worker
+ */
+export default function spawnHandWorker() {
+    return new Worker(new URL("./handLandmarker.worker.js", import.meta.url));
+}